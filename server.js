@@ -4,11 +4,19 @@ const mongoose = require('mongoose');
 const cron = require('node-cron');
 const chrono = require('chrono-node');
 const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const os = require('os');
 const winston = require('winston');
 
 const app = express();
 const PORT = process.env.PORT || 10000;
 
+// Required by the tests instead of run: no database, port, scheduled jobs or log file
+const IS_MAIN = require.main === module;
+
 // ENHANCED LOGGING SYSTEM
 const logger = winston.createLogger({
   level: 'info',
@@ -21,13 +29,15 @@ const logger = winston.createLogger({
     new winston.transports.Console({
       format: winston.format.simple()
     }),
-    new winston.transports.File({ filename: 'bot.log' })
-  ]
+    ...(IS_MAIN ? [new winston.transports.File({ filename: 'bot.log' })] : [])
+  ],
+  silent: !IS_MAIN && process.env.NODE_ENV === 'test'
 });
 
-// Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Middleware - keep the raw body for webhook signature checks
+const captureRawBody = (req, res, buf) => { req.rawBody = buf; };
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
 
 // ENHANCED REQUEST TRACKING
 app.use((req, res, next) => {
@@ -36,17 +46,33 @@ app.use((req, res, next) => {
   next();
 });
 
+// Messaging transport: twilio (default), meta (WhatsApp Cloud API) or local (offline file/stdout)
+const MESSAGING_TRANSPORT = (process.env.MESSAGING_TRANSPORT || 'twilio').toLowerCase();
+const TRANSPORT_ENV_VARS = {
+  twilio: ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_PHONE_NUMBER'],
+  meta: ['META_ACCESS_TOKEN', 'META_PHONE_NUMBER_ID'],
+  local: []
+};
+
 // Environment validation
 const requiredEnvVars = {
   VERIFY_TOKEN: process.env.VERIFY_TOKEN,
-  TWILIO_ACCOUNT_SID: process.env.TWILIO_ACCOUNT_SID,
-  TWILIO_AUTH_TOKEN: process.env.TWILIO_AUTH_TOKEN,
-  TWILIO_PHONE_NUMBER: process.env.TWILIO_PHONE_NUMBER,
   MONGODB_URI: process.env.MONGODB_URI,
-  OPENAI_API_KEY: process.env.OPENAI_API_KEY,
-  PREMIUM_PAYMENT_URL: process.env.PREMIUM_PAYMENT_URL || 'https://your-payment-link.com/premium'
+  PREMIUM_PAYMENT_URL: process.env.PREMIUM_PAYMENT_URL || 'https://your-payment-link.com/premium',
+  ...Object.fromEntries((TRANSPORT_ENV_VARS[MESSAGING_TRANSPORT] || []).map(key => [key, process.env[key]]))
 };
 
+if (!TRANSPORT_ENV_VARS[MESSAGING_TRANSPORT]) {
+  logger.error(`Unknown MESSAGING_TRANSPORT "${MESSAGING_TRANSPORT}" (use twilio, meta or local)`);
+  process.exit(1);
+}
+
+// The local transport has no sender signature - in production it only runs behind a shared secret
+if (MESSAGING_TRANSPORT === 'local' && process.env.NODE_ENV === 'production' && !process.env.LOCAL_WEBHOOK_SECRET) {
+  logger.error('MESSAGING_TRANSPORT=local accepts unsigned webhooks - set LOCAL_WEBHOOK_SECRET or use twilio/meta in production');
+  process.exit(1);
+}
+
 const missingVars = Object.entries(requiredEnvVars)
   .filter(([key, value]) => !value)
   .map(([key]) => key);
@@ -77,6 +103,8 @@ async function connectToMongoDB() {
       
       logger.info('✅ Connected to MongoDB with connection pooling');
       
+      await migrateTimezones();
+      
       // Connection event listeners
       mongoose.connection.on('error', (err) => logger.error('MongoDB error:', err));
       mongoose.connection.on('disconnected', () => logger.warn('MongoDB disconnected'));
@@ -96,7 +124,7 @@ async function connectToMongoDB() {
   }
 }
 
-connectToMongoDB();
+if (IS_MAIN) connectToMongoDB();
 
 // ENHANCED User Schema with learning capabilities
 const userSchema = new mongoose.Schema({
@@ -104,11 +132,19 @@ const userSchema = new mongoose.Schema({
   userName: { type: String, required: true },
   preferredName: { type: String, default: null },
   location: { type: String, default: null },
-  timezoneOffset: { type: Number, default: 0 },
+  timezone: { type: String, default: 'UTC' }, // IANA zone, e.g. "Europe/Istanbul"
+  timezoneOffset: { type: Number, default: 0 }, // Legacy hours offset - migrated to timezone
   reminderCount: { type: Number, default: 0 },
   lastResetDate: { type: Date, default: Date.now },
   isSetup: { type: Boolean, default: false },
   pendingReminder: { type: Object, default: null },
+  pendingEdit: { type: Object, default: null }, // { reminderId, currentMessage, currentTime } while "edit N" waits for new text
+  lastDeliveredReminder: {
+    reminderId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    sentAt: { type: Date, default: null }
+  }, // Target for "snooze" replies
+  contacts: [{ name: String, userId: String }], // "remind Mom to ..." → Mom's number
+  calendarToken: { type: String }, // Secret part of the .ics feed URL - unset until "calendar"
   
   // PREMIUM FEATURES
   isPremium: { type: Boolean, default: false },
@@ -116,8 +152,14 @@ const userSchema = new mongoose.Schema({
   subscriptionId: { type: String, default: null },
   paymentMethod: { type: String, default: null },
   upgradeDate: { type: Date, default: null },
-  language: { type: String, default: 'en' }, // Premium: multi-language
+  subscriptionStatus: { type: String, enum: ['none', 'active', 'past_due', 'cancelled'], default: 'none' },
+  billingCustomerId: { type: String, default: null }, // Stripe customer - refunds only name the customer
+  graceUntil: { type: Date, default: null }, // Failed renewal: premium kept until then
+  graceWarnedAt: { type: Date, default: null },
+  language: { type: String, default: 'en' }, // Catalog language: en, tr, es, de, pt
   voiceEnabled: { type: Boolean, default: false }, // Premium: voice notes
+  spacePremiumUntil: { type: Date, default: null }, // Latest expiry among premium spaces the user is in
+  spacePlan: { type: String, default: null }, // Catalog plan of that space
   
   // LEARNING & PERSONALIZATION
   conversationHistory: [{
@@ -129,19 +171,44 @@ const userSchema = new mongoose.Schema({
     preferredTimes: [String], // ["morning", "evening"]
     commonTasks: [String],    // ["gym", "medicine", "call"]
     communicationStyle: { type: String, default: 'friendly' }, // friendly, professional, casual
-    reminderStyle: { type: String, default: 'motivational' }   // motivational, simple, detailed
+    reminderStyle: { type: String, default: 'motivational' },  // motivational, simple, detailed
+    followUps: { type: String, enum: ['off', 'high', 'all'], default: 'high' }, // Nudges when not done
+    followUpMinutes: { type: Number, default: null }, // null = FOLLOW_UP.WINDOW_MINUTES
+    defaultLeadMinutes: { type: Number, default: null }, // Heads-up before every new reminder, null = off
+    digest: {
+      enabled: { type: Boolean, default: false }, // Opt-in morning agenda
+      hour: { type: Number, default: null }, // Local time - null = from mostActiveHours
+      minute: { type: Number, default: 0 },
+      lastSentOn: { type: String, default: null } // Local date key, one digest per day
+    },
+    quietHours: {
+      start: { type: Number, default: null }, // Local minutes after midnight, null = off
+      end: { type: Number, default: null },   // May be before start - the window runs overnight
+      policy: { type: String, enum: ['defer', 'ask'], default: 'defer' } // 'ask' offers a choice at creation
+    }
   },
   behaviorPatterns: {
-    mostActiveHours: [Number], // [9, 18, 20]
+    mostActiveHours: [Number], // Local hours, e.g. [9, 18, 20]
     averageReminderGap: Number, // minutes between reminders
-    completionRate: { type: Number, default: 0 },
-    frequentKeywords: [String]
+    completionRate: { type: Number, default: 0 }, // Acknowledged / resolved, last 30 days
+    categoryCompletion: [{
+      category: String,
+      total: Number,
+      done: Number,
+      rate: Number
+    }],
+    frequentKeywords: [String],
+    categoryKeywords: [{ keyword: String, category: String }] // Learned: "pilates" → health
   },
   
   createdAt: { type: Date, default: Date.now },
   lastActiveAt: { type: Date, default: Date.now }
 });
 
+userSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
+userSchema.index({ subscriptionId: 1 });
+userSchema.index({ billingCustomerId: 1 });
+
 const User = mongoose.model('User', userSchema);
 
 // ENHANCED Reminder Schema
@@ -152,15 +219,23 @@ const reminderSchema = new mongoose.Schema({
   originalMessage: { type: String, required: true }, // Store user's exact words
   scheduledTime: { type: Date, required: true },
   userLocalTime: { type: String, default: 'Scheduled' },
-  userTimezone: { type: Number, default: 0 },
+  userTimezone: { type: String, default: 'UTC' }, // IANA zone
   
   // STATUS TRACKING
   isCompleted: { type: Boolean, default: false },
   isRecurring: { type: Boolean, default: false },
-  recurrencePattern: { type: String, default: null },
+  recurrencePattern: { type: String, default: null }, // RRULE, e.g. "FREQ=WEEKLY;BYDAY=MO,WE"
+  recurrenceStart: { type: Date, default: null }, // First occurrence - anchors intervals
+  occurrenceNumber: { type: Number, default: 1 },
   nextOccurrence: { type: Date, default: null },
   lastSentAt: { type: Date, default: null },
   
+  // COMPLETION: "sent" is not "done" - the user acknowledges
+  acknowledgedAt: { type: Date, default: null },
+  outcome: { type: String, enum: ['done', 'not_done', 'cancelled', null], default: null },
+  followUpCount: { type: Number, default: 0 },
+  nextFollowUpAt: { type: Date, default: null },
+  
   // ENHANCEMENT FEATURES
   priority: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' },
   category: { type: String, default: 'general' },
@@ -169,14 +244,110 @@ const reminderSchema = new mongoose.Schema({
   editHistory: [{ 
     oldMessage: String, 
     newMessage: String, 
-    editedAt: { type: Date, default: Date.now } 
+    editedAt: { type: Date, default: Date.now },
+    editedBy: { type: String, default: 'user' } // 'user' or 'admin:<name>'
   }],
   
+  // PRE-ALERTS: "30 min before" heads-ups are child reminders that fire once and are never "done"
+  kind: { type: String, enum: ['reminder', 'pre_alert'], default: 'reminder' },
+  parentReminderId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  leadMinutes: { type: Number, default: null }, // pre_alert: minutes before the parent
+  preAlerts: [Number], // parent: lead times in minutes, re-applied to each recurring instance
+  
+  // SHARED: userId owns the reminder (list, cancel, quota), recipientId receives it
+  recipientId: { type: String, default: null },
+  recipientName: { type: String, default: null },
+  
+  // SPACES: a household/team list - every member gets it, or one member per occurrence in turn
+  spaceId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  spaceName: { type: String, default: null },
+  assignment: { type: String, enum: ['all', 'rotate'], default: 'all' }, // rotate: recipientId holds this turn's member
+  
+  // QUIET HOURS: held until the window ends unless high priority or the user chose the time anyway
+  deferredUntil: { type: Date, default: null },
+  quietOverride: { type: Boolean, default: false },
+  deliveredTo: [String], // space members already pinged while others were still in their quiet hours
+  
+  // DELIVERY QUEUE: scheduled → leased → sent / failed (retried) / dead
+  // 'skipped' marks a missed recurring instance that moved on to its next occurrence
+  deliveryStatus: { 
+    type: String, 
+    enum: ['scheduled', 'leased', 'sent', 'failed', 'dead', 'skipped'], 
+    default: 'scheduled' 
+  },
+  deliveryAttempts: { type: Number, default: 0 },
+  firstAttemptAt: { type: Date, default: null }, // Lateness is judged here, not after transport retries
+  nextAttemptAt: { type: Date, default: null },
+  leaseOwner: { type: String, default: null },
+  leaseExpiresAt: { type: Date, default: null },
+  lastError: { type: String, default: null },
+  
   createdAt: { type: Date, default: Date.now }
 });
 
+reminderSchema.index({ deliveryStatus: 1, scheduledTime: 1 });
+reminderSchema.index({ deliveryStatus: 1, priority: 1, scheduledTime: 1 });
+reminderSchema.index({ deliveryStatus: 1, nextAttemptAt: 1 });
+reminderSchema.index({ deliveryStatus: 1, leaseExpiresAt: 1 });
+reminderSchema.index({ deliveryStatus: 1, nextFollowUpAt: 1 });
+reminderSchema.index({ parentReminderId: 1 });
+reminderSchema.index({ recipientId: 1, lastSentAt: -1 });
+reminderSchema.index({ spaceId: 1, scheduledTime: 1 });
+
 const Reminder = mongoose.model('Reminder', reminderSchema);
 
+// SHARED REMINDER CONSENT - a recipient allows or blocks each sender once
+const reminderConsentSchema = new mongoose.Schema({
+  senderId: { type: String, required: true },
+  senderName: String,
+  recipientId: { type: String, required: true },
+  recipientName: String, // What the sender calls them
+  status: { type: String, enum: ['pending', 'allowed', 'blocked', 'expired'], default: 'pending' },
+  requestedAt: { type: Date, default: Date.now },
+  respondedAt: { type: Date, default: null },
+  // The request itself can fail to send - it's retried with backoff until it goes out or runs out of attempts
+  requestSentAt: { type: Date, default: null },
+  requestAttempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: null }
+});
+
+reminderConsentSchema.index({ senderId: 1, recipientId: 1 }, { unique: true });
+reminderConsentSchema.index({ recipientId: 1, requestedAt: -1 });
+reminderConsentSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const ReminderConsent = mongoose.model('ReminderConsent', reminderConsentSchema);
+
+// SPACES - households and small teams sharing one reminder list
+const spaceSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  ownerId: { type: String, required: true },
+  members: [{
+    userId: String,
+    name: String,
+    status: { type: String, enum: ['invited', 'active'], default: 'invited' },
+    invitedBy: String,
+    joinedAt: { type: Date, default: null }
+  }],
+  
+  // One purchase covers every member
+  isPremium: { type: Boolean, default: false },
+  plan: { type: String, default: 'family' }, // Space plan from PLAN_CATALOG
+  premiumExpiresAt: { type: Date, default: null },
+  subscriptionId: { type: String, default: null },
+  paymentMethod: { type: String, default: null },
+  subscriptionStatus: { type: String, enum: ['none', 'active', 'past_due', 'cancelled'], default: 'none' },
+  billingCustomerId: { type: String, default: null },
+  graceUntil: { type: Date, default: null },
+  graceWarnedAt: { type: Date, default: null },
+  
+  createdAt: { type: Date, default: Date.now }
+});
+
+spaceSchema.index({ 'members.userId': 1 });
+spaceSchema.index({ subscriptionId: 1 });
+
+const Space = mongoose.model('Space', spaceSchema);
+
 // ANALYTICS TRACKING
 const analyticsSchema = new mongoose.Schema({
   userId: String,
@@ -185,8 +356,98 @@ const analyticsSchema = new mongoose.Schema({
   timestamp: { type: Date, default: Date.now }
 });
 
+analyticsSchema.index({ event: 1, timestamp: 1 });
+analyticsSchema.index({ timestamp: 1 });
+analyticsSchema.index({ userId: 1, timestamp: -1 });
+
 const Analytics = mongoose.model('Analytics', analyticsSchema);
 
+// NIGHTLY ROLLUP - one row per UTC day so reports never scan raw events
+const analyticsDailySchema = new mongoose.Schema({
+  date: { type: String, required: true, unique: true }, // YYYY-MM-DD (UTC)
+  activeUsers: { type: Number, default: 0 },
+  newUsers: { type: Number, default: 0 },
+  funnel: {
+    nameSet: { type: Number, default: 0 },
+    locationSet: { type: Number, default: 0 },
+    firstReminder: { type: Number, default: 0 }
+  },
+  freeLimit: {
+    hits: { type: Number, default: 0 },
+    users: { type: Number, default: 0 }
+  },
+  premium: {
+    upgrades: { type: Number, default: 0 },
+    upgradesAfterLimit: { type: Number, default: 0 } // Upgraders who had hit the free limit before
+  },
+  intents: [{
+    intent: String,
+    source: String, // rules, llm, fallback
+    count: Number,
+    avgConfidence: Number
+  }],
+  delivery: {
+    sent: { type: Number, default: 0 },
+    onTime: { type: Number, default: 0 },
+    avgLatenessSeconds: { type: Number, default: 0 },
+    maxLatenessSeconds: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    dead: { type: Number, default: 0 }
+  },
+  retention: {
+    cohort: { type: Number, default: 0 }, // Users created this day
+    day1: { type: Number, default: null }, // null until the day has passed
+    day7: { type: Number, default: null }
+  },
+  events: { type: Object, default: {} }, // Raw count per event name
+  computedAt: { type: Date, default: Date.now }
+});
+
+const AnalyticsDaily = mongoose.model('AnalyticsDaily', analyticsDailySchema);
+
+// PROCESSED WEBHOOK EVENTS - replay protection
+const webhookEventSchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  eventId: { type: String, required: true },
+  receivedAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 * 30 } // Kept 30 days
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+// LLM TOKEN USAGE - one row per key ('global' or a userId) per UTC day
+const llmUsageSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  date: { type: String, required: true }, // YYYY-MM-DD
+  tokens: { type: Number, default: 0 },
+  requests: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 * 60 } // Kept 60 days
+});
+
+llmUsageSchema.index({ key: 1, date: 1 }, { unique: true });
+
+const LlmUsage = mongoose.model('LlmUsage', llmUsageSchema);
+
+// ADMIN AUDIT LOG - who did what through /admin/api
+const adminAuditSchema = new mongoose.Schema({
+  actor: { type: String, required: true },
+  role: String,
+  action: { type: String, required: true }, // 'user.update', 'premium.grant', ...
+  targetType: String,
+  targetId: String,
+  changes: Object,
+  ip: String,
+  requestId: String,
+  at: { type: Date, default: Date.now }
+});
+
+adminAuditSchema.index({ targetId: 1, at: -1 });
+adminAuditSchema.index({ actor: 1, at: -1 });
+
+const AdminAudit = mongoose.model('AdminAudit', adminAuditSchema);
+
 // RATE LIMITING SYSTEM
 const userMessageCounts = new Map();
 const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
@@ -211,1169 +472,8495 @@ function checkRateLimit(userId) {
   return true;
 }
 
-// USAGE LIMITS
-const USAGE_LIMITS = {
-  FREE_TIER_REMINDERS: 5,
-  RESET_PERIOD_HOURS: 24
+// PLAN CATALOG - every limit and feature gate reads its plan from here, and upsell copy is
+// rendered from it. null means unlimited (languages: null = all). PLAN_CATALOG (JSON) overrides
+// or adds plans, e.g. '{"premium":{"price":"$2"}}'. Space plans are bought for a whole space.
+const DEFAULT_PLAN_CATALOG = {
+  free: {
+    name: 'Free',
+    price: null,
+    dailyReminders: 5,
+    activeReminders: 50,
+    maxSnoozes: 3,
+    recurrence: true,
+    voice: false,
+    languages: null,
+    historyDays: 7,
+    spaceMembers: 10,
+    aiDailyTokens: parseInt(process.env.LLM_USER_DAILY_TOKENS) || 5000
+  },
+  premium: {
+    name: 'Premium',
+    price: '$1',
+    dailyReminders: null,
+    activeReminders: null,
+    maxSnoozes: 10,
+    recurrence: true,
+    voice: true,
+    languages: null,
+    historyDays: 90,
+    spaceMembers: 10,
+    aiDailyTokens: parseInt(process.env.LLM_PREMIUM_USER_DAILY_TOKENS) || 20000
+  },
+  family: {
+    name: 'Family',
+    price: '$3',
+    space: true,
+    dailyReminders: null,
+    activeReminders: null,
+    maxSnoozes: 10,
+    recurrence: true,
+    voice: true,
+    languages: null,
+    historyDays: 90,
+    spaceMembers: 10,
+    aiDailyTokens: parseInt(process.env.LLM_PREMIUM_USER_DAILY_TOKENS) || 20000
+  },
+  business: {
+    name: 'Business',
+    price: '$8',
+    space: true,
+    dailyReminders: null,
+    activeReminders: null,
+    maxSnoozes: 20,
+    recurrence: true,
+    voice: true,
+    languages: null,
+    historyDays: 365,
+    spaceMembers: 50,
+    aiDailyTokens: 50000
+  }
 };
 
-// ENHANCED usage check with timezone-aware reset
-async function checkUsageLimits(user) {
-  const now = new Date();
-  
-  // CHECK PREMIUM STATUS FIRST
-  if (user.isPremium) {
-    if (user.premiumExpiresAt && user.premiumExpiresAt < now) {
-      user.isPremium = false;
-      user.premiumExpiresAt = null;
-      user.voiceEnabled = false;
-      logger.info(`Premium expired for user ${user.userId}`);
-      await user.save();
-    } else {
-      return {
-        withinLimit: true,
-        remaining: 999999,
-        isPremium: true,
-        resetTime: null
-      };
-    }
-  }
-  
-  // Calculate user's midnight for reset
-  const userNow = new Date(now.getTime() + (user.timezoneOffset * 60 * 60 * 1000));
-  const userLastReset = new Date(user.lastResetDate.getTime() + (user.timezoneOffset * 60 * 60 * 1000));
-  
-  const isSameDay = userNow.toDateString() === userLastReset.toDateString();
-  
-  if (!isSameDay) {
-    logger.info(`Daily reset for user ${user.userId} (timezone: ${user.timezoneOffset})`);
-    user.reminderCount = 0;
-    user.lastResetDate = now;
-    await user.save();
+// What each override field must hold - a string "5" or a misspelt field would quietly break the gates
+const isPlanCount = value => Number.isInteger(value) && value >= 0;
+const isPlanLimit = value => value === null || isPlanCount(value);
+const PLAN_FIELDS = {
+  name: value => typeof value === 'string' && value.trim() !== '',
+  price: value => value === null || (typeof value === 'string' && value.trim() !== ''),
+  paymentUrl: value => value === null || (typeof value === 'string' && /^https?:\/\//.test(value)),
+  space: value => typeof value === 'boolean',
+  dailyReminders: isPlanLimit,
+  activeReminders: isPlanLimit,
+  maxSnoozes: isPlanCount,
+  recurrence: value => typeof value === 'boolean',
+  voice: value => typeof value === 'boolean',
+  languages: value => value === null || (Array.isArray(value) && value.every(code => typeof code === 'string')),
+  historyDays: isPlanCount,
+  spaceMembers: isPlanCount,
+  aiDailyTokens: isPlanCount
+};
+
+function validPlanOverrides(overrides) {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    logger.error('Ignoring PLAN_CATALOG: expected an object of plans');
+    return {};
   }
   
-  // Calculate next reset time in user's timezone
-  const nextMidnight = new Date(userNow);
-  nextMidnight.setHours(24, 0, 0, 0);
-  const nextResetUTC = new Date(nextMidnight.getTime() - (user.timezoneOffset * 60 * 60 * 1000));
-  
-  return {
-    withinLimit: user.reminderCount < USAGE_LIMITS.FREE_TIER_REMINDERS,
-    remaining: Math.max(0, USAGE_LIMITS.FREE_TIER_REMINDERS - user.reminderCount),
-    isPremium: false,
-    resetTime: nextResetUTC
-  };
+  return Object.fromEntries(Object.entries(overrides).flatMap(([id, plan]) => {
+    if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+      logger.error(`Ignoring PLAN_CATALOG.${id}: expected an object`);
+      return [];
+    }
+    return [[id, Object.fromEntries(Object.entries(plan).filter(([field, value]) => {
+      if (PLAN_FIELDS[field]?.(value)) return true;
+      logger.error(`Ignoring PLAN_CATALOG.${id}.${field}: ${PLAN_FIELDS[field] ? `invalid value ${JSON.stringify(value)}` : 'unknown field'}`);
+      return false;
+    }))]];
+  }));
 }
 
-// ANALYTICS TRACKING FUNCTION
-async function trackEvent(userId, event, metadata = {}) {
+const PLAN_CATALOG = (() => {
+  let overrides = {};
   try {
-    await Analytics.create({ userId, event, metadata });
+    overrides = validPlanOverrides(JSON.parse(process.env.PLAN_CATALOG || '{}'));
   } catch (error) {
-    logger.error('Analytics tracking failed', { userId, event, error: error.message });
+    logger.error(`Ignoring malformed PLAN_CATALOG: ${error.message}`);
   }
-}
-
-// ENHANCED ChatGPT function with personalization
-async function askChatGPT(prompt, systemMessage, userContext = {}) {
-  try {
-    logger.info('🤖 ChatGPT analyzing with context...');
-    
-    // Add user context to system message
-    const enhancedSystemMessage = `${systemMessage}
+  
+  const ids = [...new Set([...Object.keys(DEFAULT_PLAN_CATALOG), ...Object.keys(overrides)])];
+  return Object.fromEntries(ids.map(id => [id, { 
+    id, 
+    ...DEFAULT_PLAN_CATALOG.free, 
+    space: false, 
+    ...DEFAULT_PLAN_CATALOG[id], 
+    ...overrides[id] 
+  }]));
+})();
 
-USER CONTEXT:
-- Name: ${userContext.preferredName || 'User'}
-- Communication style: ${userContext.communicationStyle || 'friendly'}
-- Common tasks: ${userContext.commonTasks?.join(', ') || 'none'}
-- Timezone: GMT${userContext.timezoneOffset >= 0 ? '+' : ''}${userContext.timezoneOffset}
-- Premium user: ${userContext.isPremium ? 'Yes' : 'No'}
+// USAGE LIMITS
+const USAGE_LIMITS = {
+  RESET_PERIOD_HOURS: 24,
+  DEFAULT_SNOOZE_MINUTES: 10,
+  SNOOZE_WINDOW_HOURS: 12 // How long after delivery a reminder can be snoozed
+};
 
-Adapt your response to match their communication style and reference their common patterns when relevant.`;
+// FOLLOW-UPS for delivered reminders nobody marked done
+const FOLLOW_UP = {
+  WINDOW_MINUTES: parseInt(process.env.FOLLOW_UP_MINUTES) || 30,
+  MAX_NUDGES: parseInt(process.env.FOLLOW_UP_MAX_NUDGES) || 2,
+  ACK_WINDOW_HOURS: 24, // "done" still counts this long after delivery
+  STATS_WINDOW_DAYS: 30
+};
+// Only with a setting - "follow up with John at 3pm" is a reminder
+const FOLLOW_UP_COMMAND = /^(?:nudges?|follow[- ]?ups?)\s+(off|on|all|high|(\d+)\s*(?:m|mins?|minutes?))[.!]*$/i;
 
-    const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
-      {
-        model: 'gpt-4o-mini',
-        messages: [
-          { role: 'system', content: enhancedSystemMessage },
-          { role: 'user', content: prompt }
-        ],
-        max_tokens: 200, // SHORTER RESPONSES as requested
-        temperature: 0.4
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 8000
-      }
-    );
-    
-    const result = response.data.choices[0].message.content.trim();
-    logger.info('✅ ChatGPT responded');
-    
-    try {
-      return JSON.parse(result);
-    } catch {
-      return { raw: result };
-    }
-  } catch (error) {
-    logger.error('ChatGPT Error:', error.message);
-    return null;
+// CONSENT REQUESTS - a recipient who hasn't written in 24 hours only gets approved templates
+const CONSENT = {
+  MAX_ATTEMPTS: 5,
+  RETRY_MINUTES: 15, // Doubled after each failed attempt
+  EXPIRY_DAYS: 7 // Unanswered requests expire; the sender's next shared reminder asks again
+};
+// Content SID (Twilio) or template name (Meta); body variables are {{1}} sender name, {{2}} sender number
+const MESSAGE_TEMPLATES = {
+  consent_request: {
+    twilio: process.env.TWILIO_CONSENT_TEMPLATE_SID || null,
+    meta: process.env.META_CONSENT_TEMPLATE || null
   }
-}
+};
 
-// LEARNING SYSTEM - Update user patterns
-async function updateUserLearning(user, messageText, intent) {
+// DAILY DIGEST SETTINGS
+const DIGEST = {
+  DEFAULT_HOUR: 8,
+  MORNING_HOURS: [5, 11], // Earliest active hour in this range becomes the default time
+  SEND_WINDOW_MINUTES: 180, // Late runs still send; turning it on at night waits for tomorrow
+  MAX_ITEMS: 10
+};
+// Settings words alone or with a setting - "briefing with client at 3pm" is a reminder
+const CLOCK_ARGUMENT = '\\d{1,2}(?:[:.]\\d{2})?\\s*(?:am|pm|a\\.m\\.|p\\.m\\.)?';
+const DIGEST_COMMAND = new RegExp(`^(?:daily\\s+)?(?:digest|agenda|briefing)(?:\\s+(on|off|yes|no|start|stop|(?:at\\s+)?${CLOCK_ARGUMENT}))?[.!]*$`, 'i');
+// "quiet hours" / "dnd" alone, a setting or a time range - "quiet time with kids at 8pm" is a reminder
+const QUIET_HOURS_COMMAND = new RegExp(
+  `^(?:(?:quiet\\s+hours|dnd|do not disturb)(?=[.!]*$)|(?:quiet(?:\\s+hours)?|dnd|do not disturb)\\s+(off|none|no|defer|ask|${CLOCK_ARGUMENT}\\s*(?:-|–|to|until|till)\\s*${CLOCK_ARGUMENT}))[.!]*$`,
+  'i'
+);
+
+// TIMEZONE HELPERS - IANA zones with DST-correct conversion
+const zoneFormatters = new Map();
+
+// Best-guess zones for the legacy integer offsets
+const OFFSET_TIMEZONES = {
+  '-10': 'Pacific/Honolulu', '-9': 'America/Anchorage', '-8': 'America/Los_Angeles',
+  '-7': 'America/Denver', '-6': 'America/Chicago', '-5': 'America/New_York',
+  '-4': 'America/Halifax', '-3': 'America/Sao_Paulo', '0': 'Europe/London',
+  '1': 'Europe/Berlin', '2': 'Europe/Athens', '3': 'Europe/Istanbul',
+  '3.5': 'Asia/Tehran', '4': 'Asia/Dubai', '4.5': 'Asia/Kabul', '5': 'Asia/Karachi',
+  '5.5': 'Asia/Kolkata', '5.75': 'Asia/Kathmandu', '6': 'Asia/Dhaka', '7': 'Asia/Bangkok',
+  '8': 'Asia/Singapore', '9': 'Asia/Tokyo', '9.5': 'Australia/Adelaide',
+  '10': 'Australia/Sydney', '12': 'Pacific/Auckland'
+};
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
   try {
-    // Add to conversation history
-    user.conversationHistory.push({
-      message: messageText.substring(0, 100), // Limit length
-      intent: intent,
-      timestamp: new Date()
-    });
-    
-    // Keep only last 20 conversations
-    if (user.conversationHistory.length > 20) {
-      user.conversationHistory = user.conversationHistory.slice(-20);
-    }
-    
-    // Update activity
-    user.lastActiveAt = new Date();
-    
-    // Learn from patterns
-    const words = messageText.toLowerCase().split(' ');
-    const timeWords = words.filter(word => /\d/.test(word) || ['morning', 'evening', 'afternoon', 'night', 'noon'].includes(word));
-    const taskWords = words.filter(word => word.length > 3 && !['remind', 'reminder', 'please', 'could', 'would'].includes(word));
-    
-    // Update frequent keywords
-    taskWords.forEach(word => {
-      if (!user.behaviorPatterns.frequentKeywords.includes(word)) {
-        user.behaviorPatterns.frequentKeywords.push(word);
-      }
-    });
-    
-    // Keep only top 10 frequent keywords
-    if (user.behaviorPatterns.frequentKeywords.length > 10) {
-      user.behaviorPatterns.frequentKeywords = user.behaviorPatterns.frequentKeywords.slice(-10);
-    }
-    
-    // Track active hours
-    const currentHour = new Date().getHours();
-    if (!user.behaviorPatterns.mostActiveHours.includes(currentHour)) {
-      user.behaviorPatterns.mostActiveHours.push(currentHour);
-    }
-    
-    await user.save();
-  } catch (error) {
-    logger.error('Error updating user learning:', error);
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
   }
 }
 
-// PERSONALIZED MESSAGE ANALYSIS
-async function analyzeMessage(messageText, user) {
-  const systemMessage = `You are a personalized reminder assistant. Analyze the user's message and respond with helpful, shorter messages.
-
-CORE FUNCTIONALITY - REMINDERS ONLY:
-- Set reminders with specific times ✅
-- List active reminders ✅  
-- Cancel reminders ✅
-- Edit existing reminders ✅
-- Snooze reminders ✅
+function offsetToTimeZone(offsetHours) {
+  const offset = Number(offsetHours) || 0;
+  if (OFFSET_TIMEZONES[String(offset)]) return OFFSET_TIMEZONES[String(offset)];
+  // Etc zones use inverted signs: Etc/GMT-3 is UTC+3
+  if (Number.isInteger(offset) && Math.abs(offset) <= 12) return offset === 0 ? 'UTC' : `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
+  return 'UTC';
+}
 
-IMPORTANT: This bot ONLY handles reminders. For any non-reminder requests, politely redirect to reminder functionality.
+// Accepts IANA zones and legacy numeric offsets
+function resolveTimeZone(timeZone) {
+  if (isValidTimeZone(timeZone)) return timeZone;
+  if (timeZone !== null && timeZone !== undefined && timeZone !== '' && !isNaN(Number(timeZone))) {
+    return offsetToTimeZone(timeZone);
+  }
+  return 'UTC';
+}
 
-PERSONALIZATION: Use the user context provided to adapt your communication style and reference their patterns.
+function getZoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return zoneFormatters.get(timeZone);
+}
 
-User message: "${messageText}"
+// Wall-clock time: a Date whose UTC fields hold the user's local time
+function toUserWallClock(date, timeZone = 'UTC') {
+  const parts = {};
+  getZoneFormatter(resolveTimeZone(timeZone)).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  
+  return new Date(Date.UTC(
+    parseInt(parts.year), parseInt(parts.month) - 1, parseInt(parts.day),
+    parseInt(parts.hour) % 24, parseInt(parts.minute), parseInt(parts.second),
+    date.getUTCMilliseconds()
+  ));
+}
 
-Respond with JSON only:
-{
-  "intent": "reminder|list|cancel|edit|snooze|premium|setup|non_reminder",
-  "isReminder": true/false,
-  "hasAction": true/false,
-  "hasTime": true/false,
-  "task": "what they want to be reminded about",
-  "timeExpression": "any time found",
-  "reminderText": "cleaned up reminder text (max 40 chars)",
-  "personalizedResponse": "friendly, shorter response using their name/style",
-  "premiumRequired": true/false,
-  "confidence": 0.9,
-  "needsClarification": true/false,
-  "suggestedImprovements": "how to make reminder clearer"
+function getZoneOffsetMinutes(timeZone, date = new Date()) {
+  return Math.round((toUserWallClock(date, timeZone).getTime() - date.getTime()) / 60000);
 }
 
-Examples:
-- "gym at 8pm" → {"intent": "reminder", "isReminder": true, "hasAction": true, "hasTime": true, "task": "gym", "timeExpression": "8pm", "reminderText": "gym", "personalizedResponse": "Got it! Gym session at 8pm today 💪"}
-- "what's the weather?" → {"intent": "non_reminder", "premiumRequired": false, "personalizedResponse": "I'm your reminder assistant! 😊 What would you like me to remind you about? Try: 'call mom at 7pm'"}
-- "cancel reminder 1" → {"intent": "cancel", "personalizedResponse": "I'll help you cancel that reminder!"}
+function fromUserWallClock(wallClock, timeZone = 'UTC') {
+  // Second pass picks the offset in effect at the result (DST transitions)
+  const guess = new Date(wallClock.getTime() - getZoneOffsetMinutes(timeZone, wallClock) * 60000);
+  return new Date(wallClock.getTime() - getZoneOffsetMinutes(timeZone, guess) * 60000);
+}
 
-Keep responses short, friendly, and focused on reminders only.`;
+function getLocalDateKey(date, timeZone) {
+  return toUserWallClock(date, timeZone).toISOString().slice(0, 10);
+}
 
-  try {
-    const result = await askChatGPT(messageText, systemMessage, {
-      preferredName: user.preferredName,
-      communicationStyle: user.preferences?.communicationStyle,
-      commonTasks: user.behaviorPatterns?.frequentKeywords,
-      timezoneOffset: user.timezoneOffset,
-      isPremium: user.isPremium
-    });
-    
-    return result || { 
-      intent: "non_reminder", 
-      personalizedResponse: `Hi ${user.preferredName || 'there'}! I'm here to help with reminders. What would you like me to remind you about? 😊` 
-    };
-  } catch (error) {
-    logger.error('Error analyzing message:', error);
-    return { 
-      intent: "non_reminder", 
-      personalizedResponse: "I'm here to help with your reminders! What can I remind you about today? 😊" 
-    };
-  }
+function formatUserLocalTime(date, timeZone, language = 'en') {
+  const zone = resolveTimeZone(timeZone);
+  const sameYear = getLocalDateKey(date, zone).slice(0, 4) === getLocalDateKey(new Date(), zone).slice(0, 4);
+  
+  return date.toLocaleString(getLocale(language), {
+    timeZone: zone,
+    month: 'short',
+    day: 'numeric',
+    year: sameYear ? undefined : 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
 }
 
-// ENHANCED time parsing with better accuracy
-function parseReminderWithTimezone(messageText, task, timezoneOffset = 0) {
-  try {
-    logger.info(`🕐 Parsing: "${messageText}" (timezone: ${timezoneOffset})`);
-    
-    const now = new Date();
-    const userNow = new Date(now.getTime() + (timezoneOffset * 60 * 60 * 1000));
-    let parsed = null;
-    
-    // Enhanced patterns for better time detection
-    const patterns = [
-      // 24-hour format
-      { regex: /(\d{1,2})[.:](\d{2})(?!\s*(?:am|pm))/i, handler: (h, m) => ({ hours: parseInt(h), minutes: parseInt(m), is24h: true }) },
-      // 12-hour format
-      { regex: /(\d{1,2})(?::(\d{2}))?\s*(am|pm)/i, handler: (h, m, ampm) => ({ hours: parseInt(h), minutes: parseInt(m || 0), ampm: ampm.toLowerCase() }) },
-      // Relative times
-      { regex: /in\s+(\d+)\s+(minutes?|hours?|days?)/i, handler: (num, unit) => ({ relative: true, amount: parseInt(num), unit: unit.toLowerCase() }) },
-      // Natural language
-      { regex: /(morning|afternoon|evening|night|noon|midnight)/i, handler: (period) => ({ natural: period.toLowerCase() }) }
-    ];
-    
-    for (const pattern of patterns) {
-      const match = messageText.match(pattern.regex);
-      if (match) {
-        const timeInfo = pattern.handler(...match.slice(1));
-        
-        if (timeInfo.relative) {
-          parsed = new Date(userNow);
-          if (timeInfo.unit.startsWith('minute')) {
-            parsed.setMinutes(parsed.getMinutes() + timeInfo.amount);
-          } else if (timeInfo.unit.startsWith('hour')) {
-            parsed.setHours(parsed.getHours() + timeInfo.amount);
-          } else if (timeInfo.unit.startsWith('day')) {
-            parsed.setDate(parsed.getDate() + timeInfo.amount);
-          }
-        } else if (timeInfo.natural) {
-          parsed = new Date(userNow);
-          const timeMap = {
-            'morning': [8, 0],
-            'afternoon': [14, 0], 
-            'evening': [18, 0],
-            'night': [20, 0],
-            'noon': [12, 0],
-            'midnight': [0, 0]
-          };
-          const [h, m] = timeMap[timeInfo.natural];
-          parsed.setHours(h, m, 0, 0);
-          
-          // If time has passed today, set for tomorrow
-          if (parsed <= userNow) {
-            parsed.setDate(parsed.getDate() + 1);
-          }
-        } else {
-          // Handle explicit time
-          let hours = timeInfo.hours;
-          const minutes = timeInfo.minutes || 0;
-          
-          if (timeInfo.ampm) {
-            if (timeInfo.ampm === 'pm' && hours !== 12) hours += 12;
-            if (timeInfo.ampm === 'am' && hours === 12) hours = 0;
-          }
-          
-          parsed = new Date(userNow);
-          parsed.setHours(hours, minutes, 0, 0);
-          
-          // If time has passed today, set for tomorrow
-          if (parsed <= new Date(userNow.getTime() + 60000)) { // 1 minute buffer
-            parsed.setDate(parsed.getDate() + 1);
-          }
-        }
-        
-        break;
-      }
-    }
-    
-    // Try chrono as fallback
-    if (!parsed) {
-      try {
-        parsed = chrono.parseDate(messageText, userNow);
-      } catch (e) {
-        logger.warn('Chrono parsing failed:', e.message);
-      }
-    }
+// LOCALIZATION - message catalog, language detection and localized time words
+const SUPPORTED_LANGUAGES = {
+  en: { name: 'English', locale: 'en-US', aliases: ['english', 'ingles', 'inglés', 'englisch', 'ingilizce', 'inglês'] },
+  tr: { name: 'Türkçe', locale: 'tr-TR', aliases: ['turkish', 'türkçe', 'turkce', 'turco', 'türkisch'] },
+  es: { name: 'Español', locale: 'es-ES', aliases: ['spanish', 'español', 'espanol', 'spanisch', 'ispanyolca', 'espanhol'] },
+  de: { name: 'Deutsch', locale: 'de-DE', aliases: ['german', 'deutsch', 'alemán', 'aleman', 'almanca', 'alemão'] },
+  pt: { name: 'Português', locale: 'pt-BR', aliases: ['portuguese', 'português', 'portugues', 'portugiesisch', 'portekizce'] }
+};
+// The keyword alone or with a language - "language class at 6pm" and "dil kursu yarın 10da" are reminders
+const LANGUAGE_COMMAND = new RegExp(
+  `^(?:language|lang|dil|idioma|sprache|língua|lingua)(?:\\s+(${Object.entries(SUPPORTED_LANGUAGES).flatMap(([code, entry]) => [code, entry.name, ...entry.aliases]).join('|')}))?[.!?]*$`,
+  'iu'
+);
+
+// Catalog values: string, { one, other } plural forms (picked by params.count) or an array (random pick)
+const MESSAGES = {
+  en: {
+    setup_ask_name_first: `Hey there! 👋\n\nI'm your reminder assistant! But first, what should I call you? 😊\n\nJust send your name.`,
+    setup_ask_name: `Hey! 👋 I'm your reminder assistant.\n\nWhat should I call you?\nJust send your name.`,
+    setup_ask_location: `Nice to meet you, {name}! 🙌\n\nWhat's your location?\n(e.g., "New York", "London")\n\nThis helps me set accurate reminder times.`,
+    setup_done: `{confirmation}\n\n✅ All set, {name}!\n\n💡 Try: "gym at 7pm today"`,
+    setup_processing_earlier: `\n\nProcessing your earlier reminder now...`,
+    setup_location_retry: `Please send your location:\n\n• "New York"\n• "London"\n• "Tokyo"\n\nThis helps set accurate times.`,
+    list_empty: `📋 No reminders set, {name}!\n\n💡 Create one: "gym at 7pm today"`,
+    list_header: `📋 Your reminders, {name}:\n\n`,
+    list_empty_filtered: `📋 No upcoming {filter} reminders, {name}.\n\n💡 Type "list" to see everything`,
+    list_header_filtered: `📋 Your {filter} reminders, {name}:\n\n`,
+    priority_high: `high priority`,
+    priority_low: `low priority`,
+    priority_medium: `normal priority`,
+    list_commands: `💡 Commands:\n• "cancel 2" - cancel reminder\n• "edit 1" - edit reminder\n• "snooze 10 min" - after a reminder arrives\n• "premium" - upgrade`,
+    list_error: `❌ Error loading reminders. Please try again.`,
+    cancel_none: `No reminders to cancel, {name}! 📋`,
+    cancel_done: `✅ Cancelled: "{message}"\n📅 Was: {time}`,
+    cancel_series_stopped: `\n🔄 Recurring series stopped`,
+    cancel_which: `Which reminder to cancel, {name}? 🤔\n\n`,
+    cancel_reply_hint: `Reply: "cancel 2" or "cancel gym"`,
+    cancel_error: `❌ Error canceling reminder. Please try again.`,
+    confirm_prompt: `📝 Confirm:\n\n"{message}"\n{tags}{recurrence}{alerts}📅 {when}\n{quiet}\nReply "yes" to confirm`,
+    ambiguous_time: `🤔 "{message}" - which one did you mean?\n\n{options}\n\nReply with the number`,
+    ambiguous_pick: `Reply with a number from 1 to {count} to pick the time 👆`,
+    batch_confirm: `📝 Confirm {count} reminders:\n\n{items}\n\nReply "yes" to set all {count}, or "yes 1,3" to pick`,
+    batch_unparsed: `❓ No time found for {tasks} - send it again with a time`,
+    batch_ambiguous_item: `🤔 Could also mean {options} - leave it out and send it on its own to pick`,
+    batch_quota_note: {
+      one: `⚠️ Your free plan has {count} reminder left today - only the first one will be set`,
+      other: `⚠️ Your free plan has {count} reminders left today - only the first {count} will be set`
+    },
+    batch_pick: `Reply "yes" for all, or "yes 1,3" with numbers from 1 to {count} 👆`,
+    batch_set: {
+      one: `✅ {count} reminder set!\n\n{items}\n\nAll set, {name}! 🎯`,
+      other: `✅ {count} reminders set!\n\n{items}\n\nAll set, {name}! 🎯`
+    },
+    batch_over_quota: `⚠️ Free daily limit reached - not set: {tasks}\n\n💎 Unlimited reminders with Premium: {url}`,
+    pre_alert: `⏳ In {lead}: "{message}"\n📅 {time}`,
+    pre_alert_line: `Heads-up {leads} before`,
+    pre_alert_list: `heads-up {lead} before ({time})`,
+    lead_time_set: `⏳ Heads-up set: {lead} before every new reminder\n\n💡 Add "2 hours before" to a reminder for a one-off`,
+    lead_time_off: `⏳ Default heads-up turned off`,
+    lead_time_usage: `⏳ Current default heads-up: {current}\n\nTry "heads up 30 min", "heads up 1 day" or "heads up off"`,
+    lead_time_none: `off`,
+    digest_header: `☀️ Good morning, {name}! {date}`,
+    digest_today: {
+      one: `📋 Today - {count} reminder:`,
+      other: `📋 Today - {count} reminders:`
+    },
+    digest_missed: `⚠️ Not done yesterday:`,
+    digest_retry_hint: `🔁 Reply "retry" to move them to today, or "retry 1" for one`,
+    digest_set: `☀️ Daily digest on - every morning at {time}\n\n💡 "digest off" to stop`,
+    digest_off: `☀️ Daily digest turned off`,
+    digest_usage: `☀️ Daily digest: {current}\n\nTry "digest at 7am", "digest on" or "digest off"`,
+    digest_disabled: `off`,
+    retry_none: `Nothing from yesterday to retry, {name}! 👍`,
+    retry_pick: `Reply "retry" for all, or "retry 1" with a number from 1 to {count} 👆`,
+    retry_series_next: `🔄 "{message}" repeats anyway - next one {time}`,
+    quiet_set: `🌙 Quiet hours: {window}\n{policy}\n\n💡 "quiet ask", "quiet defer" or "quiet off"`,
+    quiet_off: `🌙 Quiet hours turned off`,
+    quiet_usage: `🌙 Quiet hours: {current}\n\nTry "quiet 23:00-07:00", "quiet 11pm to 7am" or "quiet off"`,
+    quiet_none: `off`,
+    quiet_policy_defer: `Reminders in this window wait until it ends - high priority ones still come through`,
+    quiet_policy_ask: `I'll ask when a new reminder lands in this window - high priority ones still come through`,
+    quiet_warning_defer: `🌙 In your quiet hours ({window}) - I'll send it at {time}`,
+    quiet_warning_high: `🌙 In your quiet hours ({window}) - sent anyway, it's high priority`,
+    quiet_ask: `🌙 "{message}" lands in your quiet hours ({window}). When should it arrive?\n\n{options}\n\nReply with the number`,
+    consent_request: `👋 {sender} ({phone}) wants to send you reminders through this bot.\n\nReply ALLOW to accept or BLOCK to refuse`,
+    consent_allowed: `✅ {name} can now send you reminders\n\n💡 "block {name}" stops them anytime`,
+    consent_blocked: `🚫 Blocked - {name} can't send you reminders\n\n💡 "allow {name}" to undo`,
+    consent_requested: `📨 I've asked {name} to allow your reminders - they arrive once {name} replies ALLOW`,
+    consent_allowed_sender: `✅ {name} accepted reminders from you`,
+    consent_blocked_sender: `🚫 {name} declined reminders from you`,
+    consent_request_failed: `⚠️ I couldn't reach {name} to ask about your reminders - check the number and try again`,
+    consent_expired_sender: `⌛ {name} didn't answer your reminder request - your next reminder for {name} asks again`,
+    recipient_unknown: `🤔 Who's {name}? Save their number first:\n"contact {name} +905551234567"`,
+    recipient_blocked: `🚫 {name} doesn't accept reminders from you`,
+    recipient_line: `👤 For {name}`,
+    shared_delivery: `⏰ Reminder from {sender}:\n\n"{message}"`,
+    shared_delivered: `📬 Delivered to {name}: "{message}"`,
+    shared_acknowledged: `✅ {name} did it: "{message}"`,
+    shared_not_delivered: `⚠️ Not sent to {name} - they haven't allowed your reminders: "{message}"`,
+    contact_saved: `📇 Saved {name}: {phone}\n\n💡 "remind {name} to call me at 6pm"`,
+    contact_usage: `📇 Try "contact Mom +905551234567"`,
+    space_created: `🏠 Space "{space}" created!\n\nInvite people: "space invite {space} +905551234567"\nAdd to its list: "{space}: bins out every Tuesday 8pm"`,
+    space_exists: `🏠 You already have a space called "{space}"`,
+    space_too_many: `🏠 You can be in up to {max} spaces`,
+    space_usage: `🏠 Spaces:\n• "space create Family"\n• "space invite Family +905551234567"\n• "Family: bins out every Tuesday 8pm" (add "take turns" to rotate)\n• "space leave Family"\n• "space premium Family"`,
+    space_not_found: `🏠 No space called "{space}" - "spaces" lists yours`,
+    space_invited: `📨 Invited {phone} to "{space}" - they'll join by replying "join {space}"`,
+    space_invite: `🏠 {sender} invited you to the "{space}" space to share reminders.\n\nReply "join {space}" to accept.`,
+    space_already_invited: `📨 {name} is already invited to "{space}" - they join by replying "join {space}"`,
+    space_already_member: `🏠 {name} is already in "{space}"`,
+    space_full: `🏠 A space can have up to {max} members`,
+    space_joined: { one: `🏠 You joined "{space}"! You're its only member so far.`, other: `🏠 You joined "{space}" - {count} members now get its reminders.` },
+    space_joined_owner: `🎉 {name} joined "{space}"`,
+    space_left: `👋 You left "{space}"`,
+    space_list_header: `🏠 Your spaces:\n\n`,
+    space_list_empty: `🏠 You're not in any spaces yet.\n\nCreate one for your household or team: "space create Family"`,
+    space_line: `🏠 {space} - everyone`,
+    space_line_rotate: `🏠 {space} - taking turns, first up: {name}`,
+    space_delivery: `🏠 {space} ({sender}): {message}`,
+    space_premium: { one: `💎 {plan} for "{space}" - covers its {count} member for {price}/month:\n{features}\n\n{url}`, other: `💎 {plan} for "{space}" - covers all {count} members for {price}/month:\n{features}\n\n{url}` },
+    space_premium_welcome: `💎 "{space}" is now premium! Unlimited reminders for every member until {date}.`,
+    space_premium_hint: `\n\n🏠 Or cover everyone in "{space}" at once: "space premium {space}"`,
+    list_space_header: `🏠 {space}\n`,
+    calendar_feed: `📆 Your reminders as a calendar feed:\n{url}\n\nAdd it as a subscribed calendar (iPhone: Settings → Calendar → Accounts → Add Subscribed Calendar; Google Calendar: Other calendars → From URL).\n\n🔒 Keep the link private - "calendar reset" makes a new one, "calendar off" turns it off.\n📨 You can also forward me calendar invites (.ics)!`,
+    calendar_reset: `🔄 New calendar link - the old one no longer works:\n{url}`,
+    calendar_off: `📆 Calendar feed turned off. "calendar" makes a new link anytime.`,
+    ics_calendar_name: `Reminders`,
+    ics_none: `📆 I couldn't find any upcoming events in that calendar file.`,
+    ics_error: `❌ I couldn't read that calendar file. Try exporting the event again as .ics.`,
+    ics_setup_first: `👋 Let's finish setting you up first - then send the invite again.`,
+    retry_done: {
+      one: `✅ {count} reminder moved!\n\n{items}`,
+      other: `✅ {count} reminders moved!\n\n{items}`
+    },
+    first_occurrence: `First: {when}`,
+    reminder_set: `✅ Reminder set!\n\n"{message}"\n{tags}{recurrence}{alerts}📅 {time}\n\nAll set, {name}! 🎯`,
+    reminder_save_error: `❌ Error saving reminder. Please try again.`,
+    time_passed: `⚠️ That time has passed, {name}.\n\nTry: "{task} tomorrow at 9am"`,
+    ask_when: `When should I remind you? 🕒\n\n"{task} at 5pm today"`,
+    need_what_when: `Please include what and when:\n\n"take medicine at 8pm today"`,
+    declined: `No problem! 👍\n\nSend your reminder like:\n"gym at 7pm today"`,
+    nothing_to_confirm: `Nothing waiting for a yes/no right now 😊\n\nSend a reminder like:\n"gym at 7pm today"`,
+    rate_limited: `⚠️ Please slow down! Wait a moment before sending another message.`,
+    something_went_wrong: `❌ Something went wrong. Please try again in a moment.`,
+    follow_ups_off: `👀 Follow-up nudges off`,
+    follow_ups_all: `👀 Follow-up nudges for all reminders - after {minutes} min without a "done"`,
+    follow_ups_high: `👀 Follow-up nudges for 🔴 high-priority reminders - after {minutes} min without a "done"`,
+    follow_ups_usage: `👀 Try "nudges off", "nudges high", "nudges all" or "nudges 15 min"`,
+    assistant_fallback: `Hi {name}! I'm here to help with reminders. What would you like me to remind you about? 😊`,
+    assistant_unavailable: `I'm here to help with your reminders! What can I remind you about today? 😊`,
+    redirect: `Hi {name}! 😊\n\nI'm specialized in reminders to make your life easier!\n\n💡 Try:\n• "gym at 7pm"\n• "call mom tomorrow 3pm"\n• "list reminders"\n• "premium" for upgrade`,
+    help: `👋 Hi {name}! Here's what I understand:\n\n⏰ "gym at 7pm" / "call mom tomorrow 3pm"\n🔄 "water plants every monday at 9am"\n📋 "list"\n✏️ "edit 2"\n❌ "cancel 2" or "cancel gym"\n😴 "snooze 10 min"\n✅ "done"\n📊 "stats"\n👀 "nudges off|high|all"\n⏳ "heads up 30 min|off"\n☀️ "digest at 7am|off"\n🌙 "quiet 23:00-07:00|off"\n👤 "remind Mom to ..." / "contact Mom +90..."\n🏠 "space create Family" / "family: bins out every Tuesday 8pm"\n📆 "calendar" / forward an invite (.ics)\n🌍 "language"\n💎 "premium" / 💳 "billing"`,
+    premium_limit: {
+      one: `🚫 Daily limit reached, {name}!\n\nYou've used all {limit} reminders your plan allows today.\n⏰ Resets in {count} hour\n\n💎 **Premium Benefits:**\n{features}\n\n🚀 Upgrade now for {price}/month: {url}\n\nQuestions? Just ask! 😊`,
+      other: `🚫 Daily limit reached, {name}!\n\nYou've used all {limit} reminders your plan allows today.\n⏰ Resets in {count} hours\n\n💎 **Premium Benefits:**\n{features}\n\n🚀 Upgrade now for {price}/month: {url}\n\nQuestions? Just ask! 😊`
+    },
+    premium_active: `💎 You're Premium! ✨\n\n🎉 Unlimited reminders active\n📅 Valid until: {date}\n\n❤️ Thanks for your support!`,
+    premium_never: `Never`,
+    premium_features: `💎 Premium Features:\n\n{features}\n\n💰 Just {price}/month\n\n🚀 Upgrade: {url}\n\nQuestions? Ask away! 😊`,
+    premium_welcome: `🎉 Welcome to Premium, {name}! ✨\n\n💎 You now have:\n{features}\n\n📅 Valid until: {date}\n\nThank you! 🙏`,
+    plan_feature_unlimited_daily: `Unlimited reminders every day`,
+    plan_feature_daily: { one: `{count} reminder a day`, other: `{count} reminders a day` },
+    plan_feature_unlimited_active: `No cap on upcoming reminders`,
+    plan_feature_active: { one: `Up to {count} upcoming reminder`, other: `Up to {count} upcoming reminders` },
+    plan_feature_snoozes: { one: `{count} snooze per reminder`, other: `{count} snoozes per reminder` },
+    plan_feature_recurrence: `Recurring reminders`,
+    plan_feature_voice: `Voice note reminders`,
+    plan_feature_languages: `All languages`,
+    plan_feature_history: { one: `{count} day of history`, other: `{count} days of history` },
+    plan_feature_members: { one: `Up to {count} member`, other: `Up to {count} members` },
+    active_limit: `🚫 You have {limit} upcoming reminders, {name} - that's the most your plan allows.\n\nFinish or cancel one to add more, or upgrade for {price}/month:\n{features}\n\n🚀 Upgrade now: {url}`,
+    recurrence_locked: `🔄 Recurring reminders are a Premium feature.\n\nSet it once without "every", or upgrade: {url}`,
+    language_locked: `🌍 {language} is a Premium language.\n\n🚀 Upgrade: {url}`,
+    premium_renewed: `💎 Premium renewed - valid until {date}. Thank you! 🙏`,
+    premium_payment_failed: `⚠️ Your premium payment didn't go through.\n\nYou keep premium until {date} while we retry - please check your payment details:\n{url}`,
+    premium_grace_warning: `⏰ Premium ends on {date} unless the payment goes through.\n\nUpdate your payment details:\n{url}`,
+    premium_downgraded: `💎 Your premium has ended - you're back on the free plan. Your reminders are all still here.\n\nRenew anytime: {url}`,
+    premium_cancelled: `💎 Your subscription is cancelled. Premium stays active until {date}.`,
+    premium_refunded: `💳 Your payment was refunded and premium has been turned off. Your reminders are all still here.`,
+    premium_cancel_done: `✅ Renewal cancelled - you keep premium until {date}.\n\nChanged your mind? "premium" to subscribe again.`,
+    premium_cancel_nothing: `💎 Nothing renews automatically - premium simply ends on {date}.`,
+    premium_cancel_not_premium: `💎 You're on the free plan - there's nothing to cancel.`,
+    premium_cancel_error: `❌ I couldn't cancel the subscription right now. You can manage it here:\n{url}`,
+    billing_free: `💳 Plan: Free\n\n"premium" shows what you get with an upgrade.`,
+    billing_space: `💳 Plan: Premium through a space, until {date}\n\nThe space's owner manages its billing.`,
+    billing_renews: `💳 Plan: Premium\n🔄 Renews on {date} ({method})\n\n"cancel premium" stops the renewal - you keep premium until then.\n⚙️ Payment details: {url}`,
+    billing_ends: `💳 Plan: Premium\n📅 Ends on {date} - it doesn't renew automatically.\n\n"premium" to extend it.`,
+    billing_past_due: `💳 Plan: Premium - ⚠️ last payment failed\n⏳ Grace period until {date}\n\nPlease update your payment details:\n{url}`,
+    delivery_reply_hint: `Reply "done" ✅ or "snooze 10 min"`,
+    delivery_missed: `⚠️ Missed while we were offline: {message}\n\n🕒 Was due: {time}\n\nSorry about that, {name}! 🙏`,
+    snoozed: {
+      one: `😴 Snoozed: "{message}"\n📅 {time}\n\n{count} snooze left`,
+      other: `😴 Snoozed: "{message}"\n📅 {time}\n\n{count} snoozes left`
+    },
+    acknowledged: `🎉 Nice work, {name}!\n\n✅ "{message}" done`,
+    snooze_nothing: `Nothing to snooze right now, {name}! 😴\n\nReply right after a reminder arrives:\n• "snooze 10 min"\n• "snooze till 6pm"`,
+    snooze_limit: {
+      one: `⏰ "{message}" was already snoozed once.\n\nTime to do it, {name}! 💪`,
+      other: `⏰ "{message}" was already snoozed {count} times.\n\nTime to do it, {name}! 💪`
+    },
+    snooze_upgrade_hint: `\n\n💎 Premium allows {count} snoozes for {price}/month: {url}`,
+    snooze_unreadable: `⚠️ Couldn't read that snooze time.\n\nTry: "snooze 10 min" or "snooze till 6pm"`,
+    snooze_error: `❌ Error snoozing reminder. Please try again.`,
+    ack_nothing: `Nothing waiting for a "done", {name}! 👍\n\n💡 "list" shows what's coming up`,
+    ack_error: `❌ Error saving that. Please try again.`,
+    stats_empty: `📊 No completed reminders yet, {name}!\n\n💡 Reply "done" when a reminder arrives`,
+    stats_header: {
+      one: `📊 Last {days} days, {name}:\n\n✅ {percent}% done ({count} reminder)`,
+      other: `📊 Last {days} days, {name}:\n\n✅ {percent}% done ({count} reminders)`
+    },
+    stats_row: `• {category}: {percent}% ({done}/{total})`,
+    follow_up_nudge: `👀 Did you get to it, {name}?\n\n"{message}"\n\nReply "done" ✅ or "snooze 30 min"`,
+    follow_up_member_nudge: `👀 "{message}" - still open\n\nReply "done" ✅ or "snooze 30 min"`,
+    edit_none: `No reminders to edit, {name}! 📋`,
+    edit_prompt: `✏️ Editing: "{message}"\n📅 Currently: {time}\n\nSend new reminder text with time:\nExample: "gym workout at 8pm tomorrow"`,
+    edit_which: `Which reminder to edit, {name}? ✏️`,
+    edit_reply_hint: `Reply: "edit 2"`,
+    edit_error: `❌ Error editing reminder. Please try again.`,
+    edit_updated: `✅ Updated!\n\n"{message}"\n{alerts}📅 {time}\n\nPerfect, {name}! ✏️`,
+    edit_time_passed: `⚠️ That time has passed. Try a future time:\n"{task} tomorrow at 9am"`,
+    edit_needs_time: `Please include both task and time:\n"gym workout at 8pm tomorrow"`,
+    edit_update_error: `❌ Error updating reminder. Please try again.`,
+    recurrence_fallback: `recurring`,
+    recurrence_hourly: { one: `every hour`, other: `every {count} hours` },
+    recurrence_daily: { one: `every day`, other: `every {count} days` },
+    recurrence_weekly: { one: `every week`, other: `every {count} weeks` },
+    recurrence_weekly_on: { one: `every week on {days}`, other: `every {count} weeks on {days}` },
+    recurrence_weekdays: `every weekday`,
+    recurrence_weekends: `every weekend`,
+    recurrence_monthly: { one: `every month`, other: `every {count} months` },
+    recurrence_monthly_on: { one: `every month on the {ordinal}`, other: `every {count} months on the {ordinal}` },
+    recurrence_monthly_last_day: { one: `every month on the last day`, other: `every {count} months on the last day` },
+    recurrence_monthly_nth: { one: `every month on the {which} {weekday}`, other: `every {count} months on the {which} {weekday}` },
+    recurrence_ordinals: `1st|2nd|3rd|4th|5th|last`,
+    recurrence_yearly: { one: `every year`, other: `every {count} years` },
+    recurrence_until: ` until {date}`,
+    recurrence_times: { one: ` (once)`, other: ` ({count} times)` },
+    language_set: `🌍 Language set: {language} ✅`,
+    language_usage: `🌍 Current language: {language}\n\nAvailable: {languages}\n\nExample: "language español"`,
+    voice_heard: `🎙️ I heard: "{transcript}"`,
+    voice_premium_only: `🎙️ Voice-note reminders are a Premium feature.\n\nType your reminder instead, or upgrade: {url}`,
+    voice_unavailable: `🎙️ I can't listen to voice notes right now - please type your reminder.`,
+    voice_failed: `🎙️ Sorry, I couldn't make out that voice note. Try again or type your reminder.`,
+    motivation_friendly: [
+      `⏰ {task}!\n\n💪 You've got this, {name}!`,
+      `🔔 {task}!\n\n🌟 Time to shine, {name}!`,
+      `⏰ {task}!\n\n🚀 Let's do this, {name}!`,
+      `🔔 {task}!\n\n✨ You're amazing, {name}!`
+    ],
+    motivation_motivational: [
+      `⏰ {task}!\n\n🔥 Success awaits, {name}!`,
+      `🔔 {task}!\n\n💎 Make it happen, {name}!`,
+      `⏰ {task}!\n\n⚡ Power through, {name}!`,
+      `🔔 {task}!\n\n🎯 Focus time, {name}!`
+    ],
+    motivation_professional: [
+      `⏰ {task}!\n\n📋 Scheduled task, {name}.`,
+      `🔔 {task}!\n\n✅ Action required, {name}.`,
+      `⏰ {task}!\n\n🎯 Priority task, {name}.`
+    ]
+  },
+  
+  tr: {
+    setup_ask_name_first: `Merhaba! 👋\n\nBen hatırlatma asistanınım! Ama önce, sana nasıl hitap edeyim? 😊\n\nSadece adını yaz.`,
+    setup_ask_name: `Merhaba! 👋 Ben hatırlatma asistanınım.\n\nSana nasıl hitap edeyim?\nSadece adını yaz.`,
+    setup_ask_location: `Tanıştığımıza memnun oldum, {name}! 🙌\n\nHangi şehirdesin?\n(ör. "İstanbul", "Londra")\n\nBu, hatırlatma saatlerini doğru ayarlamama yardımcı olur.`,
+    setup_done: `{confirmation}\n\n✅ Her şey hazır, {name}!\n\n💡 Dene: "bugün saat 19:00 spor"`,
+    setup_processing_earlier: `\n\nÖnceki hatırlatman şimdi işleniyor...`,
+    setup_location_retry: `Lütfen konumunu gönder:\n\n• "İstanbul"\n• "Londra"\n• "Tokyo"\n\nBu, saatleri doğru ayarlamama yardımcı olur.`,
+    list_empty: `📋 Hiç hatırlatman yok, {name}!\n\n💡 Bir tane oluştur: "bugün saat 19:00 spor"`,
+    list_header: `📋 Hatırlatmaların, {name}:\n\n`,
+    list_empty_filtered: `📋 {filter} hatırlatman yok, {name}.\n\n💡 Hepsini görmek için "liste" yaz`,
+    list_header_filtered: `📋 {filter} hatırlatmaların, {name}:\n\n`,
+    priority_high: `yüksek öncelik`,
+    priority_low: `düşük öncelik`,
+    priority_medium: `normal öncelik`,
+    list_commands: `💡 Komutlar:\n• "iptal 2" - hatırlatmayı iptal et\n• "düzenle 1" - hatırlatmayı düzenle\n• "ertele 10 dk" - hatırlatma geldikten sonra\n• "premium" - yükselt`,
+    list_error: `❌ Hatırlatmalar yüklenemedi. Lütfen tekrar dene.`,
+    cancel_none: `İptal edilecek hatırlatma yok, {name}! 📋`,
+    cancel_done: `✅ İptal edildi: "{message}"\n📅 Zamanı: {time}`,
+    cancel_series_stopped: `\n🔄 Tekrarlayan seri durduruldu`,
+    cancel_which: `Hangi hatırlatmayı iptal edeyim, {name}? 🤔\n\n`,
+    cancel_reply_hint: `Yanıtla: "iptal 2" veya "iptal spor"`,
+    cancel_error: `❌ Hatırlatma iptal edilemedi. Lütfen tekrar dene.`,
+    confirm_prompt: `📝 Onayla:\n\n"{message}"\n{tags}{recurrence}{alerts}📅 {when}\n{quiet}\nOnaylamak için "evet" yaz`,
+    ambiguous_time: `🤔 "{message}" - hangisini kastettin?\n\n{options}\n\nNumarasıyla cevap ver`,
+    ambiguous_pick: `Saati seçmek için 1 ile {count} arasında bir numara yaz 👆`,
+    batch_confirm: `📝 {count} hatırlatmayı onayla:\n\n{items}\n\nHepsi için "evet", seçmek için "evet 1,3" yaz`,
+    batch_unparsed: `❓ {tasks} için saat bulamadım - saatle birlikte tekrar gönder`,
+    batch_ambiguous_item: `🤔 {options} de olabilir - seçmek için bunu dışarıda bırakıp ayrıca gönder`,
+    batch_quota_note: {
+      one: `⚠️ Ücretsiz planında bugün {count} hatırlatma hakkın kaldı - sadece ilki kurulacak`,
+      other: `⚠️ Ücretsiz planında bugün {count} hatırlatma hakkın kaldı - sadece ilk {count} tanesi kurulacak`
+    },
+    batch_pick: `Hepsi için "evet" ya da 1 ile {count} arasındaki numaralarla "evet 1,3" yaz 👆`,
+    batch_set: {
+      one: `✅ Hatırlatma kuruldu!\n\n{items}\n\nHazırsın, {name}! 🎯`,
+      other: `✅ {count} hatırlatma kuruldu!\n\n{items}\n\nHazırsın, {name}! 🎯`
+    },
+    batch_over_quota: `⚠️ Günlük ücretsiz limit doldu - kurulmayanlar: {tasks}\n\n💎 Premium ile sınırsız hatırlatma: {url}`,
+    pre_alert: `⏳ {lead} sonra: "{message}"\n📅 {time}`,
+    pre_alert_line: `{leads} önce ön uyarı`,
+    pre_alert_list: `{lead} önce ön uyarı ({time})`,
+    lead_time_set: `⏳ Ön uyarı ayarlandı: her yeni hatırlatmadan {lead} önce\n\n💡 Tek seferlik için hatırlatmaya "2 hours before" ekle`,
+    lead_time_off: `⏳ Varsayılan ön uyarı kapatıldı`,
+    lead_time_usage: `⏳ Şu anki varsayılan ön uyarı: {current}\n\nDene: "heads up 30 min", "heads up 1 day" veya "heads up off"`,
+    lead_time_none: `kapalı`,
+    digest_header: `☀️ Günaydın {name}! {date}`,
+    digest_today: {
+      one: `📋 Bugün - {count} hatırlatma:`,
+      other: `📋 Bugün - {count} hatırlatma:`
+    },
+    digest_missed: {
+      one: `⚠️ Dün yapılmayan:`,
+      other: `⚠️ Dün yapılmayanlar:`
+    },
+    digest_retry_hint: `🔁 Bugüne taşımak için "retry", tek biri için "retry 1" yaz`,
+    digest_set: `☀️ Günlük özet açık - her sabah {time}\n\n💡 Durdurmak için "digest off"`,
+    digest_off: `☀️ Günlük özet kapatıldı`,
+    digest_usage: `☀️ Günlük özet: {current}\n\nDene: "digest at 7am", "digest on" veya "digest off"`,
+    digest_disabled: `kapalı`,
+    retry_none: `Dünden tekrarlanacak bir şey yok {name}! 👍`,
+    retry_pick: `Hepsi için "retry", ya da 1 ile {count} arasında bir numarayla "retry 1" yaz 👆`,
+    retry_series_next: `🔄 "{message}" zaten tekrarlanıyor - sıradaki {time}`,
+    quiet_set: `🌙 Sessiz saatler: {window}\n{policy}\n\n💡 "quiet ask", "quiet defer" veya "quiet off"`,
+    quiet_off: `🌙 Sessiz saatler kapatıldı`,
+    quiet_usage: `🌙 Sessiz saatler: {current}\n\nDene: "quiet 23:00-07:00", "quiet 11pm to 7am" veya "quiet off"`,
+    quiet_none: `kapalı`,
+    quiet_policy_defer: `Bu aralıktaki hatırlatmalar bitişini bekler - yüksek öncelikliler yine de gelir`,
+    quiet_policy_ask: `Yeni bir hatırlatma bu aralığa düşerse sorarım - yüksek öncelikliler yine de gelir`,
+    quiet_warning_defer: `🌙 Sessiz saatlerinde ({window}) - {time} itibarıyla gönderirim`,
+    quiet_warning_high: `🌙 Sessiz saatlerinde ({window}) - yüksek öncelikli, yine de gönderilecek`,
+    quiet_ask: `🌙 "{message}" sessiz saatlerine ({window}) denk geliyor. Ne zaman gelsin?\n\n{options}\n\nNumarasıyla cevap ver`,
+    consent_request: `👋 {sender} ({phone}) bu bot üzerinden sana hatırlatma göndermek istiyor.\n\nKabul etmek için ALLOW, reddetmek için BLOCK yaz`,
+    consent_allowed: `✅ {name} artık sana hatırlatma gönderebilir\n\n💡 Durdurmak için istediğin zaman "block {name}"`,
+    consent_blocked: `🚫 Engellendi - {name} sana hatırlatma gönderemez\n\n💡 Geri almak için "allow {name}"`,
+    consent_requested: `📨 {name} kişisinden hatırlatmalarına izin vermesini istedim - {name} ALLOW yazınca gelmeye başlar`,
+    consent_allowed_sender: `✅ {name} hatırlatmalarını kabul etti`,
+    consent_blocked_sender: `🚫 {name} hatırlatmalarını reddetti`,
+    consent_request_failed: `⚠️ Hatırlatmaların için {name} kişisine ulaşamadım - numarayı kontrol edip tekrar dene`,
+    consent_expired_sender: `⌛ {name} hatırlatma isteğine yanıt vermedi - {name} için bir sonraki hatırlatman tekrar soracak`,
+    recipient_unknown: `🤔 {name} kim? Önce numarasını kaydet:\n"contact {name} +905551234567"`,
+    recipient_blocked: `🚫 {name} senden hatırlatma kabul etmiyor`,
+    recipient_line: `👤 {name} için`,
+    shared_delivery: `⏰ {sender} kişisinden hatırlatma:\n\n"{message}"`,
+    shared_delivered: `📬 {name} kişisine iletildi: "{message}"`,
+    shared_acknowledged: `✅ {name} yaptı: "{message}"`,
+    shared_not_delivered: `⚠️ {name} kişisine gönderilmedi - hatırlatmalarına izin vermedi: "{message}"`,
+    contact_saved: `📇 {name} kaydedildi: {phone}\n\n💡 "remind {name} to call me at 6pm"`,
+    contact_usage: `📇 Dene: "contact Annem +905551234567"`,
+    space_created: `🏠 "{space}" alanı oluşturuldu!\n\nKişi davet et: "space invite {space} +905551234567"\nListesine ekle: "{space}: her salı 20:00 çöpleri çıkar"`,
+    space_exists: `🏠 "{space}" adında bir alanın zaten var`,
+    space_too_many: `🏠 En fazla {max} alanda olabilirsin`,
+    space_usage: `🏠 Alanlar:\n• "space create Aile"\n• "space invite Aile +905551234567"\n• "Aile: her salı 20:00 çöpleri çıkar" (sırayla için "take turns" ekle)\n• "space leave Aile"\n• "space premium Aile"`,
+    space_not_found: `🏠 "{space}" adında bir alan yok - "spaces" alanlarını listeler`,
+    space_invited: `📨 {phone} "{space}" alanına davet edildi - "join {space}" yazarak katılabilir`,
+    space_invite: `🏠 {sender} seni hatırlatmaları paylaşmak için "{space}" alanına davet etti.\n\nKabul etmek için "join {space}" yaz.`,
+    space_already_invited: `📨 {name} zaten "{space}" alanına davet edildi - "join {space}" yazarak katılabilir`,
+    space_already_member: `🏠 {name} zaten "{space}" alanında`,
+    space_full: `🏠 Bir alanda en fazla {max} üye olabilir`,
+    space_joined: { one: `🏠 "{space}" alanına katıldın! Şimdilik tek üye sensin.`, other: `🏠 "{space}" alanına katıldın - artık {count} üye hatırlatmalarını alıyor.` },
+    space_joined_owner: `🎉 {name} "{space}" alanına katıldı`,
+    space_left: `👋 "{space}" alanından ayrıldın`,
+    space_list_header: `🏠 Alanların:\n\n`,
+    space_list_empty: `🏠 Henüz hiçbir alanda değilsin.\n\nEvin veya ekibin için bir tane oluştur: "space create Aile"`,
+    space_line: `🏠 {space} - herkes`,
+    space_line_rotate: `🏠 {space} - sırayla, ilk sıra: {name}`,
+    space_delivery: `🏠 {space} ({sender}): {message}`,
+    space_premium: { one: `💎 "{space}" için {plan} - {count} üyeyi aylık {price} karşılığında kapsar:\n{features}\n\n{url}`, other: `💎 "{space}" için {plan} - {count} üyenin hepsini aylık {price} karşılığında kapsar:\n{features}\n\n{url}` },
+    space_premium_welcome: `💎 "{space}" artık premium! {date} tarihine kadar her üye için sınırsız hatırlatma.`,
+    space_premium_hint: `\n\n🏠 Ya da "{space}" alanındaki herkesi tek seferde kapsa: "space premium {space}"`,
+    list_space_header: `🏠 {space}\n`,
+    calendar_feed: `📆 Hatırlatmaların bir takvim beslemesi olarak:\n{url}\n\nAbone olunan takvim olarak ekle (iPhone: Ayarlar → Takvim → Hesaplar → Abone Olunan Takvim Ekle; Google Takvim: Diğer takvimler → URL'den).\n\n🔒 Bağlantıyı gizli tut - "calendar reset" yenisini oluşturur, "calendar off" kapatır.\n📨 Bana takvim davetlerini (.ics) de iletebilirsin!`,
+    calendar_reset: `🔄 Yeni takvim bağlantısı - eskisi artık çalışmıyor:\n{url}`,
+    calendar_off: `📆 Takvim beslemesi kapatıldı. "calendar" ile istediğin zaman yeni bağlantı alabilirsin.`,
+    ics_calendar_name: `Hatırlatmalar`,
+    ics_none: `📆 Bu takvim dosyasında yaklaşan bir etkinlik bulamadım.`,
+    ics_error: `❌ Bu takvim dosyasını okuyamadım. Etkinliği tekrar .ics olarak dışa aktarmayı dene.`,
+    ics_setup_first: `👋 Önce kurulumu bitirelim - sonra daveti tekrar gönder.`,
+    retry_done: {
+      one: `✅ {count} hatırlatma taşındı!\n\n{items}`,
+      other: `✅ {count} hatırlatma taşındı!\n\n{items}`
+    },
+    first_occurrence: `İlki: {when}`,
+    reminder_set: `✅ Hatırlatma kuruldu!\n\n"{message}"\n{tags}{recurrence}{alerts}📅 {time}\n\nHer şey hazır, {name}! 🎯`,
+    reminder_save_error: `❌ Hatırlatma kaydedilemedi. Lütfen tekrar dene.`,
+    time_passed: `⚠️ O saat geçti, {name}.\n\nDene: "{task} yarın saat 9:00"`,
+    ask_when: `Ne zaman hatırlatayım? 🕒\n\n"{task} bugün saat 17:00"`,
+    need_what_when: `Lütfen ne ve ne zaman olduğunu yaz:\n\n"bugün saat 20:00 ilaç iç"`,
+    declined: `Sorun değil! 👍\n\nHatırlatmanı şöyle gönder:\n"bugün saat 19:00 spor"`,
+    nothing_to_confirm: `Şu an onay bekleyen bir şey yok 😊\n\nŞöyle bir hatırlatma gönder:\n"bugün saat 19:00 spor"`,
+    rate_limited: `⚠️ Biraz yavaşla! Yeni mesaj göndermeden önce biraz bekle.`,
+    something_went_wrong: `❌ Bir şeyler ters gitti. Lütfen birazdan tekrar dene.`,
+    follow_ups_off: `👀 Takip dürtmeleri kapalı`,
+    follow_ups_all: `👀 Tüm hatırlatmalar için takip dürtmesi - {minutes} dk içinde "yaptım" gelmezse`,
+    follow_ups_high: `👀 🔴 Yüksek öncelikli hatırlatmalar için takip dürtmesi - {minutes} dk içinde "yaptım" gelmezse`,
+    follow_ups_usage: `👀 Şunları dene: "nudges off", "nudges high", "nudges all" ya da "nudges 15 min"`,
+    assistant_fallback: `Merhaba {name}! Hatırlatmalar için buradayım. Sana neyi hatırlatayım? 😊`,
+    assistant_unavailable: `Hatırlatmaların için buradayım! Bugün sana neyi hatırlatayım? 😊`,
+    redirect: `Merhaba {name}! 😊\n\nHayatını kolaylaştırmak için hatırlatmalarda uzmanım!\n\n💡 Dene:\n• "saat 19:00 spor"\n• "yarın saat 15:00 annemi ara"\n• "listele"\n• yükseltmek için "premium"`,
+    help: `👋 Merhaba {name}! Anladığım komutlar:\n\n⏰ "saat 19:00 spor" / "yarın saat 15:00 annemi ara"\n🔄 "her pazartesi saat 9\'da çiçekleri sula"\n📋 "listele"\n✏️ "düzenle 2"\n❌ "iptal 2" veya "iptal spor"\n😴 "ertele 10 dk"\n✅ "yaptım"\n📊 "stats"\n👀 "nudges off|high|all"\n⏳ "heads up 30 min|off"\n☀️ "digest at 7am|off"\n🌙 "quiet 23:00-07:00|off"\n👤 "remind Mom to ..." / "contact Mom +90..."\n🏠 "space create Family" / "family: bins out every Tuesday 8pm"\n📆 "calendar" / forward an invite (.ics)\n🌍 "dil"\n💎 "premium" / 💳 "billing"`,
+    premium_limit: `🚫 Günlük limite ulaştın, {name}!\n\nPlanının bugünkü {limit} hatırlatmasının hepsini kullandın.\n⏰ {count} saat sonra sıfırlanır\n\n💎 **Premium Avantajları:**\n{features}\n\n🚀 Aylık {price} ile hemen yükselt: {url}\n\nSorun mu var? Sor yeter! 😊`,
+    premium_active: `💎 Premium üyesin! ✨\n\n🎉 Sınırsız hatırlatma aktif\n📅 Geçerlilik: {date}\n\n❤️ Desteğin için teşekkürler!`,
+    premium_never: `Süresiz`,
+    premium_features: `💎 Premium Özellikleri:\n\n{features}\n\n💰 Aylık sadece {price}\n\n🚀 Yükselt: {url}\n\nSorun mu var? Sor yeter! 😊`,
+    premium_welcome: `🎉 Premium'a hoş geldin, {name}! ✨\n\n💎 Artık şunlar senin:\n{features}\n\n📅 Geçerlilik: {date}\n\nTeşekkürler! 🙏`,
+    plan_feature_unlimited_daily: `Her gün sınırsız hatırlatma`,
+    plan_feature_daily: `Günde {count} hatırlatma`,
+    plan_feature_unlimited_active: `Yaklaşan hatırlatmalarda sınır yok`,
+    plan_feature_active: `En fazla {count} yaklaşan hatırlatma`,
+    plan_feature_snoozes: `Hatırlatma başına {count} erteleme`,
+    plan_feature_recurrence: `Tekrarlayan hatırlatmalar`,
+    plan_feature_voice: `Sesli mesajla hatırlatma`,
+    plan_feature_languages: `Tüm diller`,
+    plan_feature_history: `{count} günlük geçmiş`,
+    plan_feature_members: `En fazla {count} üye`,
+    active_limit: `🚫 {limit} yaklaşan hatırlatman var, {name} - planının izin verdiği en fazla bu.\n\nYeni eklemek için birini tamamla ya da iptal et, veya aylık {price} ile yükselt:\n{features}\n\n🚀 Hemen yükselt: {url}`,
+    recurrence_locked: `🔄 Tekrarlayan hatırlatmalar Premium özelliğidir.\n\n"her" olmadan bir kez kur ya da yükselt: {url}`,
+    language_locked: `🌍 {language} bir Premium dilidir.\n\n🚀 Yükselt: {url}`,
+    premium_renewed: `💎 Premium yenilendi - {date} tarihine kadar geçerli. Teşekkürler! 🙏`,
+    premium_payment_failed: `⚠️ Premium ödemen gerçekleşmedi.\n\nTekrar denerken {date} tarihine kadar premium devam ediyor - lütfen ödeme bilgilerini kontrol et:\n{url}`,
+    premium_grace_warning: `⏰ Ödeme gerçekleşmezse premium {date} tarihinde sona erecek.\n\nÖdeme bilgilerini güncelle:\n{url}`,
+    premium_downgraded: `💎 Premium süren doldu - ücretsiz plana döndün. Hatırlatmaların yerinde duruyor.\n\nİstediğin zaman yenile: {url}`,
+    premium_cancelled: `💎 Aboneliğin iptal edildi. Premium {date} tarihine kadar aktif kalacak.`,
+    premium_refunded: `💳 Ödemen iade edildi ve premium kapatıldı. Hatırlatmaların yerinde duruyor.`,
+    premium_cancel_done: `✅ Yenileme iptal edildi - {date} tarihine kadar premium devam ediyor.\n\nFikrini mi değiştirdin? Tekrar abone olmak için "premium" yaz.`,
+    premium_cancel_nothing: `💎 Otomatik yenilenen bir şey yok - premium {date} tarihinde sona eriyor.`,
+    premium_cancel_not_premium: `💎 Ücretsiz plandasın - iptal edilecek bir şey yok.`,
+    premium_cancel_error: `❌ Aboneliği şu an iptal edemedim. Buradan yönetebilirsin:\n{url}`,
+    billing_free: `💳 Plan: Ücretsiz\n\nYükseltmenin neler sağladığını görmek için "premium" yaz.`,
+    billing_space: `💳 Plan: Bir alan üzerinden Premium, {date} tarihine kadar\n\nÖdemeleri alanın sahibi yönetir.`,
+    billing_renews: `💳 Plan: Premium\n🔄 {date} tarihinde yenilenir ({method})\n\n"cancel premium" yenilemeyi durdurur - o tarihe kadar premium devam eder.\n⚙️ Ödeme bilgileri: {url}`,
+    billing_ends: `💳 Plan: Premium\n📅 {date} tarihinde bitiyor - otomatik yenilenmez.\n\nUzatmak için "premium" yaz.`,
+    billing_past_due: `💳 Plan: Premium - ⚠️ son ödeme başarısız\n⏳ Ek süre {date} tarihine kadar\n\nLütfen ödeme bilgilerini güncelle:\n{url}`,
+    delivery_reply_hint: `"yaptım" ✅ ya da "ertele 10 dk" yaz`,
+    delivery_missed: `⚠️ Biz çevrimdışıyken kaçırıldı: {message}\n\n🕒 Zamanı: {time}\n\nBunun için üzgünüz, {name}! 🙏`,
+    snoozed: `😴 Ertelendi: "{message}"\n📅 {time}\n\n{count} erteleme hakkın kaldı`,
+    acknowledged: `🎉 Harika iş, {name}!\n\n✅ "{message}" tamamlandı`,
+    snooze_nothing: `Şu anda ertelenecek bir şey yok, {name}! 😴\n\nBir hatırlatıcı gelir gelmez yanıtla:\n• "ertele 10 dk"\n• "ertele 1 saat"`,
+    snooze_limit: `⏰ "{message}" zaten {count} kez ertelendi.\n\nArtık yapma zamanı, {name}! 💪`,
+    snooze_upgrade_hint: `\n\n💎 Aylık {price} ile Premium'da {count} erteleme hakkın olur: {url}`,
+    snooze_unreadable: `⚠️ Erteleme süresini anlayamadım.\n\nŞunu dene: "ertele 10 dk" ya da "ertele 1 saat"`,
+    snooze_error: `❌ Hatırlatıcı ertelenirken hata oluştu. Lütfen tekrar dene.`,
+    ack_nothing: `"Yaptım" bekleyen bir şey yok, {name}! 👍\n\n💡 "listele" sıradakileri gösterir`,
+    ack_error: `❌ Kaydedilirken hata oluştu. Lütfen tekrar dene.`,
+    stats_empty: `📊 Henüz tamamlanan hatırlatıcı yok, {name}!\n\n💡 Bir hatırlatıcı geldiğinde "yaptım" yaz`,
+    stats_header: `📊 Son {days} gün, {name}:\n\n✅ %{percent} tamamlandı ({count} hatırlatıcı)`,
+    stats_row: `• {category}: %{percent} ({done}/{total})`,
+    follow_up_nudge: `👀 Yapabildin mi, {name}?\n\n"{message}"\n\n"yaptım" ✅ ya da "ertele 30 dk" yaz`,
+    follow_up_member_nudge: `👀 "{message}" - hâlâ açık\n\n"yaptım" ✅ ya da "ertele 30 dk" yaz`,
+    edit_none: `Düzenlenecek hatırlatıcı yok, {name}! 📋`,
+    edit_prompt: `✏️ Düzenleniyor: "{message}"\n📅 Şu an: {time}\n\nYeni hatırlatıcıyı zamanıyla birlikte gönder:\nÖrnek: "yarın saat 20:00 spor"`,
+    edit_which: `Hangi hatırlatıcıyı düzenleyelim, {name}? ✏️`,
+    edit_reply_hint: `Yanıtla: "düzenle 2"`,
+    edit_error: `❌ Hatırlatıcı düzenlenirken hata oluştu. Lütfen tekrar dene.`,
+    edit_updated: `✅ Güncellendi!\n\n"{message}"\n{alerts}📅 {time}\n\nMükemmel, {name}! ✏️`,
+    edit_time_passed: `⚠️ Bu zaman geçti. İleri bir zaman dene:\n"{task} yarın saat 9:00"`,
+    edit_needs_time: `Lütfen hem görevi hem zamanı yaz:\n"yarın saat 20:00 spor"`,
+    edit_update_error: `❌ Hatırlatıcı güncellenirken hata oluştu. Lütfen tekrar dene.`,
+    recurrence_fallback: `tekrarlanan`,
+    recurrence_hourly: { one: `her saat`, other: `her {count} saatte bir` },
+    recurrence_daily: { one: `her gün`, other: `her {count} günde bir` },
+    recurrence_weekly: { one: `her hafta`, other: `her {count} haftada bir` },
+    recurrence_weekly_on: { one: `her hafta {days}`, other: `her {count} haftada bir {days}` },
+    recurrence_weekdays: `hafta içi her gün`,
+    recurrence_weekends: `her hafta sonu`,
+    recurrence_monthly: { one: `her ay`, other: `her {count} ayda bir` },
+    recurrence_monthly_on: { one: `her ayın {day}. günü`, other: `her {count} ayda bir, ayın {day}. günü` },
+    recurrence_monthly_last_day: { one: `her ayın son günü`, other: `her {count} ayda bir, ayın son günü` },
+    recurrence_monthly_nth: { one: `her ayın {which} {weekday} günü`, other: `her {count} ayda bir, ayın {which} {weekday} günü` },
+    recurrence_ordinals: `ilk|ikinci|üçüncü|dördüncü|beşinci|son`,
+    recurrence_yearly: { one: `her yıl`, other: `her {count} yılda bir` },
+    recurrence_until: ` ({date} tarihine kadar)`,
+    recurrence_times: ` ({count} kez)`,
+    language_set: `🌍 Dil ayarlandı: {language} ✅`,
+    language_usage: `🌍 Şu anki dil: {language}\n\nMevcut diller: {languages}\n\nÖrnek: "dil english"`,
+    voice_heard: `🎙️ Duyduğum: "{transcript}"`,
+    voice_premium_only: `🎙️ Sesli mesajla hatırlatıcı Premium bir özelliktir.\n\nHatırlatıcını yazabilir ya da yükseltebilirsin: {url}`,
+    voice_unavailable: `🎙️ Şu anda sesli mesajları dinleyemiyorum - lütfen hatırlatıcını yaz.`,
+    voice_failed: `🎙️ Üzgünüm, sesli mesajı anlayamadım. Tekrar dene ya da hatırlatıcını yaz.`,
+    motivation_friendly: [
+      `⏰ {task}!\n\n💪 Yapabilirsin, {name}!`,
+      `🔔 {task}!\n\n🌟 Parlama zamanı, {name}!`,
+      `⏰ {task}!\n\n🚀 Hadi yapalım, {name}!`,
+      `🔔 {task}!\n\n✨ Harikasın, {name}!`
+    ],
+    motivation_motivational: [
+      `⏰ {task}!\n\n🔥 Başarı seni bekliyor, {name}!`,
+      `🔔 {task}!\n\n💎 Gerçekleştir, {name}!`,
+      `⏰ {task}!\n\n⚡ Devam et, {name}!`,
+      `🔔 {task}!\n\n🎯 Odaklanma zamanı, {name}!`
+    ],
+    motivation_professional: [
+      `⏰ {task}!\n\n📋 Planlanmış görev, {name}.`,
+      `🔔 {task}!\n\n✅ İşlem gerekli, {name}.`,
+      `⏰ {task}!\n\n🎯 Öncelikli görev, {name}.`
+    ]
+  },
+  
+  es: {
+    setup_ask_name_first: `¡Hola! 👋\n\n¡Soy tu asistente de recordatorios! Pero primero, ¿cómo te llamo? 😊\n\nSolo envía tu nombre.`,
+    setup_ask_name: `¡Hola! 👋 Soy tu asistente de recordatorios.\n\n¿Cómo te llamo?\nSolo envía tu nombre.`,
+    setup_ask_location: `¡Encantado de conocerte, {name}! 🙌\n\n¿Dónde estás?\n(p. ej., "Madrid", "Ciudad de México")\n\nAsí ajusto bien las horas de tus recordatorios.`,
+    setup_done: `{confirmation}\n\n✅ ¡Todo listo, {name}!\n\n💡 Prueba: "gimnasio hoy a las 19:00"`,
+    setup_processing_earlier: `\n\nProcesando tu recordatorio anterior...`,
+    setup_location_retry: `Envía tu ubicación:\n\n• "Madrid"\n• "Buenos Aires"\n• "Bogotá"\n\nAsí ajusto bien las horas.`,
+    list_empty: `📋 No tienes recordatorios, {name}!\n\n💡 Crea uno: "gimnasio hoy a las 19:00"`,
+    list_header: `📋 Tus recordatorios, {name}:\n\n`,
+    list_empty_filtered: `📋 No tienes recordatorios de {filter}, {name}.\n\n💡 Escribe "lista" para ver todos`,
+    list_header_filtered: `📋 Tus recordatorios de {filter}, {name}:\n\n`,
+    priority_high: `alta prioridad`,
+    priority_low: `baja prioridad`,
+    priority_medium: `prioridad normal`,
+    list_commands: `💡 Comandos:\n• "cancelar 2" - cancelar recordatorio\n• "editar 1" - editar recordatorio\n• "posponer 10 min" - cuando llegue un recordatorio\n• "premium" - mejorar`,
+    list_error: `❌ No pude cargar tus recordatorios. Inténtalo de nuevo.`,
+    cancel_none: `No hay recordatorios para cancelar, {name}! 📋`,
+    cancel_done: `✅ Cancelado: "{message}"\n📅 Era: {time}`,
+    cancel_series_stopped: `\n🔄 Serie recurrente detenida`,
+    cancel_which: `¿Qué recordatorio cancelo, {name}? 🤔\n\n`,
+    cancel_reply_hint: `Responde: "cancelar 2" o "cancelar gimnasio"`,
+    cancel_error: `❌ No pude cancelar el recordatorio. Inténtalo de nuevo.`,
+    confirm_prompt: `📝 Confirma:\n\n"{message}"\n{tags}{recurrence}{alerts}📅 {when}\n{quiet}\nResponde "sí" para confirmar`,
+    ambiguous_time: `🤔 "{message}" - ¿cuál quisiste decir?\n\n{options}\n\nResponde con el número`,
+    ambiguous_pick: `Responde con un número del 1 al {count} para elegir la hora 👆`,
+    batch_confirm: `📝 Confirma {count} recordatorios:\n\n{items}\n\nResponde "sí" para crear los {count}, o "sí 1,3" para elegir`,
+    batch_unparsed: `❓ No encontré la hora para {tasks} - envíalo de nuevo con una hora`,
+    batch_ambiguous_item: `🤔 También podría ser {options} - déjalo fuera y envíalo aparte para elegir`,
+    batch_quota_note: {
+      one: `⚠️ A tu plan gratuito le queda {count} recordatorio hoy - solo se creará el primero`,
+      other: `⚠️ A tu plan gratuito le quedan {count} recordatorios hoy - solo se crearán los primeros {count}`
+    },
+    batch_pick: `Responde "sí" para todos, o "sí 1,3" con números del 1 al {count} 👆`,
+    batch_set: {
+      one: `✅ ¡{count} recordatorio creado!\n\n{items}\n\n¡Listo, {name}! 🎯`,
+      other: `✅ ¡{count} recordatorios creados!\n\n{items}\n\n¡Listo, {name}! 🎯`
+    },
+    batch_over_quota: `⚠️ Límite diario gratuito alcanzado - no creados: {tasks}\n\n💎 Recordatorios ilimitados con Premium: {url}`,
+    pre_alert: `⏳ En {lead}: "{message}"\n📅 {time}`,
+    pre_alert_line: `Aviso previo {leads} antes`,
+    pre_alert_list: `aviso {lead} antes ({time})`,
+    lead_time_set: `⏳ Aviso previo activado: {lead} antes de cada recordatorio nuevo\n\n💡 Añade "2 hours before" a un recordatorio para uno puntual`,
+    lead_time_off: `⏳ Aviso previo desactivado`,
+    lead_time_usage: `⏳ Aviso previo actual: {current}\n\nPrueba "heads up 30 min", "heads up 1 day" o "heads up off"`,
+    lead_time_none: `desactivado`,
+    digest_header: `☀️ ¡Buenos días, {name}! {date}`,
+    digest_today: {
+      one: `📋 Hoy - {count} recordatorio:`,
+      other: `📋 Hoy - {count} recordatorios:`
+    },
+    digest_missed: `⚠️ Sin hacer ayer:`,
+    digest_retry_hint: `🔁 Responde "retry" para pasarlos a hoy, o "retry 1" para uno`,
+    digest_set: `☀️ Resumen diario activado - cada mañana a las {time}\n\n💡 "digest off" para pararlo`,
+    digest_off: `☀️ Resumen diario desactivado`,
+    digest_usage: `☀️ Resumen diario: {current}\n\nPrueba "digest at 7am", "digest on" o "digest off"`,
+    digest_disabled: `desactivado`,
+    retry_none: `¡Nada de ayer para repetir, {name}! 👍`,
+    retry_pick: `Responde "retry" para todos, o "retry 1" con un número del 1 al {count} 👆`,
+    retry_series_next: `🔄 "{message}" ya se repite - el próximo: {time}`,
+    quiet_set: `🌙 Horas de silencio: {window}\n{policy}\n\n💡 "quiet ask", "quiet defer" o "quiet off"`,
+    quiet_off: `🌙 Horas de silencio desactivadas`,
+    quiet_usage: `🌙 Horas de silencio: {current}\n\nPrueba "quiet 23:00-07:00", "quiet 11pm to 7am" o "quiet off"`,
+    quiet_none: `desactivadas`,
+    quiet_policy_defer: `Los recordatorios en este horario esperan a que termine - los de prioridad alta llegan igual`,
+    quiet_policy_ask: `Te preguntaré cuando un recordatorio nuevo caiga en este horario - los de prioridad alta llegan igual`,
+    quiet_warning_defer: `🌙 En tus horas de silencio ({window}) - lo enviaré a las {time}`,
+    quiet_warning_high: `🌙 En tus horas de silencio ({window}) - se enviará igual, es prioridad alta`,
+    quiet_ask: `🌙 "{message}" cae en tus horas de silencio ({window}). ¿Cuándo debe llegar?\n\n{options}\n\nResponde con el número`,
+    consent_request: `👋 {sender} ({phone}) quiere enviarte recordatorios con este bot.\n\nResponde ALLOW para aceptar o BLOCK para rechazar`,
+    consent_allowed: `✅ {name} ya puede enviarte recordatorios\n\n💡 "block {name}" los detiene cuando quieras`,
+    consent_blocked: `🚫 Bloqueado - {name} no puede enviarte recordatorios\n\n💡 "allow {name}" para deshacerlo`,
+    consent_requested: `📨 Le pedí a {name} que acepte tus recordatorios - llegarán cuando {name} responda ALLOW`,
+    consent_allowed_sender: `✅ {name} aceptó tus recordatorios`,
+    consent_blocked_sender: `🚫 {name} rechazó tus recordatorios`,
+    consent_request_failed: `⚠️ No pude contactar a {name} para pedir permiso para tus recordatorios - revisa el número e inténtalo de nuevo`,
+    consent_expired_sender: `⌛ {name} no respondió a tu solicitud - tu próximo recordatorio para {name} volverá a preguntar`,
+    recipient_unknown: `🤔 ¿Quién es {name}? Guarda su número primero:\n"contact {name} +34600123456"`,
+    recipient_blocked: `🚫 {name} no acepta tus recordatorios`,
+    recipient_line: `👤 Para {name}`,
+    shared_delivery: `⏰ Recordatorio de {sender}:\n\n"{message}"`,
+    shared_delivered: `📬 Entregado a {name}: "{message}"`,
+    shared_acknowledged: `✅ {name} lo hizo: "{message}"`,
+    shared_not_delivered: `⚠️ No enviado a {name} - no ha aceptado tus recordatorios: "{message}"`,
+    contact_saved: `📇 {name} guardado: {phone}\n\n💡 "remind {name} to call me at 6pm"`,
+    contact_usage: `📇 Prueba "contact Mamá +34600123456"`,
+    space_created: `🏠 ¡Espacio "{space}" creado!\n\nInvita a alguien: "space invite {space} +34600123456"\nAñade a su lista: "{space}: sacar la basura cada martes a las 20:00"`,
+    space_exists: `🏠 Ya tienes un espacio llamado "{space}"`,
+    space_too_many: `🏠 Puedes estar en hasta {max} espacios`,
+    space_usage: `🏠 Espacios:\n• "space create Familia"\n• "space invite Familia +34600123456"\n• "Familia: sacar la basura cada martes a las 20:00" (añade "take turns" para turnarse)\n• "space leave Familia"\n• "space premium Familia"`,
+    space_not_found: `🏠 No hay ningún espacio llamado "{space}" - "spaces" muestra los tuyos`,
+    space_invited: `📨 Invitación enviada a {phone} para "{space}" - se une respondiendo "join {space}"`,
+    space_invite: `🏠 {sender} te invitó al espacio "{space}" para compartir recordatorios.\n\nResponde "join {space}" para aceptar.`,
+    space_already_invited: `📨 {name} ya está invitado a "{space}" - se une respondiendo "join {space}"`,
+    space_already_member: `🏠 {name} ya está en "{space}"`,
+    space_full: `🏠 Un espacio puede tener hasta {max} miembros`,
+    space_joined: { one: `🏠 ¡Te uniste a "{space}"! Por ahora eres su único miembro.`, other: `🏠 Te uniste a "{space}" - ahora {count} miembros reciben sus recordatorios.` },
+    space_joined_owner: `🎉 {name} se unió a "{space}"`,
+    space_left: `👋 Saliste de "{space}"`,
+    space_list_header: `🏠 Tus espacios:\n\n`,
+    space_list_empty: `🏠 Aún no estás en ningún espacio.\n\nCrea uno para tu hogar o equipo: "space create Familia"`,
+    space_line: `🏠 {space} - todos`,
+    space_line_rotate: `🏠 {space} - por turnos, empieza: {name}`,
+    space_delivery: `🏠 {space} ({sender}): {message}`,
+    space_premium: { one: `💎 {plan} para "{space}" - cubre a su {count} miembro por {price}/mes:\n{features}\n\n{url}`, other: `💎 {plan} para "{space}" - cubre a sus {count} miembros por {price}/mes:\n{features}\n\n{url}` },
+    space_premium_welcome: `💎 ¡"{space}" ya es premium! Recordatorios ilimitados para cada miembro hasta el {date}.`,
+    space_premium_hint: `\n\n🏠 O cubre a todos en "{space}" de una vez: "space premium {space}"`,
+    list_space_header: `🏠 {space}\n`,
+    calendar_feed: `📆 Tus recordatorios como calendario:\n{url}\n\nAñádelo como calendario suscrito (iPhone: Ajustes → Calendario → Cuentas → Añadir calendario suscrito; Google Calendar: Otros calendarios → Desde URL).\n\n🔒 Mantén el enlace en privado - "calendar reset" crea uno nuevo, "calendar off" lo desactiva.\n📨 ¡También puedes reenviarme invitaciones de calendario (.ics)!`,
+    calendar_reset: `🔄 Nuevo enlace de calendario - el anterior ya no funciona:\n{url}`,
+    calendar_off: `📆 Calendario desactivado. "calendar" crea un enlace nuevo cuando quieras.`,
+    ics_calendar_name: `Recordatorios`,
+    ics_none: `📆 No encontré eventos próximos en ese archivo de calendario.`,
+    ics_error: `❌ No pude leer ese archivo de calendario. Intenta exportar el evento de nuevo como .ics.`,
+    ics_setup_first: `👋 Primero terminemos tu configuración - luego envía la invitación otra vez.`,
+    retry_done: {
+      one: `✅ ¡{count} recordatorio movido!\n\n{items}`,
+      other: `✅ ¡{count} recordatorios movidos!\n\n{items}`
+    },
+    first_occurrence: `Primero: {when}`,
+    reminder_set: `✅ ¡Recordatorio creado!\n\n"{message}"\n{tags}{recurrence}{alerts}📅 {time}\n\n¡Todo listo, {name}! 🎯`,
+    reminder_save_error: `❌ No pude guardar el recordatorio. Inténtalo de nuevo.`,
+    time_passed: `⚠️ Esa hora ya pasó, {name}.\n\nPrueba: "{task} mañana a las 9:00"`,
+    ask_when: `¿Cuándo te lo recuerdo? 🕒\n\n"{task} hoy a las 17:00"`,
+    need_what_when: `Indica qué y cuándo:\n\n"tomar la medicina hoy a las 20:00"`,
+    declined: `¡Sin problema! 👍\n\nEnvía tu recordatorio así:\n"gimnasio hoy a las 19:00"`,
+    nothing_to_confirm: `No hay nada pendiente de confirmar 😊\n\nEnvía un recordatorio así:\n"gimnasio hoy a las 19:00"`,
+    rate_limited: `⚠️ ¡Más despacio! Espera un momento antes de enviar otro mensaje.`,
+    something_went_wrong: `❌ Algo salió mal. Inténtalo de nuevo en un momento.`,
+    follow_ups_off: `👀 Avisos de seguimiento desactivados`,
+    follow_ups_all: `👀 Avisos de seguimiento para todos los recordatorios - tras {minutes} min sin un "hecho"`,
+    follow_ups_high: `👀 Avisos de seguimiento para recordatorios 🔴 de alta prioridad - tras {minutes} min sin un "hecho"`,
+    follow_ups_usage: `👀 Prueba "nudges off", "nudges high", "nudges all" o "nudges 15 min"`,
+    assistant_fallback: `¡Hola {name}! Estoy aquí para ayudarte con recordatorios. ¿Qué quieres que te recuerde? 😊`,
+    assistant_unavailable: `¡Estoy aquí para ayudarte con tus recordatorios! ¿Qué te recuerdo hoy? 😊`,
+    redirect: `¡Hola {name}! 😊\n\n¡Me especializo en recordatorios para hacerte la vida más fácil!\n\n💡 Prueba:\n• "gimnasio a las 19:00"\n• "llamar a mamá mañana a las 15:00"\n• "lista"\n• "premium" para mejorar`,
+    help: `👋 ¡Hola {name}! Esto es lo que entiendo:\n\n⏰ "gimnasio a las 19:00" / "llamar a mamá mañana a las 15:00"\n🔄 "regar las plantas todos los lunes a las 9"\n📋 "lista"\n✏️ "editar 2"\n❌ "cancelar 2" o "cancelar gimnasio"\n😴 "posponer 10 min"\n✅ "hecho"\n📊 "stats"\n👀 "nudges off|high|all"\n⏳ "heads up 30 min|off"\n☀️ "digest at 7am|off"\n🌙 "quiet 23:00-07:00|off"\n👤 "remind Mom to ..." / "contact Mom +90..."\n🏠 "space create Family" / "family: bins out every Tuesday 8pm"\n📆 "calendar" / forward an invite (.ics)\n🌍 "idioma"\n💎 "premium" / 💳 "billing"`,
+    premium_limit: {
+      one: `🚫 ¡Límite diario alcanzado, {name}!\n\nYa usaste los {limit} recordatorios de hoy que permite tu plan.\n⏰ Se reinicia en {count} hora\n\n💎 **Ventajas Premium:**\n{features}\n\n🚀 Mejora ahora por {price}/mes: {url}\n\n¿Preguntas? ¡Escríbeme! 😊`,
+      other: `🚫 ¡Límite diario alcanzado, {name}!\n\nYa usaste los {limit} recordatorios de hoy que permite tu plan.\n⏰ Se reinicia en {count} horas\n\n💎 **Ventajas Premium:**\n{features}\n\n🚀 Mejora ahora por {price}/mes: {url}\n\n¿Preguntas? ¡Escríbeme! 😊`
+    },
+    premium_active: `💎 ¡Eres Premium! ✨\n\n🎉 Recordatorios ilimitados activos\n📅 Válido hasta: {date}\n\n❤️ ¡Gracias por tu apoyo!`,
+    premium_never: `Sin vencimiento`,
+    premium_features: `💎 Funciones Premium:\n\n{features}\n\n💰 Solo {price}/mes\n\n🚀 Mejora: {url}\n\n¿Preguntas? ¡Escríbeme! 😊`,
+    premium_welcome: `🎉 ¡Bienvenido a Premium, {name}! ✨\n\n💎 Ahora tienes:\n{features}\n\n📅 Válido hasta: {date}\n\n¡Gracias! 🙏`,
+    plan_feature_unlimited_daily: `Recordatorios ilimitados cada día`,
+    plan_feature_daily: { one: `{count} recordatorio al día`, other: `{count} recordatorios al día` },
+    plan_feature_unlimited_active: `Sin límite de recordatorios pendientes`,
+    plan_feature_active: { one: `Hasta {count} recordatorio pendiente`, other: `Hasta {count} recordatorios pendientes` },
+    plan_feature_snoozes: { one: `{count} aplazamiento por recordatorio`, other: `{count} aplazamientos por recordatorio` },
+    plan_feature_recurrence: `Recordatorios recurrentes`,
+    plan_feature_voice: `Recordatorios por nota de voz`,
+    plan_feature_languages: `Todos los idiomas`,
+    plan_feature_history: { one: `{count} día de historial`, other: `{count} días de historial` },
+    plan_feature_members: { one: `Hasta {count} miembro`, other: `Hasta {count} miembros` },
+    active_limit: `🚫 Tienes {limit} recordatorios pendientes, {name} - es el máximo de tu plan.\n\nCompleta o cancela uno para añadir más, o mejora por {price}/mes:\n{features}\n\n🚀 Mejora ahora: {url}`,
+    recurrence_locked: `🔄 Los recordatorios recurrentes son una función Premium.\n\nCréalo una sola vez sin "cada", o mejora: {url}`,
+    language_locked: `🌍 {language} es un idioma Premium.\n\n🚀 Mejora: {url}`,
+    premium_renewed: `💎 Premium renovado - válido hasta el {date}. ¡Gracias! 🙏`,
+    premium_payment_failed: `⚠️ Tu pago de premium no se completó.\n\nMantienes premium hasta el {date} mientras reintentamos - revisa tus datos de pago:\n{url}`,
+    premium_grace_warning: `⏰ Premium termina el {date} si el pago no se completa.\n\nActualiza tus datos de pago:\n{url}`,
+    premium_downgraded: `💎 Tu premium ha terminado - vuelves al plan gratuito. Tus recordatorios siguen aquí.\n\nRenueva cuando quieras: {url}`,
+    premium_cancelled: `💎 Tu suscripción está cancelada. Premium sigue activo hasta el {date}.`,
+    premium_refunded: `💳 Tu pago fue reembolsado y premium se desactivó. Tus recordatorios siguen aquí.`,
+    premium_cancel_done: `✅ Renovación cancelada - mantienes premium hasta el {date}.\n\n¿Cambiaste de idea? "premium" para suscribirte de nuevo.`,
+    premium_cancel_nothing: `💎 Nada se renueva automáticamente - premium simplemente termina el {date}.`,
+    premium_cancel_not_premium: `💎 Estás en el plan gratuito - no hay nada que cancelar.`,
+    premium_cancel_error: `❌ No pude cancelar la suscripción ahora. Puedes gestionarla aquí:\n{url}`,
+    billing_free: `💳 Plan: Gratuito\n\n"premium" muestra lo que obtienes al mejorar.`,
+    billing_space: `💳 Plan: Premium a través de un espacio, hasta el {date}\n\nEl dueño del espacio gestiona los pagos.`,
+    billing_renews: `💳 Plan: Premium\n🔄 Se renueva el {date} ({method})\n\n"cancel premium" detiene la renovación - mantienes premium hasta entonces.\n⚙️ Datos de pago: {url}`,
+    billing_ends: `💳 Plan: Premium\n📅 Termina el {date} - no se renueva automáticamente.\n\n"premium" para extenderlo.`,
+    billing_past_due: `💳 Plan: Premium - ⚠️ el último pago falló\n⏳ Periodo de gracia hasta el {date}\n\nActualiza tus datos de pago:\n{url}`,
+    delivery_reply_hint: `Responde "hecho" ✅ o "posponer 10 min"`,
+    delivery_missed: `⚠️ Se nos pasó mientras estábamos sin conexión: {message}\n\n🕒 Era para: {time}\n\n¡Lo sentimos, {name}! 🙏`,
+    snoozed: {
+      one: `😴 Pospuesto: "{message}"\n📅 {time}\n\nTe queda {count} aplazamiento`,
+      other: `😴 Pospuesto: "{message}"\n📅 {time}\n\nTe quedan {count} aplazamientos`
+    },
+    acknowledged: `🎉 ¡Buen trabajo, {name}!\n\n✅ "{message}" hecho`,
+    snooze_nothing: `¡Nada que posponer ahora, {name}! 😴\n\nResponde justo cuando llegue un recordatorio:\n• "posponer 10 min"\n• "posponer 1 hora"`,
+    snooze_limit: {
+      one: `⏰ "{message}" ya se pospuso una vez.\n\n¡Es hora de hacerlo, {name}! 💪`,
+      other: `⏰ "{message}" ya se pospuso {count} veces.\n\n¡Es hora de hacerlo, {name}! 💪`
+    },
+    snooze_upgrade_hint: `\n\n💎 Premium permite {count} aplazamientos por {price}/mes: {url}`,
+    snooze_unreadable: `⚠️ No entendí ese tiempo para posponer.\n\nPrueba: "posponer 10 min" o "posponer 1 hora"`,
+    snooze_error: `❌ Error al posponer el recordatorio. Inténtalo de nuevo.`,
+    ack_nothing: `¡No hay nada esperando un "hecho", {name}! 👍\n\n💡 "lista" muestra lo que viene`,
+    ack_error: `❌ Error al guardar. Inténtalo de nuevo.`,
+    stats_empty: `📊 ¡Todavía no hay recordatorios completados, {name}!\n\n💡 Responde "hecho" cuando llegue un recordatorio`,
+    stats_header: {
+      one: `📊 Últimos {days} días, {name}:\n\n✅ {percent}% hecho ({count} recordatorio)`,
+      other: `📊 Últimos {days} días, {name}:\n\n✅ {percent}% hecho ({count} recordatorios)`
+    },
+    stats_row: `• {category}: {percent}% ({done}/{total})`,
+    follow_up_nudge: `👀 ¿Pudiste hacerlo, {name}?\n\n"{message}"\n\nResponde "hecho" ✅ o "posponer 30 min"`,
+    follow_up_member_nudge: `👀 "{message}" - sigue pendiente\n\nResponde "hecho" ✅ o "posponer 30 min"`,
+    edit_none: `¡No hay recordatorios para editar, {name}! 📋`,
+    edit_prompt: `✏️ Editando: "{message}"\n📅 Ahora: {time}\n\nEnvía el nuevo recordatorio con la hora:\nEjemplo: "gimnasio mañana a las 20:00"`,
+    edit_which: `¿Qué recordatorio quieres editar, {name}? ✏️`,
+    edit_reply_hint: `Responde: "editar 2"`,
+    edit_error: `❌ Error al editar el recordatorio. Inténtalo de nuevo.`,
+    edit_updated: `✅ ¡Actualizado!\n\n"{message}"\n{alerts}📅 {time}\n\n¡Perfecto, {name}! ✏️`,
+    edit_time_passed: `⚠️ Esa hora ya pasó. Prueba una hora futura:\n"{task} mañana a las 9:00"`,
+    edit_needs_time: `Incluye la tarea y la hora:\n"gimnasio mañana a las 20:00"`,
+    edit_update_error: `❌ Error al actualizar el recordatorio. Inténtalo de nuevo.`,
+    recurrence_fallback: `recurrente`,
+    recurrence_hourly: { one: `cada hora`, other: `cada {count} horas` },
+    recurrence_daily: { one: `cada día`, other: `cada {count} días` },
+    recurrence_weekly: { one: `cada semana`, other: `cada {count} semanas` },
+    recurrence_weekly_on: { one: `cada semana el {days}`, other: `cada {count} semanas el {days}` },
+    recurrence_weekdays: `cada día laborable`,
+    recurrence_weekends: `cada fin de semana`,
+    recurrence_monthly: { one: `cada mes`, other: `cada {count} meses` },
+    recurrence_monthly_on: { one: `cada mes el día {day}`, other: `cada {count} meses el día {day}` },
+    recurrence_monthly_last_day: { one: `cada mes el último día`, other: `cada {count} meses el último día` },
+    recurrence_monthly_nth: { one: `cada mes el {which} {weekday}`, other: `cada {count} meses el {which} {weekday}` },
+    recurrence_ordinals: `primer|segundo|tercer|cuarto|quinto|último`,
+    recurrence_yearly: { one: `cada año`, other: `cada {count} años` },
+    recurrence_until: ` hasta el {date}`,
+    recurrence_times: { one: ` (una vez)`, other: ` ({count} veces)` },
+    language_set: `🌍 Idioma configurado: {language} ✅`,
+    language_usage: `🌍 Idioma actual: {language}\n\nDisponibles: {languages}\n\nEjemplo: "idioma english"`,
+    voice_heard: `🎙️ Escuché: "{transcript}"`,
+    voice_premium_only: `🎙️ Los recordatorios por nota de voz son una función Premium.\n\nEscribe tu recordatorio o mejora tu plan: {url}`,
+    voice_unavailable: `🎙️ Ahora mismo no puedo escuchar notas de voz - por favor escribe tu recordatorio.`,
+    voice_failed: `🎙️ Lo siento, no pude entender esa nota de voz. Inténtalo de nuevo o escribe tu recordatorio.`,
+    motivation_friendly: [
+      `⏰ ¡{task}!\n\n💪 ¡Tú puedes, {name}!`,
+      `🔔 ¡{task}!\n\n🌟 ¡Hora de brillar, {name}!`,
+      `⏰ ¡{task}!\n\n🚀 ¡Vamos allá, {name}!`,
+      `🔔 ¡{task}!\n\n✨ ¡Eres increíble, {name}!`
+    ],
+    motivation_motivational: [
+      `⏰ ¡{task}!\n\n🔥 ¡El éxito te espera, {name}!`,
+      `🔔 ¡{task}!\n\n💎 ¡Hazlo realidad, {name}!`,
+      `⏰ ¡{task}!\n\n⚡ ¡A por ello, {name}!`,
+      `🔔 ¡{task}!\n\n🎯 ¡Hora de concentrarse, {name}!`
+    ],
+    motivation_professional: [
+      `⏰ ¡{task}!\n\n📋 Tarea programada, {name}.`,
+      `🔔 ¡{task}!\n\n✅ Acción requerida, {name}.`,
+      `⏰ ¡{task}!\n\n🎯 Tarea prioritaria, {name}.`
+    ]
+  },
+  
+  de: {
+    setup_ask_name_first: `Hallo! 👋\n\nIch bin dein Erinnerungs-Assistent! Aber zuerst: Wie soll ich dich nennen? 😊\n\nSchick mir einfach deinen Namen.`,
+    setup_ask_name: `Hallo! 👋 Ich bin dein Erinnerungs-Assistent.\n\nWie soll ich dich nennen?\nSchick mir einfach deinen Namen.`,
+    setup_ask_location: `Schön, dich kennenzulernen, {name}! 🙌\n\nWo bist du?\n(z. B. "Berlin", "Wien")\n\nSo stelle ich deine Erinnerungszeiten richtig ein.`,
+    setup_done: `{confirmation}\n\n✅ Alles bereit, {name}!\n\n💡 Probier: "Sport heute um 19 Uhr"`,
+    setup_processing_earlier: `\n\nDeine frühere Erinnerung wird jetzt bearbeitet...`,
+    setup_location_retry: `Bitte schick deinen Ort:\n\n• "Berlin"\n• "Zürich"\n• "Wien"\n\nSo stimmen die Uhrzeiten.`,
+    list_empty: `📋 Keine Erinnerungen, {name}!\n\n💡 Leg eine an: "Sport heute um 19 Uhr"`,
+    list_header: `📋 Deine Erinnerungen, {name}:\n\n`,
+    list_empty_filtered: `📋 Keine Erinnerungen für {filter}, {name}.\n\n💡 Schreib "liste" für alle`,
+    list_header_filtered: `📋 Deine Erinnerungen für {filter}, {name}:\n\n`,
+    priority_high: `hohe Priorität`,
+    priority_low: `niedrige Priorität`,
+    priority_medium: `normale Priorität`,
+    list_commands: `💡 Befehle:\n• "löschen 2" - Erinnerung löschen\n• "bearbeiten 1" - Erinnerung bearbeiten\n• "später 10 min" - nach einer Erinnerung\n• "premium" - upgraden`,
+    list_error: `❌ Erinnerungen konnten nicht geladen werden. Bitte versuch es nochmal.`,
+    cancel_none: `Keine Erinnerungen zum Löschen, {name}! 📋`,
+    cancel_done: `✅ Gelöscht: "{message}"\n📅 War: {time}`,
+    cancel_series_stopped: `\n🔄 Wiederholung gestoppt`,
+    cancel_which: `Welche Erinnerung soll ich löschen, {name}? 🤔\n\n`,
+    cancel_reply_hint: `Antworte: "löschen 2" oder "löschen Sport"`,
+    cancel_error: `❌ Erinnerung konnte nicht gelöscht werden. Bitte versuch es nochmal.`,
+    confirm_prompt: `📝 Bestätigen:\n\n"{message}"\n{tags}{recurrence}{alerts}📅 {when}\n{quiet}\nAntworte "ja" zum Bestätigen`,
+    ambiguous_time: `🤔 "{message}" - welche Zeit meinst du?\n\n{options}\n\nAntworte mit der Nummer`,
+    ambiguous_pick: `Antworte mit einer Zahl von 1 bis {count}, um die Zeit zu wählen 👆`,
+    batch_confirm: `📝 {count} Erinnerungen bestätigen:\n\n{items}\n\nAntworte "ja" für alle {count} oder "ja 1,3" zum Auswählen`,
+    batch_unparsed: `❓ Keine Zeit gefunden für {tasks} - schick es nochmal mit einer Uhrzeit`,
+    batch_ambiguous_item: `🤔 Könnte auch {options} heißen - lass es weg und schick es einzeln, um zu wählen`,
+    batch_quota_note: {
+      one: `⚠️ Dein Gratis-Plan hat heute noch {count} Erinnerung - nur die erste wird gespeichert`,
+      other: `⚠️ Dein Gratis-Plan hat heute noch {count} Erinnerungen - nur die ersten {count} werden gespeichert`
+    },
+    batch_pick: `Antworte "ja" für alle oder "ja 1,3" mit Nummern von 1 bis {count} 👆`,
+    batch_set: {
+      one: `✅ {count} Erinnerung gespeichert!\n\n{items}\n\nAlles klar, {name}! 🎯`,
+      other: `✅ {count} Erinnerungen gespeichert!\n\n{items}\n\nAlles klar, {name}! 🎯`
+    },
+    batch_over_quota: `⚠️ Tageslimit erreicht - nicht gespeichert: {tasks}\n\n💎 Unbegrenzte Erinnerungen mit Premium: {url}`,
+    pre_alert: `⏳ In {lead}: "{message}"\n📅 {time}`,
+    pre_alert_line: `Vorwarnung {leads} vorher`,
+    pre_alert_list: `Vorwarnung {lead} vorher ({time})`,
+    lead_time_set: `⏳ Vorwarnung eingestellt: {lead} vor jeder neuen Erinnerung\n\n💡 Für eine einzelne Erinnerung "2 hours before" anhängen`,
+    lead_time_off: `⏳ Standard-Vorwarnung ausgeschaltet`,
+    lead_time_usage: `⏳ Aktuelle Standard-Vorwarnung: {current}\n\nVersuche "heads up 30 min", "heads up 1 day" oder "heads up off"`,
+    lead_time_none: `aus`,
+    digest_header: `☀️ Guten Morgen, {name}! {date}`,
+    digest_today: {
+      one: `📋 Heute - {count} Erinnerung:`,
+      other: `📋 Heute - {count} Erinnerungen:`
+    },
+    digest_missed: `⚠️ Gestern nicht erledigt:`,
+    digest_retry_hint: `🔁 Antworte "retry", um sie auf heute zu verschieben, oder "retry 1" für eine`,
+    digest_set: `☀️ Tagesübersicht an - jeden Morgen um {time}\n\n💡 "digest off" zum Beenden`,
+    digest_off: `☀️ Tagesübersicht ausgeschaltet`,
+    digest_usage: `☀️ Tagesübersicht: {current}\n\nVersuche "digest at 7am", "digest on" oder "digest off"`,
+    digest_disabled: `aus`,
+    retry_none: `Nichts von gestern zu wiederholen, {name}! 👍`,
+    retry_pick: `Antworte "retry" für alle oder "retry 1" mit einer Zahl von 1 bis {count} 👆`,
+    retry_series_next: `🔄 "{message}" wiederholt sich sowieso - nächstes Mal {time}`,
+    quiet_set: `🌙 Ruhezeit: {window}\n{policy}\n\n💡 "quiet ask", "quiet defer" oder "quiet off"`,
+    quiet_off: `🌙 Ruhezeit ausgeschaltet`,
+    quiet_usage: `🌙 Ruhezeit: {current}\n\nVersuche "quiet 23:00-07:00", "quiet 11pm to 7am" oder "quiet off"`,
+    quiet_none: `aus`,
+    quiet_policy_defer: `Erinnerungen in diesem Zeitraum warten, bis er endet - hohe Priorität kommt trotzdem durch`,
+    quiet_policy_ask: `Ich frage nach, wenn eine neue Erinnerung in diesen Zeitraum fällt - hohe Priorität kommt trotzdem durch`,
+    quiet_warning_defer: `🌙 In deiner Ruhezeit ({window}) - ich schicke sie um {time}`,
+    quiet_warning_high: `🌙 In deiner Ruhezeit ({window}) - kommt trotzdem, hohe Priorität`,
+    quiet_ask: `🌙 "{message}" fällt in deine Ruhezeit ({window}). Wann soll sie kommen?\n\n{options}\n\nAntworte mit der Zahl`,
+    consent_request: `👋 {sender} ({phone}) möchte dir über diesen Bot Erinnerungen schicken.\n\nAntworte ALLOW zum Annehmen oder BLOCK zum Ablehnen`,
+    consent_allowed: `✅ {name} kann dir jetzt Erinnerungen schicken\n\n💡 "block {name}" beendet das jederzeit`,
+    consent_blocked: `🚫 Blockiert - {name} kann dir keine Erinnerungen schicken\n\n💡 "allow {name}" macht es rückgängig`,
+    consent_requested: `📨 Ich habe {name} gefragt, ob deine Erinnerungen erlaubt sind - sie kommen an, sobald {name} ALLOW antwortet`,
+    consent_allowed_sender: `✅ {name} hat deine Erinnerungen angenommen`,
+    consent_blocked_sender: `🚫 {name} hat deine Erinnerungen abgelehnt`,
+    consent_request_failed: `⚠️ Ich konnte {name} nicht erreichen, um nach deinen Erinnerungen zu fragen - prüf die Nummer und versuch es noch einmal`,
+    consent_expired_sender: `⌛ {name} hat nicht auf deine Anfrage geantwortet - deine nächste Erinnerung für {name} fragt noch einmal`,
+    recipient_unknown: `🤔 Wer ist {name}? Speichere zuerst die Nummer:\n"contact {name} +491701234567"`,
+    recipient_blocked: `🚫 {name} nimmt keine Erinnerungen von dir an`,
+    recipient_line: `👤 Für {name}`,
+    shared_delivery: `⏰ Erinnerung von {sender}:\n\n"{message}"`,
+    shared_delivered: `📬 Zugestellt an {name}: "{message}"`,
+    shared_acknowledged: `✅ {name} hat es erledigt: "{message}"`,
+    shared_not_delivered: `⚠️ Nicht an {name} gesendet - deine Erinnerungen wurden nicht erlaubt: "{message}"`,
+    contact_saved: `📇 {name} gespeichert: {phone}\n\n💡 "remind {name} to call me at 6pm"`,
+    contact_usage: `📇 Versuche "contact Mama +491701234567"`,
+    space_created: `🏠 Bereich "{space}" erstellt!\n\nLeute einladen: "space invite {space} +491701234567"\nZur Liste hinzufügen: "{space}: Müll rausbringen jeden Dienstag um 20 Uhr"`,
+    space_exists: `🏠 Du hast schon einen Bereich namens "{space}"`,
+    space_too_many: `🏠 Du kannst in bis zu {max} Bereichen sein`,
+    space_usage: `🏠 Bereiche:\n• "space create Familie"\n• "space invite Familie +491701234567"\n• "Familie: Müll rausbringen jeden Dienstag um 20 Uhr" (mit "take turns" abwechselnd)\n• "space leave Familie"\n• "space premium Familie"`,
+    space_not_found: `🏠 Kein Bereich namens "{space}" - "spaces" zeigt deine`,
+    space_invited: `📨 {phone} wurde zu "{space}" eingeladen - Beitritt mit der Antwort "join {space}"`,
+    space_invite: `🏠 {sender} hat dich in den Bereich "{space}" eingeladen, um Erinnerungen zu teilen.\n\nAntworte "join {space}" zum Annehmen.`,
+    space_already_invited: `📨 {name} ist schon zu "{space}" eingeladen - Beitritt mit der Antwort "join {space}"`,
+    space_already_member: `🏠 {name} ist schon in "{space}"`,
+    space_full: `🏠 Ein Bereich kann bis zu {max} Mitglieder haben`,
+    space_joined: { one: `🏠 Du bist "{space}" beigetreten! Du bist bisher das einzige Mitglied.`, other: `🏠 Du bist "{space}" beigetreten - jetzt bekommen {count} Mitglieder die Erinnerungen.` },
+    space_joined_owner: `🎉 {name} ist "{space}" beigetreten`,
+    space_left: `👋 Du hast "{space}" verlassen`,
+    space_list_header: `🏠 Deine Bereiche:\n\n`,
+    space_list_empty: `🏠 Du bist noch in keinem Bereich.\n\nErstelle einen für Haushalt oder Team: "space create Familie"`,
+    space_line: `🏠 {space} - alle`,
+    space_line_rotate: `🏠 {space} - abwechselnd, zuerst: {name}`,
+    space_delivery: `🏠 {space} ({sender}): {message}`,
+    space_premium: { one: `💎 {plan} für "{space}" - gilt für {count} Mitglied für {price}/Monat:\n{features}\n\n{url}`, other: `💎 {plan} für "{space}" - gilt für alle {count} Mitglieder für {price}/Monat:\n{features}\n\n{url}` },
+    space_premium_welcome: `💎 "{space}" ist jetzt Premium! Unbegrenzte Erinnerungen für jedes Mitglied bis {date}.`,
+    space_premium_hint: `\n\n🏠 Oder alle in "{space}" auf einmal abdecken: "space premium {space}"`,
+    list_space_header: `🏠 {space}\n`,
+    calendar_feed: `📆 Deine Erinnerungen als Kalender-Abo:\n{url}\n\nFüge ihn als abonnierten Kalender hinzu (iPhone: Einstellungen → Kalender → Accounts → Kalenderabo hinzufügen; Google Kalender: Weitere Kalender → Per URL).\n\n🔒 Halte den Link privat - "calendar reset" erstellt einen neuen, "calendar off" schaltet ihn ab.\n📨 Du kannst mir auch Kalendereinladungen (.ics) weiterleiten!`,
+    calendar_reset: `🔄 Neuer Kalender-Link - der alte funktioniert nicht mehr:\n{url}`,
+    calendar_off: `📆 Kalender-Abo abgeschaltet. "calendar" erstellt jederzeit einen neuen Link.`,
+    ics_calendar_name: `Erinnerungen`,
+    ics_none: `📆 In dieser Kalenderdatei habe ich keine anstehenden Termine gefunden.`,
+    ics_error: `❌ Diese Kalenderdatei konnte ich nicht lesen. Exportiere den Termin noch einmal als .ics.`,
+    ics_setup_first: `👋 Lass uns zuerst die Einrichtung abschließen - schick die Einladung danach noch einmal.`,
+    retry_done: {
+      one: `✅ {count} Erinnerung verschoben!\n\n{items}`,
+      other: `✅ {count} Erinnerungen verschoben!\n\n{items}`
+    },
+    first_occurrence: `Erstmals: {when}`,
+    reminder_set: `✅ Erinnerung gespeichert!\n\n"{message}"\n{tags}{recurrence}{alerts}📅 {time}\n\nAlles bereit, {name}! 🎯`,
+    reminder_save_error: `❌ Erinnerung konnte nicht gespeichert werden. Bitte versuch es nochmal.`,
+    time_passed: `⚠️ Diese Zeit ist schon vorbei, {name}.\n\nProbier: "{task} morgen um 9 Uhr"`,
+    ask_when: `Wann soll ich dich erinnern? 🕒\n\n"{task} heute um 17 Uhr"`,
+    need_what_when: `Bitte schreib, was und wann:\n\n"Medikament nehmen heute um 20 Uhr"`,
+    declined: `Kein Problem! 👍\n\nSchick deine Erinnerung so:\n"Sport heute um 19 Uhr"`,
+    nothing_to_confirm: `Gerade wartet nichts auf ein Ja/Nein 😊\n\nSchick eine Erinnerung wie:\n"Sport heute um 19 Uhr"`,
+    rate_limited: `⚠️ Etwas langsamer bitte! Warte kurz, bevor du die nächste Nachricht schickst.`,
+    something_went_wrong: `❌ Etwas ist schiefgelaufen. Bitte versuch es gleich noch einmal.`,
+    follow_ups_off: `👀 Nachfragen ausgeschaltet`,
+    follow_ups_all: `👀 Nachfragen für alle Erinnerungen - nach {minutes} Min ohne "erledigt"`,
+    follow_ups_high: `👀 Nachfragen für 🔴 Erinnerungen mit hoher Priorität - nach {minutes} Min ohne "erledigt"`,
+    follow_ups_usage: `👀 Probier "nudges off", "nudges high", "nudges all" oder "nudges 15 min"`,
+    assistant_fallback: `Hallo {name}! Ich helfe dir mit Erinnerungen. Woran soll ich dich erinnern? 😊`,
+    assistant_unavailable: `Ich helfe dir mit deinen Erinnerungen! Woran soll ich dich heute erinnern? 😊`,
+    redirect: `Hallo {name}! 😊\n\nIch bin auf Erinnerungen spezialisiert, damit dein Alltag leichter wird!\n\n💡 Probier:\n• "Sport um 19 Uhr"\n• "Mama anrufen morgen um 15 Uhr"\n• "liste"\n• "premium" zum Upgraden`,
+    help: `👋 Hallo {name}! Das verstehe ich:\n\n⏰ "Sport um 19 Uhr" / "Mama anrufen morgen um 15 Uhr"\n🔄 "Pflanzen gießen jeden Montag um 9 Uhr"\n📋 "liste"\n✏️ "bearbeiten 2"\n❌ "löschen 2" oder "löschen Sport"\n😴 "später 10 min"\n✅ "erledigt"\n📊 "stats"\n👀 "nudges off|high|all"\n⏳ "heads up 30 min|off"\n☀️ "digest at 7am|off"\n🌙 "quiet 23:00-07:00|off"\n👤 "remind Mom to ..." / "contact Mom +90..."\n🏠 "space create Family" / "family: bins out every Tuesday 8pm"\n📆 "calendar" / forward an invite (.ics)\n🌍 "sprache"\n💎 "premium" / 💳 "billing"`,
+    premium_limit: {
+      one: `🚫 Tageslimit erreicht, {name}!\n\nDu hast heute alle {limit} Erinnerungen deines Plans genutzt.\n⏰ Zurückgesetzt in {count} Stunde\n\n💎 **Premium-Vorteile:**\n{features}\n\n🚀 Jetzt für {price}/Monat upgraden: {url}\n\nFragen? Schreib einfach! 😊`,
+      other: `🚫 Tageslimit erreicht, {name}!\n\nDu hast heute alle {limit} Erinnerungen deines Plans genutzt.\n⏰ Zurückgesetzt in {count} Stunden\n\n💎 **Premium-Vorteile:**\n{features}\n\n🚀 Jetzt für {price}/Monat upgraden: {url}\n\nFragen? Schreib einfach! 😊`
+    },
+    premium_active: `💎 Du bist Premium! ✨\n\n🎉 Unbegrenzte Erinnerungen aktiv\n📅 Gültig bis: {date}\n\n❤️ Danke für deine Unterstützung!`,
+    premium_never: `Unbefristet`,
+    premium_features: `💎 Premium-Funktionen:\n\n{features}\n\n💰 Nur {price}/Monat\n\n🚀 Upgraden: {url}\n\nFragen? Schreib einfach! 😊`,
+    premium_welcome: `🎉 Willkommen bei Premium, {name}! ✨\n\n💎 Jetzt hast du:\n{features}\n\n📅 Gültig bis: {date}\n\nDanke! 🙏`,
+    plan_feature_unlimited_daily: `Unbegrenzte Erinnerungen jeden Tag`,
+    plan_feature_daily: { one: `{count} Erinnerung pro Tag`, other: `{count} Erinnerungen pro Tag` },
+    plan_feature_unlimited_active: `Keine Grenze für anstehende Erinnerungen`,
+    plan_feature_active: { one: `Bis zu {count} anstehende Erinnerung`, other: `Bis zu {count} anstehende Erinnerungen` },
+    plan_feature_snoozes: { one: `{count} Schlummern pro Erinnerung`, other: `{count}-mal Schlummern pro Erinnerung` },
+    plan_feature_recurrence: `Wiederkehrende Erinnerungen`,
+    plan_feature_voice: `Erinnerungen per Sprachnachricht`,
+    plan_feature_languages: `Alle Sprachen`,
+    plan_feature_history: { one: `{count} Tag Verlauf`, other: `{count} Tage Verlauf` },
+    plan_feature_members: { one: `Bis zu {count} Mitglied`, other: `Bis zu {count} Mitglieder` },
+    active_limit: `🚫 Du hast {limit} anstehende Erinnerungen, {name} - mehr erlaubt dein Tarif nicht.\n\nErledige oder lösche eine, um neue hinzuzufügen, oder upgrade für {price}/Monat:\n{features}\n\n🚀 Jetzt upgraden: {url}`,
+    recurrence_locked: `🔄 Wiederkehrende Erinnerungen sind eine Premium-Funktion.\n\nLeg sie einmalig ohne "jeden" an, oder upgrade: {url}`,
+    language_locked: `🌍 {language} ist eine Premium-Sprache.\n\n🚀 Upgrade: {url}`,
+    premium_renewed: `💎 Premium verlängert - gültig bis {date}. Danke! 🙏`,
+    premium_payment_failed: `⚠️ Deine Premium-Zahlung ist fehlgeschlagen.\n\nDu behältst Premium bis {date}, während wir es erneut versuchen - bitte prüfe deine Zahlungsdaten:\n{url}`,
+    premium_grace_warning: `⏰ Premium endet am {date}, falls die Zahlung nicht klappt.\n\nZahlungsdaten aktualisieren:\n{url}`,
+    premium_downgraded: `💎 Dein Premium ist abgelaufen - du bist wieder im kostenlosen Plan. Deine Erinnerungen sind alle noch da.\n\nJederzeit verlängern: {url}`,
+    premium_cancelled: `💎 Dein Abo ist gekündigt. Premium bleibt bis {date} aktiv.`,
+    premium_refunded: `💳 Deine Zahlung wurde erstattet und Premium ist deaktiviert. Deine Erinnerungen sind alle noch da.`,
+    premium_cancel_done: `✅ Verlängerung gekündigt - du behältst Premium bis {date}.\n\nDoch anders entschieden? "premium" zum erneuten Abonnieren.`,
+    premium_cancel_nothing: `💎 Nichts verlängert sich automatisch - Premium endet einfach am {date}.`,
+    premium_cancel_not_premium: `💎 Du bist im kostenlosen Plan - es gibt nichts zu kündigen.`,
+    premium_cancel_error: `❌ Ich konnte das Abo gerade nicht kündigen. Du kannst es hier verwalten:\n{url}`,
+    billing_free: `💳 Plan: Kostenlos\n\n"premium" zeigt, was ein Upgrade bringt.`,
+    billing_space: `💳 Plan: Premium über einen Bereich, bis {date}\n\nDie Zahlung verwaltet der Besitzer des Bereichs.`,
+    billing_renews: `💳 Plan: Premium\n🔄 Verlängert sich am {date} ({method})\n\n"cancel premium" stoppt die Verlängerung - Premium bleibt bis dahin.\n⚙️ Zahlungsdaten: {url}`,
+    billing_ends: `💳 Plan: Premium\n📅 Endet am {date} - keine automatische Verlängerung.\n\n"premium" zum Verlängern.`,
+    billing_past_due: `💳 Plan: Premium - ⚠️ letzte Zahlung fehlgeschlagen\n⏳ Kulanzzeit bis {date}\n\nBitte aktualisiere deine Zahlungsdaten:\n{url}`,
+    delivery_reply_hint: `Antworte "erledigt" ✅ oder "später 10 min"`,
+    delivery_missed: `⚠️ Verpasst, während wir offline waren: {message}\n\n🕒 Fällig war: {time}\n\nTut uns leid, {name}! 🙏`,
+    snoozed: {
+      one: `😴 Verschoben: "{message}"\n📅 {time}\n\nNoch {count} Mal verschieben möglich`,
+      other: `😴 Verschoben: "{message}"\n📅 {time}\n\nNoch {count} Mal verschieben möglich`
+    },
+    acknowledged: `🎉 Gut gemacht, {name}!\n\n✅ "{message}" erledigt`,
+    snooze_nothing: `Gerade gibt es nichts zu verschieben, {name}! 😴\n\nAntworte direkt, wenn eine Erinnerung kommt:\n• "später 10 min"\n• "später 1 std"`,
+    snooze_limit: {
+      one: `⏰ "{message}" wurde schon einmal verschoben.\n\nZeit, es zu erledigen, {name}! 💪`,
+      other: `⏰ "{message}" wurde schon {count}-mal verschoben.\n\nZeit, es zu erledigen, {name}! 💪`
+    },
+    snooze_upgrade_hint: `\n\n💎 Mit Premium für {price}/Monat kannst du {count}-mal verschieben: {url}`,
+    snooze_unreadable: `⚠️ Diese Zeit zum Verschieben habe ich nicht verstanden.\n\nVersuch: "später 10 min" oder "später 1 std"`,
+    snooze_error: `❌ Fehler beim Verschieben der Erinnerung. Bitte versuch es noch einmal.`,
+    ack_nothing: `Nichts wartet auf ein "erledigt", {name}! 👍\n\n💡 "liste" zeigt, was ansteht`,
+    ack_error: `❌ Fehler beim Speichern. Bitte versuch es noch einmal.`,
+    stats_empty: `📊 Noch keine erledigten Erinnerungen, {name}!\n\n💡 Antworte "erledigt", wenn eine Erinnerung kommt`,
+    stats_header: {
+      one: `📊 Letzte {days} Tage, {name}:\n\n✅ {percent}% erledigt ({count} Erinnerung)`,
+      other: `📊 Letzte {days} Tage, {name}:\n\n✅ {percent}% erledigt ({count} Erinnerungen)`
+    },
+    stats_row: `• {category}: {percent}% ({done}/{total})`,
+    follow_up_nudge: `👀 Hast du es geschafft, {name}?\n\n"{message}"\n\nAntworte "erledigt" ✅ oder "später 30 min"`,
+    follow_up_member_nudge: `👀 "{message}" - noch offen\n\nAntworte "erledigt" ✅ oder "später 30 min"`,
+    edit_none: `Keine Erinnerungen zum Bearbeiten, {name}! 📋`,
+    edit_prompt: `✏️ Bearbeiten: "{message}"\n📅 Aktuell: {time}\n\nSchick die neue Erinnerung mit Uhrzeit:\nBeispiel: "Sport morgen um 20 Uhr"`,
+    edit_which: `Welche Erinnerung möchtest du bearbeiten, {name}? ✏️`,
+    edit_reply_hint: `Antworte: "bearbeiten 2"`,
+    edit_error: `❌ Fehler beim Bearbeiten der Erinnerung. Bitte versuch es noch einmal.`,
+    edit_updated: `✅ Aktualisiert!\n\n"{message}"\n{alerts}📅 {time}\n\nPerfekt, {name}! ✏️`,
+    edit_time_passed: `⚠️ Diese Zeit ist schon vorbei. Versuch eine spätere Zeit:\n"{task} morgen um 9 Uhr"`,
+    edit_needs_time: `Bitte gib Aufgabe und Uhrzeit an:\n"Sport morgen um 20 Uhr"`,
+    edit_update_error: `❌ Fehler beim Aktualisieren der Erinnerung. Bitte versuch es noch einmal.`,
+    recurrence_fallback: `wiederkehrend`,
+    recurrence_hourly: { one: `jede Stunde`, other: `alle {count} Stunden` },
+    recurrence_daily: { one: `jeden Tag`, other: `alle {count} Tage` },
+    recurrence_weekly: { one: `jede Woche`, other: `alle {count} Wochen` },
+    recurrence_weekly_on: { one: `jede Woche am {days}`, other: `alle {count} Wochen am {days}` },
+    recurrence_weekdays: `jeden Werktag`,
+    recurrence_weekends: `jedes Wochenende`,
+    recurrence_monthly: { one: `jeden Monat`, other: `alle {count} Monate` },
+    recurrence_monthly_on: { one: `jeden Monat am {day}.`, other: `alle {count} Monate am {day}.` },
+    recurrence_monthly_last_day: { one: `jeden Monat am letzten Tag`, other: `alle {count} Monate am letzten Tag` },
+    recurrence_monthly_nth: { one: `jeden Monat am {which} {weekday}`, other: `alle {count} Monate am {which} {weekday}` },
+    recurrence_ordinals: `ersten|zweiten|dritten|vierten|fünften|letzten`,
+    recurrence_yearly: { one: `jedes Jahr`, other: `alle {count} Jahre` },
+    recurrence_until: ` bis {date}`,
+    recurrence_times: { one: ` (einmal)`, other: ` ({count}-mal)` },
+    language_set: `🌍 Sprache eingestellt: {language} ✅`,
+    language_usage: `🌍 Aktuelle Sprache: {language}\n\nVerfügbar: {languages}\n\nBeispiel: "sprache english"`,
+    voice_heard: `🎙️ Verstanden: "{transcript}"`,
+    voice_premium_only: `🎙️ Erinnerungen per Sprachnachricht sind eine Premium-Funktion.\n\nSchreib deine Erinnerung oder upgrade: {url}`,
+    voice_unavailable: `🎙️ Ich kann gerade keine Sprachnachrichten anhören - bitte schreib deine Erinnerung.`,
+    voice_failed: `🎙️ Sorry, ich konnte die Sprachnachricht nicht verstehen. Versuch es nochmal oder schreib deine Erinnerung.`,
+    motivation_friendly: [
+      `⏰ {task}!\n\n💪 Du schaffst das, {name}!`,
+      `🔔 {task}!\n\n🌟 Zeit zu glänzen, {name}!`,
+      `⏰ {task}!\n\n🚀 Los geht's, {name}!`,
+      `🔔 {task}!\n\n✨ Du bist großartig, {name}!`
+    ],
+    motivation_motivational: [
+      `⏰ {task}!\n\n🔥 Der Erfolg wartet, {name}!`,
+      `🔔 {task}!\n\n💎 Mach es möglich, {name}!`,
+      `⏰ {task}!\n\n⚡ Zieh es durch, {name}!`,
+      `🔔 {task}!\n\n🎯 Zeit für Fokus, {name}!`
+    ],
+    motivation_professional: [
+      `⏰ {task}!\n\n📋 Geplante Aufgabe, {name}.`,
+      `🔔 {task}!\n\n✅ Handlung erforderlich, {name}.`,
+      `⏰ {task}!\n\n🎯 Wichtige Aufgabe, {name}.`
+    ]
+  },
+  
+  pt: {
+    setup_ask_name_first: `Oi! 👋\n\nSou seu assistente de lembretes! Mas antes, como devo te chamar? 😊\n\nÉ só mandar seu nome.`,
+    setup_ask_name: `Oi! 👋 Sou seu assistente de lembretes.\n\nComo devo te chamar?\nÉ só mandar seu nome.`,
+    setup_ask_location: `Prazer em te conhecer, {name}! 🙌\n\nOnde você está?\n(ex.: "São Paulo", "Lisboa")\n\nAssim eu acerto o horário dos lembretes.`,
+    setup_done: `{confirmation}\n\n✅ Tudo pronto, {name}!\n\n💡 Experimente: "academia hoje às 19h"`,
+    setup_processing_earlier: `\n\nProcessando seu lembrete anterior agora...`,
+    setup_location_retry: `Mande sua localização:\n\n• "São Paulo"\n• "Lisboa"\n• "Rio de Janeiro"\n\nAssim eu acerto os horários.`,
+    list_empty: `📋 Nenhum lembrete, {name}!\n\n💡 Crie um: "academia hoje às 19h"`,
+    list_header: `📋 Seus lembretes, {name}:\n\n`,
+    list_empty_filtered: `📋 Nenhum lembrete de {filter}, {name}.\n\n💡 Digite "lista" para ver todos`,
+    list_header_filtered: `📋 Seus lembretes de {filter}, {name}:\n\n`,
+    priority_high: `alta prioridade`,
+    priority_low: `baixa prioridade`,
+    priority_medium: `prioridade normal`,
+    list_commands: `💡 Comandos:\n• "cancelar 2" - cancelar lembrete\n• "editar 1" - editar lembrete\n• "adiar 10 min" - quando um lembrete chegar\n• "premium" - assinar`,
+    list_error: `❌ Não consegui carregar os lembretes. Tente de novo.`,
+    cancel_none: `Nenhum lembrete para cancelar, {name}! 📋`,
+    cancel_done: `✅ Cancelado: "{message}"\n📅 Era: {time}`,
+    cancel_series_stopped: `\n🔄 Série recorrente interrompida`,
+    cancel_which: `Qual lembrete devo cancelar, {name}? 🤔\n\n`,
+    cancel_reply_hint: `Responda: "cancelar 2" ou "cancelar academia"`,
+    cancel_error: `❌ Não consegui cancelar o lembrete. Tente de novo.`,
+    confirm_prompt: `📝 Confirme:\n\n"{message}"\n{tags}{recurrence}{alerts}📅 {when}\n{quiet}\nResponda "sim" para confirmar`,
+    ambiguous_time: `🤔 "{message}" - qual você quis dizer?\n\n{options}\n\nResponda com o número`,
+    ambiguous_pick: `Responda com um número de 1 a {count} para escolher o horário 👆`,
+    batch_confirm: `📝 Confirme {count} lembretes:\n\n{items}\n\nResponda "sim" para criar os {count}, ou "sim 1,3" para escolher`,
+    batch_unparsed: `❓ Não encontrei o horário de {tasks} - envie de novo com um horário`,
+    batch_ambiguous_item: `🤔 Também pode ser {options} - deixe de fora e envie separado para escolher`,
+    batch_quota_note: {
+      one: `⚠️ Seu plano grátis tem {count} lembrete restante hoje - só o primeiro será criado`,
+      other: `⚠️ Seu plano grátis tem {count} lembretes restantes hoje - só os primeiros {count} serão criados`
+    },
+    batch_pick: `Responda "sim" para todos, ou "sim 1,3" com números de 1 a {count} 👆`,
+    batch_set: {
+      one: `✅ {count} lembrete criado!\n\n{items}\n\nTudo certo, {name}! 🎯`,
+      other: `✅ {count} lembretes criados!\n\n{items}\n\nTudo certo, {name}! 🎯`
+    },
+    batch_over_quota: `⚠️ Limite diário grátis atingido - não criados: {tasks}\n\n💎 Lembretes ilimitados com Premium: {url}`,
+    pre_alert: `⏳ Em {lead}: "{message}"\n📅 {time}`,
+    pre_alert_line: `Aviso prévio {leads} antes`,
+    pre_alert_list: `aviso {lead} antes ({time})`,
+    lead_time_set: `⏳ Aviso prévio definido: {lead} antes de cada novo lembrete\n\n💡 Adicione "2 hours before" a um lembrete para um aviso único`,
+    lead_time_off: `⏳ Aviso prévio padrão desativado`,
+    lead_time_usage: `⏳ Aviso prévio padrão atual: {current}\n\nTente "heads up 30 min", "heads up 1 day" ou "heads up off"`,
+    lead_time_none: `desativado`,
+    digest_header: `☀️ Bom dia, {name}! {date}`,
+    digest_today: {
+      one: `📋 Hoje - {count} lembrete:`,
+      other: `📋 Hoje - {count} lembretes:`
+    },
+    digest_missed: {
+      one: `⚠️ Não feito ontem:`,
+      other: `⚠️ Não feitos ontem:`
+    },
+    digest_retry_hint: `🔁 Responda "retry" para passá-los para hoje, ou "retry 1" para um`,
+    digest_set: `☀️ Resumo diário ativado - toda manhã às {time}\n\n💡 "digest off" para parar`,
+    digest_off: `☀️ Resumo diário desativado`,
+    digest_usage: `☀️ Resumo diário: {current}\n\nTente "digest at 7am", "digest on" ou "digest off"`,
+    digest_disabled: `desativado`,
+    retry_none: `Nada de ontem para repetir, {name}! 👍`,
+    retry_pick: `Responda "retry" para todos, ou "retry 1" com um número de 1 a {count} 👆`,
+    retry_series_next: `🔄 "{message}" já se repete - o próximo: {time}`,
+    quiet_set: `🌙 Horário de silêncio: {window}\n{policy}\n\n💡 "quiet ask", "quiet defer" ou "quiet off"`,
+    quiet_off: `🌙 Horário de silêncio desativado`,
+    quiet_usage: `🌙 Horário de silêncio: {current}\n\nTente "quiet 23:00-07:00", "quiet 11pm to 7am" ou "quiet off"`,
+    quiet_none: `desativado`,
+    quiet_policy_defer: `Lembretes neste horário esperam até ele terminar - os de prioridade alta chegam mesmo assim`,
+    quiet_policy_ask: `Vou perguntar quando um novo lembrete cair neste horário - os de prioridade alta chegam mesmo assim`,
+    quiet_warning_defer: `🌙 No seu horário de silêncio ({window}) - vou enviar às {time}`,
+    quiet_warning_high: `🌙 No seu horário de silêncio ({window}) - será enviado mesmo assim, prioridade alta`,
+    quiet_ask: `🌙 "{message}" cai no seu horário de silêncio ({window}). Quando deve chegar?\n\n{options}\n\nResponda com o número`,
+    consent_request: `👋 {sender} ({phone}) quer te enviar lembretes por este bot.\n\nResponda ALLOW para aceitar ou BLOCK para recusar`,
+    consent_allowed: `✅ {name} agora pode te enviar lembretes\n\n💡 "block {name}" para a qualquer momento`,
+    consent_blocked: `🚫 Bloqueado - {name} não pode te enviar lembretes\n\n💡 "allow {name}" para desfazer`,
+    consent_requested: `📨 Pedi para {name} aceitar seus lembretes - eles chegam quando {name} responder ALLOW`,
+    consent_allowed_sender: `✅ {name} aceitou seus lembretes`,
+    consent_blocked_sender: `🚫 {name} recusou seus lembretes`,
+    consent_request_failed: `⚠️ Não consegui falar com {name} para pedir permissão para seus lembretes - confira o número e tente de novo`,
+    consent_expired_sender: `⌛ {name} não respondeu ao seu pedido - seu próximo lembrete para {name} vai perguntar de novo`,
+    recipient_unknown: `🤔 Quem é {name}? Salve o número primeiro:\n"contact {name} +5511912345678"`,
+    recipient_blocked: `🚫 {name} não aceita lembretes seus`,
+    recipient_line: `👤 Para {name}`,
+    shared_delivery: `⏰ Lembrete de {sender}:\n\n"{message}"`,
+    shared_delivered: `📬 Entregue para {name}: "{message}"`,
+    shared_acknowledged: `✅ {name} fez: "{message}"`,
+    shared_not_delivered: `⚠️ Não enviado para {name} - seus lembretes não foram aceitos: "{message}"`,
+    contact_saved: `📇 {name} salvo: {phone}\n\n💡 "remind {name} to call me at 6pm"`,
+    contact_usage: `📇 Tente "contact Mãe +5511912345678"`,
+    space_created: `🏠 Espaço "{space}" criado!\n\nConvide pessoas: "space invite {space} +5511912345678"\nAdicione à lista: "{space}: tirar o lixo toda terça às 20h"`,
+    space_exists: `🏠 Você já tem um espaço chamado "{space}"`,
+    space_too_many: `🏠 Você pode estar em até {max} espaços`,
+    space_usage: `🏠 Espaços:\n• "space create Família"\n• "space invite Família +5511912345678"\n• "Família: tirar o lixo toda terça às 20h" (adicione "take turns" para revezar)\n• "space leave Família"\n• "space premium Família"`,
+    space_not_found: `🏠 Nenhum espaço chamado "{space}" - "spaces" mostra os seus`,
+    space_invited: `📨 {phone} foi convidado para "{space}" - basta responder "join {space}"`,
+    space_invite: `🏠 {sender} convidou você para o espaço "{space}" para compartilhar lembretes.\n\nResponda "join {space}" para aceitar.`,
+    space_already_invited: `📨 {name} já foi convidado para "{space}" - basta responder "join {space}"`,
+    space_already_member: `🏠 {name} já está em "{space}"`,
+    space_full: `🏠 Um espaço pode ter até {max} membros`,
+    space_joined: { one: `🏠 Você entrou em "{space}"! Por enquanto é o único membro.`, other: `🏠 Você entrou em "{space}" - agora {count} membros recebem os lembretes.` },
+    space_joined_owner: `🎉 {name} entrou em "{space}"`,
+    space_left: `👋 Você saiu de "{space}"`,
+    space_list_header: `🏠 Seus espaços:\n\n`,
+    space_list_empty: `🏠 Você ainda não está em nenhum espaço.\n\nCrie um para sua casa ou equipe: "space create Família"`,
+    space_line: `🏠 {space} - todos`,
+    space_line_rotate: `🏠 {space} - revezando, começa: {name}`,
+    space_delivery: `🏠 {space} ({sender}): {message}`,
+    space_premium: { one: `💎 {plan} para "{space}" - cobre seu {count} membro por {price}/mês:\n{features}\n\n{url}`, other: `💎 {plan} para "{space}" - cobre todos os {count} membros por {price}/mês:\n{features}\n\n{url}` },
+    space_premium_welcome: `💎 "{space}" agora é premium! Lembretes ilimitados para cada membro até {date}.`,
+    space_premium_hint: `\n\n🏠 Ou cubra todos em "{space}" de uma vez: "space premium {space}"`,
+    list_space_header: `🏠 {space}\n`,
+    calendar_feed: `📆 Seus lembretes como calendário:\n{url}\n\nAdicione como calendário assinado (iPhone: Ajustes → Calendário → Contas → Adicionar Calendário Assinado; Google Agenda: Outras agendas → Do URL).\n\n🔒 Mantenha o link privado - "calendar reset" cria um novo, "calendar off" desativa.\n📨 Você também pode me encaminhar convites de calendário (.ics)!`,
+    calendar_reset: `🔄 Novo link do calendário - o antigo não funciona mais:\n{url}`,
+    calendar_off: `📆 Calendário desativado. "calendar" cria um novo link quando quiser.`,
+    ics_calendar_name: `Lembretes`,
+    ics_none: `📆 Não encontrei eventos futuros nesse arquivo de calendário.`,
+    ics_error: `❌ Não consegui ler esse arquivo de calendário. Tente exportar o evento de novo como .ics.`,
+    ics_setup_first: `👋 Vamos terminar sua configuração primeiro - depois envie o convite de novo.`,
+    retry_done: {
+      one: `✅ {count} lembrete movido!\n\n{items}`,
+      other: `✅ {count} lembretes movidos!\n\n{items}`
+    },
+    first_occurrence: `Primeiro: {when}`,
+    reminder_set: `✅ Lembrete criado!\n\n"{message}"\n{tags}{recurrence}{alerts}📅 {time}\n\nTudo pronto, {name}! 🎯`,
+    reminder_save_error: `❌ Não consegui salvar o lembrete. Tente de novo.`,
+    time_passed: `⚠️ Esse horário já passou, {name}.\n\nTente: "{task} amanhã às 9h"`,
+    ask_when: `Quando devo te lembrar? 🕒\n\n"{task} hoje às 17h"`,
+    need_what_when: `Diga o que e quando:\n\n"tomar o remédio hoje às 20h"`,
+    declined: `Sem problema! 👍\n\nMande seu lembrete assim:\n"academia hoje às 19h"`,
+    nothing_to_confirm: `Nada esperando um sim/não agora 😊\n\nMande um lembrete assim:\n"academia hoje às 19h"`,
+    rate_limited: `⚠️ Mais devagar! Espere um momento antes de enviar outra mensagem.`,
+    something_went_wrong: `❌ Algo deu errado. Tente de novo em instantes.`,
+    follow_ups_off: `👀 Lembretes de acompanhamento desligados`,
+    follow_ups_all: `👀 Acompanhamento para todos os lembretes - após {minutes} min sem um "feito"`,
+    follow_ups_high: `👀 Acompanhamento para lembretes 🔴 de alta prioridade - após {minutes} min sem um "feito"`,
+    follow_ups_usage: `👀 Experimente "nudges off", "nudges high", "nudges all" ou "nudges 15 min"`,
+    assistant_fallback: `Oi {name}! Estou aqui para ajudar com lembretes. Do que você quer que eu te lembre? 😊`,
+    assistant_unavailable: `Estou aqui para ajudar com seus lembretes! Do que posso te lembrar hoje? 😊`,
+    redirect: `Oi {name}! 😊\n\nSou especialista em lembretes para facilitar sua vida!\n\n💡 Experimente:\n• "academia às 19h"\n• "ligar para a mãe amanhã às 15h"\n• "lista"\n• "premium" para assinar`,
+    help: `👋 Oi {name}! Isto é o que eu entendo:\n\n⏰ "academia às 19h" / "ligar para a mãe amanhã às 15h"\n🔄 "regar as plantas toda segunda às 9h"\n📋 "lista"\n✏️ "editar 2"\n❌ "cancelar 2" ou "cancelar academia"\n😴 "adiar 10 min"\n✅ "feito"\n📊 "stats"\n👀 "nudges off|high|all"\n⏳ "heads up 30 min|off"\n☀️ "digest at 7am|off"\n🌙 "quiet 23:00-07:00|off"\n👤 "remind Mom to ..." / "contact Mom +90..."\n🏠 "space create Family" / "family: bins out every Tuesday 8pm"\n📆 "calendar" / forward an invite (.ics)\n🌍 "idioma"\n💎 "premium" / 💳 "billing"`,
+    premium_limit: {
+      one: `🚫 Limite diário atingido, {name}!\n\nVocê usou todos os {limit} lembretes de hoje que seu plano permite.\n⏰ Reinicia em {count} hora\n\n💎 **Vantagens Premium:**\n{features}\n\n🚀 Assine agora por {price}/mês: {url}\n\nDúvidas? É só perguntar! 😊`,
+      other: `🚫 Limite diário atingido, {name}!\n\nVocê usou todos os {limit} lembretes de hoje que seu plano permite.\n⏰ Reinicia em {count} horas\n\n💎 **Vantagens Premium:**\n{features}\n\n🚀 Assine agora por {price}/mês: {url}\n\nDúvidas? É só perguntar! 😊`
+    },
+    premium_active: `💎 Você é Premium! ✨\n\n🎉 Lembretes ilimitados ativos\n📅 Válido até: {date}\n\n❤️ Obrigado pelo apoio!`,
+    premium_never: `Sem validade`,
+    premium_features: `💎 Recursos Premium:\n\n{features}\n\n💰 Só {price}/mês\n\n🚀 Assine: {url}\n\nDúvidas? É só perguntar! 😊`,
+    premium_welcome: `🎉 Bem-vindo ao Premium, {name}! ✨\n\n💎 Agora você tem:\n{features}\n\n📅 Válido até: {date}\n\nObrigado! 🙏`,
+    plan_feature_unlimited_daily: `Lembretes ilimitados todos os dias`,
+    plan_feature_daily: { one: `{count} lembrete por dia`, other: `{count} lembretes por dia` },
+    plan_feature_unlimited_active: `Sem limite de lembretes pendentes`,
+    plan_feature_active: { one: `Até {count} lembrete pendente`, other: `Até {count} lembretes pendentes` },
+    plan_feature_snoozes: { one: `{count} adiamento por lembrete`, other: `{count} adiamentos por lembrete` },
+    plan_feature_recurrence: `Lembretes recorrentes`,
+    plan_feature_voice: `Lembretes por mensagem de voz`,
+    plan_feature_languages: `Todos os idiomas`,
+    plan_feature_history: { one: `{count} dia de histórico`, other: `{count} dias de histórico` },
+    plan_feature_members: { one: `Até {count} membro`, other: `Até {count} membros` },
+    active_limit: `🚫 Você tem {limit} lembretes pendentes, {name} - é o máximo do seu plano.\n\nConclua ou cancele um para adicionar mais, ou faça upgrade por {price}/mês:\n{features}\n\n🚀 Faça upgrade agora: {url}`,
+    recurrence_locked: `🔄 Lembretes recorrentes são um recurso Premium.\n\nCrie uma única vez sem "toda", ou faça upgrade: {url}`,
+    language_locked: `🌍 {language} é um idioma Premium.\n\n🚀 Upgrade: {url}`,
+    premium_renewed: `💎 Premium renovado - válido até {date}. Obrigado! 🙏`,
+    premium_payment_failed: `⚠️ Seu pagamento do premium não foi concluído.\n\nVocê mantém o premium até {date} enquanto tentamos de novo - confira seus dados de pagamento:\n{url}`,
+    premium_grace_warning: `⏰ O premium termina em {date} se o pagamento não for concluído.\n\nAtualize seus dados de pagamento:\n{url}`,
+    premium_downgraded: `💎 Seu premium terminou - você voltou ao plano gratuito. Seus lembretes continuam aqui.\n\nRenove quando quiser: {url}`,
+    premium_cancelled: `💎 Sua assinatura foi cancelada. O premium continua ativo até {date}.`,
+    premium_refunded: `💳 Seu pagamento foi reembolsado e o premium foi desativado. Seus lembretes continuam aqui.`,
+    premium_cancel_done: `✅ Renovação cancelada - você mantém o premium até {date}.\n\nMudou de ideia? "premium" para assinar de novo.`,
+    premium_cancel_nothing: `💎 Nada renova automaticamente - o premium simplesmente termina em {date}.`,
+    premium_cancel_not_premium: `💎 Você está no plano gratuito - não há nada para cancelar.`,
+    premium_cancel_error: `❌ Não consegui cancelar a assinatura agora. Você pode gerenciá-la aqui:\n{url}`,
+    billing_free: `💳 Plano: Gratuito\n\n"premium" mostra o que você ganha com o upgrade.`,
+    billing_space: `💳 Plano: Premium por um espaço, até {date}\n\nO dono do espaço gerencia o pagamento.`,
+    billing_renews: `💳 Plano: Premium\n🔄 Renova em {date} ({method})\n\n"cancel premium" interrompe a renovação - você mantém o premium até lá.\n⚙️ Dados de pagamento: {url}`,
+    billing_ends: `💳 Plano: Premium\n📅 Termina em {date} - não renova automaticamente.\n\n"premium" para estender.`,
+    billing_past_due: `💳 Plano: Premium - ⚠️ o último pagamento falhou\n⏳ Período de carência até {date}\n\nAtualize seus dados de pagamento:\n{url}`,
+    delivery_reply_hint: `Responda "feito" ✅ ou "adiar 10 min"`,
+    delivery_missed: `⚠️ Perdido enquanto estávamos offline: {message}\n\n🕒 Era para: {time}\n\nDesculpe, {name}! 🙏`,
+    snoozed: {
+      one: `😴 Adiado: "{message}"\n📅 {time}\n\nResta {count} adiamento`,
+      other: `😴 Adiado: "{message}"\n📅 {time}\n\nRestam {count} adiamentos`
+    },
+    acknowledged: `🎉 Mandou bem, {name}!\n\n✅ "{message}" feito`,
+    snooze_nothing: `Nada para adiar agora, {name}! 😴\n\nResponda logo que um lembrete chegar:\n• "adiar 10 min"\n• "adiar 1 hora"`,
+    snooze_limit: {
+      one: `⏰ "{message}" já foi adiado uma vez.\n\nHora de fazer, {name}! 💪`,
+      other: `⏰ "{message}" já foi adiado {count} vezes.\n\nHora de fazer, {name}! 💪`
+    },
+    snooze_upgrade_hint: `\n\n💎 O Premium permite {count} adiamentos por {price}/mês: {url}`,
+    snooze_unreadable: `⚠️ Não entendi esse tempo para adiar.\n\nTente: "adiar 10 min" ou "adiar 1 hora"`,
+    snooze_error: `❌ Erro ao adiar o lembrete. Tente novamente.`,
+    ack_nothing: `Nada esperando um "feito", {name}! 👍\n\n💡 "lista" mostra o que vem por aí`,
+    ack_error: `❌ Erro ao salvar. Tente novamente.`,
+    stats_empty: `📊 Ainda não há lembretes concluídos, {name}!\n\n💡 Responda "feito" quando um lembrete chegar`,
+    stats_header: {
+      one: `📊 Últimos {days} dias, {name}:\n\n✅ {percent}% feito ({count} lembrete)`,
+      other: `📊 Últimos {days} dias, {name}:\n\n✅ {percent}% feito ({count} lembretes)`
+    },
+    stats_row: `• {category}: {percent}% ({done}/{total})`,
+    follow_up_nudge: `👀 Conseguiu fazer, {name}?\n\n"{message}"\n\nResponda "feito" ✅ ou "adiar 30 min"`,
+    follow_up_member_nudge: `👀 "{message}" - ainda em aberto\n\nResponda "feito" ✅ ou "adiar 30 min"`,
+    edit_none: `Nenhum lembrete para editar, {name}! 📋`,
+    edit_prompt: `✏️ Editando: "{message}"\n📅 Atual: {time}\n\nEnvie o novo lembrete com o horário:\nExemplo: "academia amanhã às 20h"`,
+    edit_which: `Qual lembrete você quer editar, {name}? ✏️`,
+    edit_reply_hint: `Responda: "editar 2"`,
+    edit_error: `❌ Erro ao editar o lembrete. Tente novamente.`,
+    edit_updated: `✅ Atualizado!\n\n"{message}"\n{alerts}📅 {time}\n\nPerfeito, {name}! ✏️`,
+    edit_time_passed: `⚠️ Esse horário já passou. Tente um horário futuro:\n"{task} amanhã às 9h"`,
+    edit_needs_time: `Inclua a tarefa e o horário:\n"academia amanhã às 20h"`,
+    edit_update_error: `❌ Erro ao atualizar o lembrete. Tente novamente.`,
+    recurrence_fallback: `recorrente`,
+    recurrence_hourly: { one: `toda hora`, other: `a cada {count} horas` },
+    recurrence_daily: { one: `todo dia`, other: `a cada {count} dias` },
+    recurrence_weekly: { one: `toda semana`, other: `a cada {count} semanas` },
+    recurrence_weekly_on: { one: `toda semana: {days}`, other: `a cada {count} semanas: {days}` },
+    recurrence_weekdays: `todo dia útil`,
+    recurrence_weekends: `todo fim de semana`,
+    recurrence_monthly: { one: `todo mês`, other: `a cada {count} meses` },
+    recurrence_monthly_on: { one: `todo mês no dia {day}`, other: `a cada {count} meses no dia {day}` },
+    recurrence_monthly_last_day: { one: `todo mês no último dia`, other: `a cada {count} meses no último dia` },
+    recurrence_monthly_nth: { one: `todo mês: {which} {weekday}`, other: `a cada {count} meses: {which} {weekday}` },
+    recurrence_ordinals: `primeira|segunda|terceira|quarta|quinta|última`,
+    recurrence_yearly: { one: `todo ano`, other: `a cada {count} anos` },
+    recurrence_until: ` até {date}`,
+    recurrence_times: { one: ` (uma vez)`, other: ` ({count} vezes)` },
+    language_set: `🌍 Idioma definido: {language} ✅`,
+    language_usage: `🌍 Idioma atual: {language}\n\nDisponíveis: {languages}\n\nExemplo: "idioma english"`,
+    voice_heard: `🎙️ Ouvi: "{transcript}"`,
+    voice_premium_only: `🎙️ Lembretes por mensagem de voz são um recurso Premium.\n\nDigite seu lembrete ou faça o upgrade: {url}`,
+    voice_unavailable: `🎙️ Não consigo ouvir mensagens de voz agora - por favor digite seu lembrete.`,
+    voice_failed: `🎙️ Desculpe, não consegui entender essa mensagem de voz. Tente de novo ou digite seu lembrete.`,
+    motivation_friendly: [
+      `⏰ {task}!\n\n💪 Você consegue, {name}!`,
+      `🔔 {task}!\n\n🌟 Hora de brilhar, {name}!`,
+      `⏰ {task}!\n\n🚀 Vamos nessa, {name}!`,
+      `🔔 {task}!\n\n✨ Você é incrível, {name}!`
+    ],
+    motivation_motivational: [
+      `⏰ {task}!\n\n🔥 O sucesso te espera, {name}!`,
+      `🔔 {task}!\n\n💎 Faça acontecer, {name}!`,
+      `⏰ {task}!\n\n⚡ Vai com tudo, {name}!`,
+      `🔔 {task}!\n\n🎯 Hora de focar, {name}!`
+    ],
+    motivation_professional: [
+      `⏰ {task}!\n\n📋 Tarefa agendada, {name}.`,
+      `🔔 {task}!\n\n✅ Ação necessária, {name}.`,
+      `⏰ {task}!\n\n🎯 Tarefa prioritária, {name}.`
+    ]
+  }
+};
+
+const pluralRules = {};
+
+function getLanguage(user) {
+  return SUPPORTED_LANGUAGES[user?.language] ? user.language : 'en';
+}
+
+function getLocale(language) {
+  return (SUPPORTED_LANGUAGES[language] || SUPPORTED_LANGUAGES.en).locale;
+}
+
+// t('tr', 'snoozed', { message, time, count: 2 }) - falls back to English for missing keys
+function t(language, key, params = {}) {
+  let entry = MESSAGES[language]?.[key] ?? MESSAGES.en[key];
+  if (entry === undefined) {
+    logger.warn(`Missing message key: ${key}`);
+    return key;
+  }
+  
+  if (Array.isArray(entry)) {
+    entry = entry[Math.floor(Math.random() * entry.length)];
+  } else if (typeof entry === 'object') {
+    const rules = pluralRules[language] || (pluralRules[language] = new Intl.PluralRules(getLocale(language)));
+    entry = entry[rules.select(Number(params.count) || 0)] ?? entry.other;
+  }
+  
+  return entry.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined && params[name] !== null ? params[name] : match);
+}
+
+// LANGUAGE DETECTION - message words first, phone country code as the fallback
+// Words that are also English ("bin", "soy", "las") are left out - "put the bin out" is not German
+const LANGUAGE_HINTS = {
+  tr: { words: ['merhaba', 'selam', 'hatırlat', 'yarın', 'bugün', 'saat', 'dakika', 'sonra', 'akşam', 'sabah', 'lütfen', 'teşekkür', 'benim', 'adım'], letters: /[ğış]/i },
+  es: { words: ['hola', 'recuérdame', 'recordar', 'mañana', 'hoy', 'minutos', 'tarde', 'noche', 'gracias', 'por favor', 'me llamo'], letters: /[ñ¿¡]/i },
+  de: { words: ['hallo', 'erinnere', 'erinnerung', 'morgen', 'heute', 'uhr', 'minuten', 'abends', 'bitte', 'danke', 'ich', 'heiße'], letters: /ß/i },
+  pt: { words: ['olá', 'lembre', 'lembrete', 'amanhã', 'hoje', 'às', 'minutos', 'noite', 'obrigado', 'obrigada', 'meu nome'], letters: /[ãõ]/i }
+};
+// A language needs this many points (a word is 1, its letters 2) and a clear lead over the next one
+const LANGUAGE_MIN_SCORE = 2;
+
+const PHONE_LANGUAGE_PREFIXES = [
+  ['+90', 'tr'],
+  ['+351', 'pt'], ['+55', 'pt'], ['+244', 'pt'], ['+258', 'pt'],
+  ['+49', 'de'], ['+43', 'de'], ['+41', 'de'],
+  ['+34', 'es'], ['+52', 'es'], ['+54', 'es'], ['+56', 'es'], ['+57', 'es'], ['+51', 'es'], ['+58', 'es'],
+  ['+593', 'es'], ['+591', 'es'], ['+595', 'es'], ['+598', 'es'], ['+502', 'es'], ['+503', 'es'], ['+506', 'es']
+];
+
+function containsWord(text, word) {
+  return new RegExp(`(?<!\\p{L})${word}(?!\\p{L})`, 'iu').test(text);
+}
+
+function detectLanguage(messageText, phoneNumber = '') {
+  const text = (messageText || '').toLowerCase();
+  const [best, runnerUp] = Object.entries(LANGUAGE_HINTS)
+    .map(([language, hints]) => ({
+      language,
+      score: hints.words.filter(word => containsWord(text, word)).length + (hints.letters.test(text) ? 2 : 0)
+    }))
+    .sort((a, b) => b.score - a.score);
+  
+  if (best.score >= LANGUAGE_MIN_SCORE && best.score > runnerUp.score) return best.language;
+  
+  const prefix = PHONE_LANGUAGE_PREFIXES
+    .filter(([code]) => phoneNumber.startsWith(code))
+    .sort((a, b) => b[0].length - a[0].length)[0];
+  return prefix ? prefix[1] : 'en';
+}
+
+// "language", "language tr", "dil türkçe", "idioma español", "sprache deutsch"
+async function updateLanguage(user, messageText) {
+  const language = getLanguage(user);
+  const requested = (messageText.trim().match(LANGUAGE_COMMAND)?.[1] || '').toLowerCase();
+  const available = Object.values(SUPPORTED_LANGUAGES).map(entry => entry.name).join(', ');
+  
+  const match = Object.entries(SUPPORTED_LANGUAGES).find(([code, entry]) => 
+    requested === code || requested === entry.name.toLowerCase() || entry.aliases.includes(requested)
+  );
+  
+  if (!match) {
+    return t(language, 'language_usage', { language: SUPPORTED_LANGUAGES[language].name, languages: available });
+  }
+  
+  const { languages } = getUserPlan(user);
+  if (languages && !languages.includes(match[0])) {
+    return t(language, 'language_locked', { language: match[1].name, url: planPaymentUrl(PLAN_CATALOG.premium) });
+  }
+  
+  user.language = match[0];
+  await user.save();
+  await trackEvent(user.userId, 'language_changed', { from: language, to: match[0] });
+  
+  return t(match[0], 'language_set', { language: match[1].name });
+}
+
+// LOCALIZED TIME WORDS - relative phrases, day words and day periods per language.
+// Spanish/German/Portuguese also go through chrono's locale parsers; Turkish has none.
+const PERIOD_HOURS = {
+  morning: [8, 0],
+  afternoon: [14, 0],
+  evening: [18, 0],
+  night: [20, 0],
+  noon: [12, 0],
+  midnight: [0, 0]
+};
+
+const LOCALIZED_TIME = {
+  tr: {
+    relative: /(\d+)\s*(dakika|dk|saat|gün)\s*(?:sonra|içinde)/iu,
+    hourUnits: ['saat'],
+    dayUnits: ['gün'],
+    days: [['öbür gün', 2], ['yarından sonra', 2], ['yarın', 1], ['bugün', 0]],
+    periods: [['gece yarısı', 'midnight'], ['öğleden sonra', 'afternoon'], ['öğlen', 'noon'], ['öğle', 'noon'], ['sabah', 'morning'], ['akşam', 'evening'], ['gece', 'night']],
+    // "saat 15:30", "saat 9'da" or a bare "9'da"
+    at: /saat\s*(\d{1,2})(?:[:.](\d{2}))?(?:'?[dt][ae])?|(\d{1,2})(?:[:.](\d{2}))?'[dt][ae]/iu,
+    recurring: recurringPhrases('her', {
+      gün: 'day', hafta: 'week', ay: 'month', yıl: 'year', sabah: 'morning', akşam: 'evening', gece: 'night',
+      'hafta içi': 'weekday', 'hafta sonu': 'weekend',
+      pazartesi: 'monday', salı: 'tuesday', çarşamba: 'wednesday', perşembe: 'thursday', cumartesi: 'saturday', cuma: 'friday', pazar: 'sunday'
+    }, { 'her gün': 'daily' }, '(?:\\s+günü)?')
+  },
+  es: {
+    chrono: chrono.es,
+    relative: /(?:en|dentro de)\s+(\d+)\s*(minutos?|min|horas?|días?)/iu,
+    hourUnits: ['hora', 'horas'],
+    dayUnits: ['día', 'días'],
+    days: [['pasado mañana', 2], ['mañana', 1], ['hoy', 0]],
+    periods: [['por la mañana', 'morning'], ['de la mañana', 'morning'], ['mediodía', 'noon'], ['medianoche', 'midnight'], ['por la tarde', 'afternoon'], ['de la tarde', 'afternoon'], ['por la noche', 'night'], ['de la noche', 'night'], ['esta noche', 'night']],
+    at: /a\s+las?\s+(\d{1,2})(?:[:.](\d{2}))?/iu,
+    weekdays: /(?:(?:el|este|próximo)\s+)?(?:lunes|martes|miércoles|miercoles|jueves|viernes|sábado|sabado|domingo)/giu,
+    recurring: recurringPhrases('(?:cada|todos los|todas las)', {
+      día: 'day', días: 'day', semana: 'week', semanas: 'week', mes: 'month', meses: 'month', año: 'year', años: 'year',
+      mañanas: 'morning', tardes: 'afternoon', noches: 'night',
+      lunes: 'monday', martes: 'tuesday', miércoles: 'wednesday', jueves: 'thursday', viernes: 'friday',
+      sábado: 'saturday', sábados: 'saturday', domingo: 'sunday', domingos: 'sunday'
+    }, { diariamente: 'daily', semanalmente: 'weekly', mensualmente: 'monthly' })
+  },
+  de: {
+    chrono: chrono.de,
+    relative: /in\s+(\d+)\s*(minuten?|min|stunden?|std|tagen?)/iu,
+    hourUnits: ['stunde', 'stunden', 'std'],
+    dayUnits: ['tag', 'tage', 'tagen'],
+    days: [['übermorgen', 2], ['morgen', 1], ['heute', 0]],
+    periods: [['mitternacht', 'midnight'], ['mittags', 'noon'], ['mittag', 'noon'], ['nachmittags', 'afternoon'], ['nachmittag', 'afternoon'], ['morgens', 'morning'], ['früh', 'morning'], ['vormittags', 'morning'], ['abends', 'evening'], ['abend', 'evening'], ['nachts', 'night']],
+    at: /um\s+(\d{1,2})(?:[:.](\d{2}))?(?:\s*uhr)?/iu,
+    weekdays: /(?:(?:am|diesen|nächsten)\s+)?(?:montag|dienstag|mittwoch|donnerstag|freitag|samstag|sonntag)/giu,
+    recurring: recurringPhrases('(?:jeden|jede|jedes)', {
+      tag: 'day', woche: 'week', monat: 'month', jahr: 'year', morgen: 'morning', abend: 'evening',
+      montag: 'monday', dienstag: 'tuesday', mittwoch: 'wednesday', donnerstag: 'thursday', freitag: 'friday', samstag: 'saturday', sonntag: 'sunday'
+    }, {
+      täglich: 'daily', wöchentlich: 'weekly', monatlich: 'monthly', jährlich: 'yearly', werktags: 'every weekday',
+      montags: 'every monday', dienstags: 'every tuesday', mittwochs: 'every wednesday', donnerstags: 'every thursday',
+      freitags: 'every friday', samstags: 'every saturday', sonntags: 'every sunday'
+    })
+  },
+  pt: {
+    chrono: chrono.pt,
+    relative: /(?:em|daqui a)\s+(\d+)\s*(minutos?|min|horas?|dias?)/iu,
+    hourUnits: ['hora', 'horas'],
+    dayUnits: ['dia', 'dias'],
+    days: [['depois de amanhã', 2], ['amanhã', 1], ['hoje', 0]],
+    periods: [['meia-noite', 'midnight'], ['meio-dia', 'noon'], ['de manhã', 'morning'], ['pela manhã', 'morning'], ['à tarde', 'afternoon'], ['de tarde', 'afternoon'], ['à noite', 'night'], ['de noite', 'night']],
+    at: /(?:às|as)\s+(\d{1,2})(?:[:.h](\d{2}))?h?/iu,
+    weekdays: /(?:(?:na|no|nesta|neste|próxima|próximo)\s+)?(?:segunda|terça|terca|quarta|quinta|sexta)(?:-feira)?|(?:(?:no|neste|próximo)\s+)?(?:sábado|sabado|domingo)/giu,
+    recurring: recurringPhrases('(?:todo|toda|todos os|todas as|cada)', {
+      dia: 'day', dias: 'day', semana: 'week', semanas: 'week', mês: 'month', meses: 'month', ano: 'year', anos: 'year',
+      manhã: 'morning', manhãs: 'morning', noite: 'night', noites: 'night',
+      segunda: 'monday', segundas: 'monday', terça: 'tuesday', terças: 'tuesday', quarta: 'wednesday', quartas: 'wednesday',
+      quinta: 'thursday', quintas: 'thursday', sexta: 'friday', sextas: 'friday',
+      sábado: 'saturday', sábados: 'saturday', domingo: 'sunday', domingos: 'sunday'
+    }, { diariamente: 'daily', semanalmente: 'weekly', mensalmente: 'monthly' }, '(?:-feiras?)?')
+  }
+};
+
+// "her pazartesi", "todos los lunes", "jeden Montag", "montags" → the English words parseRecurrence knows
+function recurringPhrases(every, terms, adverbs = {}, suffix = '') {
+  const alternatives = list => Object.keys(list).sort((a, b) => b.length - a.length).join('|');
+  return {
+    pattern: new RegExp(`(?<!\\p{L})(?:${every}\\s+(${alternatives(terms)})${suffix}|(${alternatives(adverbs) || '(?!)'}))(?!\\p{L})`, 'giu'),
+    terms,
+    adverbs
+  };
+}
+
+// Clock times become "at H:MM" so parseTimeOfDay reads them too ("saat 9'da", "a las 9", "um 9 Uhr")
+function localizedRecurrenceToEnglish(text, language) {
+  const words = LOCALIZED_TIME[language];
+  if (!words) return text;
+  
+  const { pattern, terms, adverbs } = words.recurring;
+  const english = text.replace(pattern, (match, term, adverb) => term ? `every ${terms[term.toLowerCase()]}` : adverbs[adverb.toLowerCase()]);
+  if (english === text) return text;
+  
+  return english.replace(new RegExp(words.at.source, 'giu'), match => {
+    const [hours, minutes = '00'] = match.match(words.at).slice(1).filter(Boolean);
+    return ` at ${hours}:${minutes} `;
+  });
+}
+
+function removeWord(text, word) {
+  return text.replace(new RegExp(`(?<!\\p{L})${word}(?!\\p{L})`, 'giu'), ' ');
+}
+
+// Wall-clock Date for a localized time phrase, or null. English stays in parseReminderWithTimezone.
+function parseLocalizedTime(messageText, language, now, zone) {
+  const words = LOCALIZED_TIME[language];
+  if (!words) return null;
+  
+  const text = messageText.toLowerCase();
+  const userNow = toUserWallClock(now, zone);
+  
+  // "10 dakika sonra", "en 2 horas" - elapsed time
+  const relative = text.match(words.relative);
+  if (relative) {
+    const amount = parseInt(relative[1]);
+    const unit = relative[2].toLowerCase();
+    
+    if (words.dayUnits.includes(unit)) {
+      const parsed = new Date(userNow);
+      parsed.setUTCDate(parsed.getUTCDate() + amount);
+      return parsed;
+    }
+    const minutes = words.hourUnits.includes(unit) ? amount * 60 : amount;
+    return toUserWallClock(new Date(now.getTime() + minutes * 60 * 1000), zone);
+  }
+  
+  // chrono's locale parsers know weekdays and dates ("el viernes", "am 3. März")
+  let chronoStart = null;
+  if (words.chrono) {
+    try {
+      chronoStart = words.chrono.parse(messageText, { instant: now, timezone: getZoneOffsetMinutes(zone, now) }, { forwardDate: true })[0]?.start || null;
+    } catch (e) {
+      logger.warn('Chrono locale parsing failed:', e.message);
+    }
+  }
+  const chronoHasDate = chronoStart && (chronoStart.isCertain('day') || chronoStart.isCertain('weekday'));
+  const chronoHasHour = chronoStart && chronoStart.isCertain('hour');
+  
+  // Day words, day periods and clock times ("yarın sabah", "akşam 7", "mañana a las 5 de la tarde")
+  let rest = text;
+  let period = null;
+  let periodHour = null;
+  for (const [phrase, name] of words.periods) {
+    if (containsWord(rest, phrase)) {
+      period = name;
+      periodHour = rest.match(new RegExp(`(?<!\\p{L})${phrase}\\s+(\\d{1,2})(?:[:.](\\d{2}))?(?![\\d:])`, 'iu'));
+      rest = removeWord(rest, phrase);
+      break;
+    }
+  }
+  
+  let dayOffset = null;
+  for (const [phrase, offset] of words.days) {
+    if (containsWord(rest, phrase)) {
+      dayOffset = offset;
+      rest = removeWord(rest, phrase);
+      break;
+    }
+  }
+  
+  const clock = rest.match(words.at) || periodHour || rest.match(/(\d{1,2})[:.](\d{2})/);
+  if (!clock && !period && dayOffset === null && !chronoHasDate && !chronoHasHour) return null;
+  
+  let parsed = new Date(userNow);
+  if (dayOffset !== null) {
+    parsed.setUTCDate(parsed.getUTCDate() + dayOffset);
+  } else if (chronoHasDate) {
+    parsed = new Date(Date.UTC(chronoStart.get('year'), chronoStart.get('month') - 1, chronoStart.get('day')));
+  }
+  
+  let hours = null;
+  let minutes = 0;
+  if (clock) {
+    hours = parseInt(clock[1] ?? clock[3]);
+    minutes = parseInt(clock[2] ?? clock[4] ?? 0);
+  } else if (chronoHasHour) {
+    hours = chronoStart.get('hour');
+    minutes = chronoStart.get('minute');
+  }
+  
+  if (hours !== null) {
+    // "akşam 7", "a las 5 de la tarde" - a period turns small hours into PM
+    if (hours < 12 && ['afternoon', 'evening', 'night'].includes(period)) hours += 12;
+    parsed.setUTCHours(hours, minutes, 0, 0);
+  } else if (period) {
+    parsed.setUTCHours(...PERIOD_HOURS[period], 0, 0);
+  } else {
+    parsed.setUTCHours(9, 0, 0, 0); // Day only - morning default
+  }
+  
+  // No day given and the time already passed - tomorrow
+  if (dayOffset === null && !chronoHasDate && parsed <= userNow) {
+    parsed.setUTCDate(parsed.getUTCDate() + 1);
+  }
+  
+  return parsed;
+}
+
+// Localized time phrases stripped from the task text ("yarın saat 10 annemi ara" → "annemi ara")
+function stripLocalizedTimePhrases(task, language) {
+  const words = LOCALIZED_TIME[language];
+  if (!words) return task;
+  
+  // Recurring phrases go first - "todos los lunes" would otherwise lose "lunes" to the weekdays below
+  let text = task.replace(words.recurring.pattern, ' ');
+  text = text.replace(new RegExp(words.relative.source, 'giu'), ' ').replace(new RegExp(words.at.source, 'giu'), ' ');
+  words.periods.forEach(([phrase]) => {
+    text = text.replace(new RegExp(`(?<!\\p{L})${phrase}(?:\\s+\\d{1,2}(?:[:.]\\d{2})?(?![\\d:]))?(?!\\p{L})`, 'giu'), ' ');
+  });
+  words.days.forEach(([phrase]) => {
+    text = removeWord(text, phrase);
+  });
+  if (words.weekdays) text = text.replace(words.weekdays, ' ');
+  
+  return text.replace(/\d{1,2}[:.]\d{2}(?:'?d[ae])?/g, ' ');
+}
+
+// ENHANCED usage check with timezone-aware reset
+// requested > 1 checks a batch; allowed says how many of it still fit today's quota
+async function checkUsageLimits(user, requested = 1) {
+  const now = new Date();
+  
+  // CHECK PREMIUM STATUS FIRST
+  if (user.isPremium && user.premiumExpiresAt && premiumUntil(user) < now) {
+    user.isPremium = false;
+    user.premiumExpiresAt = null;
+    user.voiceEnabled = false;
+    logger.info(`Premium expired for user ${user.userId}`);
+    await user.save();
+  }
+  
+  const plan = getUserPlan(user);
+  
+  // Calculate user's midnight for reset
+  const timeZone = resolveTimeZone(user.timezone);
+  const isSameDay = getLocalDateKey(now, timeZone) === getLocalDateKey(user.lastResetDate, timeZone);
+  
+  if (!isSameDay) {
+    logger.info(`Daily reset for user ${user.userId} (timezone: ${timeZone})`);
+    user.reminderCount = 0;
+    user.lastResetDate = now;
+    await user.save();
+  }
+  
+  // Calculate next reset time in user's timezone
+  const nextMidnight = toUserWallClock(now, timeZone);
+  nextMidnight.setUTCHours(24, 0, 0, 0);
+  const nextResetUTC = fromUserWallClock(nextMidnight, timeZone);
+  
+  const dailyLeft = plan.dailyReminders === null ? Infinity : Math.max(0, plan.dailyReminders - user.reminderCount);
+  const activeLeft = plan.activeReminders === null 
+    ? Infinity 
+    : Math.max(0, plan.activeReminders - await Reminder.countDocuments({ userId: user.userId, kind: { $ne: 'pre_alert' }, isCompleted: false }));
+  const remaining = Math.min(dailyLeft, activeLeft);
+  
+  return {
+    withinLimit: remaining > 0,
+    remaining: remaining === Infinity ? 999999 : remaining,
+    allowed: Math.min(requested, remaining),
+    isPremium: plan.id !== 'free',
+    plan,
+    limitType: activeLeft < dailyLeft ? 'active' : 'daily',
+    resetTime: dailyLeft === Infinity ? null : nextResetUTC
+  };
+}
+
+// MIGRATION: legacy integer timezoneOffset → IANA timezone (best guess)
+async function migrateTimezones() {
+  try {
+    const users = await User.find({ 
+      $or: [{ timezone: { $exists: false } }, { timezone: null }] 
+    }).select('userId timezoneOffset');
+    
+    for (const user of users) {
+      const timeZone = offsetToTimeZone(user.timezoneOffset);
+      await User.updateOne({ _id: user._id }, { timezone: timeZone });
+      await Reminder.updateMany(
+        { userId: user.userId, userTimezone: { $type: 'number' } },
+        { userTimezone: timeZone }
+      );
+    }
+    
+    // Reminders whose owner was already migrated or deleted
+    const legacyOffsets = await Reminder.distinct('userTimezone', { userTimezone: { $type: 'number' } });
+    for (const offset of legacyOffsets) {
+      // Native driver - the schema would cast the numeric filter to a string
+      await Reminder.collection.updateMany(
+        { userTimezone: offset },
+        { $set: { userTimezone: offsetToTimeZone(offset) } }
+      );
+    }
+    
+    if (users.length > 0 || legacyOffsets.length > 0) {
+      logger.info(`🌍 Migrated ${users.length} users to IANA timezones`);
+    }
+  } catch (error) {
+    logger.error('Timezone migration failed:', error);
+  }
+}
+
+// ANALYTICS TRACKING FUNCTION
+async function trackEvent(userId, event, metadata = {}) {
+  try {
+    await Analytics.create({ userId, event, metadata });
+  } catch (error) {
+    logger.error('Analytics tracking failed', { userId, event, error: error.message });
+  }
+}
+
+// LLM PROVIDERS - openai, compatible (any OpenAI-style server via LLM_BASE_URL), stub (tests) or none
+// Each provider implements complete({ system, prompt, maxTokens, temperature }) → { text, tokens }
+const LLM = {
+  PROVIDER: (process.env.LLM_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'none')).toLowerCase(),
+  MODEL: process.env.LLM_MODEL || 'gpt-4o-mini',
+  MAX_TOKENS: parseInt(process.env.LLM_MAX_TOKENS) || 200, // SHORTER RESPONSES as requested
+  TIMEOUT_MS: parseInt(process.env.LLM_TIMEOUT_MS) || 8000,
+  GLOBAL_DAILY_TOKENS: parseInt(process.env.LLM_GLOBAL_DAILY_TOKENS) || 1000000,
+  BREAKER_THRESHOLD: 5, // Consecutive failures before the circuit opens
+  BREAKER_COOLDOWN_MS: 60 * 1000,
+  CACHE_TTL_MS: 24 * 60 * 60 * 1000,
+  CACHE_MAX_ENTRIES: 1000
+};
+
+function createOpenAICompatibleProvider(name, baseUrl, apiKey) {
+  return {
+    name,
+    model: LLM.MODEL,
+    
+    async complete({ system, prompt, maxTokens, temperature }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+      
+      const response = await axios.post(
+        `${baseUrl.replace(/\/$/, '')}/chat/completions`,
+        {
+          model: LLM.MODEL,
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: prompt }
+          ],
+          max_tokens: maxTokens,
+          temperature
+        },
+        { headers, timeout: LLM.TIMEOUT_MS }
+      );
+      
+      return {
+        text: response.data.choices[0].message.content.trim(),
+        tokens: response.data.usage?.total_tokens || estimateTokens(system + prompt)
+      };
+    }
+  };
+}
+
+// Canned answers for offline runs: LLM_STUB_RESPONSES is a JSON file of { "<prompt>": <response>, "*": <default> }
+function createStubProvider() {
+  const responses = process.env.LLM_STUB_RESPONSES
+    ? JSON.parse(fs.readFileSync(process.env.LLM_STUB_RESPONSES, 'utf8'))
+    : {};
+  
+  return {
+    name: 'stub',
+    model: 'stub',
+    
+    async complete({ system, prompt }) {
+      const response = responses[prompt] ?? responses['*'] ?? { intent: 'non_reminder' };
+      return {
+        text: typeof response === 'string' ? response : JSON.stringify(response),
+        tokens: estimateTokens(system + prompt)
+      };
+    }
+  };
+}
+
+const LLM_PROVIDERS = {
+  openai: () => createOpenAICompatibleProvider('openai', process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1', process.env.OPENAI_API_KEY),
+  compatible: () => createOpenAICompatibleProvider('compatible', process.env.LLM_BASE_URL || 'http://localhost:8080/v1', process.env.LLM_API_KEY),
+  stub: createStubProvider,
+  none: () => null
+};
+
+if (!LLM_PROVIDERS[LLM.PROVIDER]) {
+  logger.error(`Unknown LLM_PROVIDER "${LLM.PROVIDER}" (use openai, compatible, stub or none)`);
+  process.exit(1);
+}
+
+const llmProvider = LLM_PROVIDERS[LLM.PROVIDER]();
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// CIRCUIT BREAKER - stop calling a failing provider, retry one request after the cooldown
+// probing: half-open - the one request let through after the cooldown is in flight
+const llmBreaker = { failures: 0, openUntil: 0, probing: false };
+const llmStats = { calls: 0, cacheHits: 0, failures: 0, budgetSkips: 0, breakerSkips: 0 };
+
+function llmCircuitState() {
+  if (llmBreaker.failures < LLM.BREAKER_THRESHOLD) return 'closed';
+  return Date.now() < llmBreaker.openUntil ? 'open' : 'half_open';
+}
+
+// False means the caller may go ahead - after the cooldown only the first caller does, as the probe
+function llmCircuitOpen() {
+  const state = llmCircuitState();
+  if (state === 'closed') return false;
+  if (state === 'open' || llmBreaker.probing) return true;
+  
+  llmBreaker.probing = true;
+  logger.info('🔌 LLM circuit half-open - sending one probe request');
+  return false;
+}
+
+function recordLlmSuccess() {
+  llmBreaker.failures = 0;
+  llmBreaker.probing = false;
+}
+
+// A failed probe re-opens the circuit for another cooldown
+function recordLlmFailure() {
+  llmStats.failures++;
+  llmBreaker.failures++;
+  llmBreaker.probing = false;
+  
+  if (llmBreaker.failures >= LLM.BREAKER_THRESHOLD) {
+    llmBreaker.openUntil = Date.now() + LLM.BREAKER_COOLDOWN_MS;
+    logger.warn(`🔌 LLM circuit open for ${LLM.BREAKER_COOLDOWN_MS / 1000}s after ${llmBreaker.failures} failures`);
+  }
+}
+
+// RESPONSE CACHE - identical prompts (e.g. the same city during setup) reuse the answer
+const llmCache = new Map();
+
+function getCachedLlmResponse(key) {
+  const entry = llmCache.get(key);
+  if (!entry) return undefined;
+  
+  if (entry.expiresAt < Date.now()) {
+    llmCache.delete(key);
+    return undefined;
+  }
+  return entry.value;
+}
+
+function setCachedLlmResponse(key, value) {
+  llmCache.delete(key);
+  llmCache.set(key, { value, expiresAt: Date.now() + LLM.CACHE_TTL_MS });
+  
+  // Map keeps insertion order - drop the oldest entries first
+  while (llmCache.size > LLM.CACHE_MAX_ENTRIES) {
+    llmCache.delete(llmCache.keys().next().value);
+  }
+}
+
+// TOKEN BUDGETS - per user and global, per UTC day
+function llmUsageDate() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+async function withinLlmBudget(userId, dailyTokens) {
+  try {
+    const date = llmUsageDate();
+    const usage = await LlmUsage.find({ date, key: { $in: ['global', userId].filter(Boolean) } }).lean();
+    const tokensFor = key => usage.find(row => row.key === key)?.tokens || 0;
+    
+    if (tokensFor('global') >= LLM.GLOBAL_DAILY_TOKENS) return false;
+    if (userId && dailyTokens && tokensFor(userId) >= dailyTokens) return false;
+    return true;
+  } catch (error) {
+    logger.error('LLM budget check failed:', error.message);
+    return true;
+  }
+}
+
+async function recordLlmUsage(userId, tokens) {
+  try {
+    const date = llmUsageDate();
+    await Promise.all(['global', userId].filter(Boolean).map(key =>
+      LlmUsage.updateOne(
+        { key, date },
+        { $inc: { tokens, requests: 1 }, $setOnInsert: { createdAt: new Date() } },
+        { upsert: true }
+      )
+    ));
+  } catch (error) {
+    logger.error('LLM usage tracking failed:', error.message);
+  }
+}
+
+// ENHANCED LLM call with personalization - null whenever the LLM is unavailable
+async function askChatGPT(prompt, systemMessage, userContext = {}, options = {}) {
+  // Optional layer - the rule parser covers everything without a provider
+  if (!llmProvider) return null;
+  
+  // Add user context to system message
+  const enhancedSystemMessage = `${systemMessage}
+
+USER CONTEXT:
+- Name: ${userContext.preferredName || 'User'}
+- Communication style: ${userContext.communicationStyle || 'friendly'}
+- Common tasks: ${userContext.commonTasks?.join(', ') || 'none'}
+- Timezone: ${userContext.timezone || 'UTC'}
+- Premium user: ${userContext.isPremium ? 'Yes' : 'No'}
+- Language: ${SUPPORTED_LANGUAGES[userContext.language]?.name || 'English'}
+
+Adapt your response to match their communication style and reference their common patterns when relevant. Write personalizedResponse in their language.`;
+
+  const cacheKey = crypto.createHash('sha256')
+    .update(`${llmProvider.model}\n${enhancedSystemMessage}\n${prompt}`)
+    .digest('hex');
+  
+  if (options.cache !== false) {
+    const cached = getCachedLlmResponse(cacheKey);
+    if (cached !== undefined) {
+      llmStats.cacheHits++;
+      return cached;
+    }
+  }
+  
+  if (!(await withinLlmBudget(userContext.userId, userContext.aiDailyTokens ?? PLAN_CATALOG.free.aiDailyTokens))) {
+    llmStats.budgetSkips++;
+    logger.warn('💸 LLM daily token budget reached', { userId: userContext.userId });
+    return null;
+  }
+  
+  // Checked last - a half-open probe must reach the provider
+  if (llmCircuitOpen()) {
+    llmStats.breakerSkips++;
+    return null;
+  }
+  
+  try {
+    logger.info(`🤖 ${llmProvider.name} analyzing with context...`);
+    llmStats.calls++;
+    
+    const { text, tokens } = await llmProvider.complete({
+      system: enhancedSystemMessage,
+      prompt,
+      maxTokens: options.maxTokens || LLM.MAX_TOKENS,
+      temperature: 0.4
+    });
+    
+    recordLlmSuccess();
+    await recordLlmUsage(userContext.userId, tokens);
+    logger.info(`✅ ${llmProvider.name} responded (${tokens} tokens)`);
+    
+    let result;
+    try {
+      result = JSON.parse(text);
+    } catch {
+      result = { raw: text };
+    }
+    
+    if (options.cache !== false) setCachedLlmResponse(cacheKey, result);
+    return result;
+  } catch (error) {
+    recordLlmFailure();
+    logger.error('LLM Error:', error.message);
+    return null;
+  }
+}
+
+// LEARNING SYSTEM - Update user patterns
+async function updateUserLearning(user, messageText, intent) {
+  try {
+    // Add to conversation history
+    user.conversationHistory.push({
+      message: messageText.substring(0, 100), // Limit length
+      intent: intent,
+      timestamp: new Date()
+    });
+    
+    // Keep only last 20 conversations
+    if (user.conversationHistory.length > 20) {
+      user.conversationHistory = user.conversationHistory.slice(-20);
+    }
+    
+    // Update activity
+    user.lastActiveAt = new Date();
+    
+    // Learn from patterns
+    const words = messageText.toLowerCase().split(' ');
+    const timeWords = words.filter(word => /\d/.test(word) || ['morning', 'evening', 'afternoon', 'night', 'noon'].includes(word));
+    const taskWords = words.filter(word => word.length > 3 && !['remind', 'reminder', 'please', 'could', 'would'].includes(word));
+    
+    // Update frequent keywords
+    taskWords.forEach(word => {
+      if (!user.behaviorPatterns.frequentKeywords.includes(word)) {
+        user.behaviorPatterns.frequentKeywords.push(word);
+      }
+    });
+    
+    // Keep only top 10 frequent keywords
+    if (user.behaviorPatterns.frequentKeywords.length > 10) {
+      user.behaviorPatterns.frequentKeywords = user.behaviorPatterns.frequentKeywords.slice(-10);
+    }
+    
+    // Track active hours in the user's own day
+    const currentHour = toUserWallClock(new Date(), user.timezone).getUTCHours();
+    if (!user.behaviorPatterns.mostActiveHours.includes(currentHour)) {
+      user.behaviorPatterns.mostActiveHours.push(currentHour);
+    }
+    
+    await user.save();
+  } catch (error) {
+    logger.error('Error updating user learning:', error);
+  }
+}
+
+// PRIORITY & CATEGORIES - explicit markers and keywords first, the LLM's hint second
+// "Not urgent" must be checked before "urgent", so low markers are matched and stripped first
+// "important" only counts as a marker with a colon or "!" - "important meeting" is just a meeting
+const PRIORITY_MARKERS = {
+  low: /(?<!\p{L})(?:low[- ]priority|not urgent|no rush|acele yok|önemsiz|sin prisa|no urgente|keine eile|nicht dringend|sem pressa|não urgente)(?!\p{L})[:!]*/giu,
+  high: /(?<!\p{L})(?:(?:high[- ]priority|top priority|urgent(?:ly)?|asap|acil|urgente|dringend)(?!\p{L})[:!]*|(?:important|önemli|importante|wichtig)[:!]+)|!{2,}/giu
+};
+const PRIORITY_EMOJI = { high: '🔴', medium: '🟡', low: '🟢' };
+
+// Keywords are regex sources matched as whole words - "pills?" and Turkish suffixes ("annem\p{L}*") included
+const REMINDER_CATEGORIES = {
+  health: {
+    emoji: '💊',
+    names: { en: 'health', tr: 'sağlık', es: 'salud', de: 'gesundheit', pt: 'saúde' },
+    keywords: ['pills?', 'meds', 'medicine', 'medication', 'vitamins?', 'doctor', 'dentist', 'therapy', 'gym', 'workout', 'yoga', 'go for a (?:run|walk)', 'drink water',
+      'ilaç\\p{L}*', 'doktor\\p{L}*', 'spor', 'medicina', 'pastillas?', 'médico', 'gimnasio', 'arzt', 'tabletten?', 'medikamente?', 'remédios?', 'academia']
+  },
+  work: {
+    emoji: '💼',
+    names: { en: 'work', tr: 'iş', es: 'trabajo', de: 'arbeit', pt: 'trabalho' },
+    keywords: ['meeting', 'standup', 'stand-up', 'emails?', 'report', 'deadline', 'client', 'presentation', 'project', 'interview',
+      'toplantı\\p{L}*', 'rapor\\p{L}*', 'reunión', 'informe', 'besprechung', 'bericht', 'reunião', 'relatório']
+  },
+  family: {
+    emoji: '👨‍👩‍👧',
+    names: { en: 'family', tr: 'aile', es: 'familia', de: 'familie', pt: 'família' },
+    keywords: ['mom', 'mum', 'dad', 'mother', 'father', 'parents', 'kids', 'wife', 'husband', 'my son', 'daughter', 'grandma', 'grandpa', 'birthday', 'anniversary',
+      'annem\\p{L}*', 'babam\\p{L}*', 'çocuk\\p{L}*', 'doğum günü', 'mamá', 'papá', 'hijos?', 'cumpleaños', 'mutter', 'vater', 'mama', 'papa', 'kinder', 'geburtstag', 'mãe', '(?:meu|o|ao|do) pai', 'filhos?', 'aniversário']
+  },
+  finance: {
+    emoji: '💰',
+    names: { en: 'finance', tr: 'finans', es: 'finanzas', de: 'finanzen', pt: 'finanças' },
+    keywords: ['rent', 'bills?', 'invoices?', 'tax(?:es)?', 'bank', 'loan', 'mortgage', 'credit card', 'budget', 'insurance',
+      'kira\\p{L}*', 'fatura\\p{L}*', 'banka\\p{L}*', 'öde\\p{L}*', 'alquiler', 'facturas?', 'pagar', 'banco', 'miete', 'rechnung(?:en)?', 'bezahlen', 'aluguel', 'contas?', 'boleto']
+  },
+  shopping: {
+    emoji: '🛒',
+    names: { en: 'shopping', tr: 'alışveriş', es: 'compras', de: 'einkaufen', pt: 'compras' },
+    keywords: ['buy', 'groceries', 'grocery', 'shopping', 'supermarket',
+      'alışveriş\\p{L}*', 'market(?:e|ten)', 'comprar', 'supermercado', 'kaufen', 'einkaufen', 'supermarkt', 'mercado']
+  },
+  home: {
+    emoji: '🏠',
+    names: { en: 'home', tr: 'ev', es: 'casa', de: 'haushalt', pt: 'casa' },
+    keywords: ['laundry', 'clean', 'cleaning', 'trash', 'garbage', 'dishes', 'water the plants', 'plants', 'vacuum', 'cook',
+      'çamaşır\\p{L}*', 'temizl\\p{L}*', 'çöp\\p{L}*', 'lavar', 'limpiar', 'basura', 'wäsche', 'putzen', 'müll', 'limpar', 'lixo']
+  }
+};
+const CATEGORY_HASHTAG = /(?<!\S)#(\p{L}[\p{L}\d_-]{0,19})/gu;
+const MAX_LEARNED_CATEGORY_KEYWORDS = 50;
+
+// "#work", "work", "trabajo" → 'work'; unknown hashtags become custom categories
+function resolveCategoryName(name) {
+  const word = (name || '').replace(/^#/, '').toLowerCase();
+  const known = Object.entries(REMINDER_CATEGORIES).find(([key, category]) =>
+    key === word || Object.values(category.names).includes(word)
+  );
+  return known ? known[0] : (word || null);
+}
+
+function categoryLabel(category, language = 'en') {
+  const known = REMINDER_CATEGORIES[category];
+  return known ? `${known.emoji} ${known.names[language] || known.names.en}` : `🏷️ ${category}`;
+}
+
+function taskWords(text) {
+  return (text || '').toLowerCase().split(/[^\p{L}\d]+/u).filter(word => word.length > 3);
+}
+
+function extractPriority(messageText) {
+  if ((messageText.match(PRIORITY_MARKERS.low) || []).length) return 'low';
+  if ((messageText.match(PRIORITY_MARKERS.high) || []).length) return 'high';
+  return null;
+}
+
+function stripPriorityMarkers(text) {
+  return text
+    .replace(PRIORITY_MARKERS.low, ' ')
+    .replace(PRIORITY_MARKERS.high, ' ')
+    .replace(CATEGORY_HASHTAG, ' ');
+}
+
+// Hashtag → built-in keywords → words this user has filed under a category before → LLM hint
+function extractCategory(messageText, task, user = {}, hint = null) {
+  const hashtag = [...messageText.matchAll(CATEGORY_HASHTAG)][0];
+  if (hashtag) return resolveCategoryName(hashtag[1]);
+  
+  const text = task || messageText;
+  const builtIn = Object.entries(REMINDER_CATEGORIES).find(([, category]) =>
+    category.keywords.some(keyword => containsWord(text, keyword))
+  );
+  if (builtIn) return builtIn[0];
+  
+  const words = taskWords(text);
+  const learned = (user.behaviorPatterns?.categoryKeywords || []).find(entry => words.includes(entry.keyword));
+  if (learned) return learned.category;
+  
+  if (hint && REMINDER_CATEGORIES[hint]) return hint;
+  return 'general';
+}
+
+function classifyReminder(messageText, analysis, user) {
+  const llmHint = analysis.source === 'llm';
+  const priority = extractPriority(messageText)
+    || (llmHint && ['low', 'medium', 'high'].includes(analysis.priority) ? analysis.priority : 'medium');
+  const category = extractCategory(messageText, analysis.task, user, llmHint ? String(analysis.category || '').toLowerCase() : null);
+  
+  return { priority, category };
+}
+
+// Frequent words from a categorized task point to that category next time ("pilates" → health)
+function learnCategoryKeywords(user, task, category) {
+  if (!category || category === 'general' || !user.behaviorPatterns) return;
+  
+  const frequent = (user.behaviorPatterns.frequentKeywords || []).map(word => word.replace(/[^\p{L}\d]/gu, ''));
+  const learned = user.behaviorPatterns.categoryKeywords || [];
+  
+  taskWords(task)
+    .filter(word => frequent.includes(word))
+    .forEach(word => {
+      const existing = learned.find(entry => entry.keyword === word);
+      if (existing) {
+        existing.category = category;
+      } else {
+        learned.push({ keyword: word, category });
+      }
+    });
+  
+  user.behaviorPatterns.categoryKeywords = learned.slice(-MAX_LEARNED_CATEGORY_KEYWORDS);
+}
+
+// Confirmation line, e.g. "🔴 high priority · 💼 work"
+function describeClassification(priority, category, language = 'en') {
+  const parts = [];
+  if (priority === 'high' || priority === 'low') parts.push(`${PRIORITY_EMOJI[priority]} ${t(language, `priority_${priority}`)}`);
+  if (category && category !== 'general') parts.push(categoryLabel(category, language));
+  return parts.length ? `${parts.join(' · ')}\n` : '';
+}
+
+// "list work", "show #gym", "list urgent", "list low priority" → { category } or { priority }
+const PRIORITY_FILTER_WORDS = {
+  high: ['urgent', 'important', 'high', 'high priority', 'acil', 'önemli', 'yüksek öncelik', 'urgente', 'importante', 'alta prioridad', 'alta prioridade', 'dringend', 'wichtig', 'hohe priorität'],
+  medium: ['medium', 'normal', 'medium priority', 'normal priority', 'normal öncelik', 'prioridad normal', 'prioridade normal', 'normale priorität'],
+  low: ['low', 'low priority', 'not urgent', 'önemsiz', 'düşük öncelik', 'baja prioridad', 'no urgente', 'baixa prioridade', 'não urgente', 'niedrige priorität', 'nicht dringend']
+};
+const CATEGORY_FILTER_WORDS = Object.entries(REMINDER_CATEGORIES).flatMap(([key, category]) => [key, ...Object.values(category.names)]);
+const LIST_FILTER_PATTERN = new RegExp(
+  `^(?:list|show|ls|listele|liste|lista|mostrar|zeige|zeig)\\s+(?:(?:my|me|all)\\s+)*(#[\\p{L}\\d_-]+|${[...Object.values(PRIORITY_FILTER_WORDS).flat(), ...CATEGORY_FILTER_WORDS].join('|')})(?:\\s+(?:reminders|tasks))?[?!.]*$`,
+  'iu'
+);
+
+function parseListFilter(messageText) {
+  const match = (messageText || '').trim().match(LIST_FILTER_PATTERN);
+  if (!match) return null;
+  
+  const word = match[1].toLowerCase().replace(/\s+/g, ' ');
+  const priority = Object.keys(PRIORITY_FILTER_WORDS).find(level => PRIORITY_FILTER_WORDS[level].includes(word));
+  return priority ? { priority } : { category: resolveCategoryName(word) };
+}
+
+function describeListFilter(filter, language = 'en') {
+  return filter.priority ? `${PRIORITY_EMOJI[filter.priority]} ${t(language, `priority_${filter.priority}`)}` : categoryLabel(filter.category, language);
+}
+
+// SHARED REMINDERS - "remind Mom to take her pills at 9am", "remind +90555... to call me"
+const RECIPIENT_PATTERN = /^(?:please\s+)?remind\s+(?:(\+?\d[\d\s()-]{6,}\d)|(?!(?:me|us|myself)\b)((?:my\s+)?\p{L}[\p{L}'-]*(?:\s+\p{L}[\p{L}'-]*)?))\s+(?:to|about|that)\s+/iu;
+const CONSENT_REPLY_PATTERN = /^(allow|accept|block|unblock)(?:\s+(.+?))?[.!]*$/i;
+const MAX_CONTACTS = 20;
+
+// "+90 555 123 45 67" → "+905551234567", the same form as userId
+function normalizePhone(text) {
+  const digits = (text || '').replace(/\D/g, '');
+  return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+}
+
+function extractRecipient(messageText) {
+  const match = (messageText || '').match(RECIPIENT_PATTERN);
+  if (!match) return null;
+  
+  return {
+    phone: match[1] ? normalizePhone(match[1]) : null,
+    name: match[2] ? match[2].replace(/^my\s+/i, '') : null,
+    text: messageText.slice(match[0].length).trim()
+  };
+}
+
+// → { recipientId, recipientName } or null when the name isn't a saved contact
+function resolveRecipient(user, target) {
+  const contacts = user.contacts || [];
+  
+  if (target.phone) {
+    const contact = contacts.find(entry => entry.userId === target.phone);
+    return { recipientId: target.phone, recipientName: contact?.name || target.phone };
+  }
+  
+  const contact = contacts.find(entry => entry.name.toLowerCase() === target.name.toLowerCase());
+  return contact ? { recipientId: contact.userId, recipientName: contact.name } : null;
+}
+
+function describeRecipient(recipientName, language = 'en') {
+  return recipientName ? `${t(language, 'recipient_line', { name: recipientName })}\n` : '';
+}
+
+function senderDisplayName(user) {
+  return user?.preferredName || user?.userName || 'Someone';
+}
+
+// "contact Mom +905551234567" - without a number at the end it's a reminder ("contact the landlord at 5pm")
+const CONTACT_COMMAND = /^(?:contact|add contact|save contact)\s+(.+?)\s*(\+?\d[\d\s()-]{6,}\d)$/i;
+
+async function handleContactCommand(user, messageText) {
+  const language = getLanguage(user);
+  const match = messageText.trim().match(CONTACT_COMMAND);
+  const name = match?.[1].replace(/[^\p{L}\s'-]/gu, '').trim();
+  const phone = match && normalizePhone(match[2]);
+  
+  if (!name || !phone) return t(language, 'contact_usage');
+  
+  user.contacts = (user.contacts || []).filter(entry => entry.name.toLowerCase() !== name.toLowerCase() && entry.userId !== phone);
+  user.contacts.push({ name, userId: phone });
+  user.contacts = user.contacts.slice(-MAX_CONTACTS);
+  await user.save();
+  
+  await trackEvent(user.userId, 'contact_saved');
+  return t(language, 'contact_saved', { name, phone });
+}
+
+// First shared reminder to someone (or the first after a request expired) → ask them;
+// true when a request is under way - sent now, or queued for a retry
+async function requestConsent(user, reminder) {
+  const existing = await ReminderConsent.findOne({ senderId: user.userId, recipientId: reminder.recipientId });
+  if (existing && existing.status !== 'expired') return false;
+  
+  const consent = existing || new ReminderConsent({ senderId: user.userId, recipientId: reminder.recipientId });
+  Object.assign(consent, {
+    senderName: senderDisplayName(user),
+    recipientName: reminder.recipientName,
+    status: 'pending',
+    requestedAt: new Date(),
+    respondedAt: null,
+    requestSentAt: null,
+    requestAttempts: 0,
+    nextAttemptAt: null
+  });
+  await consent.save();
+  
+  await trackEvent(user.userId, 'consent_requested', { recipientId: reminder.recipientId });
+  await sendConsentRequest(consent, user);
+  return true;
+}
+
+// One attempt at the request template; a failure backs off for processConsentRequests to retry
+async function sendConsentRequest(consent, sender = null, now = new Date()) {
+  const recipient = await User.findOne({ userId: consent.recipientId });
+  const language = getLanguage(recipient || sender || await User.findOne({ userId: consent.senderId }));
+  
+  const result = await sendTemplateMessage(consent.recipientId, 'consent_request', language, {
+    sender: consent.senderName,
+    phone: consent.senderId
+  });
+  
+  consent.requestAttempts += 1;
+  if (result.success) {
+    consent.requestSentAt = now;
+    consent.nextAttemptAt = null;
+  } else {
+    consent.nextAttemptAt = consent.requestAttempts < CONSENT.MAX_ATTEMPTS
+      ? new Date(now.getTime() + CONSENT.RETRY_MINUTES * Math.pow(2, consent.requestAttempts - 1) * 60 * 1000)
+      : null;
+    logger.warn(`Consent request to ${consent.recipientId} failed (attempt ${consent.requestAttempts}/${CONSENT.MAX_ATTEMPTS})`);
+  }
+  await consent.save();
+  
+  return result.success;
+}
+
+// Out of attempts or unanswered too long - the sender hears why their reminders won't arrive
+async function expireConsent(consent, key) {
+  consent.status = 'expired';
+  consent.nextAttemptAt = null;
+  await consent.save();
+  
+  const sender = await User.findOne({ userId: consent.senderId });
+  await sendWhatsAppMessage(consent.senderId, t(getLanguage(sender), key, { name: consent.recipientName || consent.recipientId }), 1);
+  await trackEvent(consent.senderId, 'consent_expired', { recipientId: consent.recipientId, delivered: !!consent.requestSentAt });
+}
+
+async function processConsentRequests(now = new Date()) {
+  try {
+    const due = await ReminderConsent.find({ status: 'pending', requestSentAt: null, nextAttemptAt: { $ne: null, $lte: now } }).limit(50);
+    
+    for (const consent of due) {
+      // Claim it so a second worker doesn't send the same retry
+      const claim = await ReminderConsent.updateOne(
+        { _id: consent._id, nextAttemptAt: consent.nextAttemptAt },
+        { $set: { nextAttemptAt: new Date(now.getTime() + CONSENT.RETRY_MINUTES * 60 * 1000) } }
+      );
+      if (!claim.modifiedCount) continue;
+      
+      const sent = await sendConsentRequest(consent, null, now);
+      if (!sent && !consent.nextAttemptAt) await expireConsent(consent, 'consent_request_failed');
+    }
+    
+    const stale = await ReminderConsent.find({
+      status: 'pending',
+      requestedAt: { $lt: new Date(now.getTime() - CONSENT.EXPIRY_DAYS * 24 * 60 * 60 * 1000) }
+    }).limit(50);
+    for (const consent of stale) {
+      await expireConsent(consent, consent.requestSentAt ? 'consent_expired_sender' : 'consent_request_failed');
+    }
+  } catch (error) {
+    logger.error('Consent request run error:', error);
+  }
+}
+
+// "allow" / "block" - the latest request, or a sender by number or name ("block Ali").
+// null when there's nothing to answer, so the text goes on as a normal message
+async function handleConsentReply(user, messageText) {
+  const [, action, target] = messageText.trim().match(CONSENT_REPLY_PATTERN) || [];
+  if (!action) return null;
+  
+  const phone = normalizePhone(target);
+  let consent;
+  if (target) {
+    const consents = await ReminderConsent.find({ recipientId: user.userId }).sort({ requestedAt: -1 });
+    consent = consents.find(entry => entry.senderId === phone || entry.senderName?.toLowerCase() === target.toLowerCase());
+  } else {
+    consent = await ReminderConsent.findOne({ recipientId: user.userId, status: 'pending' }).sort({ requestedAt: -1 });
+  }
+  if (!consent) return null;
+  
+  const allowed = /^(allow|accept|unblock)$/i.test(action);
+  consent.status = allowed ? 'allowed' : 'blocked';
+  consent.respondedAt = new Date();
+  await consent.save();
+  
+  if (!allowed) {
+    // Pending reminders from a blocked sender - and their heads-ups - are dropped
+    await Reminder.updateMany(
+      { userId: consent.senderId, recipientId: user.userId, isCompleted: false },
+      { $set: { isCompleted: true, outcome: 'cancelled', nextFollowUpAt: null } }
+    );
+  }
+  
+  const sender = await User.findOne({ userId: consent.senderId });
+  await sendWhatsAppMessage(consent.senderId, t(getLanguage(sender), allowed ? 'consent_allowed_sender' : 'consent_blocked_sender', {
+    name: consent.recipientName || user.userId
+  }));
+  
+  await trackEvent(user.userId, allowed ? 'consent_allowed' : 'consent_blocked', { senderId: consent.senderId });
+  
+  const language = getLanguage(user);
+  return t(language, allowed ? 'consent_allowed' : 'consent_blocked', { name: consent.senderName || consent.senderId });
+}
+
+async function hasConsent(reminder) {
+  // Space members joined themselves
+  if (reminder.spaceId) return true;
+  
+  const consent = await ReminderConsent.findOne({ senderId: reminder.userId, recipientId: reminder.recipientId });
+  return consent?.status === 'allowed';
+}
+
+// Shared reminder due before the recipient said ALLOW (or after BLOCK) - the sender hears about it
+async function skipWithoutConsent(reminder, user) {
+  await Reminder.updateOne(
+    { _id: reminder._id, leaseOwner: DELIVERY.WORKER_ID },
+    { $set: { deliveryStatus: 'skipped', isCompleted: true, leaseOwner: null, leaseExpiresAt: null } }
+  );
+  
+  if (reminder.kind !== 'pre_alert') {
+    await sendWhatsAppMessage(reminder.userId, t(getLanguage(user), 'shared_not_delivered', {
+      name: reminder.recipientName,
+      message: reminder.message
+    }), 1);
+    await trackEvent(reminder.userId, 'shared_reminder_skipped', { recipientId: reminder.recipientId });
+    // The recipient may still say ALLOW before the next one
+    await scheduleNextOccurrence(reminder, user);
+  }
+  
+  return 'skipped';
+}
+
+// SPACES - "space create Family", "space invite Family +90555...", "family: bins out every Tuesday 8pm"
+const SPACE_KEYWORD = /^(spaces?|households?|teams?)\b\s*/i;
+// Only the real subcommands - "team meeting at 3pm" or "household chores at 6pm" stay reminders
+const SPACE_NAME_ARGUMENT = `(?!.*\\b(?:at|today|tonight|tomorrow)\\b)(?!.*\\d\\s*(?:am|pm)\\b)(?!.*\\d[:.]\\d{2})[\\p{L}\\d '-]{1,40}`;
+const SPACE_COMMAND = new RegExp(
+  `^(?:spaces?|households?|teams?)(?:\\s+(?:list|(?:create|new|leave|premium)\\s+${SPACE_NAME_ARGUMENT}|(?:invite|add)\\s+.+?\\s+\\+?\\d[\\d\\s()-]{6,}\\d))?[.!?]*$`,
+  'iu'
+);
+const SPACE_PREFIX = /^([\p{L}\d][\p{L}\d '-]{0,29}):\s*(.+)$/su;
+const ROTATION_PATTERN = /[,;]?\s*\b(?:take turns|taking turns|in turns|rotate|rotating|alternate|alternating)\b/i;
+const JOIN_PATTERN = /^join\s+(.+?)[.!]*$/i;
+const SPACE_LIMITS = {
+  MAX_SPACES: 5
+};
+
+async function findUserSpaces(userId) {
+  return Space.find({ members: { $elemMatch: { userId, status: 'active' } } }).sort({ createdAt: 1 });
+}
+
+function findSpaceByName(spaces, name) {
+  return spaces.find(space => space.name.toLowerCase() === (name || '').trim().toLowerCase()) || null;
+}
+
+function activeMembers(space) {
+  return (space?.members || []).filter(member => member.status === 'active');
+}
+
+// "family: bins out every Tuesday 8pm, take turns" → { space, text, assignment }
+async function extractSpaceTarget(user, messageText) {
+  const match = (messageText || '').match(SPACE_PREFIX);
+  if (!match) return null;
+  
+  const space = findSpaceByName(await findUserSpaces(user.userId), match[1]);
+  if (!space) return null;
+  
+  const rotate = ROTATION_PATTERN.test(match[2]);
+  return {
+    space,
+    assignment: rotate ? 'rotate' : 'all',
+    text: match[2].replace(ROTATION_PATTERN, '').trim()
+  };
+}
+
+// Whose turn it is after `currentId` - the first active member when there's no turn yet
+function nextRotationMember(space, currentId = null) {
+  const members = activeMembers(space);
+  if (members.length === 0) return null;
+  
+  const index = members.findIndex(member => member.userId === currentId);
+  return members[(index + 1) % members.length];
+}
+
+// Confirmation tag line: the space it's on, or who it's for
+function describeAudience(reminderData, language = 'en') {
+  if (!reminderData?.spaceId) return describeRecipient(reminderData?.recipientName, language);
+  return `${t(language, reminderData.assignment === 'rotate' ? 'space_line_rotate' : 'space_line', {
+    space: reminderData.spaceName,
+    name: reminderData.recipientName
+  })}\n`;
+}
+
+// Premium from a space lasts as long as the best premium space the user is still in
+async function refreshSpacePremium(userId) {
+  const spaces = await findUserSpaces(userId);
+  const best = spaces
+    .filter(space => space.isPremium && premiumUntil(space) > new Date())
+    .sort((a, b) => premiumUntil(b) - premiumUntil(a))[0];
+  
+  await User.updateOne({ userId }, { 
+    spacePremiumUntil: best ? premiumUntil(best) : null, 
+    spacePlan: best ? getSpacePlan(best).id : null 
+  });
+}
+
+// "space_<id>_<plan>" tells the payment webhook which space plan was bought
+function spacePaymentUrl(space, plan) {
+  const url = planPaymentUrl(plan) || '';
+  return `${url}${url.includes('?') ? '&' : '?'}client_reference_id=space_${space._id}_${plan.id}`;
+}
+
+async function handleSpaceCommand(user, messageText) {
+  const language = getLanguage(user);
+  const argument = messageText.trim().replace(SPACE_KEYWORD, '').replace(/[.!?]+$/, '');
+  const [, action = '', rest = ''] = argument.match(/^(\S*)\s*(.*)$/s);
+  const spaces = await findUserSpaces(user.userId);
+  
+  switch (action.toLowerCase()) {
+    case '':
+    case 'list': {
+      if (spaces.length === 0) return t(language, 'space_list_empty');
+      
+      let response = t(language, 'space_list_header');
+      spaces.forEach(space => {
+        const names = activeMembers(space).map(member => member.name || member.userId).join(', ');
+        response += `🏠 ${space.name}${space.isPremium && premiumUntil(space) > new Date() ? ' 💎' : ''}\n   👥 ${names}\n\n`;
+      });
+      return response + t(language, 'space_usage');
+    }
+    
+    case 'create':
+    case 'new': {
+      const name = rest.replace(/[^\p{L}\d '-]/gu, '').trim().slice(0, 30);
+      if (!name) return t(language, 'space_usage');
+      if (findSpaceByName(spaces, name)) return t(language, 'space_exists', { space: name });
+      if (spaces.length >= SPACE_LIMITS.MAX_SPACES) return t(language, 'space_too_many', { max: SPACE_LIMITS.MAX_SPACES });
+      
+      await Space.create({
+        name,
+        ownerId: user.userId,
+        members: [{ userId: user.userId, name: senderDisplayName(user), status: 'active', joinedAt: new Date() }]
+      });
+      await trackEvent(user.userId, 'space_created');
+      return t(language, 'space_created', { space: name });
+    }
+    
+    case 'invite':
+    case 'add': {
+      const match = rest.match(/^(.+?)\s+(\+?\d[\d\s()-]{6,}\d)$/);
+      const space = match && findSpaceByName(spaces, match[1]);
+      const phone = match && normalizePhone(match[2]);
+      if (!space || !phone) return match ? t(language, 'space_not_found', { space: match[1] }) : t(language, 'space_usage');
+      // One invite per person - repeating the command mustn't message them again
+      const existing = space.members.find(member => member.userId === phone);
+      if (existing) {
+        return t(language, existing.status === 'invited' ? 'space_already_invited' : 'space_already_member', {
+          name: existing.name || phone,
+          space: space.name
+        });
+      }
+      
+      const { spaceMembers } = getSpacePlan(space);
+      if (space.members.length >= spaceMembers) return t(language, 'space_full', { max: spaceMembers });
+      
+      const contact = (user.contacts || []).find(entry => entry.userId === phone);
+      space.members.push({ userId: phone, name: contact?.name || null, status: 'invited', invitedBy: user.userId });
+      await space.save();
+      
+      const invitee = await User.findOne({ userId: phone });
+      await sendWhatsAppMessage(phone, t(invitee ? getLanguage(invitee) : language, 'space_invite', {
+        sender: senderDisplayName(user),
+        space: space.name
+      }));
+      await trackEvent(user.userId, 'space_invited', { spaceId: space._id });
+      return t(language, 'space_invited', { phone, space: space.name });
+    }
+    
+    case 'leave': {
+      const space = findSpaceByName(spaces, rest);
+      if (!space) return t(language, 'space_not_found', { space: rest });
+      
+      space.members = space.members.filter(member => member.userId !== user.userId);
+      const remaining = activeMembers(space);
+      
+      if (remaining.length === 0) {
+        // Last one out - the list goes with the space
+        await Reminder.updateMany({ spaceId: space._id, isCompleted: false }, { $set: { isCompleted: true, outcome: 'cancelled' } });
+        await Space.deleteOne({ _id: space._id });
+      } else {
+        if (space.ownerId === user.userId) space.ownerId = remaining[0].userId;
+        await space.save();
+      }
+      
+      await refreshSpacePremium(user.userId);
+      await trackEvent(user.userId, 'space_left', { spaceId: space._id });
+      return t(language, 'space_left', { space: space.name });
+    }
+    
+    case 'premium': {
+      // "space premium Office business" - the trailing word picks a space plan
+      const [, name, planId] = rest.match(/^(.+?)(?:\s+(\w+))?$/) || [];
+      const named = PLAN_CATALOG[planId?.toLowerCase()]?.space ? PLAN_CATALOG[planId.toLowerCase()] : null;
+      const space = findSpaceByName(spaces, named ? name : rest);
+      if (!space) return t(language, 'space_not_found', { space: rest });
+      
+      const plan = named || PLAN_CATALOG[space.plan] || PLAN_CATALOG.family;
+      return t(language, 'space_premium', {
+        space: space.name,
+        count: activeMembers(space).length,
+        plan: plan.name,
+        features: describePlanFeatures(plan, language),
+        price: plan.price,
+        url: spacePaymentUrl(space, plan)
+      });
+    }
+    
+    default:
+      return t(language, 'space_usage');
+  }
+}
+
+// "join Family" - null when there's no such invite, so the text goes on as a normal message
+async function handleSpaceJoin(user, messageText) {
+  const [, name] = messageText.trim().match(JOIN_PATTERN) || [];
+  if (!name) return null;
+  
+  const invites = await Space.find({ members: { $elemMatch: { userId: user.userId, status: 'invited' } } });
+  const space = findSpaceByName(invites, name);
+  if (!space) return null;
+  
+  const member = space.members.find(entry => entry.userId === user.userId);
+  member.status = 'active';
+  member.name = member.name || senderDisplayName(user);
+  member.joinedAt = new Date();
+  await space.save();
+  
+  await refreshSpacePremium(user.userId);
+  await trackEvent(user.userId, 'space_joined', { spaceId: space._id });
+  
+  const owner = await User.findOne({ userId: space.ownerId });
+  await sendWhatsAppMessage(space.ownerId, t(getLanguage(owner), 'space_joined_owner', { name: member.name, space: space.name }));
+  
+  return t(getLanguage(user), 'space_joined', { space: space.name, count: activeMembers(space).length });
+}
+
+async function grantSpacePremium(space, paymentMethod, subscriptionId, months = 1, paidUntil = null) {
+  const renewal = space.isPremium && space.premiumExpiresAt > new Date();
+  const premiumExpiry = premiumExpiryAfterPayment(space, months, paidUntil);
+  
+  space.isPremium = true;
+  space.premiumExpiresAt = premiumExpiry;
+  space.subscriptionId = subscriptionId;
+  space.paymentMethod = paymentMethod;
+  space.subscriptionStatus = 'active';
+  space.graceUntil = null;
+  space.graceWarnedAt = null;
+  await space.save();
+  
+  for (const member of activeMembers(space)) {
+    await refreshSpacePremium(member.userId);
+    if (renewal && member.userId !== space.ownerId) continue;
+    
+    const memberUser = await User.findOne({ userId: member.userId });
+    const language = getLanguage(memberUser);
+    await sendWhatsAppMessage(member.userId, t(language, renewal ? 'premium_renewed' : 'space_premium_welcome', {
+      space: space.name,
+      date: premiumExpiry.toLocaleDateString(getLocale(language))
+    }));
+  }
+  
+  await trackEvent(space.ownerId, 'premium_upgrade', { method: paymentMethod, months, spaceId: space._id, members: activeMembers(space).length });
+  logger.info(`✅ Upgraded space ${space._id} (${activeMembers(space).length} members) to premium until ${premiumExpiry}`);
+  return premiumExpiry;
+}
+
+// Who a due reminder goes to: the owner, a shared recipient, or space members
+async function deliveryTargets(reminder) {
+  if (!reminder.spaceId) return [reminder.recipientId || reminder.userId];
+  
+  const space = await Space.findById(reminder.spaceId);
+  const members = activeMembers(space);
+  
+  if (reminder.assignment === 'rotate') {
+    const turn = members.find(member => member.userId === reminder.recipientId) || members[0];
+    return turn ? [turn.userId] : [];
+  }
+  return members.map(member => member.userId);
+}
+
+// PRE-ALERTS - "1 day and 1 hour before my flight at 6am Friday" → two heads-ups.
+// Amounts joined by "and" or a comma are separate alerts, "1 hour 30 min before" is one
+const LEAD_TIME_PATTERN = /\b((?:(?:\d+(?:\.\d+)?|an?|one|half an)\s*(?:minutes?|mins?|m|hours?|hrs?|h|days?|weeks?)\b(?:\s*,?\s*(?:and\s+)?)?)+)\s*(?:before|ahead|early|in advance|beforehand)\b/i;
+// Only the settings syntax is a command - "heads up: call mom at 5" is a reminder
+const LEAD_TIME_PREFIX = /^(?:heads[- ]?ups?|lead[- ]?time|pre[- ]?alerts?)\b\s*:?\s*/i;
+const LEAD_TIME_AMOUNT = '(?:an?|half an|\\d+(?:\\.\\d+)?)\\s*(?:minutes?|mins?|m|hours?|hrs?|h|days?|weeks?)';
+const LEAD_TIME_COMMAND = new RegExp(
+  `${LEAD_TIME_PREFIX.source}(?:off|none|no|0|\\d+|${LEAD_TIME_AMOUNT}(?:\\s*,?\\s*(?:and\\s+)?${LEAD_TIME_AMOUNT})*)?[.!]*$`,
+  'i'
+);
+const PRE_ALERT = {
+  MAX_PER_REMINDER: 3,
+  MAX_LEAD_MINUTES: 7 * 24 * 60
+};
+
+// "1 hour 30 min" → 90; a bare number is minutes
+function parseLeadMinutes(text) {
+  const chunk = (text || '').toLowerCase().replace(/\bone\b/g, '1');
+  if (/^\d+$/.test(chunk.trim())) return parseInt(chunk);
+  
+  let minutes = 0;
+  for (const [, amountText, unit] of chunk.matchAll(DURATION_PART)) {
+    const amount = amountText === 'half an' ? 0.5 : /^an?$/.test(amountText) ? 1 : parseFloat(amountText);
+    minutes += amount * (unit.startsWith('w') ? 10080 : unit.startsWith('d') ? 1440 : unit.startsWith('h') ? 60 : 1);
+  }
+  return Math.round(minutes);
+}
+
+function extractLeadTimes(messageText) {
+  const match = (messageText || '').match(LEAD_TIME_PATTERN);
+  if (!match) return { leads: [], text: messageText };
+  
+  const leads = match[1]
+    .split(/\s*(?:,|\band\b)\s*/i)
+    .map(parseLeadMinutes)
+    .filter(minutes => minutes > 0 && minutes <= PRE_ALERT.MAX_LEAD_MINUTES);
+  
+  return {
+    leads: [...new Set(leads)].sort((a, b) => b - a).slice(0, PRE_ALERT.MAX_PER_REMINDER),
+    text: messageText.replace(match[0], ' ').replace(/\s+/g, ' ').replace(/^[\s,]+|[\s,]+$/g, '')
+  };
+}
+
+// "1 day 2 hours", "2 días", "30 Minuten"
+function formatLeadTime(minutes, language = 'en') {
+  const locale = getLocale(language);
+  const parts = [];
+  let rest = Math.round(minutes);
+  
+  [['week', 10080], ['day', 1440], ['hour', 60], ['minute', 1]].forEach(([unit, size]) => {
+    if (rest < size) return;
+    const amount = Math.floor(rest / size);
+    rest -= amount * size;
+    parts.push(new Intl.NumberFormat(locale, { style: 'unit', unit, unitDisplay: 'long' }).format(amount));
+  });
+  
+  return parts.join(' ');
+}
+
+function describePreAlerts(preAlerts, language = 'en') {
+  if (!preAlerts?.length) return '';
+  return `⏳ ${t(language, 'pre_alert_line', { leads: preAlerts.map(lead => formatLeadTime(lead, language)).join(', ') })}\n`;
+}
+
+// One pre_alert child per lead time; heads-ups that would already be in the past are dropped
+async function createPreAlerts(reminder, language = 'en', now = new Date()) {
+  const alerts = (reminder.preAlerts || [])
+    .map(lead => ({ lead, scheduledTime: new Date(reminder.scheduledTime.getTime() - lead * 60 * 1000) }))
+    .filter(({ scheduledTime }) => scheduledTime > now)
+    .map(({ lead, scheduledTime }) => new Reminder({
+      userId: reminder.userId,
+      userName: reminder.userName,
+      message: reminder.message,
+      originalMessage: reminder.originalMessage,
+      scheduledTime,
+      userLocalTime: formatUserLocalTime(scheduledTime, reminder.userTimezone, language),
+      userTimezone: reminder.userTimezone,
+      priority: reminder.priority,
+      category: reminder.category,
+      kind: 'pre_alert',
+      parentReminderId: reminder._id,
+      leadMinutes: lead,
+      recipientId: reminder.recipientId,
+      recipientName: reminder.recipientName,
+      spaceId: reminder.spaceId,
+      spaceName: reminder.spaceName,
+      assignment: reminder.assignment
+    }));
+  
+  for (const alert of alerts) {
+    await alert.save();
+  }
+  return alerts;
+}
+
+async function cancelPreAlerts(reminderId) {
+  await Reminder.updateMany(
+    { parentReminderId: reminderId, kind: 'pre_alert', isCompleted: false },
+    { $set: { isCompleted: true, outcome: 'cancelled', deliveryStatus: 'skipped' } }
+  );
+}
+
+// Parent moved or reworded - pending heads-ups are rebuilt from its lead times
+async function reschedulePreAlerts(reminder, language = 'en') {
+  await cancelPreAlerts(reminder._id);
+  if (reminder.isCompleted) return [];
+  return createPreAlerts(reminder, language);
+}
+
+// "heads up 30 min" / "heads up off" - default heads-up for new reminders
+async function handleLeadTimeCommand(user, messageText) {
+  const language = getLanguage(user);
+  const argument = messageText.replace(LEAD_TIME_PREFIX, '').replace(/[.!]+$/, '').trim().toLowerCase();
+  
+  if (/^(off|none|no|0)$/.test(argument)) {
+    user.preferences.defaultLeadMinutes = null;
+    await user.save();
+    await trackEvent(user.userId, 'lead_time_set', { minutes: null });
+    return t(language, 'lead_time_off');
+  }
+  
+  const minutes = parseLeadMinutes(argument);
+  if (!minutes || minutes > PRE_ALERT.MAX_LEAD_MINUTES) {
+    const current = user.preferences?.defaultLeadMinutes;
+    return t(language, 'lead_time_usage', { current: current ? formatLeadTime(current, language) : t(language, 'lead_time_none') });
+  }
+  
+  user.preferences.defaultLeadMinutes = minutes;
+  await user.save();
+  await trackEvent(user.userId, 'lead_time_set', { minutes });
+  return t(language, 'lead_time_set', { lead: formatLeadTime(minutes, language) });
+}
+
+// DETERMINISTIC COMMAND PARSER - no network, LLM only for what this can't place
+// Command words cover every catalog language (tr/es/de/pt next to English)
+// "cancel", "cancel 2", "edit last", "change it" - anything longer ("stop by the pharmacy at 5pm",
+// "change the bed sheets at 6pm") is a reminder or left to the LLM
+const REFERENCE_WORDS = 'last(?: one)?|it|that(?: one)?|this(?: one)?|sonuncu(?:yu)?|son|(?:el |o )?[uú]ltimo|(?:die |den )?letzten?';
+const REMINDER_REFERENCE = `(?:\\s+(?:(?:the|my)\\s+)?(?:reminders?\\s*)?(?:#?\\d+|${REFERENCE_WORDS}))?`;
+
+const COMMAND_PATTERNS = [
+  { intent: 'list', pattern: LIST_FILTER_PATTERN },
+  { intent: 'list', pattern: /^(list|ls|show|reminders|upcoming|(list|show|see|view)( me)?( all)?( my)? reminders|my reminders|what('s| is) (coming up|scheduled|next)|listele|liste|lista|hatırlatmalarım|mis recordatorios|meine erinnerungen|meus lembretes)[?!.]*$/i },
+  { intent: 'cancel_premium', pattern: /^(cancel|stop|end)( my)? (premium|subscription|plan)[.!]*$/i },
+  { intent: 'billing', pattern: /^(billing|my plan|(my )?subscription|manage (my )?(premium|subscription|plan|billing))[?!.]*$/i },
+  { intent: 'cancel', pattern: new RegExp(`^(cancel|delete|remove|stop|iptal|sil|cancelar|borrar|eliminar|löschen|lösche|abbrechen|apagar|excluir)${REMINDER_REFERENCE}[.!?]*$`, 'iu') },
+  { intent: 'edit', pattern: new RegExp(`^(edit|change|update|modify|reschedule|düzenle|değiştir|editar|cambiar|bearbeiten|ändern|alterar)${REMINDER_REFERENCE}[.!?]*$`, 'iu') },
+  { intent: 'premium', pattern: /^(premium|upgrade|pricing|price|plans?|subscribe|go premium)[?!.]*$/i },
+  { intent: 'help', pattern: /^(help|\?|commands|menu|how does (this|it) work|what can you do|yardım|ayuda|hilfe|ajuda)[?!.]*$/i },
+  { intent: 'stats', pattern: /^(stats|my stats|progress)[?!.]*$/i },
+  { intent: 'follow_ups', pattern: FOLLOW_UP_COMMAND },
+  { intent: 'lead_time', pattern: LEAD_TIME_COMMAND },
+  { intent: 'digest', pattern: DIGEST_COMMAND },
+  { intent: 'quiet_hours', pattern: QUIET_HOURS_COMMAND },
+  { intent: 'contact', pattern: CONTACT_COMMAND },
+  { intent: 'space', pattern: SPACE_COMMAND },
+  { intent: 'calendar', pattern: /^(calendar|ics)( feed| link)?(\s+(reset|new|off|stop))?[.!]*$/i },
+  { intent: 'retry', pattern: /^(retry|try again)(\s+\d+(\s*(,|and|&|\s)\s*\d+)*)?[.!]*$/i },
+  { intent: 'language', pattern: LANGUAGE_COMMAND }
+];
+
+const CONFIRM_PATTERN = /^(yes|y|yep|yeah|yup|ok|okay|sure|confirm|correct|evet|tamam|sí|si|vale|claro|ja|jawohl|sim)[.!]*$/i;
+// "yes 1,3" / "yes 1 and 3" - confirm part of a batch
+const BATCH_CONFIRM_PATTERN = /^(?:yes|y|ok|okay|confirm|evet|tamam|sí|si|ja|sim)\s+(\d+(?:\s*(?:,|&|and|ve|y|und|e|\s)\s*\d+)*)[.!]*$/i;
+const DECLINE_PATTERN = /^(no|n|nope|nah|never ?mind|hayır|hayir|vazgeç|nein|nee|não|nao)[.!]*$/i;
+const REMINDER_PREFIX = /^(?:please\s+)?(?:remind me(?:\s+(?:to|about|that))?|set (?:a )?reminder(?:\s+(?:to|for))?|reminder(?:\s+(?:to|for))?|don'?t (?:let me )?forget(?:\s+to)?|recuérdame(?:\s+que)?|recuerdame(?:\s+que)?|erinnere mich(?:\s+(?:an|daran))?|lembre-me(?:\s+de)?|me lembre(?:\s+de)?)[\s:,-]*/i;
+// Turkish puts the verb last: "yarın 9'da annemi aramayı hatırlat"
+const REMINDER_SUFFIX = /\s*(?:bana\s+)?hat[ıi]rlat\w*[.!]*$/iu;
+
+// Time phrases stripped from the task text ("call mom tomorrow at 5pm" → "call mom")
+const TIME_PHRASE_PATTERNS = [
+  /\bon the (?:\d{1,2}(?:st|nd|rd|th)?|first|second|third|fourth|last)(?:\s+(?:(?:mon|tues|wednes|thurs|fri|satur|sun)day|day))?(?:\s+of\s+(?:every|each|the)\s+month)?\b/gi,
+  /\b(?:every|each)\s+(?:other\s+|\d+(?:st|nd|rd|th)?\s+)?(?:(?:mon|tues|wednes|thurs|fri|satur|sun)days?|weekdays?|weekends?|days?|weeks?|months?|years?|hours?|mornings?|evenings?|nights?)(?:\s+(?:and|,)\s+(?:mon|tues|wednes|thurs|fri|satur|sun)days?)*\b/gi,
+  /\b(?:until|till|for \d+ (?:times|days|weeks|months))\b.*$/gi,
+  /\b(?:daily|weekly|monthly|yearly|annually|hourly)\b/gi,
+  /\bin\s+(?:an?|half an|\d+(?:\.\d+)?)\s*(?:minutes?|mins?|m|hours?|hrs?|h|days?|weeks?)(?:\s+(?:and\s+)?\d+\s*(?:minutes?|mins?))?\b/gi,
+  /\b(?:the )?day after tomorrow\b|\b(?:today|tonight|tomorrow|tmrw|tmr)\b/gi,
+  /\b(?:on\s+|this\s+|next\s+)?(?:mon|tues|wednes|thurs|fri|satur|sun)day\b/gi,
+  /\b(?:on\s+)?(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+(?:the\s+)?\d{1,2}(?:st|nd|rd|th)?\b(?:,?\s+\d{4}\b)?/gi,
+  /\b(?:on\s+)?(?:the\s+)?\d{1,2}(?:st|nd|rd|th)?\s+(?:of\s+)?(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\b\.?(?:,?\s+\d{4}\b)?/gi,
+  /\b(?:on\s+)?(?:\d{4}-\d{1,2}-\d{1,2}|\d{1,2}\/\d{1,2}(?:\/\d{2,4})?)\b|\b(?:on\s+)?\d{1,2}\.\d{1,2}\.(?:\d{4}\b)?/g,
+  /\b(?:at\s+|by\s+)?(?:the\s+)?end of (?:the |this |next )?month\b|\bthe \d{1,2}(?:st|nd|rd|th)\b/gi,
+  /\b(?:at|by|@)?\s*\d{1,2}(?::\d{2})?\s*(?:am|pm|a\.m\.|p\.m\.)/gi,
+  /\b(?:at|by|@)\s*\d{1,2}(?::\d{2})?\b/gi,
+  /\b\d{1,2}(?::|h)\d{2}\b/g,
+  /\b(?:at\s+)?(?:noon|midday|midnight)\b|\b(?:in the\s+|this\s+)?(?:morning|afternoon|evening)\b/gi
+];
+
+function extractReminderTask(messageText, language = 'en') {
+  let task = stripLocalizedTimePhrases(stripPriorityMarkers(extractLeadTimes(messageText).text.replace(REMINDER_PREFIX, '').replace(REMINDER_SUFFIX, '')), language);
+  TIME_PHRASE_PATTERNS.forEach(pattern => {
+    task = task.replace(pattern, ' ');
+  });
+  
+  return task
+    .replace(/\s+/g, ' ')
+    .replace(/^(?:to|at|on|by|for)\s+/i, '')
+    .replace(/\s+(?:at|on|by|from|and)$/i, '')
+    .replace(/^[\s,.:;-]+|[\s,.:;!-]+$/g, '')
+    .trim();
+}
+
+function ruleAnalysis(intent, fields = {}) {
+  return { intent, isReminder: intent === 'reminder', confidence: 1, source: 'rules', ...fields };
+}
+
+// Returns an analyzeMessage-shaped result, or null when the LLM should decide
+function parseCommand(messageText, user = {}) {
+  const text = (messageText || '').trim();
+  if (!text) return null;
+  
+  if (CONFIRM_PATTERN.test(text)) return ruleAnalysis('confirm');
+  const batchConfirm = text.match(BATCH_CONFIRM_PATTERN);
+  if (batchConfirm) return ruleAnalysis('confirm', { selection: [...new Set(batchConfirm[1].match(/\d+/g).map(Number))] });
+  if (DECLINE_PATTERN.test(text)) return ruleAnalysis('decline');
+  if (isAcknowledgement(text)) return ruleAnalysis('done');
+  if (isSnoozeReply(text)) return ruleAnalysis('snooze');
+  
+  const command = COMMAND_PATTERNS.find(({ pattern }) => pattern.test(text));
+  if (command) return ruleAnalysis(command.intent);
+  
+  // "X at TIME" - only when a time actually parses
+  const timeZone = user.timezone || 'UTC';
+  const language = getLanguage(user);
+  const recurrence = parseRecurrence(text, timeZone, language);
+  const parsed = recurrence ? null : parseReminderWithTimezone(text, 'reminder', timeZone, language);
+  const withoutMarker = text.replace(REMINDER_PREFIX, '').replace(REMINDER_SUFFIX, '');
+  const explicitReminder = withoutMarker !== text && withoutMarker.length > 0;
+  
+  if (!recurrence && !parsed && !explicitReminder) return null;
+  
+  const task = extractReminderTask(text, language);
+  const reminders = splitReminderMessage(text, timeZone, language);
+  return ruleAnalysis('reminder', {
+    hasAction: task.length > 0,
+    hasTime: !!(recurrence || parsed || reminders),
+    task,
+    reminderText: task,
+    ...(reminders && { reminders })
+  });
+}
+
+// "pills at 8am and call the bank at 2pm, gym at 7pm" → one item per reminder.
+// Every part needs its own task and time, so "every Monday and Wednesday at 9"
+// or "buy milk and eggs at 5pm" stay a single reminder
+const REMINDER_CONJUNCTIONS = { en: 'and', tr: 've', es: 'y', de: 'und', pt: 'e' };
+
+function splitReminderMessage(messageText, timeZone = 'UTC', language = 'en') {
+  const conjunction = `(?:and|${REMINDER_CONJUNCTIONS[language] || 'and'})`;
+  const separator = new RegExp(`\\s*(?:[;\\n]|,\\s*(?:${conjunction}\\s+)?|\\s${conjunction}\\s+)(?:then\\s+|also\\s+)?`, 'iu');
+  const parts = messageText.split(separator).map(part => part.trim()).filter(Boolean);
+  if (parts.length < 2) return null;
+  
+  const items = parts.map(text => ({
+    text,
+    task: extractReminderTask(text, language),
+    hasTime: !!(parseRecurrence(text, timeZone, language) || parseReminderWithTimezone(text, 'reminder', timeZone, language))
+  }));
+  
+  if (!items.every(item => item.hasTime && /\p{L}/u.test(item.task))) return null;
+  return items.map(({ text, task }) => ({ text, task }));
+}
+
+function generateHelpMessage(user) {
+  return t(getLanguage(user), 'help', { name: user.preferredName || 'there' });
+}
+
+// PERSONALIZED MESSAGE ANALYSIS
+async function analyzeMessage(messageText, user) {
+  const rules = parseCommand(messageText, user);
+  if (rules) return rules;
+  
+  const systemMessage = `You are a personalized reminder assistant. Analyze the user's message and respond with helpful, shorter messages.
+
+CORE FUNCTIONALITY - REMINDERS ONLY:
+- Set reminders with specific times ✅
+- List active reminders ✅  
+- Cancel reminders ✅
+- Edit existing reminders ✅
+- Snooze reminders ✅
+
+IMPORTANT: This bot ONLY handles reminders. For any non-reminder requests, politely redirect to reminder functionality.
+
+PERSONALIZATION: Use the user context provided to adapt your communication style and reference their patterns.
+
+User message: "${messageText}"
+
+Respond with JSON only:
+{
+  "intent": "reminder|list|cancel|edit|snooze|premium|setup|non_reminder",
+  "isReminder": true/false,
+  "hasAction": true/false,
+  "hasTime": true/false,
+  "task": "what they want to be reminded about",
+  "timeExpression": "any time found",
+  "reminderText": "cleaned up reminder text (max 40 chars)",
+  "priority": "low|medium|high",
+  "category": "health|work|family|finance|shopping|home|general",
+  "reminders": [{"task": "...", "timeExpression": "..."}] (only when the message asks for several reminders),
+  "personalizedResponse": "friendly, shorter response using their name/style",
+  "premiumRequired": true/false,
+  "confidence": 0.9,
+  "needsClarification": true/false,
+  "suggestedImprovements": "how to make reminder clearer"
+}
+
+Examples:
+- "every weekday at 8am standup" → {"intent": "reminder", "isReminder": true, "hasAction": true, "hasTime": true, "task": "standup", "timeExpression": "every weekday at 8am", "reminderText": "standup"}
+- "gym at 8pm" → {"intent": "reminder", "isReminder": true, "hasAction": true, "hasTime": true, "task": "gym", "timeExpression": "8pm", "reminderText": "gym", "priority": "medium", "category": "health", "personalizedResponse": "Got it! Gym session at 8pm today 💪"}
+- "what's the weather?" → {"intent": "non_reminder", "premiumRequired": false, "personalizedResponse": "I'm your reminder assistant! 😊 What would you like me to remind you about? Try: 'call mom at 7pm'"}
+- "cancel reminder 1" → {"intent": "cancel", "personalizedResponse": "I'll help you cancel that reminder!"}
+- "snooze 10 min" / "later" → {"intent": "snooze", "timeExpression": "10 min", "personalizedResponse": "Snoozed! 😴"}
+
+Keep responses short, friendly, and focused on reminders only.`;
+
+  try {
+    const result = await askChatGPT(messageText, systemMessage, {
+      userId: user.userId,
+      language: getLanguage(user),
+      preferredName: user.preferredName,
+      communicationStyle: user.preferences?.communicationStyle,
+      commonTasks: user.behaviorPatterns?.frequentKeywords,
+      timezone: user.timezone,
+      isPremium: user.isPremium,
+      aiDailyTokens: getUserPlan(user).aiDailyTokens
+    });
+    
+    if (result?.intent) return { ...result, source: 'llm' };
+    
+    return { 
+      intent: "non_reminder", 
+      source: 'fallback',
+      personalizedResponse: t(getLanguage(user), 'assistant_fallback', { name: user.preferredName || senderDisplayName(user) })
+    };
+  } catch (error) {
+    logger.error('Error analyzing message:', error);
+    return { 
+      intent: "non_reminder", 
+      source: 'fallback',
+      personalizedResponse: t(getLanguage(user), 'assistant_unavailable')
+    };
+  }
+}
+
+// DATE & TIME PARSING - the date and the time of day are read separately and then composed
+// in the user's wall clock, so "dentist tomorrow at 3pm" keeps both halves. When the text
+// allows several readings ("next Friday at 9") every reading is returned and the bot asks.
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\b\\.?';
+const MONTH_KEYS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const YEAR_SUFFIX = '(?:,?\\s+(\\d{4})\\b)?';
+
+const DATE_PATTERNS = {
+  endOfMonth: /\bend of (?:the |this )?(next )?month\b/,
+  dayAfterTomorrow: /\b(?:the )?day after tomorrow\b/,
+  tomorrow: /\b(?:tomorrow|tmrw|tmr)\b/,
+  today: /\b(?:today|tonight)\b/,
+  iso: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/,
+  numeric: /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/,
+  // "15.03." but not the time in "at 9.10." - day ≤ 31, month ≤ 12
+  dotted: /(?<!(?:\b(?:at|by|around|um|saat|às|as|las)|@)\s*)\b(0?[1-9]|[12]\d|3[01])\.(0?[1-9]|1[0-2])\.(\d{4}\b)?/,
+  dayMonth: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}${YEAR_SUFFIX}`),
+  monthDay: new RegExp(`\\b${MONTH_PATTERN}\\s*(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\b(?!\\s*(?::|[ap]\\.?m\\b))${YEAR_SUFFIX}`),
+  ordinal: /\b(?:on\s+the\s+(\d{1,2})(?:st|nd|rd|th)?|the\s+(\d{1,2})(?:st|nd|rd|th))\b/,
+  weekday: /\b(?:(next|this|coming|on)\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/
+};
+
+const TIME_PATTERNS = {
+  twelveHour: /\b(\d{1,2})(?:[:.]([0-5]\d))?\s*([ap])\.?m\b\.?/,
+  twentyFourHour: /\b([01]?\d|2[0-3])[:.h]([0-5]\d)\b/,
+  noon: /\b(noon|midday|midnight)\b/,
+  bareHour: /\b(?:at|@|by|around)\s*(\d{1,2})\b(?!\s*(?:st|nd|rd|th|%|\/)|[:.h]\d)/, // "at 12:75" isn't "at 12"
+  period: /\b(morning|afternoon|evening|night|tonight)\b/
+};
+
+// "in 1 hour 30 minutes", "in 90 min", "in half an hour", "in 2 days"
+const DURATION_PATTERN = /\bin\s+((?:(?:an?|half an|\d+(?:\.\d+)?)\s*(?:minutes?|mins?|m|hours?|hrs?|h|days?|weeks?)\b(?:\s*,?\s*(?:and\s+)?)?)+)/;
+const DURATION_PART = /(an?|half an|\d+(?:\.\d+)?)\s*(minutes?|mins?|m|hours?|hrs?|h|days?|weeks?)\b/g;
+
+// US-style month-first dates ("3/4" = March 4th); everywhere else reads the day first
+const MONTH_FIRST_ZONES = /^(?:America\/(?:New_York|Chicago|Denver|Los_Angeles|Phoenix|Anchorage|Detroit|Boise|Juneau|Sitka|Nome|Adak|Yakutat|Metlakatla|Menominee|Indiana|Kentucky|North_Dakota)|US\/|Pacific\/Honolulu|Asia\/Manila)/;
+
+function dateOrderForZone(zone) {
+  if (!zone || zone === 'UTC') return null; // Unknown - "3/4" stays ambiguous
+  return MONTH_FIRST_ZONES.test(zone) ? 'MDY' : 'DMY';
+}
+
+// Midnight of a wall-clock day, or null for impossible dates like Feb 30 or month 29 - nothing rolls over
+function wallDate(year, month, day) {
+  if (!Number.isInteger(month) || month < 0 || month > 11 || !Number.isInteger(day) || day < 1) return null;
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCMonth() === month && date.getUTCDate() === day ? date : null;
+}
+
+function addWallDays(date, days) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+}
+
+function parseDuration(text) {
+  const match = text.match(DURATION_PATTERN);
+  if (!match) return null;
+  
+  const duration = { minutes: 0, days: 0, match: match[0] };
+  for (const [, amountText, unit] of match[1].matchAll(DURATION_PART)) {
+    const amount = amountText === 'half an' ? 0.5 : /^an?$/.test(amountText) ? 1 : parseFloat(amountText);
+    if (unit.startsWith('w')) duration.days += amount * 7;
+    else if (unit.startsWith('d')) duration.days += amount;
+    else if (unit.startsWith('h')) duration.minutes += amount * 60;
+    else duration.minutes += amount;
+  }
+  return duration;
+}
+
+// Year-less dates mean the next time that day comes around
+function upcomingDate(month, day, today) {
+  const thisYear = wallDate(today.getUTCFullYear(), month, day);
+  if (thisYear && thisYear >= today) return thisYear;
+  return wallDate(today.getUTCFullYear() + 1, month, day);
+}
+
+function explicitDate(year, month, day, today) {
+  if (!year) return upcomingDate(month, day, today);
+  return wallDate(year < 100 ? 2000 + year : year, month, day);
+}
+
+// → { options: [wall-clock midnights], roll, reason, match } or null; no options for a date that doesn't exist
+// roll says how to move a date whose time already passed today: 'week', 'month', 'year' or null
+function parseDatePart(text, today, dateOrder, duration) {
+  let match = text.match(DATE_PATTERNS.endOfMonth);
+  if (match) {
+    const monthOffset = match[1] ? 2 : 1;
+    return { options: [new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + monthOffset, 0))], roll: null, match: match[0] };
+  }
+  
+  if ((match = text.match(DATE_PATTERNS.dayAfterTomorrow))) return { options: [addWallDays(today, 2)], roll: null, match: match[0] };
+  if ((match = text.match(DATE_PATTERNS.tomorrow))) return { options: [addWallDays(today, 1)], roll: null, match: match[0] };
+  if ((match = text.match(DATE_PATTERNS.today))) return { options: [today], roll: null, match: match[0] };
+  if (duration?.days) return { options: [addWallDays(today, Math.round(duration.days))], roll: null, match: duration.match, keepTime: true };
+  
+  if ((match = text.match(DATE_PATTERNS.iso))) {
+    const date = wallDate(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+    return { options: date ? [date] : [], roll: null, match: match[0] };
+  }
+  
+  match = text.match(DATE_PATTERNS.numeric) || text.match(DATE_PATTERNS.dotted);
+  if (match) {
+    const [first, second] = [parseInt(match[1]), parseInt(match[2])];
+    const year = match[3] ? parseInt(match[3]) : null;
+    const dayFirst = explicitDate(year, second - 1, first, today);
+    const monthFirst = explicitDate(year, first - 1, second, today);
+    const roll = year ? null : 'year';
+    
+    if (dayFirst && monthFirst && first !== second) {
+      if (dateOrder === 'DMY') return { options: [dayFirst], roll, match: match[0] };
+      if (dateOrder === 'MDY') return { options: [monthFirst], roll, match: match[0] };
+      return { options: [dayFirst, monthFirst], roll, reason: 'date_order', match: match[0] };
+    }
+    const date = dayFirst || monthFirst;
+    return { options: date ? [date] : [], roll, match: match[0] };
+  }
+  
+  match = text.match(DATE_PATTERNS.dayMonth);
+  const monthDay = match ? null : text.match(DATE_PATTERNS.monthDay);
+  if (match || monthDay) {
+    const [day, monthName, year] = match ? [match[1], match[2], match[3]] : [monthDay[2], monthDay[1], monthDay[3]];
+    const date = explicitDate(year ? parseInt(year) : null, MONTH_KEYS.indexOf(monthName.slice(0, 3)), parseInt(day), today);
+    return { options: date ? [date] : [], roll: year ? null : 'year', match: (match || monthDay)[0] };
+  }
+  
+  if ((match = text.match(DATE_PATTERNS.ordinal))) {
+    const day = parseInt(match[1] || match[2]);
+    // "the 31st" skips months that don't have one
+    for (let monthOffset = 0; monthOffset < 12; monthOffset++) {
+      const month = today.getUTCMonth() + monthOffset;
+      const candidate = wallDate(today.getUTCFullYear() + Math.floor(month / 12), month % 12, day);
+      if (candidate && candidate >= today) return { options: [candidate], roll: 'month', match: match[0] };
+    }
+    return { options: [], roll: null, match: match[0] };
+  }
+  
+  if ((match = text.match(DATE_PATTERNS.weekday))) {
+    const dayOfWeek = today.getUTCDay();
+    const target = WEEKDAY_NAMES.indexOf(match[2]);
+    const daysAhead = (target - dayOfWeek + 7) % 7;
+    
+    if (match[1] === 'next') {
+      const upcoming = addWallDays(today, daysAhead || 7);
+      // "next Friday" said on a Monday may mean this week's Friday or the one after
+      const sameWeek = (dayOfWeek + 6) % 7 + (daysAhead || 7) <= 6;
+      return sameWeek
+        ? { options: [upcoming, addWallDays(upcoming, 7)], roll: null, reason: 'next_weekday', match: match[0] }
+        : { options: [upcoming], roll: null, match: match[0] };
+    }
+    return { options: [addWallDays(today, daysAhead)], roll: 'week', match: match[0] };
+  }
+  
+  return null;
+}
+
+// → { hours, minutes } | { hours, minutes, meridiem: 'ambiguous' } | { period } or null
+function parseTimePart(text) {
+  const period = text.match(TIME_PATTERNS.period)?.[1] || null;
+  const evening = period && period !== 'morning';
+  
+  let match = text.match(TIME_PATTERNS.twelveHour);
+  if (match && parseInt(match[1]) >= 1 && parseInt(match[1]) <= 12) {
+    return { hours: parseInt(match[1]) % 12 + (match[3] === 'p' ? 12 : 0), minutes: parseInt(match[2] || 0) };
+  }
+  
+  if ((match = text.match(TIME_PATTERNS.twentyFourHour))) {
+    const hours = parseInt(match[1]);
+    return { hours: evening && hours < 12 ? hours + 12 : hours, minutes: parseInt(match[2]) };
+  }
+  
+  if ((match = text.match(TIME_PATTERNS.noon))) {
+    return { hours: match[1] === 'midnight' ? 0 : 12, minutes: 0 };
+  }
+  
+  if ((match = text.match(TIME_PATTERNS.bareHour)) && parseInt(match[1]) < 24) {
+    const hours = parseInt(match[1]);
+    if (hours === 0 || hours >= 12) return { hours, minutes: 0 };
+    if (period) return { hours: evening ? hours + 12 : hours, minutes: 0 };
+    return { hours, minutes: 0, meridiem: 'ambiguous' };
+  }
+  
+  return period ? { period } : null;
+}
+
+// → { wallClock, options, reason } or null; options holds every reading, soonest first
+function parseDateTime(messageText, { now = new Date(), zone = 'UTC', dateOrder = dateOrderForZone(zone) } = {}) {
+  let text = messageText.toLowerCase();
+  const nowWall = toUserWallClock(now, zone);
+  const today = new Date(Date.UTC(nowWall.getUTCFullYear(), nowWall.getUTCMonth(), nowWall.getUTCDate()));
+  
+  // Elapsed minutes and hours are added to the instant, across DST changes
+  const duration = parseDuration(text);
+  if (duration && !duration.days) {
+    const wallClock = toUserWallClock(new Date(now.getTime() + duration.minutes * 60 * 1000), zone);
+    return { wallClock, options: [wallClock], reason: null };
+  }
+  
+  const date = parseDatePart(text, today, dateOrder, duration);
+  // "29.02." in a year without one is no reading at all, not "today"
+  if (date && !date.options.length) return { wallClock: null, options: [], reason: 'impossible_date' };
+  if (date) text = text.replace(date.match, ' ');
+  const time = parseTimePart(text);
+  if (!date && !time) return null;
+  
+  const timesOfDay = !time
+    ? [date.keepTime ? { hours: nowWall.getUTCHours(), minutes: nowWall.getUTCMinutes() } : DEFAULT_RECURRENCE_TIME]
+    : time.period
+      ? [{ hours: (PERIOD_HOURS[time.period] || PERIOD_HOURS.night)[0], minutes: (PERIOD_HOURS[time.period] || PERIOD_HOURS.night)[1] }]
+      : time.meridiem === 'ambiguous'
+        ? [time, { hours: time.hours + 12, minutes: time.minutes }]
+        : [time];
+  
+  const soon = new Date(nowWall.getTime() + 60000); // 1 minute buffer
+  let candidates = [];
+  (date ? date.options : [today]).forEach(day => {
+    timesOfDay.forEach(({ hours, minutes }) => {
+      let candidate = new Date(day);
+      candidate.setUTCHours(hours, minutes, 0, 0);
+      
+      if (candidate <= soon) {
+        if (!date) candidate = addWallDays(candidate, 1);
+        else if (date.roll === 'week') candidate = addWallDays(candidate, 7);
+        else if (date.roll === 'month') candidate.setUTCMonth(candidate.getUTCMonth() + 1);
+        else if (date.roll === 'year') candidate.setUTCFullYear(candidate.getUTCFullYear() + 1);
+      }
+      candidates.push(candidate);
+    });
+  });
+  
+  // Without a date, "at 7" said in the morning can only still mean 7pm today
+  if (!date && time?.meridiem === 'ambiguous') {
+    const laterToday = candidates.filter(candidate => candidate.getUTCDate() === nowWall.getUTCDate());
+    if (laterToday.length === 1) candidates = laterToday;
+  }
+  
+  const options = [...new Map(candidates.sort((a, b) => a - b).map(c => [c.getTime(), c])).values()];
+  const reason = options.length > 1 ? (date?.reason || 'meridiem') : null;
+  
+  return { wallClock: options[0], options, reason };
+}
+
+// ENHANCED time parsing with better accuracy
+// now is injectable so the parser can be pinned to a fixed clock
+function parseReminderWithTimezone(messageText, task, timeZone = 'UTC', language = 'en', now = new Date()) {
+  try {
+    const zone = resolveTimeZone(timeZone);
+    logger.info(`🕐 Parsing: "${messageText}" (timezone: ${zone}, language: ${language})`);
+    
+    let parsed = language === 'en' ? null : parseLocalizedTime(messageText, language, now, zone);
+    let options = [];
+    let ambiguityReason = null;
+    let impossibleDate = false;
+    
+    if (!parsed) {
+      const result = parseDateTime(messageText, { now, zone });
+      impossibleDate = result?.reason === 'impossible_date';
+      if (result) {
+        options = result.options.filter(option => fromUserWallClock(option, zone) > now);
+        parsed = options[0] || result.wallClock;
+        ambiguityReason = result.reason;
+      }
+    }
+    
+    // Try chrono as fallback - its components are read as wall-clock time
+    if (!parsed && !impossibleDate) {
+      try {
+        const results = chrono.parse(messageText, { instant: now, timezone: getZoneOffsetMinutes(zone, now) });
+        if (results.length > 0) {
+          const start = results[0].start;
+          parsed = new Date(Date.UTC(
+            start.get('year'), start.get('month') - 1, start.get('day'),
+            start.get('hour'), start.get('minute'), start.get('second') || 0
+          ));
+        }
+      } catch (e) {
+        logger.warn('Chrono parsing failed:', e.message);
+      }
+    }
+    
+    // Convert to UTC for storage
+    const utcTime = parsed ? fromUserWallClock(parsed, zone) : null;
+    
+    if (!utcTime || utcTime <= now) {
+      logger.warn('Could not parse valid future time from:', messageText);
+      return null;
+    }
+    
+    logger.info(`✅ Parsed time - User: ${parsed.toISOString()}, UTC: ${utcTime.toISOString()}`);
+    
+    // Several readings still in the future → the caller asks which one was meant
+    const readings = options.map(option => fromUserWallClock(option, zone));
+    
+    return {
+      message: task,
+      scheduledTime: utcTime,
+      userLocalTime: formatUserLocalTime(utcTime, zone, language),
+      userTimezone: zone,
+      ambiguity: readings.length > 1
+        ? {
+            reason: ambiguityReason,
+            options: readings.map(option => ({ scheduledTime: option, userLocalTime: formatUserLocalTime(option, zone, language) }))
+          }
+        : null
+    };
+  } catch (error) {
+    logger.error('Time parsing error:', error);
+    return null;
+  }
+}
+
+// RECURRENCE ENGINE - RRULE-style rules evaluated in the user's local time
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const ORDINAL_WORDS = { first: 1, '1st': 1, second: 2, '2nd': 2, other: 2, third: 3, '3rd': 3, fourth: 4, '4th': 4, last: -1 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RECURRENCE_LOOKAHEAD_DAYS = 366 * 5;
+const DEFAULT_RECURRENCE_TIME = { hours: 9, minutes: 0 };
+
+function parseRRule(pattern) {
+  if (!pattern) return null;
+  
+  // Legacy patterns stored before rules existed
+  const legacy = { daily: 'FREQ=DAILY', weekly: 'FREQ=WEEKLY', monthly: 'FREQ=MONTHLY' };
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], until: null, count: null };
+  
+  (legacy[pattern] || pattern).split(';').forEach(part => {
+    const [key, value] = part.split('=');
+    switch (key) {
+      case 'FREQ':
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(value) || 1;
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(code => {
+          const match = code.match(/^([+-]?\d+)?([A-Z]{2})$/);
+          return match ? { ordinal: match[1] ? parseInt(match[1]) : null, day: WEEKDAY_CODES.indexOf(match[2]) } : null;
+        }).filter(d => d && d.day >= 0);
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(Number).filter(Boolean);
+        break;
+      case 'UNTIL': {
+        const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+        if (m) rule.until = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 23), +(m[5] || 59), +(m[6] || 59)));
+        break;
+      }
+      case 'COUNT':
+        rule.count = parseInt(value) || null;
+        break;
+    }
+  });
+  
+  return ['HOURLY', 'DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.freq) ? rule : null;
+}
+
+function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length) {
+    parts.push(`BYDAY=${rule.byDay.map(d => `${d.ordinal || ''}${WEEKDAY_CODES[d.day]}`).join(',')}`);
+  }
+  if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+}
+
+function daysInMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+}
+
+function matchesRecurrenceDay(rule, startWall, day) {
+  const dayNumber = Math.floor(day.getTime() / DAY_MS);
+  const startDayNumber = Math.floor(startWall.getTime() / DAY_MS);
+  
+  switch (rule.freq) {
+    case 'DAILY':
+      return (dayNumber - startDayNumber) % rule.interval === 0;
+      
+    case 'WEEKLY': {
+      const weekdays = rule.byDay.length ? rule.byDay.map(d => d.day) : [startWall.getUTCDay()];
+      if (!weekdays.includes(day.getUTCDay())) return false;
+      
+      // Weeks are counted from the Monday of the first occurrence
+      const startMonday = startDayNumber - ((startWall.getUTCDay() + 6) % 7);
+      return Math.floor((dayNumber - startMonday) / 7) % rule.interval === 0;
+    }
+    
+    case 'MONTHLY': {
+      const months = (day.getUTCFullYear() - startWall.getUTCFullYear()) * 12 + day.getUTCMonth() - startWall.getUTCMonth();
+      if (months % rule.interval !== 0) return false;
+      
+      const date = day.getUTCDate();
+      const lastDay = daysInMonth(day);
+      
+      if (rule.byDay.length) {
+        return rule.byDay.some(d => d.day === day.getUTCDay() && (
+          !d.ordinal ||
+          (d.ordinal > 0 && Math.ceil(date / 7) === d.ordinal) ||
+          (d.ordinal < 0 && Math.floor((lastDay - date) / 7) === -d.ordinal - 1)
+        ));
+      }
+      
+      // Days past the end of a short month fall on its last day
+      const monthDays = rule.byMonthDay.length ? rule.byMonthDay : [startWall.getUTCDate()];
+      return monthDays.some(md => md > 0 ? Math.min(md, lastDay) === date : lastDay + md + 1 === date);
+    }
+    
+    case 'YEARLY': {
+      const years = day.getUTCFullYear() - startWall.getUTCFullYear();
+      return years % rule.interval === 0 &&
+        day.getUTCMonth() === startWall.getUTCMonth() &&
+        Math.min(startWall.getUTCDate(), daysInMonth(day)) === day.getUTCDate();
+    }
+    
+    default:
+      return false;
+  }
+}
+
+// First occurrence strictly after `after`, or null when the rule has ended
+function nextOccurrenceAfter(rule, start, after, timeZone = 'UTC') {
+  const startWall = toUserWallClock(start, timeZone);
+  const afterWall = toUserWallClock(after, timeZone);
+  let next = null;
+  
+  if (rule.freq === 'HOURLY') {
+    const step = rule.interval * 60 * 60 * 1000;
+    const steps = Math.max(0, Math.floor((afterWall - startWall) / step) + 1);
+    next = new Date(startWall.getTime() + steps * step);
+  } else {
+    const timeOfDay = startWall.getTime() % DAY_MS;
+    let dayStart = Math.floor(afterWall.getTime() / DAY_MS) * DAY_MS;
+    
+    for (let i = 0; i < MAX_RECURRENCE_LOOKAHEAD_DAYS; i++, dayStart += DAY_MS) {
+      const candidate = new Date(dayStart + timeOfDay);
+      if (candidate <= afterWall || candidate < startWall) continue;
+      
+      if (matchesRecurrenceDay(rule, startWall, candidate)) {
+        next = candidate;
+        break;
+      }
+    }
+  }
+  
+  if (!next) return null;
+  
+  const nextUtc = fromUserWallClock(next, timeZone);
+  return rule.until && nextUtc > rule.until ? null : nextUtc;
+}
+
+function ordinalSuffix(n) {
+  const mod100 = n % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+  return `${n}${{ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`;
+}
+
+function weekdayName(day, language = 'en') {
+  // 2024-01-07 was a Sunday
+  return new Date(Date.UTC(2024, 0, 7 + day)).toLocaleDateString(getLocale(language), { weekday: 'long', timeZone: 'UTC' });
+}
+
+function describeRecurrence(pattern, start, timeZone = 'UTC', language = 'en') {
+  const rule = parseRRule(pattern);
+  if (!rule) return t(language, 'recurrence_fallback');
+  
+  const startWall = start ? toUserWallClock(start, timeZone) : null;
+  const count = rule.interval;
+  const days = rule.byDay.map(d => d.day);
+  let description;
+  
+  switch (rule.freq) {
+    case 'HOURLY':
+      description = t(language, 'recurrence_hourly', { count });
+      break;
+    case 'DAILY':
+      description = t(language, 'recurrence_daily', { count });
+      break;
+    case 'WEEKLY':
+      if (rule.interval === 1 && days.length === 5 && [1, 2, 3, 4, 5].every(d => days.includes(d))) {
+        description = t(language, 'recurrence_weekdays');
+      } else if (rule.interval === 1 && days.length === 2 && days.includes(0) && days.includes(6)) {
+        description = t(language, 'recurrence_weekends');
+      } else {
+        const dayNames = (days.length ? days : startWall ? [startWall.getUTCDay()] : []).map(day => weekdayName(day, language));
+        description = dayNames.length 
+          ? t(language, 'recurrence_weekly_on', { count, days: dayNames.join(', ') }) 
+          : t(language, 'recurrence_weekly', { count });
+      }
+      break;
+    case 'MONTHLY':
+      if (rule.byDay.length) {
+        const d = rule.byDay[0];
+        const ordinals = t(language, 'recurrence_ordinals').split('|');
+        const which = d.ordinal === -1 ? ordinals[ordinals.length - 1] : ordinals[(d.ordinal || 1) - 1];
+        description = t(language, 'recurrence_monthly_nth', { count, which, weekday: weekdayName(d.day, language) });
+      } else {
+        const monthDays = rule.byMonthDay.length ? rule.byMonthDay : startWall ? [startWall.getUTCDate()] : [];
+        if (monthDays.includes(-1)) {
+          description = t(language, 'recurrence_monthly_last_day', { count });
+        } else if (monthDays.length) {
+          description = t(language, 'recurrence_monthly_on', { count, day: monthDays.join(', '), ordinal: monthDays.map(ordinalSuffix).join(', ') });
+        } else {
+          description = t(language, 'recurrence_monthly', { count });
+        }
+      }
+      break;
+    case 'YEARLY':
+      description = t(language, 'recurrence_yearly', { count });
+      break;
+  }
+  
+  if (rule.until) {
+    const until = toUserWallClock(rule.until, timeZone).toLocaleDateString(getLocale(language), { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    description += t(language, 'recurrence_until', { date: until });
+  }
+  if (rule.count) description += t(language, 'recurrence_times', { count: rule.count });
+  
+  return description;
+}
+
+// Time of day in a recurring phrase - "at 8am", "18:30", "every morning"
+function parseTimeOfDay(text) {
+  const twelveHour = text.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/i);
+  if (twelveHour) {
+    let hours = parseInt(twelveHour[1]) % 12;
+    if (twelveHour[3].toLowerCase() === 'pm') hours += 12;
+    return { hours, minutes: parseInt(twelveHour[2] || 0) };
+  }
+  
+  const twentyFourHour = text.match(/\b(\d{1,2})[.:](\d{2})\b/);
+  if (twentyFourHour && parseInt(twentyFourHour[1]) < 24) {
+    return { hours: parseInt(twentyFourHour[1]), minutes: parseInt(twentyFourHour[2]) };
+  }
+  
+  const bareHour = text.match(/\bat\s+(\d{1,2})\b(?!\s*(?:st|nd|rd|th))/i);
+  if (bareHour && parseInt(bareHour[1]) < 24) {
+    return { hours: parseInt(bareHour[1]), minutes: 0 };
+  }
+  
+  const periods = { morning: 8, noon: 12, afternoon: 14, evening: 18, night: 20, midnight: 0 };
+  const period = text.match(/\b(morning|noon|afternoon|evening|night|midnight)\b/i);
+  if (period) return { hours: periods[period[1].toLowerCase()], minutes: 0 };
+  
+  return null;
+}
+
+// Parse "every weekday at 8am", "every 2nd Tuesday", "on the 1st of every month",
+// "every 3 hours until 10pm" into an RRULE and its first occurrence
+function parseRecurrence(messageText, timeZone = 'UTC', language = 'en') {
+  const text = localizedRecurrenceToEnglish(messageText.toLowerCase(), language);
+  if (!/\b(every|each|daily|weekly|monthly|yearly|annually|hourly|weekdays)\b/.test(text)) return null;
+  
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], until: null, count: null };
+  const now = new Date();
+  const dayPattern = WEEKDAY_NAMES.join('|');
+  
+  // End conditions are split off first so "until 10pm" isn't read as the start time
+  const endMatch = text.match(/\b(?:until|till)\s+(.+)$/);
+  const body = endMatch ? text.slice(0, endMatch.index) : text;
+  
+  let match;
+  if ((match = body.match(/\bevery\s+(\d+)?\s*(?:hours?|hrs?)\b|\bhourly\b/))) {
+    rule.freq = 'HOURLY';
+    rule.interval = parseInt(match[1]) || 1;
+  } else if ((match = body.match(new RegExp(`\\b(first|1st|second|2nd|third|3rd|fourth|4th|last)\\s+(${dayPattern})\\s+of\\s+(?:the|every|each)\\s+month`)))) {
+    rule.freq = 'MONTHLY';
+    rule.byDay = [{ ordinal: ORDINAL_WORDS[match[1]], day: WEEKDAY_NAMES.indexOf(match[2]) }];
+  } else if (/\blast\s+day\s+of\s+(?:the|every|each)\s+month\b/.test(body)) {
+    rule.freq = 'MONTHLY';
+    rule.byMonthDay = [-1];
+  } else if ((match = body.match(/\b(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)?\s+of\s+(?:every|each|the)\s+month\b/) ||
+                      body.match(/\b(?:every\s+month|monthly)\s+on\s+the\s+(\d{1,2})(?:st|nd|rd|th)?\b/))) {
+    rule.freq = 'MONTHLY';
+    rule.byMonthDay = [Math.min(31, Math.max(1, parseInt(match[1])))];
+  } else if (/\b(every\s+)?weekdays?\b/.test(body) && !/\bweekdays?\s+of\b/.test(body)) {
+    rule.freq = 'WEEKLY';
+    rule.byDay = [1, 2, 3, 4, 5].map(day => ({ ordinal: null, day }));
+  } else if (/\b(every\s+)?weekends?\b/.test(body) && /\bevery\b/.test(body)) {
+    rule.freq = 'WEEKLY';
+    rule.byDay = [6, 0].map(day => ({ ordinal: null, day }));
+  } else if ((match = body.match(new RegExp(`\\bevery\\s+(?:(other|second|2nd|third|3rd|fourth|4th|\\d+)\\s+)?((?:${dayPattern})(?:\\s*(?:,|and|&)\\s*(?:${dayPattern}))*)`)))) {
+    rule.freq = 'WEEKLY';
+    rule.interval = ORDINAL_WORDS[match[1]] || parseInt(match[1]) || 1;
+    rule.byDay = WEEKDAY_NAMES
+      .map((name, day) => match[2].includes(name) ? { ordinal: null, day } : null)
+      .filter(Boolean);
+  } else if ((match = body.match(/\bevery\s+(\d+|other)?\s*(day|week|month|year)s?\b/))) {
+    rule.freq = { day: 'DAILY', week: 'WEEKLY', month: 'MONTHLY', year: 'YEARLY' }[match[2]];
+    rule.interval = match[1] === 'other' ? 2 : parseInt(match[1]) || 1;
+  } else if ((match = body.match(/\b(daily|weekly|monthly|yearly|annually)\b|\bevery\s+(morning|afternoon|evening|night)\b/))) {
+    rule.freq = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY', yearly: 'YEARLY', annually: 'YEARLY' }[match[1]] || 'DAILY';
+  } else {
+    return null;
+  }
+  
+  // How many times / for how long
+  const countMatch = body.match(/\b(?:for\s+)?(\d+)\s+times\b/);
+  if (countMatch) rule.count = parseInt(countMatch[1]);
+  
+  const durationMatch = body.match(/\bfor\s+(\d+)\s+(day|week|month)s?\b/);
+  if (durationMatch) {
+    const until = new Date(now);
+    const amount = parseInt(durationMatch[1]);
+    if (durationMatch[2] === 'day') until.setUTCDate(until.getUTCDate() + amount);
+    if (durationMatch[2] === 'week') until.setUTCDate(until.getUTCDate() + amount * 7);
+    if (durationMatch[2] === 'month') until.setUTCMonth(until.getUTCMonth() + amount);
+    rule.until = until;
+  }
+  
+  if (endMatch) {
+    const endParsed = parseReminderWithTimezone(endMatch[1], 'until', timeZone);
+    if (endParsed) {
+      rule.until = endParsed.scheduledTime;
+      // A date without a time runs through the end of that day
+      if (!parseTimeOfDay(endMatch[1])) {
+        const endWall = toUserWallClock(endParsed.scheduledTime, timeZone);
+        endWall.setUTCHours(23, 59, 59, 0);
+        rule.until = fromUserWallClock(endWall, timeZone);
+      }
+    }
+  }
+  
+  // Anchor the series at the first matching day and time
+  const time = parseTimeOfDay(body.replace(/\bevery\s+\d+\s*(?:hours?|hrs?)\b/, ''));
+  const nowWall = toUserWallClock(now, timeZone);
+  let seed;
+  
+  if (rule.freq === 'HOURLY' && !time) {
+    seed = new Date(now.getTime() + rule.interval * 60 * 60 * 1000);
+    seed.setUTCSeconds(0, 0);
+  } else {
+    const { hours, minutes } = time || DEFAULT_RECURRENCE_TIME;
+    const seedWall = new Date(nowWall);
+    seedWall.setUTCHours(hours, minutes, 0, 0);
+    seed = fromUserWallClock(seedWall, timeZone);
+  }
+  
+  const firstOccurrence = nextOccurrenceAfter({ ...rule, interval: 1, until: null }, seed, new Date(Math.max(now, seed) - 1), timeZone);
+  if (!firstOccurrence || (rule.until && firstOccurrence > rule.until)) return null;
+  
+  const pattern = formatRRule(rule);
+  
+  return {
+    pattern,
+    rule,
+    firstOccurrence,
+    description: describeRecurrence(pattern, firstOccurrence, timeZone, language)
+  };
+}
+
+// Personal reminders first, then each space's list - list, cancel and edit number them the same way
+async function findUpcomingReminders(userId, conditions = {}, limit = 0) {
+  const query = {
+    kind: { $ne: 'pre_alert' },
+    isCompleted: false,
+    scheduledTime: { $gt: new Date() },
+    ...conditions
+  };
+  
+  const reminders = await Reminder.find({ ...query, userId: userId, spaceId: null }).sort({ scheduledTime: 1 }).limit(limit);
+  for (const space of await findUserSpaces(userId)) {
+    reminders.push(...await Reminder.find({ ...query, spaceId: space._id }).sort({ scheduledTime: 1 }).limit(limit));
+  }
+  return reminders;
+}
+
+// LIST REMINDERS with enhanced display
+async function listReminders(userId, user, filter = null) {
+  try {
+    const reminders = await findUpcomingReminders(userId, {
+      ...(filter?.category && { category: filter.category }),
+      ...(filter?.priority && { priority: filter.priority })
+    }, 10);
+    
+    const preAlerts = await Reminder.find({
+      parentReminderId: { $in: reminders.map(reminder => reminder._id) },
+      kind: 'pre_alert',
+      isCompleted: false
+    }).sort({ scheduledTime: 1 });
+    
+    const language = getLanguage(user);
+    const filterLabel = filter ? describeListFilter(filter, language) : null;
+    
+    if (reminders.length === 0) {
+      return filter
+        ? t(language, 'list_empty_filtered', { name: user.preferredName, filter: filterLabel })
+        : t(language, 'list_empty', { name: user.preferredName });
+    }
+    
+    let response = filter
+      ? t(language, 'list_header_filtered', { name: user.preferredName, filter: filterLabel })
+      : t(language, 'list_header', { name: user.preferredName });
+    reminders.forEach((reminder, index) => {
+      if (reminder.spaceId && reminder.spaceName !== reminders[index - 1]?.spaceName) {
+        response += t(language, 'list_space_header', { space: reminder.spaceName });
+      }
+      
+      const priority = PRIORITY_EMOJI[reminder.priority] || PRIORITY_EMOJI.medium;
+      const recurring = reminder.isRecurring 
+        ? ` 🔄 ${describeRecurrence(reminder.recurrencePattern, reminder.recurrenceStart, reminder.userTimezone, language)}` 
+        : '';
+      const alertLines = preAlerts
+        .filter(alert => alert.parentReminderId.equals(reminder._id))
+        .map(alert => `   ⏳ ${t(language, 'pre_alert_list', { lead: formatLeadTime(alert.leadMinutes, language), time: alert.userLocalTime })}\n`)
+        .join('');
+      const recipient = reminder.recipientId ? ` 👤 ${reminder.recipientName}` : '';
+      response += `${index + 1}. ${priority} ${reminder.message}${recipient}${recurring}\n   📅 ${reminder.userLocalTime}\n${alertLines}\n`;
+    });
+    
+    response += t(language, 'list_commands');
+    
+    return response;
+  } catch (error) {
+    logger.error('Error listing reminders:', error);
+    return t(getLanguage(user), 'list_error');
+  }
+}
+
+// CANCEL REMINDER with better UX
+async function cancelReminder(userId, messageText, user) {
+  try {
+    const reminders = await findUpcomingReminders(userId);
+    
+    const language = getLanguage(user);
+    
+    if (reminders.length === 0) {
+      return t(language, 'cancel_none', { name: user.preferredName });
+    }
+    
+    // Extract number, reference or keyword (the LLM routes "cancel the dentist" here)
+    let reminderToCancel = findReferencedReminder(reminders, messageText);
+    
+    if (!reminderToCancel && !/\d/.test(messageText)) {
+      const keywords = messageText.toLowerCase().split(' ').filter(word => word.length > 2);
+      reminderToCancel = reminders.find(r => 
+        keywords.some(keyword => r.message.toLowerCase().includes(keyword))
+      );
+    }
+    
+    if (reminderToCancel) {
+      await Reminder.findByIdAndUpdate(reminderToCancel._id, { isCompleted: true, outcome: 'cancelled' });
+      await cancelPreAlerts(reminderToCancel._id);
+      await trackEvent(userId, 'reminder_cancelled', { message: reminderToCancel.message, spaceId: reminderToCancel.spaceId || undefined });
+      
+      const seriesLine = reminderToCancel.isRecurring ? t(language, 'cancel_series_stopped') : '';
+      return t(language, 'cancel_done', { message: reminderToCancel.message, time: reminderToCancel.userLocalTime }) + seriesLine;
+    }
+    
+    // Show list for selection
+    let response = t(language, 'cancel_which', { name: user.preferredName });
+    reminders.slice(0, 5).forEach((reminder, index) => {
+      const space = reminder.spaceId ? ` 🏠 ${reminder.spaceName}` : '';
+      response += `${index + 1}. ${reminder.message}${space}\n   📅 ${reminder.userLocalTime}\n\n`;
+    });
+    response += t(language, 'cancel_reply_hint');
+    
+    return response;
+  } catch (error) {
+    logger.error('Error cancelling reminder:', error);
+    return t(getLanguage(user), 'cancel_error');
+  }
+}
+
+// "2" → the second listed, "last"/"it" → the one created most recently
+function findReferencedReminder(reminders, messageText) {
+  const numberMatch = messageText.match(/(\d+)/);
+  if (numberMatch) return reminders[parseInt(numberMatch[1]) - 1] || null;
+  
+  if (new RegExp(`\\s(?:${REFERENCE_WORDS})[.!?]*$`, 'iu').test(messageText.trim())) {
+    return reminders.reduce((latest, reminder) => (!latest || reminder.createdAt > latest.createdAt ? reminder : latest), null);
+  }
+  return null;
+}
+
+// EDIT REMINDER functionality
+async function editReminder(userId, messageText, user) {
+  const language = getLanguage(user);
+  try {
+    const reminders = await findUpcomingReminders(userId);
+    
+    if (reminders.length === 0) {
+      return t(language, 'edit_none', { name: user.preferredName });
+    }
+    
+    // Check if user is specifying which reminder to edit
+    const reminder = findReferencedReminder(reminders, messageText);
+    if (reminder) {
+      // Store pending edit
+      user.pendingEdit = {
+        reminderId: reminder._id,
+        currentMessage: reminder.message,
+        currentTime: reminder.userLocalTime
+      };
+      await user.save();
+      
+      return t(language, 'edit_prompt', { message: reminder.message, time: reminder.userLocalTime });
+    }
+    
+    // Show list for selection
+    let response = `${t(language, 'edit_which', { name: user.preferredName })}\n\n`;
+    reminders.slice(0, 5).forEach((reminder, index) => {
+      const space = reminder.spaceId ? ` 🏠 ${reminder.spaceName}` : '';
+      response += `${index + 1}. ${reminder.message}${space}\n   📅 ${reminder.userLocalTime}\n\n`;
+    });
+    response += t(language, 'edit_reply_hint');
+    
+    return response;
+  } catch (error) {
+    logger.error('Error editing reminder:', error);
+    return t(language, 'edit_error');
+  }
+}
+
+// SNOOZE - max snoozes per plan
+function getMaxSnoozes(user) {
+  return getUserPlan(user).maxSnoozes;
+}
+
+function isSnoozeReply(messageText) {
+  return /^(snooze\b.*|later|remind me later|not now|ertele\b.*|sonra|posponer\b.*|más tarde|später\b.*|schlummern\b.*|adiar\b.*|mais tarde)[.!]*$/i.test(messageText.trim());
+}
+
+// Parse "snooze 10 min", "snooze till 6pm", "later"
+function parseSnoozeTime(messageText, timeZone = 'UTC', language = 'en') {
+  const now = new Date();
+  const untilMatch = messageText.match(/\b(?:till|until|to|at)\s+(.+)$/i);
+  
+  if (untilMatch) {
+    const parsed = parseReminderWithTimezone(untilMatch[1], 'snooze', timeZone, language);
+    if (!parsed) return null;
+    
+    return {
+      scheduledTime: parsed.scheduledTime,
+      userLocalTime: parsed.userLocalTime,
+      minutes: Math.round((parsed.scheduledTime - now) / 60000)
+    };
+  }
+  
+  let minutes = USAGE_LIMITS.DEFAULT_SNOOZE_MINUTES;
+  const durationMatch = messageText.match(/(\d+)\s*(m|mins?|minutes?|dk|dakika|minutos?|minuten?|h|hrs?|hours?|saat|horas?|stunden?|std)(?!\p{L})/iu);
+  
+  if (durationMatch) {
+    const amount = parseInt(durationMatch[1]);
+    minutes = /^(h|hrs?|hours?|saat|horas?|stunden?|std)$/i.test(durationMatch[2]) ? amount * 60 : amount;
+  } else if (/half an hour/i.test(messageText)) {
+    minutes = 30;
+  } else if (/\b(an|one)\s+hour\b/i.test(messageText)) {
+    minutes = 60;
+  }
+  
+  if (minutes <= 0) return null;
+  
+  const scheduledTime = new Date(now.getTime() + minutes * 60 * 1000);
+  
+  return { scheduledTime, userLocalTime: formatUserLocalTime(scheduledTime, timeZone, language), minutes };
+}
+
+// SNOOZE the last delivered reminder
+async function snoozeReminder(user, userId, messageText) {
+  const language = getLanguage(user);
+  try {
+    const lastDelivered = user.lastDeliveredReminder;
+    const windowStart = new Date(Date.now() - USAGE_LIMITS.SNOOZE_WINDOW_HOURS * 60 * 60 * 1000);
+    
+    const reminder = lastDelivered?.reminderId && lastDelivered.sentAt > windowStart
+      ? await Reminder.findOne({ _id: lastDelivered.reminderId, ...(await receivedReminderFilter(userId)) })
+      : null;
+    
+    if (!reminder) {
+      return t(language, 'snooze_nothing', { name: senderDisplayName(user) });
+    }
+    
+    const maxSnoozes = getMaxSnoozes(user);
+    if (reminder.snoozeCount >= maxSnoozes) {
+      const upgradeHint = PLAN_CATALOG.premium.maxSnoozes > maxSnoozes ? t(language, 'snooze_upgrade_hint', {
+        count: PLAN_CATALOG.premium.maxSnoozes,
+        price: PLAN_CATALOG.premium.price,
+        url: planPaymentUrl(PLAN_CATALOG.premium)
+      }) : '';
+      return t(language, 'snooze_limit', { message: reminder.message, count: reminder.snoozeCount, name: senderDisplayName(user) }) + upgradeHint;
+    }
+    
+    const snoozeTime = parseSnoozeTime(messageText, user.timezone, language);
+    if (!snoozeTime || snoozeTime.scheduledTime <= new Date()) {
+      return t(language, 'snooze_unreadable');
+    }
+    
+    reminder.scheduledTime = snoozeTime.scheduledTime;
+    reminder.userLocalTime = snoozeTime.userLocalTime;
+    reminder.snoozeCount += 1;
+    reminder.maxSnoozes = maxSnoozes;
+    reminder.isCompleted = false;
+    reminder.lastSentAt = null;
+    reminder.outcome = null;
+    reminder.followUpCount = 0;
+    reminder.nextFollowUpAt = null;
+    resetDelivery(reminder);
+    // The next recurring instance was already created on delivery
+    reminder.nextOccurrence = null;
+    await reminder.save();
+    
+    user.lastDeliveredReminder = { reminderId: null, sentAt: null };
+    await user.save();
+    
+    await trackEvent(userId, 'reminder_snoozed', { 
+      message: reminder.message,
+      minutes: snoozeTime.minutes,
+      snoozeCount: reminder.snoozeCount
+    });
+    
+    const remaining = maxSnoozes - reminder.snoozeCount;
+    return t(language, 'snoozed', { message: reminder.message, time: snoozeTime.userLocalTime, count: remaining });
+  } catch (error) {
+    logger.error('Error snoozing reminder:', error);
+    return t(language, 'snooze_error');
+  }
+}
+
+// COMPLETION ACKNOWLEDGEMENT - "done", "✅", "did it"
+function isAcknowledgement(messageText) {
+  return /^(done|✅|✔️|☑️|👍|did it|i did it|completed|finished|all done|ok done|yaptım|yaptim|bitti|hecho|listo|erledigt|fertig|feito|pronto)[.!]*$/i.test(messageText.trim());
+}
+
+function followUpsEnabled(user, reminder) {
+  const setting = user?.preferences?.followUps || 'high';
+  return setting === 'all' || (setting === 'high' && reminder.priority === 'high');
+}
+
+// Reminders a user receives: their own, ones shared with them, and their spaces' "everyone" reminders
+async function receivedReminderFilter(userId) {
+  const spaceIds = (await findUserSpaces(userId)).map(space => space._id);
+  return {
+    $or: [
+      { userId: userId, recipientId: null, spaceId: null },
+      { recipientId: userId },
+      ...(spaceIds.length ? [{ spaceId: { $in: spaceIds }, assignment: 'all' }] : [])
+    ]
+  };
+}
+
+// Recipients of shared reminders and space members can answer deliveries without ever setting up
+async function receivesSharedReminders(userId) {
+  if ((await findUserSpaces(userId)).length) return true;
+  
+  const since = new Date(Date.now() - FOLLOW_UP.ACK_WINDOW_HOURS * 60 * 60 * 1000);
+  return !!(await Reminder.exists({ recipientId: userId, $or: [{ isCompleted: false }, { lastSentAt: { $gte: since } }] }));
+}
+
+async function acknowledgeReminder(user, userId) {
+  try {
+    const since = new Date(Date.now() - FOLLOW_UP.ACK_WINDOW_HOURS * 60 * 60 * 1000);
+    
+    // Most recent delivery wins - late "done" after the nudges still counts
+    const reminder = await Reminder.findOne({
+      ...(await receivedReminderFilter(userId)),
+      kind: { $ne: 'pre_alert' },
+      deliveryStatus: 'sent',
+      lastSentAt: { $gte: since },
+      outcome: { $ne: 'done' }
+    }).sort({ lastSentAt: -1 });
+    
+    if (!reminder) {
+      return t(getLanguage(user), 'ack_nothing', { name: senderDisplayName(user) });
+    }
+    
+    const now = new Date();
+    reminder.acknowledgedAt = now;
+    reminder.outcome = 'done';
+    reminder.isCompleted = true;
+    reminder.nextFollowUpAt = null;
+    await reminder.save();
+    
+    await trackEvent(userId, 'reminder_acknowledged', {
+      message: reminder.message,
+      category: reminder.category,
+      priority: reminder.priority,
+      minutesToAck: Math.round((now - reminder.lastSentAt) / 60000),
+      followUps: reminder.followUpCount
+    });
+    
+    await updateCompletionStats(user);
+    
+    // Whoever set it hears that someone else did it
+    if (reminder.userId !== userId) {
+      const sender = await User.findOne({ userId: reminder.userId });
+      await sendWhatsAppMessage(reminder.userId, t(getLanguage(sender), 'shared_acknowledged', {
+        name: reminder.spaceId ? senderDisplayName(user) : reminder.recipientName,
+        message: reminder.message
+      }));
+    }
+    
+    return t(getLanguage(user), 'acknowledged', { name: senderDisplayName(user), message: reminder.message });
+  } catch (error) {
+    logger.error('Error acknowledging reminder:', error);
+    return t(getLanguage(user), 'ack_error');
+  }
+}
+
+// completionRate and per-category stats from resolved reminders
+async function updateCompletionStats(user) {
+  try {
+    const since = new Date(Date.now() - FOLLOW_UP.STATS_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    
+    const rows = await Reminder.aggregate([
+      { $match: { userId: user.userId, outcome: { $in: ['done', 'not_done'] }, lastSentAt: { $gte: since } } },
+      { $group: {
+        _id: '$category',
+        total: { $sum: 1 },
+        done: { $sum: { $cond: [{ $eq: ['$outcome', 'done'] }, 1, 0] } }
+      } }
+    ]);
+    
+    const total = rows.reduce((sum, row) => sum + row.total, 0);
+    const done = rows.reduce((sum, row) => sum + row.done, 0);
+    
+    user.behaviorPatterns.completionRate = total ? Math.round((done / total) * 100) / 100 : 0;
+    user.behaviorPatterns.categoryCompletion = rows.map(row => ({
+      category: row._id || 'general',
+      total: row.total,
+      done: row.done,
+      rate: Math.round((row.done / row.total) * 100) / 100
+    }));
+    
+    await user.save();
+  } catch (error) {
+    logger.error('Error updating completion stats:', error);
+  }
+}
+
+function formatCompletionStats(user) {
+  const language = getLanguage(user);
+  const stats = user.behaviorPatterns?.categoryCompletion || [];
+  const total = stats.reduce((sum, row) => sum + row.total, 0);
+  
+  if (total === 0) {
+    return t(language, 'stats_empty', { name: user.preferredName });
+  }
+  
+  let response = `${t(language, 'stats_header', {
+    days: FOLLOW_UP.STATS_WINDOW_DAYS,
+    name: user.preferredName,
+    percent: Math.round(user.behaviorPatterns.completionRate * 100),
+    count: total
+  })}\n\n`;
+  stats
+    .slice()
+    .sort((a, b) => b.total - a.total)
+    .forEach(row => {
+      response += `${t(language, 'stats_row', {
+        category: categoryLabel(row.category, language),
+        percent: Math.round(row.rate * 100),
+        done: row.done,
+        total: row.total
+      })}\n`;
+    });
+  
+  return response.trim();
+}
+
+// Nudge settings: "nudges off", "nudges all", "nudges high", "nudges 15 min"
+async function updateFollowUpSettings(user, messageText) {
+  const match = messageText.trim().match(FOLLOW_UP_COMMAND);
+  if (!match) return null;
+  
+  if (match[2]) {
+    user.preferences.followUpMinutes = Math.max(5, parseInt(match[2]));
+  } else {
+    user.preferences.followUps = match[1].toLowerCase() === 'on' ? 'all' : match[1].toLowerCase();
+  }
+  await user.save();
+  
+  return t(getLanguage(user), `follow_ups_${user.preferences.followUps}`, {
+    minutes: user.preferences.followUpMinutes || FOLLOW_UP.WINDOW_MINUTES
+  });
+}
+
+// SHORTER MOTIVATIONAL MESSAGES
+async function generateShortMotivation(task, userName, userStyle = 'friendly', language = 'en') {
+  const key = ['friendly', 'motivational', 'professional'].includes(userStyle) ? `motivation_${userStyle}` : 'motivation_friendly';
+  return t(language, key, { task, name: userName });
+}
+
+// PREMIUM UPGRADE FLOW - the limit that was hit and what Premium changes, both from the catalog
+function generatePremiumMessage(user, usageCheck) {
+  const language = getLanguage(user);
+  const plan = usageCheck.plan || getUserPlan(user);
+  const upgrade = PLAN_CATALOG.premium;
+  const params = {
+    name: user.preferredName,
+    features: describePlanFeatures(upgrade, language, plan),
+    price: upgrade.price,
+    url: planPaymentUrl(upgrade)
+  };
+  
+  if (usageCheck.limitType === 'active') {
+    return t(language, 'active_limit', { ...params, limit: plan.activeReminders });
+  }
+  
+  return t(language, 'premium_limit', {
+    ...params,
+    limit: plan.dailyReminders,
+    count: Math.ceil((usageCheck.resetTime - new Date()) / (1000 * 60 * 60))
+  });
+}
+
+// SPEECH-TO-TEXT - openai (Whisper API), whisper-cpp (local binary), fake (fixture transcripts) or none
+// Each backend implements transcribe(audio, { contentType, language }) → transcript text
+const VOICE = {
+  BACKEND: (process.env.STT_BACKEND || (process.env.OPENAI_API_KEY ? 'openai' : 'none')).toLowerCase(),
+  MODEL: process.env.STT_MODEL || 'whisper-1',
+  TIMEOUT_MS: parseInt(process.env.STT_TIMEOUT_MS) || 60000,
+  MAX_BYTES: 10 * 1024 * 1024, // WhatsApp voice notes are far smaller
+  MAX_TRANSCRIPT_CHARS: 500
+};
+
+function audioExtension(contentType) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  return { 'audio/mpeg': 'mp3', 'audio/mp4': 'm4a', 'audio/aac': 'aac', 'audio/amr': 'amr', 'audio/wav': 'wav', 'audio/x-wav': 'wav', 'audio/webm': 'webm' }[type] || 'ogg';
+}
+
+function runCommand(binary, args) {
+  return new Promise((resolve, reject) => {
+    execFile(binary, args, { timeout: VOICE.TIMEOUT_MS, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) return reject(new Error(`${path.basename(binary)} failed: ${(stderr || error.message).trim().slice(0, 200)}`));
+      resolve(stdout);
+    });
+  });
+}
+
+function createOpenAISttBackend() {
+  return {
+    name: 'openai',
+    
+    async transcribe(audio, { contentType, language }) {
+      const form = new FormData();
+      form.append('file', new Blob([audio], { type: contentType || 'audio/ogg' }), `voice.${audioExtension(contentType)}`);
+      form.append('model', VOICE.MODEL);
+      if (language) form.append('language', language);
+      
+      const response = await axios.post(`${process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'}/audio/transcriptions`, form, {
+        headers: { 'Authorization': `Bearer ${process.env.OPENAI_API_KEY}` },
+        timeout: VOICE.TIMEOUT_MS
+      });
+      return response.data.text || '';
+    }
+  };
+}
+
+// whisper.cpp only reads 16 kHz mono WAV, so voice notes go through ffmpeg first
+function createWhisperCppBackend() {
+  const binary = process.env.WHISPER_CPP_BIN || 'whisper-cli';
+  const model = process.env.WHISPER_CPP_MODEL;
+  const ffmpeg = process.env.FFMPEG_BIN || 'ffmpeg';
+  
+  if (!model) {
+    logger.error('STT_BACKEND=whisper-cpp requires WHISPER_CPP_MODEL (path to a ggml model file)');
+    process.exit(1);
+  }
+  
+  return {
+    name: 'whisper-cpp',
+    
+    async transcribe(audio, { contentType, language }) {
+      const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'voice-'));
+      try {
+        const input = path.join(dir, `note.${audioExtension(contentType)}`);
+        const wav = path.join(dir, 'note.wav');
+        await fs.promises.writeFile(input, audio);
+        await runCommand(ffmpeg, ['-y', '-loglevel', 'error', '-i', input, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wav]);
+        
+        const output = await runCommand(binary, ['-m', model, '-f', wav, '-l', language || 'auto', '-nt', '-np']);
+        return output.trim();
+      } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+      }
+    }
+  };
+}
+
+// Fixture transcripts for offline runs: STT_FAKE_TRANSCRIPTS is a JSON file of
+// { "<sha256 of the audio>": "<transcript>", "*": <default> }
+function createFakeSttBackend() {
+  const transcripts = process.env.STT_FAKE_TRANSCRIPTS
+    ? JSON.parse(fs.readFileSync(process.env.STT_FAKE_TRANSCRIPTS, 'utf8'))
+    : {};
+  
+  return {
+    name: 'fake',
+    
+    async transcribe(audio) {
+      const hash = crypto.createHash('sha256').update(audio).digest('hex');
+      const transcript = transcripts[hash] ?? transcripts['*'];
+      if (transcript === undefined) throw new Error(`No fixture transcript for ${hash}`);
+      return transcript;
+    }
+  };
+}
+
+const STT_BACKENDS = {
+  openai: createOpenAISttBackend,
+  'whisper-cpp': createWhisperCppBackend,
+  fake: createFakeSttBackend,
+  none: () => null
+};
+
+if (!STT_BACKENDS[VOICE.BACKEND]) {
+  logger.error(`Unknown STT_BACKEND "${VOICE.BACKEND}" (use openai, whisper-cpp, fake or none)`);
+  process.exit(1);
+}
+
+const sttBackend = STT_BACKENDS[VOICE.BACKEND]();
+
+function hasActivePremium(user) {
+  return Boolean(user.isPremium && (!user.premiumExpiresAt || premiumUntil(user) > new Date())) || hasSpacePremium(user);
+}
+
+// The plan whose limits apply: the user's own premium, else the best premium space they're in
+function getUserPlan(user) {
+  if (user?.isPremium && (!user.premiumExpiresAt || premiumUntil(user) > new Date())) return PLAN_CATALOG.premium;
+  if (user && hasSpacePremium(user)) return PLAN_CATALOG[user.spacePlan] || PLAN_CATALOG.family;
+  return PLAN_CATALOG.free;
+}
+
+function getSpacePlan(space) {
+  return space.isPremium && premiumUntil(space) > new Date() ? PLAN_CATALOG[space.plan] || PLAN_CATALOG.family : PLAN_CATALOG.free;
+}
+
+// "✅ ..." lines for whatever `plan` offers beyond `baseline` - upsell copy never restates a limit by hand
+function describePlanFeatures(plan, language = 'en', baseline = PLAN_CATALOG.free) {
+  const better = (value, base) => value === null ? base !== null : base !== null && value > base;
+  const lines = [];
+  
+  if (better(plan.dailyReminders, baseline.dailyReminders)) {
+    lines.push(plan.dailyReminders === null ? t(language, 'plan_feature_unlimited_daily') : t(language, 'plan_feature_daily', { count: plan.dailyReminders }));
+  }
+  if (better(plan.activeReminders, baseline.activeReminders)) {
+    lines.push(plan.activeReminders === null ? t(language, 'plan_feature_unlimited_active') : t(language, 'plan_feature_active', { count: plan.activeReminders }));
+  }
+  if (plan.maxSnoozes > baseline.maxSnoozes) lines.push(t(language, 'plan_feature_snoozes', { count: plan.maxSnoozes }));
+  if (plan.recurrence && !baseline.recurrence) lines.push(t(language, 'plan_feature_recurrence'));
+  if (plan.voice && !baseline.voice) lines.push(t(language, 'plan_feature_voice'));
+  if (!plan.languages && baseline.languages) lines.push(t(language, 'plan_feature_languages'));
+  if (plan.historyDays > baseline.historyDays) lines.push(t(language, 'plan_feature_history', { count: plan.historyDays }));
+  if (plan.space && plan.spaceMembers > baseline.spaceMembers) lines.push(t(language, 'plan_feature_members', { count: plan.spaceMembers }));
+  
+  return lines.map(line => `✅ ${line}`).join('\n');
+}
+
+// Status page and startup log - English, one line per plan, from the same catalog as the gates
+function summarizePlan(plan) {
+  if (plan.id === 'free') {
+    return `${plan.dailyReminders === null ? 'Unlimited' : plan.dailyReminders} daily reminders (free)`;
+  }
+  const features = describePlanFeatures(plan, 'en').split('\n').filter(Boolean).map(line => line.replace(/^✅ /, ''));
+  return `${plan.name}${plan.price ? ` (${plan.price}/month)` : ''}: ${features.join(', ') || 'same as free'}`;
+}
+
+function planPaymentUrl(plan) {
+  return plan.paymentUrl || requiredEnvVars.PREMIUM_PAYMENT_URL;
+}
+
+// Paid-through date, or the end of the grace period after a failed renewal
+function premiumUntil(account) {
+  if (!account.premiumExpiresAt) return null;
+  return account.graceUntil > account.premiumExpiresAt ? account.graceUntil : account.premiumExpiresAt;
+}
+
+function hasSpacePremium(user) {
+  return Boolean(user.spacePremiumUntil && user.spacePremiumUntil > new Date());
+}
+
+// Download and transcribe a voice note; replies to the user and returns null when it can't be used
+async function transcribeVoiceNote(user, media) {
+  const language = getLanguage(user);
+  
+  if (!getUserPlan(user).voice) {
+    await trackEvent(user.userId, 'voice_rejected', { reason: 'not_premium' });
+    await sendWhatsAppMessage(user.userId, t(language, 'voice_premium_only', { url: planPaymentUrl(PLAN_CATALOG.premium) }));
+    return null;
+  }
+  
+  if (!sttBackend) {
+    await trackEvent(user.userId, 'voice_rejected', { reason: 'no_backend' });
+    await sendWhatsAppMessage(user.userId, t(language, 'voice_unavailable'));
+    return null;
+  }
+  
+  const startTime = Date.now();
+  try {
+    const { data, contentType } = await transport.downloadMedia(media);
+    if (data.length > VOICE.MAX_BYTES) throw new Error(`Voice note too large (${data.length} bytes)`);
+    
+    const transcript = (await sttBackend.transcribe(data, { contentType: contentType || media.contentType, language }))
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, VOICE.MAX_TRANSCRIPT_CHARS);
+    
+    if (!transcript) {
+      await trackEvent(user.userId, 'voice_rejected', { reason: 'empty_transcript', backend: sttBackend.name });
+      await sendWhatsAppMessage(user.userId, t(language, 'voice_failed'));
+      return null;
+    }
+    
+    await trackEvent(user.userId, 'voice_transcribed', {
+      backend: sttBackend.name,
+      bytes: data.length,
+      characters: transcript.length,
+      durationMs: Date.now() - startTime
+    });
+    return transcript;
+    
+  } catch (error) {
+    logger.error('Voice transcription failed:', { userId: user.userId, backend: sttBackend.name, error: error.message });
+    await trackEvent(user.userId, 'voice_rejected', { reason: 'transcription_error', backend: sttBackend.name });
+    await sendWhatsAppMessage(user.userId, t(language, 'voice_failed'));
+    return null;
+  }
+}
+
+// MESSAGING TRANSPORTS
+// Each transport implements:
+//   send(to, message)   - deliver a text message, throws on failure
+//   sendTemplate(to, { id, params, language, text }) - deliver an approved template, throws on failure
+//   parseInbound(req)   - webhook request → [{ from, name, text, messageId, media }]
+//   downloadMedia(item) - fetch an inbound attachment → { data: Buffer, contentType }
+//   verifyRequest(req)  - signature check → { valid, reason }
+//   acknowledge(res)    - immediate webhook response the provider expects
+//   healthCheck()       - throws when the provider is unreachable
+function createTwilioTransport() {
+  const authHeader = () => 
+    `Basic ${Buffer.from(`${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64')}`;
+  
+  return {
+    name: 'twilio',
+    
+    async send(to, message) {
+      const response = await axios.post(
+        `https://api.twilio.com/2010-04-01/Accounts/${process.env.TWILIO_ACCOUNT_SID}/Messages.json`,
+        new URLSearchParams({
+          From: `whatsapp:${process.env.TWILIO_PHONE_NUMBER}`,
+          To: `whatsapp:${to}`,
+          Body: message
+        }),
+        {
+          headers: {
+            'Authorization': authHeader(),
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          timeout: 10000
+        }
+      );
+      return response.data;
+    },
+    
+    async sendTemplate(to, { id, params }) {
+      const response = await axios.post(
+        `https://api.twilio.com/2010-04-01/Accounts/${process.env.TWILIO_ACCOUNT_SID}/Messages.json`,
+        new URLSearchParams({
+          From: `whatsapp:${process.env.TWILIO_PHONE_NUMBER}`,
+          To: `whatsapp:${to}`,
+          ContentSid: id,
+          ContentVariables: JSON.stringify(Object.fromEntries(params.map((value, index) => [index + 1, String(value)])))
+        }),
+        {
+          headers: {
+            'Authorization': authHeader(),
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          timeout: 10000
+        }
+      );
+      return response.data;
+    },
+    
+    parseInbound(req) {
+      const body = req.body || {};
+      if (!body.From) return [];
+      
+      const media = Array.from({ length: parseInt(body.NumMedia) || 0 }, (_, i) => ({
+        url: body[`MediaUrl${i}`],
+        contentType: body[`MediaContentType${i}`] || null
+      })).filter(item => item.url);
+      
+      return [{
+        from: body.From.replace('whatsapp:', ''),
+        name: body.ProfileName || 'User',
+        text: body.Body || '',
+        messageId: body.MessageSid || null,
+        media
+      }];
+    },
+    
+    // Media URLs require the account credentials
+    async downloadMedia(item) {
+      const response = await axios.get(item.url, {
+        headers: { 'Authorization': authHeader() },
+        responseType: 'arraybuffer',
+        maxContentLength: VOICE.MAX_BYTES,
+        timeout: 15000
+      });
+      return { data: Buffer.from(response.data), contentType: item.contentType || response.headers['content-type'] };
+    },
+    
+    // X-Twilio-Signature: base64 HMAC-SHA1 of the full URL plus sorted POST params
+    verifyRequest(req) {
+      const authToken = process.env.TWILIO_AUTH_TOKEN;
+      if (!authToken) return missingWebhookSecret('TWILIO_AUTH_TOKEN');
+      
+      const signature = req.get('X-Twilio-Signature');
+      if (!signature) return { valid: false, reason: 'missing_signature' };
+      
+      const params = req.body || {};
+      const payload = getPublicUrl(req) + Object.keys(params).sort().map(key => `${key}${params[key]}`).join('');
+      const expected = crypto.createHmac('sha1', authToken).update(payload, 'utf8').digest('base64');
+      
+      return safeCompare(signature, expected) ? { valid: true } : { valid: false, reason: 'invalid_signature' };
+    },
+    
+    acknowledge(res) {
+      res.type('text/xml');
+      res.send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
+    },
+    
+    async healthCheck() {
+      await axios.get(`https://api.twilio.com/2010-04-01/Accounts/${process.env.TWILIO_ACCOUNT_SID}.json`, {
+        headers: { 'Authorization': authHeader() },
+        timeout: 5000
+      });
+    }
+  };
+}
+
+// Meta's template language codes
+const META_TEMPLATE_LANGUAGES = { en: 'en_US', tr: 'tr', es: 'es_ES', de: 'de', pt: 'pt_BR' };
+
+function createMetaTransport() {
+  const graphUrl = process.env.META_GRAPH_URL || 'https://graph.facebook.com/v18.0';
+  const authHeaders = () => ({ 'Authorization': `Bearer ${process.env.META_ACCESS_TOKEN}` });
+  
+  // Button and list replies carry their text outside text.body
+  const messageText = (msg) => {
+    switch (msg.type) {
+      case 'text': return msg.text?.body || '';
+      case 'button': return msg.button?.text || '';
+      case 'interactive': return msg.interactive?.button_reply?.title || msg.interactive?.list_reply?.title || '';
+      default: return '';
+    }
+  };
+  
+  // Audio, documents and images arrive as a media id under msg[msg.type]
+  const messageMedia = (msg) => {
+    const attachment = ['audio', 'document', 'image', 'video'].includes(msg.type) ? msg[msg.type] : null;
+    return attachment?.id ? [{ id: attachment.id, contentType: attachment.mime_type || null, filename: attachment.filename || null }] : [];
+  };
+  
+  return {
+    name: 'meta',
+    
+    async send(to, message) {
+      const response = await axios.post(
+        `${graphUrl}/${process.env.META_PHONE_NUMBER_ID}/messages`,
+        {
+          messaging_product: 'whatsapp',
+          to: to.replace(/^\+/, ''),
+          type: 'text',
+          text: { body: message }
+        },
+        {
+          headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+          timeout: 10000
+        }
+      );
+      return response.data;
+    },
+    
+    async sendTemplate(to, { id, params, language }) {
+      const response = await axios.post(
+        `${graphUrl}/${process.env.META_PHONE_NUMBER_ID}/messages`,
+        {
+          messaging_product: 'whatsapp',
+          to: to.replace(/^\+/, ''),
+          type: 'template',
+          template: {
+            name: id,
+            language: { code: META_TEMPLATE_LANGUAGES[language] || META_TEMPLATE_LANGUAGES.en },
+            components: [{ type: 'body', parameters: params.map(value => ({ type: 'text', text: String(value) })) }]
+          }
+        },
+        {
+          headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+          timeout: 10000
+        }
+      );
+      return response.data;
+    },
+    
+    parseInbound(req) {
+      const inbound = [];
+      
+      (req.body?.entry || []).forEach(entry => {
+        (entry.changes || []).forEach(change => {
+          const value = change.value || {};
+          const contacts = value.contacts || [];
+          
+          // Status callbacks (sent/delivered/read) carry no messages
+          (value.messages || []).forEach(msg => {
+            const contact = contacts.find(c => c.wa_id === msg.from);
+            inbound.push({
+              from: `+${msg.from}`,
+              name: contact?.profile?.name || 'User',
+              text: messageText(msg),
+              messageId: msg.id,
+              media: messageMedia(msg)
+            });
+          });
+        });
+      });
+      
+      return inbound;
+    },
+    
+    // Two steps: resolve the media id to a short-lived URL, then fetch it with the same token
+    async downloadMedia(item) {
+      const lookup = await axios.get(`${graphUrl}/${item.id}`, { headers: authHeaders(), timeout: 10000 });
+      const response = await axios.get(lookup.data.url, {
+        headers: authHeaders(),
+        responseType: 'arraybuffer',
+        maxContentLength: VOICE.MAX_BYTES,
+        timeout: 15000
+      });
+      return { data: Buffer.from(response.data), contentType: item.contentType || lookup.data.mime_type || null };
+    },
+    
+    // X-Hub-Signature-256: sha256=<hex HMAC of the raw body with the app secret>
+    verifyRequest(req) {
+      const appSecret = process.env.META_APP_SECRET;
+      if (!appSecret) return missingWebhookSecret('META_APP_SECRET');
+      
+      const signature = req.get('X-Hub-Signature-256');
+      if (!signature || !req.rawBody) return { valid: false, reason: 'missing_signature' };
+      
+      const expected = `sha256=${crypto.createHmac('sha256', appSecret).update(req.rawBody).digest('hex')}`;
+      return safeCompare(signature, expected) ? { valid: true } : { valid: false, reason: 'invalid_signature' };
+    },
+    
+    acknowledge(res) {
+      res.sendStatus(200);
+    },
+    
+    async healthCheck() {
+      await axios.get(`${graphUrl}/${process.env.META_PHONE_NUMBER_ID}`, {
+        headers: authHeaders(),
+        timeout: 5000
+      });
+    }
+  };
+}
+
+// Offline transport: outbound messages go to stdout (and LOCAL_OUTBOX_FILE as JSON lines),
+// inbound is a JSON post like {"from": "+15550001", "name": "Ali", "text": "gym at 7pm"},
+// optionally with "media": [{"path": "note.ogg", "contentType": "audio/ogg"}] - paths are read from LOCAL_MEDIA_DIR only.
+// Posts carry LOCAL_WEBHOOK_SECRET in X-Local-Secret when it is set (always in production)
+function createLocalTransport() {
+  const outboxFile = process.env.LOCAL_OUTBOX_FILE || null;
+  const mediaDir = path.resolve(process.env.LOCAL_MEDIA_DIR || 'media');
+  
+  return {
+    name: 'local',
+    
+    async send(to, message) {
+      const entry = { id: `local-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`, to, message, sentAt: new Date().toISOString() };
+      
+      process.stdout.write(`\n📤 → ${to}\n${message}\n\n`);
+      if (outboxFile) {
+        await fs.promises.appendFile(outboxFile, JSON.stringify(entry) + '\n');
+      }
+      return entry;
+    },
+    
+    // No template approval offline - the catalog text stands in for it
+    async sendTemplate(to, { text }) {
+      return this.send(to, text);
+    },
+    
+    parseInbound(req) {
+      const body = req.body || {};
+      const from = body.from || body.From;
+      if (!from) return [];
+      
+      return [{
+        from: from.replace('whatsapp:', ''),
+        name: body.name || body.ProfileName || 'User',
+        text: body.text || body.Body || '',
+        messageId: body.id || null,
+        media: (Array.isArray(body.media) ? body.media : []).filter(item => item?.path)
+      }];
+    },
+    
+    async downloadMedia(item) {
+      // realpath follows symlinks, so a link inside the media dir can't point outside it either
+      const root = await fs.promises.realpath(mediaDir);
+      const file = await fs.promises.realpath(path.resolve(root, String(item.path)));
+      if (!file.startsWith(root + path.sep)) {
+        throw new Error(`Media path outside ${mediaDir}: ${item.path}`);
+      }
+      return { data: await fs.promises.readFile(file), contentType: item.contentType || null };
+    },
+    
+    // X-Local-Secret: shared LOCAL_WEBHOOK_SECRET - optional in development, required in production
+    verifyRequest(req) {
+      const secret = process.env.LOCAL_WEBHOOK_SECRET;
+      if (!secret) return missingWebhookSecret('LOCAL_WEBHOOK_SECRET');
+      
+      const provided = req.get('X-Local-Secret');
+      if (!provided) return { valid: false, reason: 'missing_signature' };
+      
+      return safeCompare(provided, secret) ? { valid: true } : { valid: false, reason: 'invalid_signature' };
+    },
+    
+    acknowledge(res) {
+      res.json({ received: true });
+    },
+    
+    async healthCheck() {}
+  };
+}
+
+const TRANSPORTS = {
+  twilio: createTwilioTransport,
+  meta: createMetaTransport,
+  local: createLocalTransport
+};
+
+const transport = TRANSPORTS[MESSAGING_TRANSPORT]();
+logger.info(`📡 Messaging transport: ${transport.name}`);
+
+// OUTBOUND messaging with retry logic
+async function sendWhatsAppMessage(to, message, retries = 3) {
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      const data = await transport.send(to, message);
+      
+      logger.info('✅ Message sent successfully', { to, attempt, transport: transport.name });
+      return { success: true, data };
+      
+    } catch (error) {
+      logger.error(`❌ Message send attempt ${attempt} failed:`, { 
+        to, 
+        error: error.message,
+        status: error.response?.status 
+      });
+      
+      if (attempt === retries) {
+        return { success: false, error: 'max_retries_exceeded', message: error.message };
+      }
+      
+      // Wait before retry (exponential backoff)
+      await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
+    }
+  }
+}
+
+// Business-initiated messages outside the 24-hour window need an approved template; one attempt, the caller retries
+async function sendTemplateMessage(to, key, language, params) {
+  const id = MESSAGE_TEMPLATES[key]?.[transport.name] || null;
+  if (!id && transport.name !== 'local') {
+    logger.error(`❌ No approved "${key}" template configured for ${transport.name}`);
+    return { success: false, error: 'template_not_configured' };
+  }
+  
+  try {
+    const data = await transport.sendTemplate(to, { id, params: Object.values(params), language, text: t(language, key, params) });
+    logger.info('✅ Template sent successfully', { to, template: key, transport: transport.name });
+    return { success: true, data };
+  } catch (error) {
+    logger.error('❌ Template send failed:', { to, template: key, error: error.message, status: error.response?.status });
+    return { success: false, error: 'send_failed', message: error.message };
+  }
+}
+
+// WEBHOOK SECURITY - signatures, rejection logging and replay protection
+const STRIPE_SIGNATURE_TOLERANCE_SECONDS = 300;
+const PAYPAL_API_BASE = process.env.PAYPAL_API_BASE || 'https://api-m.paypal.com';
+
+function safeCompare(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Unsigned message webhooks are only accepted outside production. Payment webhooks grant premium,
+// so they always fail closed unless ALLOW_UNSIGNED_PAYMENT_WEBHOOKS=true is set for local testing.
+function missingWebhookSecret(name, { payment = false } = {}) {
+  const allowed = payment 
+    ? process.env.ALLOW_UNSIGNED_PAYMENT_WEBHOOKS === 'true' && process.env.NODE_ENV !== 'production'
+    : process.env.NODE_ENV !== 'production';
+  
+  if (!allowed) {
+    return { valid: false, reason: `${name.toLowerCase()}_not_configured` };
+  }
+  logger.warn(`⚠️ ${name} not set - skipping webhook signature check`);
+  return { valid: true };
+}
+
+// The URL the provider signed - behind a proxy set PUBLIC_BASE_URL
+function getPublicUrl(req) {
+  const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl.replace(/\/$/, '')}${req.originalUrl}`;
+}
+
+function rejectWebhook(req, res, source, reason, status = 403) {
+  logger.warn(`🚫 Rejected ${source} webhook: ${reason}`, { 
+    requestId: req.requestId, 
+    ip: req.ip,
+    path: req.path
+  });
+  trackEvent(null, 'webhook_rejected', { source, reason, ip: req.ip });
+  res.sendStatus(status);
+}
+
+// Stripe-Signature: t=<timestamp>,v1=<hex HMAC-SHA256 of "t.rawBody">
+function verifyStripeSignature(req) {
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret) return missingWebhookSecret('STRIPE_WEBHOOK_SECRET', { payment: true });
+  
+  const header = req.get('Stripe-Signature');
+  if (!header || !req.rawBody) return { valid: false, reason: 'missing_signature' };
+  
+  const parts = header.split(',').map(part => part.split('='));
+  const timestamp = parts.find(([key]) => key === 't')?.[1];
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+  
+  if (!timestamp || signatures.length === 0) return { valid: false, reason: 'malformed_signature' };
+  
+  if (Math.abs(Date.now() / 1000 - parseInt(timestamp)) > STRIPE_SIGNATURE_TOLERANCE_SECONDS) {
+    return { valid: false, reason: 'timestamp_outside_tolerance' };
+  }
+  
+  const expected = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${req.rawBody.toString('utf8')}`)
+    .digest('hex');
+  
+  return signatures.some(signature => safeCompare(signature, expected)) 
+    ? { valid: true } 
+    : { valid: false, reason: 'invalid_signature' };
+}
+
+// PayPal signs with a certificate chain, so verification goes through their API
+async function getPayPalAccessToken() {
+  const response = await axios.post(
+    `${PAYPAL_API_BASE}/v1/oauth2/token`,
+    'grant_type=client_credentials',
+    {
+      auth: { username: process.env.PAYPAL_CLIENT_ID, password: process.env.PAYPAL_CLIENT_SECRET },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 10000
+    }
+  );
+  return response.data.access_token;
+}
+
+async function verifyPayPalWebhook(req) {
+  const { PAYPAL_CLIENT_ID, PAYPAL_CLIENT_SECRET, PAYPAL_WEBHOOK_ID } = process.env;
+  if (!PAYPAL_CLIENT_ID || !PAYPAL_CLIENT_SECRET || !PAYPAL_WEBHOOK_ID) {
+    return missingWebhookSecret('PAYPAL_WEBHOOK_ID', { payment: true });
+  }
+  
+  const transmissionId = req.get('PAYPAL-TRANSMISSION-ID');
+  if (!transmissionId) return { valid: false, reason: 'missing_signature' };
+  
+  try {
+    const accessToken = await getPayPalAccessToken();
+    
+    const verifyResponse = await axios.post(
+      `${PAYPAL_API_BASE}/v1/notifications/verify-webhook-signature`,
+      {
+        auth_algo: req.get('PAYPAL-AUTH-ALGO'),
+        cert_url: req.get('PAYPAL-CERT-URL'),
+        transmission_id: transmissionId,
+        transmission_sig: req.get('PAYPAL-TRANSMISSION-SIG'),
+        transmission_time: req.get('PAYPAL-TRANSMISSION-TIME'),
+        webhook_id: PAYPAL_WEBHOOK_ID,
+        webhook_event: req.body
+      },
+      {
+        headers: { 'Authorization': `Bearer ${accessToken}` },
+        timeout: 10000
+      }
+    );
+    
+    return verifyResponse.data.verification_status === 'SUCCESS' 
+      ? { valid: true } 
+      : { valid: false, reason: 'invalid_signature' };
+  } catch (error) {
+    logger.error('PayPal verification error:', error.message);
+    return { valid: false, reason: 'verification_unavailable' };
+  }
+}
+
+// Returns false when the event was already processed (duplicate or replay)
+async function recordWebhookEvent(provider, eventId) {
+  if (!eventId) return true;
+  
+  try {
+    await WebhookEvent.create({ provider, eventId: String(eventId) });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+// Lets the provider's retry through when processing failed
+async function releaseWebhookEvent(provider, eventId) {
+  if (!eventId) return;
+  try {
+    await WebhookEvent.deleteOne({ provider, eventId: String(eventId) });
+  } catch (error) {
+    logger.error(`Could not release ${provider} event ${eventId} - its retry will be skipped:`, error);
+  }
+}
+
+// WEBHOOK VERIFICATION
+app.get('/webhook', (req, res) => {
+  const mode = req.query['hub.mode'];
+  const token = req.query['hub.verify_token'];
+  const challenge = req.query['hub.challenge'];
+
+  if (mode && token && mode === 'subscribe' && token === process.env.VERIFY_TOKEN) {
+    logger.info('✅ Webhook verified');
+    res.status(200).send(challenge);
+  } else {
+    logger.error('❌ Webhook verification failed');
+    res.sendStatus(403);
+  }
+});
+
+// MAIN WEBHOOK - RECEIVE MESSAGES
+app.post('/webhook', async (req, res) => {
+  const verification = transport.verifyRequest(req);
+  if (!verification.valid) {
+    return rejectWebhook(req, res, transport.name, verification.reason);
+  }
+  
+  // CRITICAL: Respond immediately to prevent timeout
+  transport.acknowledge(res);
+  
+  try {
+    const inboundMessages = transport.parseInbound(req);
+    
+    for (const inbound of inboundMessages) {
+      const voiceNote = (inbound.media || []).find(item => /^audio\//i.test(item.contentType || ''));
+      const calendarFile = (inbound.media || []).find(isCalendarFile);
+      if (!inbound.text && !voiceNote && !calendarFile) continue;
+      
+      // Providers redeliver on slow responses - handle each message once
+      if (!(await recordWebhookEvent(transport.name, inbound.messageId))) {
+        logger.info(`Skipping duplicate message ${inbound.messageId}`);
+        continue;
+      }
+      
+      const phoneNumber = inbound.from;
+      
+      // Rate limiting check
+      if (!checkRateLimit(phoneNumber)) {
+        logger.warn('Rate limit exceeded for user:', phoneNumber);
+        await sendErrorReply(phoneNumber, 'rate_limited');
+        continue;
+      }
+      
+      const message = voiceNote
+        ? { id: inbound.messageId, from: phoneNumber, text: { body: '' }, type: 'audio', audio: voiceNote }
+        : calendarFile
+          ? { id: inbound.messageId, from: phoneNumber, text: { body: inbound.text || '' }, type: 'calendar', calendar: calendarFile }
+          : { id: inbound.messageId, from: phoneNumber, text: { body: inbound.text }, type: 'text' };
+      
+      const contact = {
+        wa_id: phoneNumber,
+        profile: { name: inbound.name }
+      };
+      
+      // Process message immediately
+      try {
+        await handleIncomingMessage(message, contact);
+      } catch (error) {
+        logger.error('Message handling error:', error);
+        await sendErrorReply(phoneNumber, 'something_went_wrong');
+      }
+    }
+  } catch (error) {
+    logger.error('Webhook processing error:', error);
+  }
+});
+
+// MAIN MESSAGE HANDLER - ENHANCED
+// Replies from outside a handler's user context - in the sender's language when it can still be looked up
+async function sendErrorReply(userId, key) {
+  const user = await User.findOne({ userId }).select('language').catch(() => null);
+  await sendWhatsAppMessage(userId, t(getLanguage(user), key));
+}
+
+async function handleIncomingMessage(message, contact) {
+  try {
+    const userId = message.from;
+    const userName = contact?.profile?.name || 'User';
+    let messageText = message.text.body.trim();
+
+    logger.info(`📨 ${message.type === 'audio' ? 'Voice note' : 'Message'} from ${userName}: ${messageText}`);
+
+    // Find or create user
+    let user = await User.findOne({ userId });
+    if (!user) {
+      user = new User({
+        userId,
+        userName,
+        language: detectLanguage(messageText, userId),
+        isSetup: false
+      });
+      await user.save();
+      await trackEvent(userId, 'user_created', { language: user.language });
+    }
+
+    // VOICE NOTES - the transcript runs through the same pipeline as typed text
+    let voiceTranscript = null;
+    if (message.type === 'audio') {
+      voiceTranscript = await transcribeVoiceNote(user, message.audio);
+      if (!voiceTranscript) return;
+      
+      messageText = voiceTranscript;
+      logger.info(`🎙️ Transcribed voice note from ${userName}: ${messageText}`);
+    }
+
+    // CALENDAR INVITES - a forwarded .ics becomes pending reminders awaiting "yes"
+    if (message.type === 'calendar') {
+      if (!user.isSetup) {
+        await sendWhatsAppMessage(userId, t(getLanguage(user), 'ics_setup_first'));
+        return;
+      }
+      await handleCalendarImport(user, userId, message.calendar);
+      return;
+    }
+
+    // Update learning patterns
+    await updateUserLearning(user, messageText, 'incoming');
+
+    const language = getLanguage(user);
+
+    // CONSENT REPLIES - recipients of shared reminders may never have set up an account
+    if (CONSENT_REPLY_PATTERN.test(messageText)) {
+      const consentReply = await handleConsentReply(user, messageText);
+      if (consentReply) {
+        await sendWhatsAppMessage(userId, consentReply);
+        return;
+      }
+    }
+
+    // SPACE INVITES - "join Family" works before setup too
+    if (JOIN_PATTERN.test(messageText)) {
+      const joined = await handleSpaceJoin(user, messageText);
+      if (joined) {
+        await sendWhatsAppMessage(userId, joined);
+        return;
+      }
+    }
+
+    // DELIVERY REPLIES - the reminder's own hint says "done" / "snooze", which mustn't become a name in setup
+    if (!user.isSetup && (isAcknowledgement(messageText) || isSnoozeReply(messageText)) && await receivesSharedReminders(userId)) {
+      const reply = isAcknowledgement(messageText)
+        ? await acknowledgeReminder(user, userId)
+        : await snoozeReminder(user, userId, messageText);
+      await sendWhatsAppMessage(userId, reply);
+      return;
+    }
+
+    // SETUP FLOW
+    if (!user.isSetup) {
+      if (!user.preferredName) {
+        // Check if they sent a reminder first - rules only, names shouldn't cost an LLM call
+        const quickAnalysis = parseCommand(messageText, user);
+        
+        if (quickAnalysis?.isReminder) {
+          await sendWhatsAppMessage(userId, t(language, 'setup_ask_name_first'));
+          
+          user.pendingReminder = {
+            originalMessage: messageText,
+            needsProcessing: true
+          };
+          await user.save();
+          return;
+        }
+        
+        // Process name
+        const cleanName = messageText.replace(/[^\p{L}\s]/gu, '').trim();
+        if (cleanName && cleanName.length > 0 && cleanName.length < 25) {
+          user.preferredName = cleanName;
+          user.preferences = { communicationStyle: 'friendly', reminderStyle: 'motivational' };
+          await user.save();
+          await trackEvent(userId, 'setup_name_set');
+          
+          await sendWhatsAppMessage(userId, t(language, 'setup_ask_location', { name: cleanName }));
+        } else {
+          await sendWhatsAppMessage(userId, t(language, 'setup_ask_name'));
+        }
+        return;
+      }
+      
+      if (!user.location) {
+        // Detect timezone from location
+        const timezoneResult = await detectLocationTimezone(messageText);
+        if (timezoneResult) {
+          user.location = timezoneResult.location;
+          user.timezone = timezoneResult.timezone;
+          user.isSetup = true;
+          await trackEvent(userId, 'setup_location_set', { timezone: timezoneResult.timezone });
+          
+          let welcomeMsg = t(language, 'setup_done', { confirmation: timezoneResult.confirmation, name: user.preferredName });
+          
+          // Process pending reminder if exists
+          if (user.pendingReminder?.needsProcessing) {
+            welcomeMsg += t(language, 'setup_processing_earlier');
+            
+            const pendingMessage = user.pendingReminder.originalMessage;
+            user.pendingReminder = null;
+            await user.save();
+            
+            await sendWhatsAppMessage(userId, welcomeMsg);
+            
+            const fakeMessage = { from: userId, text: { body: pendingMessage } };
+            await handleIncomingMessage(fakeMessage, contact);
+            return;
+          }
+          
+          await user.save();
+          await sendWhatsAppMessage(userId, welcomeMsg);
+        } else {
+          await sendWhatsAppMessage(userId, t(language, 'setup_location_retry'));
+        }
+        return;
+      }
+    }
+
+    // Handle pending confirmations
+    const command = parseCommand(messageText, user);
+    
+    // Picking one of the offered times is the confirmation
+    const pendingOptions = user.pendingReminder?.options;
+    if (pendingOptions?.length) {
+      const choice = messageText.match(/^\s*(\d)\s*[.)]?\s*$/);
+      const picked = choice ? parseInt(choice[1]) : command?.selection?.length === 1 ? command.selection[0] : null;
+      const option = picked ? pendingOptions[picked - 1] : null;
+      
+      if (option) {
+        user.pendingReminder = { 
+          ...user.pendingReminder, 
+          scheduledTime: new Date(option.scheduledTime), 
+          userLocalTime: option.userLocalTime, 
+          quietOverride: !!option.quietOverride, 
+          options: null 
+        };
+        await processPendingReminder(user, userId);
+        return;
+      }
+      if (choice || command?.intent === 'confirm') {
+        await sendWhatsAppMessage(userId, t(language, 'ambiguous_pick', { count: pendingOptions.length }));
+        return;
+      }
+    }
+    
+    if (user.pendingReminder && command?.intent === 'confirm') {
+      await processPendingReminder(user, userId, command.selection);
+      return;
+    }
+    
+    if (user.pendingReminder && command?.intent === 'decline') {
+      user.pendingReminder = null;
+      await user.save();
+      
+      await sendWhatsAppMessage(userId, t(language, 'declined'));
+      return;
+    }
+
+    // Handle pending edits
+    if (user.pendingEdit) {
+      await handlePendingEdit(user, messageText, userId);
+      return;
+    }
+
+    // SMART MESSAGE ANALYSIS - rule parser first, LLM only for ambiguous input
+    const analysis = command || await analyzeMessage(messageText, user);
+    
+    // Track interaction
+    await trackEvent(userId, 'message_analyzed', { 
+      intent: analysis.intent,
+      confidence: analysis.confidence,
+      source: analysis.source
+    });
+
+    // Handle different intents
+    switch (analysis.intent) {
+      case 'list':
+        const listResponse = await listReminders(userId, user, parseListFilter(messageText));
+        await sendWhatsAppMessage(userId, listResponse);
+        break;
+
+      case 'cancel':
+        const cancelResponse = await cancelReminder(userId, messageText, user);
+        await sendWhatsAppMessage(userId, cancelResponse);
+        break;
+
+      case 'edit':
+        const editResponse = await editReminder(userId, messageText, user);
+        await sendWhatsAppMessage(userId, editResponse);
+        break;
+
+      case 'snooze':
+        const snoozeResponse = await snoozeReminder(user, userId, messageText);
+        await sendWhatsAppMessage(userId, snoozeResponse);
+        break;
+
+      case 'done':
+        const ackResponse = await acknowledgeReminder(user, userId);
+        await sendWhatsAppMessage(userId, ackResponse);
+        break;
+
+      case 'stats':
+        await sendWhatsAppMessage(userId, formatCompletionStats(user));
+        break;
+
+      case 'follow_ups':
+        const followUpResponse = await updateFollowUpSettings(user, messageText);
+        await sendWhatsAppMessage(userId, followUpResponse || t(language, 'follow_ups_usage'));
+        break;
+
+      case 'lead_time':
+        await sendWhatsAppMessage(userId, await handleLeadTimeCommand(user, messageText));
+        break;
+
+      case 'digest':
+        await sendWhatsAppMessage(userId, await handleDigestCommand(user, messageText));
+        break;
+
+      case 'quiet_hours':
+        await sendWhatsAppMessage(userId, await handleQuietHoursCommand(user, messageText));
+        break;
+
+      case 'contact':
+        await sendWhatsAppMessage(userId, await handleContactCommand(user, messageText));
+        break;
+
+      case 'space':
+        await sendWhatsAppMessage(userId, await handleSpaceCommand(user, messageText));
+        break;
+
+      case 'calendar':
+        await sendWhatsAppMessage(userId, await handleCalendarCommand(user, messageText));
+        break;
+
+      case 'billing':
+        await sendWhatsAppMessage(userId, handleBillingCommand(user));
+        break;
+
+      case 'cancel_premium':
+        await sendWhatsAppMessage(userId, await handleCancelPremium(user));
+        break;
+
+      case 'retry':
+        await sendWhatsAppMessage(userId, await retryMissedReminders(user, userId, messageText));
+        break;
+
+      case 'help':
+        await sendWhatsAppMessage(userId, generateHelpMessage(user));
+        break;
+
+      case 'language':
+        await sendWhatsAppMessage(userId, await updateLanguage(user, messageText));
+        break;
+
+      case 'confirm':
+      case 'decline':
+        await sendWhatsAppMessage(userId, t(language, 'nothing_to_confirm'));
+        break;
+
+      case 'premium':
+        await handlePremiumInquiry(user, userId);
+        break;
+
+      case 'reminder':
+        await handleReminderCreation(user, userId, messageText, analysis, voiceTranscript);
+        break;
+
+      case 'non_reminder':
+      default:
+        // FOCUS ON REMINDERS ONLY - polite redirect
+        const redirectMessage = analysis.personalizedResponse || t(language, 'redirect', { name: user.preferredName });
+        
+        await sendWhatsAppMessage(userId, withVoiceEcho(language, voiceTranscript, redirectMessage));
+        break;
+    }
+
+  } catch (error) {
+    logger.error('Handler error:', error);
+    try {
+      await sendErrorReply(message.from, 'something_went_wrong');
+    } catch (sendError) {
+      logger.error('Send error:', sendError);
+    }
+  }
+}
+
+// PROCESS PENDING REMINDER - a single reminder or a batch; selection holds 1-based picks ("yes 1,3")
+function pendingItems(pendingReminder) {
+  if (!pendingReminder) return [];
+  return pendingReminder.items || [pendingReminder];
+}
+
+function buildReminder(user, userId, pendingData) {
+  const reminder = new Reminder({
+    userId: userId,
+    userName: user.userName,
+    message: pendingData.message,
+    originalMessage: pendingData.originalMessage || pendingData.message,
+    scheduledTime: pendingData.scheduledTime,
+    userLocalTime: pendingData.userLocalTime,
+    userTimezone: pendingData.userTimezone,
+    priority: pendingData.priority || 'medium',
+    category: pendingData.category || 'general',
+    maxSnoozes: getMaxSnoozes(user),
+    isCompleted: false,
+    isRecurring: !!pendingData.isRecurring,
+    recurrencePattern: pendingData.recurrencePattern || null,
+    recurrenceStart: pendingData.isRecurring ? pendingData.scheduledTime : null,
+    preAlerts: pendingData.preAlerts || [],
+    quietOverride: !!pendingData.quietOverride,
+    recipientId: pendingData.recipientId || null,
+    recipientName: pendingData.recipientName || null,
+    spaceId: pendingData.spaceId || null,
+    spaceName: pendingData.spaceName || null,
+    assignment: pendingData.assignment || 'all'
+  });
+  
+  if (reminder.isRecurring) {
+    reminder.nextOccurrence = calculateNextOccurrence(reminder);
+  }
+  
+  return reminder;
+}
+
+async function processPendingReminder(user, userId, selection = null) {
+  const language = getLanguage(user);
+  const items = pendingItems(user.pendingReminder);
+  const chosen = selection ? selection.map(number => items[number - 1]) : items;
+  
+  if (chosen.length === 0 || chosen.some(item => !item)) {
+    await sendWhatsAppMessage(userId, t(language, 'batch_pick', { count: items.length }));
+    return;
+  }
+  
+  const usageCheck = await checkUsageLimits(user, chosen.length);
+  
+  if (usageCheck.allowed === 0) {
+    user.pendingReminder = null;
+    await user.save();
+    
+    await trackEvent(userId, 'free_limit_reached', { count: user.reminderCount, requested: chosen.length });
+    
+    const premiumMsg = generatePremiumMessage(user, usageCheck);
+    await sendWhatsAppMessage(userId, premiumMsg);
+    return;
+  }
+  
+  // Free quota left for only part of a batch: the first ones in the list are set
+  const accepted = chosen.slice(0, usageCheck.allowed);
+  const overQuota = chosen.slice(usageCheck.allowed);
+  
+  try {
+    const reminders = accepted.map(pendingData => buildReminder(user, userId, pendingData));
+    for (const reminder of reminders) {
+      await reminder.save();
+      await createPreAlerts(reminder, language);
+    }
+    
+    user.reminderCount += reminders.length;
+    user.pendingReminder = null;
+    reminders.forEach(reminder => learnCategoryKeywords(user, reminder.message, reminder.category));
+    await user.save();
+    
+    for (const reminder of reminders) {
+      await trackEvent(userId, 'reminder_created', { 
+        message: reminder.message,
+        recurrence: reminder.recurrencePattern,
+        priority: reminder.priority,
+        category: reminder.category,
+        shared: reminder.recipientId ? true : undefined,
+        space: reminder.spaceId ? reminder.assignment : undefined,
+        batchSize: items.length > 1 ? items.length : undefined
+      });
+    }
+    
+    if (items.length === 1 && reminders.length === 1) {
+      const reminder = reminders[0];
+      const recurrenceLine = reminder.isRecurring 
+        ? `🔄 ${describeRecurrence(reminder.recurrencePattern, reminder.recurrenceStart, reminder.userTimezone, language)}\n` 
+        : '';
+      
+      await sendWhatsAppMessage(userId, t(language, 'reminder_set', { 
+        message: reminder.message, 
+        tags: describeAudience(reminder, language) + describeClassification(reminder.priority, reminder.category, language),
+        recurrence: recurrenceLine, 
+        alerts: describePreAlerts(reminder.preAlerts, language),
+        time: reminder.userLocalTime, 
+        name: user.preferredName 
+      }));
+      
+      if (reminder.recipientId && !reminder.spaceId && await requestConsent(user, reminder)) {
+        await sendWhatsAppMessage(userId, t(language, 'consent_requested', { name: reminder.recipientName }));
+      }
+      return;
+    }
+    
+    let reply = t(language, 'batch_set', {
+      count: reminders.length,
+      items: accepted.map((item, index) => describeBatchItem(item, index, language)).join('\n\n'),
+      name: user.preferredName
+    });
+    
+    if (overQuota.length) {
+      await trackEvent(userId, 'free_limit_reached', { count: user.reminderCount, requested: chosen.length, skipped: overQuota.length });
+      reply += `\n\n${t(language, 'batch_over_quota', {
+        tasks: overQuota.map(item => `"${item.message}"`).join(', '),
+        url: planPaymentUrl(PLAN_CATALOG.premium)
+      })}`;
+    }
+    
+    await sendWhatsAppMessage(userId, reply);
+  } catch (error) {
+    logger.error('Error saving reminder:', error);
+    await sendWhatsAppMessage(userId, t(language, 'reminder_save_error'));
+  }
+}
+
+// HANDLE PENDING EDIT
+async function handlePendingEdit(user, messageText, userId) {
+  const language = getLanguage(user);
+  try {
+    const analysis = await analyzeMessage(messageText, user);
+    
+    if (analysis.isReminder && analysis.hasAction) {
+      const { leads, text: timeText } = extractLeadTimes(messageText);
+      const newReminderData = parseReminderWithTimezone(timeText, analysis.task, user.timezone, language);
+      
+      if (newReminderData && newReminderData.scheduledTime > new Date()) {
+        const reminder = await Reminder.findById(user.pendingEdit.reminderId);
+        
+        if (reminder) {
+          // Store edit history
+          reminder.editHistory.push({
+            oldMessage: reminder.message,
+            newMessage: newReminderData.message,
+            editedAt: new Date()
+          });
+          
+          reminder.message = newReminderData.message;
+          reminder.scheduledTime = newReminderData.scheduledTime;
+          reminder.userLocalTime = newReminderData.userLocalTime;
+          reminder.originalMessage = messageText;
+          if (leads.length) reminder.preAlerts = leads;
+          resetDelivery(reminder);
+          
+          await reminder.save();
+          await reschedulePreAlerts(reminder, language);
+          
+          user.pendingEdit = null;
+          await user.save();
+          
+          await trackEvent(userId, 'reminder_edited');
+          
+          await sendWhatsAppMessage(userId, t(language, 'edit_updated', {
+            message: newReminderData.message,
+            alerts: describePreAlerts(reminder.preAlerts, language),
+            time: newReminderData.userLocalTime,
+            name: user.preferredName
+          }));
+        }
+      } else {
+        await sendWhatsAppMessage(userId, t(language, 'edit_time_passed', { task: analysis.task }));
+      }
+    } else {
+      await sendWhatsAppMessage(userId, t(language, 'edit_needs_time'));
+    }
+  } catch (error) {
+    logger.error('Error handling edit:', error);
+    await sendWhatsAppMessage(userId, t(language, 'edit_update_error'));
+  }
+}
+
+// HANDLE REMINDER CREATION
+// "next Friday at 9" - list the readings and let the user pick one by number
+const OPTION_NUMBERS = ['1️⃣', '2️⃣', '3️⃣', '4️⃣'];
+
+async function askWhichTime(user, userId, messageText, reminderData, classification, voiceTranscript = null) {
+  const language = getLanguage(user);
+  const zone = resolveTimeZone(reminderData.userTimezone);
+  const options = reminderData.ambiguity.options.slice(0, OPTION_NUMBERS.length);
+  
+  const lines = options.map((option, index) => {
+    const dayName = option.scheduledTime.toLocaleDateString(getLocale(language), { weekday: 'long', timeZone: zone });
+    return `${OPTION_NUMBERS[index]} ${dayName}, ${option.userLocalTime}`;
+  });
+  
+  const isQuietHours = reminderData.ambiguity.reason === 'quiet_hours';
+  await sendWhatsAppMessage(userId, withVoiceEcho(language, voiceTranscript, t(language, isQuietHours ? 'quiet_ask' : 'ambiguous_time', {
+    message: reminderData.message,
+    options: lines.join('\n'),
+    window: isQuietHours ? describeQuietWindow(user, language) : ''
+  })));
+  
+  user.pendingReminder = {
+    message: reminderData.message,
+    originalMessage: messageText,
+    scheduledTime: options[0].scheduledTime,
+    userLocalTime: options[0].userLocalTime,
+    userTimezone: reminderData.userTimezone,
+    isRecurring: false,
+    recurrencePattern: null,
+    ...classification,
+    options
+  };
+  await user.save();
+  
+  await trackEvent(userId, 'time_ambiguous', { reason: reminderData.ambiguity.reason, options: options.length });
+}
+
+// Replies to a voice note start with what was heard, so a bad transcript is caught before confirming
+function withVoiceEcho(language, transcript, reply) {
+  return transcript ? `${t(language, 'voice_heard', { transcript })}\n\n${reply}` : reply;
+}
+
+async function handleReminderCreation(user, userId, messageText, analysis, voiceTranscript = null) {
+  const usageCheck = await checkUsageLimits(user);
+  
+  if (!usageCheck.withinLimit) {
+    await trackEvent(userId, 'free_limit_reached', { count: user.reminderCount });
+    
+    const premiumMsg = generatePremiumMessage(user, usageCheck);
+    await sendWhatsAppMessage(userId, premiumMsg);
+    return;
+  }
+  
+  const language = getLanguage(user);
+  
+  // "family: bins out every Tuesday 8pm" - a reminder on a space's list, charged to whoever sets it
+  const spaceTarget = await extractSpaceTarget(user, messageText);
+  let recipient = null;
+  if (spaceTarget?.text) {
+    const turn = spaceTarget.assignment === 'rotate' ? nextRotationMember(spaceTarget.space) : null;
+    recipient = {
+      spaceId: spaceTarget.space._id,
+      spaceName: spaceTarget.space.name,
+      assignment: spaceTarget.assignment,
+      recipientId: turn?.userId || null,
+      recipientName: turn?.name || null
+    };
+    messageText = spaceTarget.text;
+    analysis = { ...analysis, task: extractReminderTask(spaceTarget.text, language), hasAction: true, reminders: undefined };
+  }
+  
+  // "remind Mom to ..." - the rest of the message is an ordinary reminder, charged to the sender
+  const target = spaceTarget ? null : extractRecipient(messageText);
+  if (target?.text) {
+    recipient = resolveRecipient(user, target);
+    if (!recipient) {
+      await sendWhatsAppMessage(userId, withVoiceEcho(language, voiceTranscript, t(language, 'recipient_unknown', { name: target.name })));
+      return;
+    }
+    
+    const consent = await ReminderConsent.findOne({ senderId: userId, recipientId: recipient.recipientId });
+    if (consent?.status === 'blocked') {
+      await sendWhatsAppMessage(userId, withVoiceEcho(language, voiceTranscript, t(language, 'recipient_blocked', { name: recipient.recipientName })));
+      return;
+    }
+    
+    // Reminding yourself by number is just a reminder
+    if (recipient.recipientId === userId) recipient = null;
+    messageText = target.text;
+    analysis = { ...analysis, task: extractReminderTask(target.text, language), hasAction: true, reminders: undefined };
+  }
+  
+  if (analysis.reminders?.length > 1) {
+    await handleBatchReminderCreation(user, userId, messageText, analysis, usageCheck, voiceTranscript);
+    return;
+  }
+  
+  const recurrence = parseRecurrence(messageText, user.timezone, language);
+  const { priority, category } = classifyReminder(messageText, analysis, user);
+  
+  if (recurrence && !getUserPlan(user).recurrence) {
+    await sendWhatsAppMessage(userId, t(language, 'recurrence_locked', { url: planPaymentUrl(PLAN_CATALOG.premium) }));
+    return;
+  }
+  
+  if (analysis.hasAction && (analysis.hasTime || recurrence)) {
+    const reminderData = scheduleFromText(messageText, analysis.task, user, language, recurrence);
+    
+    // The recipient's quiet hours apply to shared reminders at delivery
+    const quietEnd = reminderData && !recipient && priority !== 'high' && !recurrence && user.preferences?.quietHours?.policy === 'ask'
+      ? quietHoursEnd(user, reminderData.scheduledTime)
+      : null;
+    
+    if (reminderData?.ambiguity && !recurrence) {
+      await askWhichTime(user, userId, messageText, reminderData, { priority, category, preAlerts: reminderData.preAlerts, ...recipient }, voiceTranscript);
+    } else if (quietEnd && reminderData.scheduledTime > new Date()) {
+      // Quiet hours policy "ask": after the window, or at the time given anyway
+      const ambiguity = {
+        reason: 'quiet_hours',
+        options: [
+          { scheduledTime: quietEnd, userLocalTime: formatUserLocalTime(quietEnd, user.timezone, language) },
+          { scheduledTime: reminderData.scheduledTime, userLocalTime: reminderData.userLocalTime, quietOverride: true }
+        ]
+      };
+      await askWhichTime(user, userId, messageText, { ...reminderData, ambiguity }, { priority, category, preAlerts: reminderData.preAlerts }, voiceTranscript);
+    } else if (reminderData && reminderData.scheduledTime > new Date()) {
+      const dayName = reminderData.scheduledTime.toLocaleDateString(getLocale(language), { 
+        weekday: 'long', 
+        timeZone: resolveTimeZone(user.timezone) 
+      });
+      const recurrenceLine = recurrence ? `🔄 ${recurrence.description}\n` : '';
+      const when = `${dayName}, ${reminderData.userLocalTime}`;
+      
+      await sendWhatsAppMessage(userId, withVoiceEcho(language, voiceTranscript, t(language, 'confirm_prompt', {
+        message: reminderData.message,
+        tags: describeAudience(recipient, language) + describeClassification(priority, category, language),
+        recurrence: recurrenceLine,
+        alerts: describePreAlerts(reminderData.preAlerts, language),
+        when: recurrence ? t(language, 'first_occurrence', { when }) : when,
+        quiet: recipient ? '' : describeQuietWarning(user, reminderData.scheduledTime, priority, language)
+      })));
+      
+      user.pendingReminder = {
+        message: reminderData.message,
+        originalMessage: messageText,
+        scheduledTime: reminderData.scheduledTime,
+        userLocalTime: reminderData.userLocalTime,
+        userTimezone: reminderData.userTimezone,
+        isRecurring: !!recurrence,
+        recurrencePattern: recurrence ? recurrence.pattern : null,
+        preAlerts: reminderData.preAlerts,
+        priority,
+        category,
+        ...recipient
+      };
+      await user.save();
+    } else {
+      await sendWhatsAppMessage(userId, withVoiceEcho(language, voiceTranscript, t(language, 'time_passed', { name: user.preferredName, task: analysis.task })));
+    }
+  } else if (analysis.hasAction && !analysis.hasTime) {
+    await sendWhatsAppMessage(userId, withVoiceEcho(language, voiceTranscript, t(language, 'ask_when', { task: analysis.task })));
+  } else {
+    await sendWhatsAppMessage(userId, withVoiceEcho(language, voiceTranscript, t(language, 'need_what_when')));
+  }
+}
+
+// Recurrence first, then a one-off time → the fields a pending reminder needs.
+// Heads-ups come from the text ("30 min before") or the user's default lead time
+function scheduleFromText(text, task, user, language, recurrence = parseRecurrence(text, user.timezone, language)) {
+  const { leads, text: timeText } = extractLeadTimes(text);
+  const defaultLead = user.preferences?.defaultLeadMinutes;
+  const preAlerts = leads.length ? leads : defaultLead ? [defaultLead] : [];
+  
+  const reminderData = recurrence
+    ? {
+        message: task,
+        scheduledTime: recurrence.firstOccurrence,
+        userLocalTime: formatUserLocalTime(recurrence.firstOccurrence, user.timezone, language),
+        userTimezone: resolveTimeZone(user.timezone)
+      }
+    : parseReminderWithTimezone(timeText, task, user.timezone, language);
+  
+  return reminderData && { ...reminderData, preAlerts };
+}
+
+// One line per reminder in batch confirmations and summaries; confirmations also flag other readings of the time
+function describeBatchItem(item, index, language, showAlternatives = false) {
+  const zone = resolveTimeZone(item.userTimezone);
+  const when = (scheduledTime, userLocalTime) => 
+    `${new Date(scheduledTime).toLocaleDateString(getLocale(language), { weekday: 'long', timeZone: zone })}, ${userLocalTime}`;
+  const tags = describeClassification(item.priority, item.category, language);
+  const recurrenceLine = item.isRecurring ? `   🔄 ${describeRecurrence(item.recurrencePattern, new Date(item.scheduledTime), zone, language)}\n` : '';
+  const alertLine = describePreAlerts(item.preAlerts, language);
+  const alternatives = showAlternatives && item.alternatives?.length
+    ? `\n   ${t(language, 'batch_ambiguous_item', { options: item.alternatives.map(option => when(option.scheduledTime, option.userLocalTime)).join(' / ') })}`
+    : '';
+  
+  return `${index + 1}. "${item.message}"\n${tags ? `   ${tags}` : ''}${recurrenceLine}${alertLine ? `   ${alertLine}` : ''}   📅 ${when(item.scheduledTime, item.userLocalTime)}${alternatives}`;
+}
+
+// Several reminders in one message: one combined confirmation, "yes" or "yes 1,3"
+async function handleBatchReminderCreation(user, userId, messageText, analysis, usageCheck, voiceTranscript = null) {
+  const language = getLanguage(user);
+  const items = [];
+  const unparsed = [];
+  
+  analysis.reminders.forEach(reminder => {
+    const text = reminder.text || reminder.timeExpression || '';
+    const task = reminder.task || extractReminderTask(text, language);
+    // Without recurrence on the plan, "every Monday" in a batch becomes just the next Monday
+    const recurrence = getUserPlan(user).recurrence ? parseRecurrence(text, user.timezone, language) : null;
+    // A batch doesn't stop to ask about each ambiguous time - the first reading is listed and the others flagged
+    const reminderData = task ? scheduleFromText(text, task, user, language, recurrence) : null;
+    
+    if (!reminderData || reminderData.scheduledTime <= new Date()) {
+      unparsed.push(task || text);
+      return;
+    }
+    
+    items.push({
+      message: reminderData.message,
+      originalMessage: text,
+      scheduledTime: reminderData.scheduledTime,
+      userLocalTime: reminderData.userLocalTime,
+      userTimezone: reminderData.userTimezone,
+      isRecurring: !!recurrence,
+      recurrencePattern: recurrence ? recurrence.pattern : null,
+      preAlerts: reminderData.preAlerts,
+      alternatives: reminderData.ambiguity ? reminderData.ambiguity.options.slice(1) : [],
+      ...classifyReminder(text, { ...reminder, task, source: analysis.source }, user)
+    });
+  });
+  
+  if (items.length === 0) {
+    await sendWhatsAppMessage(userId, withVoiceEcho(language, voiceTranscript, t(language, 'need_what_when')));
+    return;
+  }
+  
+  let reply = t(language, 'batch_confirm', {
+    count: items.length,
+    items: items.map((item, index) => describeBatchItem(item, index, language, true)).join('\n\n')
+  });
+  if (unparsed.length) {
+    reply += `\n\n${t(language, 'batch_unparsed', { tasks: unparsed.map(task => `"${task}"`).join(', ') })}`;
+  }
+  if (usageCheck.remaining < items.length) {
+    reply += `\n\n${t(language, 'batch_quota_note', { count: usageCheck.remaining })}`;
+  }
+  
+  await sendWhatsAppMessage(userId, withVoiceEcho(language, voiceTranscript, reply));
+  
+  user.pendingReminder = { originalMessage: messageText, items };
+  await user.save();
+  
+  await trackEvent(userId, 'batch_proposed', { 
+    count: items.length, 
+    unparsed: unparsed.length, 
+    ambiguous: items.filter(item => item.alternatives.length).length 
+  });
+}
+
+// HANDLE PREMIUM INQUIRY
+async function handlePremiumInquiry(user, userId) {
+  const language = getLanguage(user);
+  
+  if (user.isPremium) {
+    const expiryDate = user.premiumExpiresAt ? user.premiumExpiresAt.toLocaleDateString(getLocale(language)) : t(language, 'premium_never');
+    await sendWhatsAppMessage(userId, t(language, 'premium_active', { date: expiryDate }));
+  } else if (hasSpacePremium(user)) {
+    await sendWhatsAppMessage(userId, t(language, 'premium_active', { date: user.spacePremiumUntil.toLocaleDateString(getLocale(language)) }));
+  } else {
+    // Households and teams can cover everyone with one purchase
+    const spaces = await findUserSpaces(userId);
+    const spaceHint = spaces.length ? t(language, 'space_premium_hint', { space: spaces[0].name }) : '';
+    await sendWhatsAppMessage(userId, 
+      t(language, 'premium_features', { 
+        features: describePlanFeatures(PLAN_CATALOG.premium, language), 
+        price: PLAN_CATALOG.premium.price, 
+        url: planPaymentUrl(PLAN_CATALOG.premium) 
+      }) + spaceHint
+    );
+  }
+}
+
+// TIMEZONE DETECTION
+async function detectLocationTimezone(location) {
+  // Normalized so "London" and " london" share a cached answer
+  const place = location.trim().replace(/\s+/g, ' ').toLowerCase();
+  const systemMessage = `You are a timezone expert. Return the IANA timezone for the location.
+
+Location: "${place}"
+
+Respond with JSON only:
+{
+  "timezone": "Europe/Istanbul",
+  "location": "Istanbul, Turkey", 
+  "confirmation": "Turkey timezone (Europe/Istanbul) set! 🌍"
+}`;
+
+  try {
+    const result = await askChatGPT(place, systemMessage);
+    if (!result || !result.location) return null;
+    
+    if (!isValidTimeZone(result.timezone)) {
+      if (result.timezoneOffset === undefined) return null;
+      result.timezone = offsetToTimeZone(result.timezoneOffset);
+    }
+    
+    return result;
+  } catch (error) {
+    logger.error('Timezone detection error:', error);
+    return null;
+  }
+}
+
+// DELIVERY QUEUE SETTINGS
+const DELIVERY = {
+  WORKER_ID: `${os.hostname()}-${process.pid}`,
+  LEASE_MS: 2 * 60 * 1000, // A crashed worker's reminders are picked up after this
+  MAX_ATTEMPTS: parseInt(process.env.DELIVERY_MAX_ATTEMPTS) || 6,
+  BASE_BACKOFF_MS: 60 * 1000, // 1, 2, 4, 8... minutes between attempts
+  MAX_BACKOFF_MS: 60 * 60 * 1000,
+  CONCURRENCY: 5,
+  TICK_BUDGET_MS: 50 * 1000, // Stop claiming before the next tick starts
+  // Catch-up policy: later than this is "missed" (downtime, outages)
+  MISSED_GRACE_MINUTES: parseInt(process.env.MISSED_GRACE_MINUTES) || 15,
+  MAX_SKIPPED_OCCURRENCES: 10000
+};
+
+let deliveryRunning = false;
+
+function dueDeliveryFilter(now) {
+  return {
+    isCompleted: false,
+    $or: [
+      // Reminders created before the queue existed have no status
+      { deliveryStatus: { $in: ['scheduled', null] }, scheduledTime: { $lte: now }, deferredUntil: { $not: { $gt: now } } },
+      { deliveryStatus: 'failed', nextAttemptAt: { $lte: now } },
+      { deliveryStatus: 'leased', leaseExpiresAt: { $lt: now } }
+    ]
+  };
+}
+
+// Put a reminder back in the queue after its time changed (snooze, edit)
+function resetDelivery(reminder) {
+  reminder.deliveryStatus = 'scheduled';
+  reminder.deliveryAttempts = 0;
+  reminder.firstAttemptAt = null;
+  reminder.nextAttemptAt = null;
+  reminder.leaseOwner = null;
+  reminder.leaseExpiresAt = null;
+  reminder.lastError = null;
+  reminder.deferredUntil = null;
+  reminder.deliveredTo = [];
+}
+
+// Atomically lease the oldest due reminder to this worker - high priority first,
+// so a backlog of ordinary reminders can't delay "urgent" ones
+async function claimNextReminder() {
+  return (await claimDueReminder({ priority: 'high' })) || claimDueReminder({});
+}
+
+async function claimDueReminder(extraFilter) {
+  const now = new Date();
+  
+  return Reminder.findOneAndUpdate(
+    { ...dueDeliveryFilter(now), ...extraFilter },
+    {
+      $set: {
+        deliveryStatus: 'leased',
+        leaseOwner: DELIVERY.WORKER_ID,
+        leaseExpiresAt: new Date(now.getTime() + DELIVERY.LEASE_MS)
+      },
+      $inc: { deliveryAttempts: 1 }
+    },
+    { sort: { scheduledTime: 1 }, new: true }
+  );
+}
+
+// Create the next instance of a recurring series, skipping occurrences
+// that already passed while we were down
+async function scheduleNextOccurrence(reminder, user, notBefore = new Date()) {
+  if (!reminder.isRecurring || !reminder.nextOccurrence) return null;
+  
+  let scheduledTime = reminder.nextOccurrence;
+  let occurrenceNumber = reminder.occurrenceNumber + 1;
+  let skipped = 0;
+  
+  while (scheduledTime && scheduledTime <= notBefore && skipped < DELIVERY.MAX_SKIPPED_OCCURRENCES) {
+    scheduledTime = calculateNextOccurrence({
+      recurrencePattern: reminder.recurrencePattern,
+      recurrenceStart: reminder.recurrenceStart,
+      userTimezone: reminder.userTimezone,
+      scheduledTime,
+      occurrenceNumber
+    });
+    occurrenceNumber++;
+    skipped++;
+  }
+  
+  if (!scheduledTime || scheduledTime <= notBefore) {
+    logger.info(`🔄 Recurring series ended (${reminder.recurrencePattern})`);
+    return null;
+  }
+  
+  const seriesTimeZone = resolveTimeZone(user?.timezone || reminder.userTimezone);
+  const nextReminder = new Reminder({
+    userId: reminder.userId,
+    userName: reminder.userName,
+    message: reminder.message,
+    originalMessage: reminder.originalMessage,
+    scheduledTime,
+    userLocalTime: formatUserLocalTime(scheduledTime, seriesTimeZone, getLanguage(user)),
+    userTimezone: seriesTimeZone,
+    priority: reminder.priority,
+    category: reminder.category,
+    maxSnoozes: reminder.maxSnoozes,
+    isRecurring: true,
+    recurrencePattern: reminder.recurrencePattern,
+    recurrenceStart: reminder.recurrenceStart,
+    occurrenceNumber,
+    preAlerts: reminder.preAlerts,
+    recipientId: reminder.recipientId,
+    recipientName: reminder.recipientName,
+    spaceId: reminder.spaceId,
+    spaceName: reminder.spaceName,
+    assignment: reminder.assignment
+  });
+  nextReminder.nextOccurrence = calculateNextOccurrence(nextReminder);
+  
+  // Taking turns: the next occurrence goes to the next member
+  if (reminder.spaceId && reminder.assignment === 'rotate') {
+    const turn = nextRotationMember(await Space.findById(reminder.spaceId), reminder.recipientId);
+    nextReminder.recipientId = turn?.userId || null;
+    nextReminder.recipientName = turn?.name || null;
+  }
+  
+  await nextReminder.save();
+  await createPreAlerts(nextReminder, getLanguage(user));
+  logger.info(`🔄 Created next occurrence (${reminder.recurrencePattern})`);
+  return nextReminder;
+}
+
+// Missed recurring instance: record it and move the series on
+async function skipMissedOccurrence(reminder, user, latenessMinutes) {
+  await Reminder.updateOne(
+    { _id: reminder._id, leaseOwner: DELIVERY.WORKER_ID },
+    { $set: { deliveryStatus: 'skipped', isCompleted: true, leaseOwner: null, leaseExpiresAt: null } }
+  );
+  
+  const nextReminder = await scheduleNextOccurrence(reminder, user);
+  
+  await trackEvent(reminder.userId, 'reminder_missed', {
+    message: reminder.message,
+    outcome: 'skipped',
+    scheduledTime: reminder.scheduledTime,
+    latenessMinutes: Math.round(latenessMinutes),
+    nextOccurrence: nextReminder?.scheduledTime || null
+  });
+  
+  logger.info(`⏭️ Skipped missed occurrence of "${reminder.message}" (${Math.round(latenessMinutes)} min late)`);
+  return 'skipped';
+}
+
+// Heads-up before a reminder - sent once, no follow-ups, never the target of "snooze" or "done"
+async function deliverPreAlert(reminder) {
+  let user = null;
+  
+  try {
+    const parent = await Reminder.findById(reminder.parentReminderId);
+    
+    // Parent cancelled, finished or already due - the heads-up has nothing left to announce
+    if (!parent || parent.isCompleted || parent.scheduledTime <= new Date()) {
+      await Reminder.updateOne(
+        { _id: reminder._id, leaseOwner: DELIVERY.WORKER_ID },
+        { $set: { deliveryStatus: 'skipped', isCompleted: true, leaseOwner: null, leaseExpiresAt: null } }
+      );
+      return 'skipped';
+    }
+    
+    if (reminder.recipientId && !(await hasConsent(reminder))) {
+      return await skipWithoutConsent(reminder, null);
+    }
+    
+    const delivered = [];
+    const now = new Date();
+    let heldUntil = null;
+    let lastError = null;
+    for (const targetId of await deliveryTargets(reminder)) {
+      if (reminder.deliveredTo?.includes(targetId)) continue;
+      user = await User.findOne({ userId: targetId });
+      const quietEnd = memberQuietEnd(reminder, user, now);
+      if (quietEnd) {
+        heldUntil = heldUntil && heldUntil < quietEnd ? heldUntil : quietEnd;
+        continue;
+      }
+      const language = getLanguage(user);
+      
+      const text = t(language, 'pre_alert', {
+        lead: formatLeadTime(reminder.leadMinutes, language),
+        message: parent.message,
+        time: parent.userLocalTime
+      });
+      
+      const result = await sendWhatsAppMessage(targetId, text, 1);
+      if (result.success) delivered.push(targetId);
+      else lastError = result.message || result.error;
+    }
+    if (heldUntil && (delivered.length || !lastError)) {
+      return await holdForQuietMembers(reminder, delivered, heldUntil);
+    }
+    if (!delivered.length && (lastError || !reminder.deliveredTo?.length)) {
+      throw new Error(lastError || 'No space members to deliver to');
+    }
+  } catch (error) {
+    return handleDeliveryFailure(reminder, user, error);
+  }
+  
+  await Reminder.updateOne(
+    { _id: reminder._id, leaseOwner: DELIVERY.WORKER_ID },
+    {
+      $set: {
+        deliveryStatus: 'sent',
+        isCompleted: true,
+        lastSentAt: new Date(),
+        leaseOwner: null,
+        leaseExpiresAt: null,
+        lastError: null
+      }
+    }
+  );
+  
+  logger.info(`⏳ Pre-alert sent: "${reminder.message}" to ${reminder.userId}`);
+  
+  try {
+    await trackEvent(reminder.userId, 'pre_alert_sent', {
+      message: reminder.message,
+      leadMinutes: reminder.leadMinutes,
+      attempts: reminder.deliveryAttempts
+    });
+  } catch (error) {
+    logger.error('Post-delivery error:', error);
+  }
+  
+  return 'sent';
+}
+
+// Send one leased reminder → 'sent' | 'failed' | 'dead' | 'skipped' | 'deferred'
+async function deliverReminder(reminder) {
+  try {
+    if (await deferForQuietHours(reminder)) return 'deferred';
+  } catch (error) {
+    // Better a reminder in quiet hours than none
+    logger.error('Quiet hours check failed:', error);
+  }
+  
+  if (reminder.kind === 'pre_alert') return deliverPreAlert(reminder);
+  
+  let user = null;
+  // Retries and expired leases keep the first attempt's time - a reminder we picked up on time
+  // isn't "missed" just because the transport kept failing
+  if (!reminder.firstAttemptAt) {
+    reminder.firstAttemptAt = new Date();
+    await Reminder.updateOne({ _id: reminder._id, firstAttemptAt: null }, { $set: { firstAttemptAt: reminder.firstAttemptAt } }).catch(error => {
+      logger.error('Could not record first delivery attempt:', error);
+    });
+  }
+  
+  // Held for quiet hours → late only relative to the end of the window
+  const dueAt = reminder.deferredUntil > reminder.scheduledTime ? reminder.deferredUntil : reminder.scheduledTime;
+  const latenessMinutes = Math.max(0, (reminder.firstAttemptAt.getTime() - dueAt.getTime()) / 60000);
+  const isMissed = latenessMinutes > DELIVERY.MISSED_GRACE_MINUTES;
+  
+  // Shared and space reminders go to other people; the owner's record still drives the series
+  const delivered = [];
+  let recipient = null;
+  
+  try {
+    user = await User.findOne({ userId: reminder.userId });
+    
+    if (isMissed && reminder.isRecurring) {
+      return await skipMissedOccurrence(reminder, user, latenessMinutes);
+    }
+    
+    if (reminder.recipientId && !(await hasConsent(reminder))) {
+      return await skipWithoutConsent(reminder, user);
+    }
     
-    if (!parsed || parsed <= now) {
-      logger.warn('Could not parse valid future time from:', messageText);
-      return null;
+    const now = new Date();
+    let heldUntil = null;
+    let lastError = null;
+    for (const targetId of await deliveryTargets(reminder)) {
+      if (reminder.deliveredTo?.includes(targetId)) continue;
+      const target = targetId === reminder.userId ? user : await User.findOne({ userId: targetId });
+      
+      // Members in their own quiet hours get it when their window ends
+      const quietEnd = memberQuietEnd(reminder, target, now);
+      if (quietEnd) {
+        heldUntil = heldUntil && heldUntil < quietEnd ? heldUntil : quietEnd;
+        continue;
+      }
+      
+      const preferredName = target?.preferredName || 'there';
+      const style = target?.preferences?.reminderStyle || 'motivational';
+      
+      const language = getLanguage(target);
+      
+      let body;
+      if (reminder.spaceId) {
+        body = t(language, 'space_delivery', { space: reminder.spaceName, sender: senderDisplayName(user), message: reminder.message });
+      } else if (reminder.recipientId) {
+        body = t(language, 'shared_delivery', { sender: senderDisplayName(user), message: reminder.message });
+      } else {
+        body = isMissed
+          ? t(language, 'delivery_missed', { message: reminder.message, time: reminder.userLocalTime, name: preferredName })
+          : await generateShortMotivation(reminder.message, preferredName, style, language);
+      }
+      const text = `${body}\n\n${t(language, 'delivery_reply_hint')}`;
+      
+      // Single attempt - the queue owns retries and backoff
+      const result = await sendWhatsAppMessage(targetId, text, 1);
+      if (result.success) {
+        delivered.push(targetId);
+        recipient = recipient || target;
+      } else {
+        lastError = result.message || result.error;
+      }
     }
     
-    // Convert to UTC for storage
-    const utcTime = new Date(parsed.getTime() - (timezoneOffset * 60 * 60 * 1000));
+    if (heldUntil && (delivered.length || !lastError)) {
+      return await holdForQuietMembers(reminder, delivered, heldUntil);
+    }
     
-    logger.info(`✅ Parsed time - User: ${parsed.toISOString()}, UTC: ${utcTime.toISOString()}`);
+    // Retried only when nobody got it - a retry would repeat it for members who did
+    if (delivered.length === 0 && (lastError || !reminder.deliveredTo?.length)) {
+      throw new Error(lastError || 'No space members to deliver to');
+    }
+  } catch (error) {
+    return handleDeliveryFailure(reminder, user, error);
+  }
+  
+  const sentAt = new Date();
+  await Reminder.updateOne(
+    { _id: reminder._id, leaseOwner: DELIVERY.WORKER_ID },
+    {
+      $set: {
+        deliveryStatus: 'sent',
+        lastSentAt: sentAt,
+        leaseOwner: null,
+        leaseExpiresAt: null,
+        lastError: null,
+        // Stays open until "done" - or the follow-up window closes it
+        followUpCount: 0,
+        nextFollowUpAt: new Date(sentAt.getTime() + getFollowUpWindowMs(recipient))
+      }
+    }
+  );
+  
+  logger.info(`✅ Sent: "${reminder.message}" to ${delivered.join(', ')}`);
+  
+  // Follow-up work must never cause a second send
+  try {
+    await trackEvent(reminder.userId, 'reminder_sent', { 
+      message: reminder.message,
+      attempts: reminder.deliveryAttempts,
+      latenessSeconds: Math.round(latenessMinutes * 60)
+    });
     
-    return {
-      message: task,
-      scheduledTime: utcTime,
-      userLocalTime: parsed.toLocaleString(),
-      userTimezone: timezoneOffset
-    };
+    if (isMissed) {
+      await trackEvent(reminder.userId, 'reminder_missed', {
+        message: reminder.message,
+        outcome: 'sent_late',
+        scheduledTime: reminder.scheduledTime,
+        latenessMinutes: Math.round(latenessMinutes)
+      });
+    }
+    
+    // Remember the delivery so a "snooze" reply knows what to move
+    await User.updateMany(
+      { userId: { $in: delivered } },
+      { lastDeliveredReminder: { reminderId: reminder._id, sentAt } }
+    );
+    
+    if (reminder.recipientId && !reminder.spaceId) {
+      await sendWhatsAppMessage(reminder.userId, t(getLanguage(user), 'shared_delivered', {
+        name: reminder.recipientName,
+        message: reminder.message
+      }), 1);
+    }
+    
+    await scheduleNextOccurrence(reminder, user);
   } catch (error) {
-    logger.error('Time parsing error:', error);
-    return null;
+    logger.error('Post-delivery error:', error);
   }
+  
+  return 'sent';
 }
 
-// LIST REMINDERS with enhanced display
-async function listReminders(userId, user) {
+async function handleDeliveryFailure(reminder, user, error) {
+  const isDead = reminder.deliveryAttempts >= DELIVERY.MAX_ATTEMPTS;
+  const backoff = Math.min(
+    DELIVERY.BASE_BACKOFF_MS * Math.pow(2, reminder.deliveryAttempts - 1),
+    DELIVERY.MAX_BACKOFF_MS
+  );
+  
+  logger.error(`❌ Delivery attempt ${reminder.deliveryAttempts} failed for ${reminder._id}:`, error.message);
+  
   try {
-    const reminders = await Reminder.find({ 
-      userId: userId, 
-      isCompleted: false,
-      scheduledTime: { $gt: new Date() }
-    }).sort({ scheduledTime: 1 }).limit(10);
+    await Reminder.updateOne(
+      { _id: reminder._id, leaseOwner: DELIVERY.WORKER_ID },
+      {
+        $set: isDead 
+          ? { deliveryStatus: 'dead', isCompleted: true, leaseOwner: null, leaseExpiresAt: null, lastError: error.message }
+          : { 
+              deliveryStatus: 'failed', 
+              nextAttemptAt: new Date(Date.now() + backoff), 
+              leaseOwner: null, 
+              leaseExpiresAt: null, 
+              lastError: error.message 
+            }
+      }
+    );
     
-    if (reminders.length === 0) {
-      return `📋 No reminders set, ${user.preferredName}!\n\n💡 Create one: "gym at 7pm today"`;
+    await trackEvent(reminder.userId, isDead ? 'reminder_dead' : 'reminder_delivery_failed', {
+      message: reminder.message,
+      attempts: reminder.deliveryAttempts,
+      error: error.message
+    });
+    
+    // A dead instance shouldn't end its recurring series
+    if (isDead) {
+      await scheduleNextOccurrence(reminder, user);
     }
+  } catch (updateError) {
+    // The lease expires and another attempt picks it up
+    logger.error('Failed to record delivery failure:', updateError);
+  }
+  
+  return isDead ? 'dead' : 'failed';
+}
+
+function getFollowUpWindowMs(user) {
+  return (user?.preferences?.followUpMinutes || FOLLOW_UP.WINDOW_MINUTES) * 60 * 1000;
+}
+
+// Nudge or close one delivered reminder whose follow-up window elapsed
+async function processFollowUp(reminder) {
+  const [recipientId, ...otherMembers] = await deliveryTargets(reminder);
+  const user = await User.findOne({ userId: recipientId });
+  const now = new Date();
+  
+  // Nudges wait for quiet hours to end too
+  const quietEnd = bypassesQuietHours(reminder, recipientId) ? null : quietHoursEnd(user, now);
+  if (quietEnd) {
+    await Reminder.updateOne({ _id: reminder._id }, { $set: { nextFollowUpAt: quietEnd } });
+    return;
+  }
+  
+  if (user && followUpsEnabled(user, reminder) && reminder.followUpCount < FOLLOW_UP.MAX_NUDGES) {
+    const result = await sendWhatsAppMessage(recipientId, 
+      t(getLanguage(user), 'follow_up_nudge', { name: user.preferredName || user.userName, message: reminder.message }), 1);
     
-    let response = `📋 Your reminders, ${user.preferredName}:\n\n`;
-    reminders.forEach((reminder, index) => {
-      const priority = reminder.priority === 'high' ? '🔴' : reminder.priority === 'medium' ? '🟡' : '🟢';
-      const recurring = reminder.isRecurring ? ` 🔄` : '';
-      response += `${index + 1}. ${priority} ${reminder.message}${recurring}\n   📅 ${reminder.userLocalTime}\n\n`;
-    });
+    // Everyone on a space reminder gets the nudge in their own language; anyone can answer "done"
+    for (const memberId of otherMembers) {
+      const member = await User.findOne({ userId: memberId }).select('userId language timezone preferences.quietHours');
+      if (memberQuietEnd(reminder, member, now)) continue;
+      await sendWhatsAppMessage(memberId, t(getLanguage(member), 'follow_up_member_nudge', { message: reminder.message }), 1);
+    }
     
-    response += `💡 Commands:\n• "cancel 2" - cancel reminder\n• "edit 1" - edit reminder\n• "premium" - upgrade`;
+    if (result.success) {
+      await Reminder.updateOne({ _id: reminder._id }, {
+        $inc: { followUpCount: 1 },
+        $set: { nextFollowUpAt: new Date(now.getTime() + getFollowUpWindowMs(user)) }
+      });
+      
+      // "snooze" replies should target the nudged reminder
+      await User.updateMany(
+        { userId: { $in: [recipientId, ...otherMembers] } },
+        { lastDeliveredReminder: { reminderId: reminder._id, sentAt: now } }
+      );
+      
+      await trackEvent(reminder.userId, 'reminder_follow_up_sent', {
+        message: reminder.message,
+        followUp: reminder.followUpCount + 1
+      });
+      return;
+    }
     
-    return response;
+    logger.warn(`Follow-up nudge failed for ${reminder._id}, closing reminder`);
+  }
+  
+  // No "done" in time - resolved as not done
+  await Reminder.updateOne({ _id: reminder._id }, { 
+    $set: { isCompleted: true, outcome: 'not_done', nextFollowUpAt: null } 
+  });
+  
+  await trackEvent(reminder.userId, 'reminder_unacknowledged', {
+    message: reminder.message,
+    category: reminder.category,
+    followUps: reminder.followUpCount
+  });
+  
+  if (user) await updateCompletionStats(user);
+}
+
+async function processFollowUps() {
+  const startTime = Date.now();
+  let processed = 0;
+  
+  try {
+    while (Date.now() - startTime < DELIVERY.TICK_BUDGET_MS) {
+      // Claim by clearing nextFollowUpAt so concurrent workers don't double-nudge
+      const reminder = await Reminder.findOneAndUpdate(
+        { deliveryStatus: 'sent', isCompleted: false, nextFollowUpAt: { $lte: new Date() } },
+        { $set: { nextFollowUpAt: null } },
+        { sort: { nextFollowUpAt: 1 } }
+      );
+      if (!reminder) break;
+      
+      await processFollowUp(reminder);
+      processed++;
+    }
   } catch (error) {
-    logger.error('Error listing reminders:', error);
-    return `❌ Error loading reminders. Please try again.`;
+    logger.error('Follow-up processing error:', error);
+  }
+  
+  if (processed > 0) {
+    logger.info(`👀 Processed ${processed} follow-ups`);
   }
 }
 
-// CANCEL REMINDER with better UX
-async function cancelReminder(userId, messageText, user) {
+// Drain everything due - no per-tick cap, bounded by the tick budget
+async function processDeliveryQueue() {
+  if (deliveryRunning) {
+    logger.warn('⏰ Previous delivery run still active, skipping tick');
+    return;
+  }
+  
+  deliveryRunning = true;
+  const startTime = Date.now();
+  const stats = { sent: 0, failed: 0, dead: 0, skipped: 0, deferred: 0 };
+  
   try {
-    const reminders = await Reminder.find({ 
-      userId: userId, 
-      isCompleted: false,
-      scheduledTime: { $gt: new Date() }
-    }).sort({ scheduledTime: 1 });
+    while (Date.now() - startTime < DELIVERY.TICK_BUDGET_MS) {
+      const batch = [];
+      for (let i = 0; i < DELIVERY.CONCURRENCY; i++) {
+        const reminder = await claimNextReminder();
+        if (!reminder) break;
+        batch.push(reminder);
+      }
+      
+      if (batch.length === 0) break;
+      
+      const outcomes = await Promise.all(batch.map(deliverReminder));
+      outcomes.forEach(outcome => stats[outcome]++);
+    }
+  } catch (error) {
+    logger.error('Delivery queue error:', error);
+  } finally {
+    deliveryRunning = false;
+  }
+  
+  const processingTime = Date.now() - startTime;
+  if (stats.sent || stats.failed || stats.dead || stats.skipped || stats.deferred) {
+    logger.info(`⏰ Delivery run complete: ${stats.sent} sent, ${stats.failed} failed, ${stats.dead} dead, ${stats.skipped} skipped, ${stats.deferred} deferred (${processingTime}ms)`);
+  }
+}
+
+// QUIET HOURS - "quiet 23:00-07:00"; a wrong "at 3" shouldn't wake anyone up
+function quietHoursEnd(user, date = new Date()) {
+  const { start, end } = user?.preferences?.quietHours || {};
+  if (start === null || start === undefined || end === null || end === undefined || start === end) return null;
+  
+  const zone = resolveTimeZone(user.timezone);
+  const wall = toUserWallClock(date, zone);
+  const minute = wall.getUTCHours() * 60 + wall.getUTCMinutes();
+  const inside = start < end ? minute >= start && minute < end : minute >= start || minute < end;
+  if (!inside) return null;
+  
+  const day = wallDate(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate());
+  return fromUserWallClock(new Date(addWallDays(day, minute >= end ? 1 : 0).getTime() + end * 60 * 1000), zone);
+}
+
+function describeQuietWindow(user, language = 'en') {
+  const { start, end } = user.preferences.quietHours;
+  const clock = minutes => formatClockTime({ hours: Math.floor(minutes / 60), minutes: minutes % 60 }, language);
+  return `${clock(start)}–${clock(end)}`;
+}
+
+// Confirmation line for a time inside the window - '' when it's outside
+function describeQuietWarning(user, scheduledTime, priority, language = 'en') {
+  const windowEnd = quietHoursEnd(user, scheduledTime);
+  if (!windowEnd) return '';
+  
+  const window = describeQuietWindow(user, language);
+  return priority === 'high'
+    ? `${t(language, 'quiet_warning_high', { window })}\n`
+    : `${t(language, 'quiet_warning_defer', { window, time: formatUserLocalTime(windowEnd, user.timezone, language) })}\n`;
+}
+
+// "quiet 23:00-07:00", "quiet 11pm to 7am", "quiet ask", "quiet defer", "quiet off"
+async function handleQuietHoursCommand(user, messageText) {
+  const language = getLanguage(user);
+  const argument = (messageText.trim().match(QUIET_HOURS_COMMAND)?.[1] || '').trim().toLowerCase();
+  const quiet = user.preferences.quietHours;
+  const hasWindow = quiet.start !== null && quiet.end !== null;
+  const usage = () => t(language, 'quiet_usage', { current: hasWindow ? describeQuietWindow(user, language) : t(language, 'quiet_none') });
+  
+  if (/^(off|none|no)$/.test(argument)) {
+    quiet.start = null;
+    quiet.end = null;
+    await user.save();
+    await trackEvent(user.userId, 'quiet_hours_set', { enabled: false });
+    return t(language, 'quiet_off');
+  }
+  
+  if (/^(defer|ask)$/.test(argument)) {
+    if (!hasWindow) return usage();
+    quiet.policy = argument;
+  } else {
+    const [from, to, extra] = argument.split(/\s*(?:-|–|\bto\b|\buntil\b|\btill\b)\s*/);
+    const startTime = parseClockTime(from);
+    const endTime = parseClockTime(to);
+    if (extra !== undefined || startTime?.hours === undefined || endTime?.hours === undefined) return usage();
     
-    if (reminders.length === 0) {
-      return `No reminders to cancel, ${user.preferredName}! 📋`;
+    // "quiet 10-6" starts in the evening
+    const startHours = startTime.meridiem === 'ambiguous' ? startTime.hours + 12 : startTime.hours;
+    quiet.start = (startHours % 24) * 60 + startTime.minutes;
+    quiet.end = endTime.hours * 60 + endTime.minutes;
+    if (quiet.start === quiet.end) return usage();
+  }
+  
+  await user.save();
+  await trackEvent(user.userId, 'quiet_hours_set', { enabled: true, start: quiet.start, end: quiet.end, policy: quiet.policy });
+  return t(language, 'quiet_set', {
+    window: describeQuietWindow(user, language),
+    policy: t(language, quiet.policy === 'ask' ? 'quiet_policy_ask' : 'quiet_policy_defer')
+  });
+}
+
+// Claimed inside the user's quiet hours: back to the queue until the window ends
+// High priority and "send anyway" only break quiet hours on the recipient's own reminders - never a sender's
+function bypassesQuietHours(reminder, recipientId) {
+  return (reminder.priority === 'high' || !!reminder.quietOverride) && recipientId === reminder.userId;
+}
+
+// Space reminders go to several people - each member's own window is checked as they fan out
+function memberQuietEnd(reminder, member, now = new Date()) {
+  if (!reminder.spaceId || !member || bypassesQuietHours(reminder, member.userId)) return null;
+  return quietHoursEnd(member, now);
+}
+
+async function deferForQuietHours(reminder, now = new Date()) {
+  if (reminder.spaceId) return false;
+  const recipientId = reminder.recipientId || reminder.userId;
+  if (bypassesQuietHours(reminder, recipientId)) return false;
+  
+  const user = await User.findOne({ userId: recipientId }).select('userId timezone preferences.quietHours');
+  const windowEnd = quietHoursEnd(user, now);
+  if (!windowEnd) return false;
+  
+  await Reminder.updateOne(
+    { _id: reminder._id, leaseOwner: DELIVERY.WORKER_ID },
+    {
+      $set: { deliveryStatus: 'scheduled', deferredUntil: windowEnd, leaseOwner: null, leaseExpiresAt: null },
+      // The claim counted an attempt that never happened
+      $inc: { deliveryAttempts: -1 }
+    }
+  );
+  
+  await trackEvent(reminder.userId, 'reminder_deferred', {
+    message: reminder.message,
+    kind: reminder.kind,
+    scheduledTime: reminder.scheduledTime,
+    deferredUntil: windowEnd
+  });
+  
+  logger.info(`🌙 Deferred "${reminder.message}" for ${reminder.userId} until ${windowEnd.toISOString()}`);
+  return true;
+}
+
+// Some space members are still in quiet hours: keep who already got it, back to the queue for the rest
+async function holdForQuietMembers(reminder, delivered, heldUntil) {
+  await Reminder.updateOne(
+    { _id: reminder._id, leaseOwner: DELIVERY.WORKER_ID },
+    {
+      $set: { deliveryStatus: 'scheduled', deferredUntil: heldUntil, leaseOwner: null, leaseExpiresAt: null },
+      $addToSet: { deliveredTo: { $each: delivered } },
+      $inc: { deliveryAttempts: -1 }
+    }
+  );
+  
+  if (delivered.length && reminder.kind !== 'pre_alert') {
+    await User.updateMany(
+      { userId: { $in: delivered } },
+      { lastDeliveredReminder: { reminderId: reminder._id, sentAt: new Date() } }
+    );
+  }
+  
+  await trackEvent(reminder.userId, 'reminder_deferred', {
+    message: reminder.message,
+    kind: reminder.kind,
+    scheduledTime: reminder.scheduledTime,
+    deferredUntil: heldUntil,
+    delivered: delivered.length
+  });
+  
+  logger.info(`🌙 Sent "${reminder.message}" to ${delivered.length} member(s), the rest held until ${heldUntil.toISOString()}`);
+  return 'deferred';
+}
+
+// DAILY DIGEST - today's agenda plus yesterday's open reminders, at the user's morning time
+
+function digestTime(user) {
+  const digest = user.preferences?.digest || {};
+  if (digest.hour !== null && digest.hour !== undefined) return { hours: digest.hour, minutes: digest.minute || 0 };
+  
+  const [earliest, latest] = DIGEST.MORNING_HOURS;
+  const morningHours = (user.behaviorPatterns?.mostActiveHours || []).filter(hour => hour >= earliest && hour <= latest);
+  return { hours: morningHours.length ? Math.min(...morningHours) : DIGEST.DEFAULT_HOUR, minutes: 0 };
+}
+
+// Settings times: "7am", "07:30", or a bare "7"
+function parseClockTime(text) {
+  if (!text) return null;
+  return parseTimePart(/^\d{1,2}$/.test(text) ? `at ${text}` : text);
+}
+
+function formatClockTime({ hours, minutes }, language = 'en') {
+  return new Date(Date.UTC(2000, 0, 1, hours, minutes))
+    .toLocaleTimeString(getLocale(language), { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' });
+}
+
+// Start of the user's local day, offset by `days`
+function localDayStart(now, timeZone, days = 0) {
+  const wall = toUserWallClock(now, timeZone);
+  return fromUserWallClock(addWallDays(wallDate(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate()), days), timeZone);
+}
+
+// Delivered yesterday, never marked done - what "retry" moves to today
+async function findMissedYesterday(user, now = new Date()) {
+  return Reminder.find({
+    userId: user.userId,
+    kind: { $ne: 'pre_alert' },
+    deliveryStatus: 'sent',
+    outcome: { $in: [null, 'not_done'] },
+    scheduledTime: { $gte: localDayStart(now, user.timezone, -1), $lt: localDayStart(now, user.timezone) }
+  }).sort({ scheduledTime: 1 }).limit(DIGEST.MAX_ITEMS);
+}
+
+async function buildDigest(user, now = new Date()) {
+  const language = getLanguage(user);
+  const zone = resolveTimeZone(user.timezone);
+  
+  const today = await Reminder.find({
+    userId: user.userId,
+    kind: { $ne: 'pre_alert' },
+    isCompleted: false,
+    scheduledTime: { $gte: now, $lt: localDayStart(now, zone, 1) }
+  }).sort({ scheduledTime: 1 }).limit(DIGEST.MAX_ITEMS);
+  
+  // Nothing on today's agenda - no digest
+  if (today.length === 0) return null;
+  
+  const missed = await findMissedYesterday(user, now);
+  const clock = date => date.toLocaleTimeString(getLocale(language), { hour: 'numeric', minute: '2-digit', timeZone: zone });
+  
+  let text = t(language, 'digest_header', {
+    name: user.preferredName || user.userName,
+    date: now.toLocaleDateString(getLocale(language), { weekday: 'long', month: 'long', day: 'numeric', timeZone: zone })
+  });
+  
+  text += `\n\n${t(language, 'digest_today', { count: today.length })}\n`;
+  today.forEach(reminder => {
+    text += `${clock(reminder.scheduledTime)} ${PRIORITY_EMOJI[reminder.priority] || PRIORITY_EMOJI.medium} ${reminder.message}\n`;
+  });
+  
+  if (missed.length) {
+    text += `\n${t(language, 'digest_missed', { count: missed.length })}\n`;
+    missed.forEach((reminder, index) => {
+      text += `${index + 1}. ${reminder.message} (${clock(reminder.scheduledTime)})\n`;
+    });
+    text += `\n${t(language, 'digest_retry_hint')}`;
+  }
+  
+  return { text: text.trim(), today: today.length, missed: missed.length };
+}
+
+// "digest at 7am", "digest 07:30", "digest on", "digest off"
+async function handleDigestCommand(user, messageText) {
+  const language = getLanguage(user);
+  const argument = (messageText.trim().match(DIGEST_COMMAND)?.[1] || '').toLowerCase();
+  const digest = user.preferences.digest;
+  
+  if (/^(off|stop|no)$/.test(argument)) {
+    digest.enabled = false;
+    await user.save();
+    await trackEvent(user.userId, 'digest_set', { enabled: false });
+    return t(language, 'digest_off');
+  }
+  
+  const turnOn = /^(on|yes|start)$/.test(argument);
+  const time = turnOn ? null : parseClockTime(argument);
+  if (!turnOn && time?.hours === undefined) {
+    return t(language, 'digest_usage', {
+      current: digest.enabled ? formatClockTime(digestTime(user), language) : t(language, 'digest_disabled')
+    });
+  }
+  
+  digest.enabled = true;
+  if (time) {
+    digest.hour = time.hours;
+    digest.minute = time.minutes;
+  }
+  // Today's digest is still due if its time hasn't come yet
+  digest.lastSentOn = null;
+  await user.save();
+  
+  await trackEvent(user.userId, 'digest_set', { enabled: true, ...digestTime(user) });
+  return t(language, 'digest_set', { time: formatClockTime(digestTime(user), language) });
+}
+
+// "retry" / "retry 2" - yesterday's open reminders move to the same time, next time it comes round
+async function retryMissedReminders(user, userId, messageText) {
+  const language = getLanguage(user);
+  const now = new Date();
+  const missed = await findMissedYesterday(user, now);
+  
+  if (missed.length === 0) return t(language, 'retry_none', { name: user.preferredName });
+  
+  const numbers = (messageText.match(/\d+/g) || []).map(Number);
+  const chosen = numbers.length ? numbers.map(number => missed[number - 1]) : missed;
+  if (chosen.some(reminder => !reminder)) return t(language, 'retry_pick', { count: missed.length });
+  
+  const zone = resolveTimeZone(user.timezone);
+  const lines = [];
+  const skipped = [];
+  
+  for (const reminder of chosen) {
+    let scheduledTime = reminder.scheduledTime;
+    while (scheduledTime <= now) {
+      scheduledTime = fromUserWallClock(addWallDays(toUserWallClock(scheduledTime, zone), 1), zone);
+    }
+    
+    // A daily series already has its next instance at that time - moving this one would send it twice
+    if (reminder.isRecurring) {
+      const next = await Reminder.findOne({
+        _id: { $ne: reminder._id },
+        userId: reminder.userId,
+        kind: { $ne: 'pre_alert' },
+        isRecurring: true,
+        recurrencePattern: reminder.recurrencePattern,
+        recurrenceStart: reminder.recurrenceStart,
+        message: reminder.message,
+        isCompleted: false,
+        scheduledTime: { $gt: now, $lte: scheduledTime }
+      }).sort({ scheduledTime: 1 });
+      
+      if (next) {
+        skipped.push(t(language, 'retry_series_next', { message: reminder.message, time: next.userLocalTime }));
+        continue;
+      }
     }
     
-    // Extract number or keyword
-    const numberMatch = messageText.match(/(\d+)/);
-    let reminderToCancel = null;
+    reminder.scheduledTime = scheduledTime;
+    reminder.userLocalTime = formatUserLocalTime(scheduledTime, zone, language);
+    reminder.isCompleted = false;
+    reminder.outcome = null;
+    reminder.lastSentAt = null;
+    reminder.followUpCount = 0;
+    reminder.nextFollowUpAt = null;
+    resetDelivery(reminder);
+    // The next recurring instance was already created on delivery
+    reminder.nextOccurrence = null;
+    await reminder.save();
+    await reschedulePreAlerts(reminder, language);
+    
+    lines.push(`🔁 "${reminder.message}"\n   📅 ${reminder.userLocalTime}`);
+  }
+  
+  await trackEvent(userId, 'reminder_rescheduled', { source: 'digest', count: lines.length, skipped: skipped.length });
+  return [
+    lines.length ? t(language, 'retry_done', { count: lines.length, items: lines.join('\n\n') }) : null,
+    ...skipped
+  ].filter(Boolean).join('\n\n');
+}
+
+// One digest per user per local day; claiming lastSentOn first keeps concurrent workers from double-sending
+async function sendDigest(user, now = new Date()) {
+  const zone = resolveTimeZone(user.timezone);
+  const todayKey = getLocalDateKey(now, zone);
+  if (user.preferences.digest.lastSentOn === todayKey) return false;
+  
+  const { hours, minutes } = digestTime(user);
+  const wall = toUserWallClock(now, zone);
+  const minutesLate = wall.getUTCHours() * 60 + wall.getUTCMinutes() - (hours * 60 + minutes);
+  if (minutesLate < 0 || minutesLate > DIGEST.SEND_WINDOW_MINUTES) return false;
+  
+  const claim = await User.updateOne(
+    { _id: user._id, 'preferences.digest.lastSentOn': { $ne: todayKey } },
+    { $set: { 'preferences.digest.lastSentOn': todayKey } }
+  );
+  if (!claim.modifiedCount) return false;
+  
+  const digest = await buildDigest(user, now);
+  if (!digest) return false;
+  
+  const result = await sendWhatsAppMessage(user.userId, digest.text, 1);
+  if (!result.success) {
+    // Next run tries again while the send window is open
+    await User.updateOne({ _id: user._id }, { $set: { 'preferences.digest.lastSentOn': null } });
+    logger.warn(`☀️ Digest failed for ${user.userId}: ${result.message || result.error}`);
+    return false;
+  }
+  
+  await trackEvent(user.userId, 'digest_sent', { today: digest.today, missed: digest.missed });
+  return true;
+}
+
+async function processDigests() {
+  let sent = 0;
+  
+  try {
+    const now = new Date();
+    const users = await User.find({ 'preferences.digest.enabled': true })
+      .select('userId userName preferredName timezone language preferences behaviorPatterns.mostActiveHours');
     
-    if (numberMatch) {
-      const index = parseInt(numberMatch[1]) - 1;
-      if (index >= 0 && index < reminders.length) {
-        reminderToCancel = reminders[index];
+    for (const user of users) {
+      try {
+        if (await sendDigest(user, now)) sent++;
+      } catch (error) {
+        logger.error(`Digest error for ${user.userId}:`, error);
       }
-    } else {
-      // Find by keyword
-      const keywords = messageText.toLowerCase().split(' ').filter(word => word.length > 2);
-      reminderToCancel = reminders.find(r => 
-        keywords.some(keyword => r.message.toLowerCase().includes(keyword))
-      );
+    }
+  } catch (error) {
+    logger.error('Digest run error:', error);
+  }
+  
+  if (sent > 0) {
+    logger.info(`☀️ Sent ${sent} daily digests`);
+  }
+}
+
+// CRITICAL: REMINDER DELIVERY - EVERY 1 MINUTE
+cron.schedule('* * * * *', async () => {
+  await processDeliveryQueue();
+  await processFollowUps();
+}, { scheduled: IS_MAIN });
+
+// DAILY DIGESTS - every 5 minutes, each user at their own local time
+cron.schedule('*/5 * * * *', async () => {
+  await processDigests();
+}, { scheduled: IS_MAIN });
+
+// CONSENT REQUESTS - retry the ones that failed to send, expire the unanswered
+cron.schedule('*/5 * * * *', async () => {
+  await processConsentRequests();
+}, { scheduled: IS_MAIN });
+
+// NIGHTLY ANALYTICS ROLLUP - after the cleanup
+cron.schedule('30 2 * * *', async () => {
+  await runAnalyticsRollup();
+}, { scheduled: IS_MAIN });
+
+// DAILY CLEANUP AND RESET
+cron.schedule('0 2 * * *', async () => {
+  try {
+    logger.info('🧹 Running daily cleanup...');
+    
+    const now = new Date();
+    
+    // Overdue reminders are left to the delivery queue's catch-up policy
+    
+    const statsWindowStart = new Date(now.getTime() - FOLLOW_UP.STATS_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    
+    // Delete completed reminders past the plan's history retention - done/not-done ones feed completion stats a while longer
+    const historyStart = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+    const paidUsers = await User.find({ 
+      $or: [{ isPremium: true }, { spacePremiumUntil: { $gt: now } }] 
+    }).select('userId isPremium premiumExpiresAt graceUntil spacePremiumUntil spacePlan');
+    
+    const retention = new Map();
+    paidUsers.forEach(paidUser => {
+      const { historyDays } = getUserPlan(paidUser);
+      if (!retention.has(historyDays)) retention.set(historyDays, []);
+      retention.get(historyDays).push(paidUser.userId);
+    });
+    
+    const oldCompleted = (days, users) => ({
+      isCompleted: true,
+      createdAt: { $lt: historyStart(days) },
+      userId: users,
+      $or: [
+        { outcome: { $nin: ['done', 'not_done'] } },
+        { lastSentAt: { $lt: statsWindowStart } }
+      ]
+    });
+    
+    let deletedCount = (await Reminder.deleteMany(oldCompleted(PLAN_CATALOG.free.historyDays, { $nin: paidUsers.map(paidUser => paidUser.userId) }))).deletedCount;
+    for (const [days, userIds] of retention) {
+      deletedCount += (await Reminder.deleteMany(oldCompleted(days, { $in: userIds }))).deletedCount;
+    }
+    
+    logger.info(`🧹 Cleanup: ${deletedCount} deleted`);
+    
+    // Clean up user message rate limits
+    userMessageCounts.clear();
+    
+    // Reset expired premium users - a failed renewal keeps premium through its grace period
+    await processGracePeriods(now);
+    const expiredFilter = {
+      isPremium: true,
+      premiumExpiresAt: { $lt: now },
+      $or: [{ graceUntil: null }, { graceUntil: { $lt: now } }]
+    };
+    
+    const expiredUsers = await User.find(expiredFilter).select('userId language paymentMethod');
+    const expiredPremium = await User.updateMany(expiredFilter, {
+      isPremium: false,
+      voiceEnabled: false,
+      graceUntil: null,
+      subscriptionStatus: 'none'
+    });
+    // An admin comp running out isn't a lapsed purchase - no renewal pitch for it
+    for (const expiredUser of expiredUsers.filter(expiredUser => expiredUser.paymentMethod !== 'admin')) {
+      await sendWhatsAppMessage(expiredUser.userId, t(getLanguage(expiredUser), 'premium_downgraded', { url: planPaymentUrl(PLAN_CATALOG.premium) }));
     }
     
-    if (reminderToCancel) {
-      await Reminder.findByIdAndUpdate(reminderToCancel._id, { isCompleted: true });
-      await trackEvent(userId, 'reminder_cancelled', { message: reminderToCancel.message });
-      
-      return `✅ Cancelled: "${reminderToCancel.message}"\n📅 Was: ${reminderToCancel.userLocalTime}`;
-    }
+    logger.info(`📊 Reset ${expiredPremium.modifiedCount} expired premium users`);
     
-    // Show list for selection
-    let response = `Which reminder to cancel, ${user.preferredName}? 🤔\n\n`;
-    reminders.slice(0, 5).forEach((reminder, index) => {
-      response += `${index + 1}. ${reminder.message}\n   📅 ${reminder.userLocalTime}\n\n`;
+    // Space premium - members keep the latest expiry of any space they're in, so it lapses on its own
+    const expiredSpaces = await Space.updateMany(expiredFilter, {
+      isPremium: false,
+      graceUntil: null,
+      subscriptionStatus: 'none'
     });
-    response += `Reply: "cancel 2" or "cancel gym"`;
+    await User.updateMany({ spacePremiumUntil: { $lt: now } }, { spacePremiumUntil: null });
+    
+    logger.info(`📊 Reset ${expiredSpaces.modifiedCount} expired premium spaces`);
     
-    return response;
   } catch (error) {
-    logger.error('Error cancelling reminder:', error);
-    return `❌ Error canceling reminder. Please try again.`;
+    logger.error('Cleanup error:', error);
   }
+}, { scheduled: IS_MAIN });
+
+// Calculate next occurrence for recurring reminders
+function calculateNextOccurrence(reminder, timeZone = reminder.userTimezone) {
+  const rule = parseRRule(reminder.recurrencePattern);
+  if (!rule) return null;
+  if (rule.count && reminder.occurrenceNumber >= rule.count) return null;
+  
+  return nextOccurrenceAfter(rule, reminder.recurrenceStart || reminder.scheduledTime, reminder.scheduledTime, timeZone);
 }
 
-// EDIT REMINDER functionality
-async function editReminder(userId, messageText, user) {
-  try {
-    const reminders = await Reminder.find({ 
-      userId: userId, 
-      isCompleted: false,
-      scheduledTime: { $gt: new Date() }
-    }).sort({ scheduledTime: 1 });
-    
-    if (reminders.length === 0) {
-      return `No reminders to edit, ${user.preferredName}! 📋`;
-    }
-    
-    // Check if user is specifying which reminder to edit
-    const numberMatch = messageText.match(/edit\s+(\d+)/i);
-    if (numberMatch) {
-      const index = parseInt(numberMatch[1]) - 1;
-      if (index >= 0 && index < reminders.length) {
-        const reminder = reminders[index];
-        
-        // Store pending edit
-        user.pendingEdit = {
-          reminderId: reminder._id,
-          currentMessage: reminder.message,
-          currentTime: reminder.userLocalTime
-        };
-        await user.save();
-        
-        return `✏️ Editing: "${reminder.message}"\n📅 Currently: ${reminder.userLocalTime}\n\nSend new reminder text with time:\nExample: "gym workout at 8pm tomorrow"`;
-      }
-    }
-    
-    // Show list for selection
-    let response = `Which reminder to edit, ${user.preferredName}? ✏️\n\n`;
-    reminders.slice(0, 5).forEach((reminder, index) => {
-      response += `${index + 1}. ${reminder.message}\n   📅 ${reminder.userLocalTime}\n\n`;
+// SUBSCRIPTIONS - renewals, failed payments, cancellations and refunds for users and spaces
+const SUBSCRIPTION = {
+  GRACE_DAYS: 7,
+  GRACE_WARNING_HOURS: 48
+};
+
+// Renewals extend from the current expiry so paying early never loses days;
+// a subscription invoice's period end is applied as-is so duplicate events can't stack
+function premiumExpiryAfterPayment(account, months = 1, paidUntil = null, now = new Date()) {
+  const current = account.isPremium && account.premiumExpiresAt > now ? account.premiumExpiresAt : null;
+  if (paidUntil) return current && current > paidUntil ? new Date(current) : new Date(paidUntil);
+  
+  const expiry = new Date(current || now);
+  expiry.setMonth(expiry.getMonth() + months);
+  return expiry;
+}
+
+function billingPortalUrl() {
+  return process.env.BILLING_PORTAL_URL || requiredEnvVars.PREMIUM_PAYMENT_URL;
+}
+
+// Whichever reference the provider event carries - space checkouts first, then the subscription itself
+async function findSubscriber({ phoneNumber, spaceId, subscriptionId, customerId }) {
+  if (spaceId) return Space.findById(spaceId);
+  if (phoneNumber) return User.findOne({ userId: phoneNumber.startsWith('+') ? phoneNumber : `+${phoneNumber}` });
+  
+  if (subscriptionId) {
+    const account = (await User.findOne({ subscriptionId })) || (await Space.findOne({ subscriptionId }));
+    if (account) return account;
+  }
+  
+  // An owner's space checkouts reuse their customer - the customer alone can't say which plan is meant
+  if (customerId) {
+    const accounts = [...await User.find({ billingCustomerId: customerId }).limit(2), ...await Space.find({ billingCustomerId: customerId }).limit(2)];
+    if (accounts.length === 1) return accounts[0];
+    if (accounts.length > 1) logger.warn(`Customer ${customerId} is shared by ${accounts.length} accounts - ignoring the event without a subscription reference`);
+  }
+  return null;
+}
+
+// A charge only names the customer - its invoice (subscriptions) or checkout session (one-off payments) names the account
+async function resolveStripeChargeReference(charge, reference) {
+  if (!process.env.STRIPE_SECRET_KEY) return reference;
+  const headers = { 'Authorization': `Bearer ${process.env.STRIPE_SECRET_KEY}` };
+  
+  if (typeof charge.invoice === 'string') {
+    const { data: invoice } = await axios.get(`https://api.stripe.com/v1/invoices/${encodeURIComponent(charge.invoice)}`, { headers, timeout: 10000 });
+    const subscriptionId = [invoice.subscription, invoice.parent?.subscription_details?.subscription].find(id => typeof id === 'string');
+    return { ...reference, subscriptionId: subscriptionId || reference.subscriptionId };
+  }
+  
+  if (typeof charge.payment_intent === 'string') {
+    const { data } = await axios.get('https://api.stripe.com/v1/checkout/sessions', {
+      headers,
+      params: { payment_intent: charge.payment_intent, limit: 1 },
+      timeout: 10000
     });
-    response += `Reply: "edit 2"`;
-    
-    return response;
-  } catch (error) {
-    logger.error('Error editing reminder:', error);
-    return `❌ Error editing reminder. Please try again.`;
+    const session = data.data?.[0];
+    if (session) {
+      return {
+        ...reference,
+        phoneNumber: reference.phoneNumber || session.metadata?.phone_number,
+        spaceId: reference.spaceId || session.metadata?.space_id || parseSpaceReference(session.client_reference_id),
+        subscriptionId: session.id // One-off checkouts are stored under their session id
+      };
+    }
   }
+  
+  return reference;
 }
 
-// SHORTER MOTIVATIONAL MESSAGES
-async function generateShortMotivation(task, userName, userStyle = 'friendly') {
-  const motivations = {
-    friendly: [
-      `⏰ ${task}!\n\n💪 You've got this, ${userName}!`,
-      `🔔 ${task}!\n\n🌟 Time to shine, ${userName}!`,
-      `⏰ ${task}!\n\n🚀 Let's do this, ${userName}!`,
-      `🔔 ${task}!\n\n✨ You're amazing, ${userName}!`
-    ],
-    motivational: [
-      `⏰ ${task}!\n\n🔥 Success awaits, ${userName}!`,
-      `🔔 ${task}!\n\n💎 Make it happen, ${userName}!`,
-      `⏰ ${task}!\n\n⚡ Power through, ${userName}!`,
-      `🔔 ${task}!\n\n🎯 Focus time, ${userName}!`
-    ],
-    professional: [
-      `⏰ ${task}!\n\n📋 Scheduled task, ${userName}.`,
-      `🔔 ${task}!\n\n✅ Action required, ${userName}.`,
-      `⏰ ${task}!\n\n🎯 Priority task, ${userName}.`
-    ]
-  };
+// Refund events carry the refund - the sale says whether it's now fully refunded, and whose it was
+async function fetchPayPalSale(saleId) {
+  const accessToken = await getPayPalAccessToken();
+  const { data } = await axios.get(`${PAYPAL_API_BASE}/v1/payments/sale/${encodeURIComponent(saleId)}`, {
+    headers: { 'Authorization': `Bearer ${accessToken}` },
+    timeout: 10000
+  });
+  return data;
+}
+
+// Users hear about their own plan; a space's plan is the owner's business
+async function notifySubscriber(account, key, params = {}) {
+  const userId = account.ownerId || account.userId;
+  const user = account.ownerId ? await User.findOne({ userId }) : account;
+  const language = getLanguage(user);
   
-  const styleMessages = motivations[userStyle] || motivations.friendly;
-  return styleMessages[Math.floor(Math.random() * styleMessages.length)];
+  const dates = Object.fromEntries(Object.entries(params).map(([name, value]) => 
+    [name, value instanceof Date ? value.toLocaleDateString(getLocale(language)) : value]
+  ));
+  await sendWhatsAppMessage(userId, t(language, key, { space: account.name, url: billingPortalUrl(), ...dates }));
+}
+
+async function refreshSubscriberPremium(account) {
+  if (!account.ownerId) return;
+  for (const member of activeMembers(account)) {
+    await refreshSpacePremium(member.userId);
+  }
+}
+
+async function grantSubscriberPremium(account, paymentMethod, subscriptionId, paidUntil = null) {
+  return account.ownerId
+    ? grantSpacePremium(account, paymentMethod, subscriptionId, 1, paidUntil)
+    : grantPremium(account, paymentMethod, subscriptionId, 1, paidUntil);
+}
+
+// PayPal activates the subscription before the first sale arrives - the sale grants the time
+async function linkSubscription(account, paymentMethod, subscriptionId) {
+  account.subscriptionId = subscriptionId;
+  account.paymentMethod = paymentMethod;
+  account.subscriptionStatus = 'active';
+  await account.save();
 }
 
-// PREMIUM UPGRADE FLOW
-function generatePremiumMessage(user, resetTime) {
-  const timeUntilReset = Math.ceil((resetTime - new Date()) / (1000 * 60 * 60));
+// Failed renewal: premium continues through a grace period while the provider retries
+async function markPaymentFailed(account) {
+  if (!account.isPremium) return;
+  
+  const now = new Date();
+  const from = account.premiumExpiresAt > now ? account.premiumExpiresAt : now;
+  const graceUntil = account.graceUntil > now ? account.graceUntil : new Date(from.getTime() + SUBSCRIPTION.GRACE_DAYS * DAY_MS);
+  const firstFailure = account.subscriptionStatus !== 'past_due';
+  
+  account.subscriptionStatus = 'past_due';
+  account.graceUntil = graceUntil;
+  await account.save();
+  await refreshSubscriberPremium(account);
   
-  return `🚫 Daily limit reached, ${user.preferredName}!\n\nYou've used all 5 free reminders today.\n⏰ Resets in ${timeUntilReset} hours\n\n💎 **Premium Benefits:**\n✅ Unlimited daily reminders\n✅ Voice message reminders\n✅ Multi-language support\n✅ Priority delivery\n✅ Advanced editing\n\n🚀 Upgrade now: ${requiredEnvVars.PREMIUM_PAYMENT_URL}\n\nQuestions? Just ask! 😊`;
+  await trackEvent(account.ownerId || account.userId, 'premium_payment_failed', { spaceId: account.ownerId ? account._id : undefined });
+  if (firstFailure) await notifySubscriber(account, 'premium_payment_failed', { date: graceUntil });
 }
 
-// ENHANCED Twilio messaging with retry logic
-async function sendWhatsAppMessage(to, message, retries = 3) {
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const authToken = Buffer.from(`${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64');
-      
-      const response = await axios.post(
-        `https://api.twilio.com/2010-04-01/Accounts/${process.env.TWILIO_ACCOUNT_SID}/Messages.json`,
-        new URLSearchParams({
-          From: `whatsapp:${process.env.TWILIO_PHONE_NUMBER}`,
-          To: `whatsapp:${to}`,
-          Body: message
-        }),
-        {
-          headers: {
-            'Authorization': `Basic ${authToken}`,
-            'Content-Type': 'application/x-www-form-urlencoded'
-          },
-          timeout: 10000
-        }
-      );
-      
-      logger.info('✅ Message sent successfully', { to, attempt });
-      return { success: true, data: response.data };
-      
-    } catch (error) {
-      logger.error(`❌ Message send attempt ${attempt} failed:`, { 
-        to, 
-        error: error.message,
-        status: error.response?.status 
-      });
-      
-      if (attempt === retries) {
-        return { success: false, error: 'max_retries_exceeded', message: error.message };
-      }
-      
-      // Wait before retry (exponential backoff)
-      await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
-    }
+// No more renewals - premium runs to the end of what was paid for
+async function markSubscriptionCancelled(account) {
+  if (account.subscriptionStatus === 'cancelled') return;
+  
+  account.subscriptionStatus = 'cancelled';
+  account.graceUntil = null;
+  await account.save();
+  await refreshSubscriberPremium(account);
+  
+  await trackEvent(account.ownerId || account.userId, 'premium_cancelled', { spaceId: account.ownerId ? account._id : undefined });
+  if (account.isPremium && account.premiumExpiresAt > new Date()) {
+    await notifySubscriber(account, 'premium_cancelled', { date: account.premiumExpiresAt });
   }
 }
 
-// WEBHOOK VERIFICATION
-app.get('/webhook', (req, res) => {
-  const mode = req.query['hub.mode'];
-  const token = req.query['hub.verify_token'];
-  const challenge = req.query['hub.challenge'];
+async function refundSubscriber(account) {
+  if (!account.isPremium) return;
+  
+  if (account.ownerId) {
+    account.isPremium = false;
+    account.premiumExpiresAt = null;
+    account.graceUntil = null;
+    await account.save();
+    await refreshSubscriberPremium(account);
+    await trackEvent(account.ownerId, 'premium_revoked', { reason: 'refund', spaceId: account._id });
+  } else {
+    await revokePremium(account, 'refund');
+  }
+  await notifySubscriber(account, 'premium_refunded');
+}
 
-  if (mode && token && mode === 'subscribe' && token === process.env.VERIFY_TOKEN) {
-    logger.info('✅ Webhook verified');
-    res.status(200).send(challenge);
+// Cancels at period end - the provider's own "cancelled" event follows later
+async function cancelProviderSubscription(paymentMethod, subscriptionId) {
+  if (paymentMethod === 'stripe') {
+    if (!process.env.STRIPE_SECRET_KEY) throw new Error('STRIPE_SECRET_KEY not set');
+    await axios.post(
+      `https://api.stripe.com/v1/subscriptions/${encodeURIComponent(subscriptionId)}`,
+      new URLSearchParams({ cancel_at_period_end: 'true' }),
+      { headers: { 'Authorization': `Bearer ${process.env.STRIPE_SECRET_KEY}` }, timeout: 10000 }
+    );
+  } else if (paymentMethod === 'paypal') {
+    const accessToken = await getPayPalAccessToken();
+    await axios.post(
+      `${PAYPAL_API_BASE}/v1/billing/subscriptions/${encodeURIComponent(subscriptionId)}/cancel`,
+      { reason: 'Cancelled by the user over WhatsApp' },
+      { headers: { 'Authorization': `Bearer ${accessToken}` }, timeout: 10000 }
+    );
   } else {
-    logger.error('❌ Webhook verification failed');
-    res.sendStatus(403);
+    throw new Error(`Cannot cancel ${paymentMethod} subscriptions`);
   }
-});
+}
 
-// MAIN WEBHOOK - RECEIVE MESSAGES
-app.post('/webhook', async (req, res) => {
-  // CRITICAL: Respond immediately to prevent timeout
-  res.type('text/xml');
-  res.send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
+// "billing" - what plan, until when, and how to change it
+function handleBillingCommand(user) {
+  const language = getLanguage(user);
+  const locale = getLocale(language);
+  
+  if (!user.isPremium || !hasActivePremium(user)) {
+    return hasSpacePremium(user)
+      ? t(language, 'billing_space', { date: user.spacePremiumUntil.toLocaleDateString(locale) })
+      : t(language, 'billing_free');
+  }
+  
+  const date = user.premiumExpiresAt ? user.premiumExpiresAt.toLocaleDateString(locale) : t(language, 'premium_never');
+  const renews = user.subscriptionStatus === 'active' && user.subscriptionId && ['stripe', 'paypal'].includes(user.paymentMethod);
+  
+  if (user.subscriptionStatus === 'past_due') {
+    return t(language, 'billing_past_due', { date: user.graceUntil.toLocaleDateString(locale), url: billingPortalUrl() });
+  }
+  return renews
+    ? t(language, 'billing_renews', { date, method: user.paymentMethod === 'paypal' ? 'PayPal' : 'Stripe', url: billingPortalUrl() })
+    : t(language, 'billing_ends', { date });
+}
+
+// "cancel premium" - stops renewal, premium stays until the paid period ends
+async function handleCancelPremium(user) {
+  const language = getLanguage(user);
+  
+  if (!user.isPremium || !hasActivePremium(user)) return t(language, 'premium_cancel_not_premium');
+  
+  const date = user.premiumExpiresAt ? user.premiumExpiresAt.toLocaleDateString(getLocale(language)) : t(language, 'premium_never');
+  if (!['active', 'past_due'].includes(user.subscriptionStatus) || !user.subscriptionId) {
+    return t(language, 'premium_cancel_nothing', { date });
+  }
   
   try {
-    const body = req.body;
+    await cancelProviderSubscription(user.paymentMethod, user.subscriptionId);
+  } catch (error) {
+    logger.error('Subscription cancel failed:', { userId: user.userId, method: user.paymentMethod, error: error.message });
+    return t(language, 'premium_cancel_error', { url: billingPortalUrl() });
+  }
+  
+  user.subscriptionStatus = 'cancelled';
+  user.graceUntil = null;
+  await user.save();
+  
+  await trackEvent(user.userId, 'premium_cancel_requested', { method: user.paymentMethod });
+  return t(language, 'premium_cancel_done', { date });
+}
+
+// Daily: one warning before a grace period runs out, then the downgrade notice
+async function processGracePeriods(now = new Date()) {
+  const warnBefore = new Date(now.getTime() + SUBSCRIPTION.GRACE_WARNING_HOURS * 60 * 60 * 1000);
+  
+  for (const Model of [User, Space]) {
+    const ending = await Model.find({
+      isPremium: true,
+      subscriptionStatus: 'past_due',
+      graceUntil: { $gt: now, $lte: warnBefore },
+      graceWarnedAt: null
+    });
     
-    if (body.From && body.Body) {
-      const phoneNumber = body.From.replace('whatsapp:', '');
-      
-      // Rate limiting check
-      if (!checkRateLimit(phoneNumber)) {
-        logger.warn('Rate limit exceeded for user:', phoneNumber);
-        await sendWhatsAppMessage(phoneNumber, '⚠️ Please slow down! Wait a moment before sending another message.');
-        return;
-      }
-      
-      const message = {
-        from: phoneNumber,
-        text: { body: body.Body },
-        type: 'text'
-      };
-      
-      const contact = {
-        wa_id: phoneNumber,
-        profile: { name: body.ProfileName || 'User' }
-      };
-      
-      // Process message immediately
-      try {
-        await handleIncomingMessage(message, contact);
-      } catch (error) {
-        logger.error('Message handling error:', error);
-        await sendWhatsAppMessage(phoneNumber, '❌ Something went wrong. Please try again in a moment.');
-      }
+    for (const account of ending) {
+      await Model.updateOne({ _id: account._id }, { graceWarnedAt: now });
+      await notifySubscriber(account, 'premium_grace_warning', { date: account.graceUntil });
     }
-  } catch (error) {
-    logger.error('Webhook processing error:', error);
   }
-});
+}
 
-// MAIN MESSAGE HANDLER - ENHANCED
-async function handleIncomingMessage(message, contact) {
+// PREMIUM UPGRADE FUNCTION
+async function upgradeToPremium(phoneNumber, paymentMethod, subscriptionId, paidUntil = null, customerId = null) {
   try {
-    const userId = message.from;
-    const userName = contact?.profile?.name || 'User';
-    const messageText = message.text.body.trim();
+    const userId = phoneNumber.startsWith('+') ? phoneNumber : `+${phoneNumber}`;
+    
+    const user = await User.findOne({ userId });
+    if (!user) {
+      logger.error(`User not found for upgrade: ${userId}`);
+      return;
+    }
+    
+    if (customerId) user.billingCustomerId = customerId;
+    await grantPremium(user, paymentMethod, subscriptionId, 1, paidUntil);
+  } catch (error) {
+    logger.error('Premium upgrade error:', error);
+    throw error; // The payment webhook releases the event so the provider's retry is processed
+  }
+}
 
-    logger.info(`📨 Message from ${userName}: ${messageText}`);
+// Checkout links for a space carry "space_<id>" instead of a phone number
+function parseSpaceReference(reference) {
+  const match = (reference || '').match(/^space_([a-f\d]{24})(?:_\w+)?$/i);
+  return match ? match[1] : null;
+}
 
-    // Find or create user
-    let user = await User.findOne({ userId });
-    if (!user) {
-      user = new User({
-        userId,
-        userName,
-        isSetup: false
-      });
-      await user.save();
-      await trackEvent(userId, 'user_created');
+function parseSpacePlan(reference) {
+  const [, planId] = (reference || '').match(/^space_[a-f\d]{24}_(\w+)$/i) || [];
+  return PLAN_CATALOG[planId]?.space ? planId : null;
+}
+
+async function upgradeSpaceToPremium(spaceId, paymentMethod, subscriptionId, paidUntil = null, customerId = null, planId = null) {
+  try {
+    const space = await Space.findById(spaceId);
+    if (!space) {
+      logger.error(`Space not found for upgrade: ${spaceId}`);
+      return;
     }
+    
+    if (customerId) space.billingCustomerId = customerId;
+    if (planId) space.plan = planId;
+    await grantSpacePremium(space, paymentMethod, subscriptionId, 1, paidUntil);
+  } catch (error) {
+    logger.error('Space premium upgrade error:', error);
+    throw error;
+  }
+}
 
-    // Update learning patterns
-    await updateUserLearning(user, messageText, 'incoming');
+// Shared by the payment webhooks and admin comps
+async function grantPremium(user, paymentMethod, subscriptionId, months = 1, paidUntil = null) {
+  const userId = user.userId;
+  const renewal = user.isPremium && (!user.premiumExpiresAt || premiumUntil(user) > new Date());
+  const premiumExpiry = premiumExpiryAfterPayment(user, months, paidUntil);
+  
+  user.isPremium = true;
+  user.premiumExpiresAt = premiumExpiry;
+  user.graceUntil = null;
+  user.graceWarnedAt = null;
+  user.voiceEnabled = true; // Premium feature
+  if (!renewal) user.upgradeDate = new Date();
+  
+  // A comp on top of a live subscription leaves the subscription in charge of billing
+  if (paymentMethod !== 'admin' || !['active', 'past_due'].includes(user.subscriptionStatus)) {
+    user.subscriptionId = subscriptionId;
+    user.paymentMethod = paymentMethod;
+    user.subscriptionStatus = paymentMethod === 'admin' ? 'none' : 'active';
+  }
+  
+  await user.save();
+  
+  await trackEvent(userId, renewal ? 'premium_renewed' : 'premium_upgrade', { method: paymentMethod, months });
+  
+  const language = getLanguage(user);
+  await sendWhatsAppMessage(userId, t(language, renewal ? 'premium_renewed' : 'premium_welcome', { 
+    name: user.preferredName || 'there', 
+    features: describePlanFeatures(PLAN_CATALOG.premium, language),
+    date: premiumExpiry.toLocaleDateString(getLocale(language)) 
+  }));
+  
+  logger.info(`✅ ${renewal ? 'Renewed' : 'Upgraded'} ${userId} premium until ${premiumExpiry}`);
+  return premiumExpiry;
+}
 
-    // SETUP FLOW
-    if (!user.isSetup) {
-      if (!user.preferredName) {
-        // Check if they sent a reminder first
-        const quickAnalysis = await analyzeMessage(messageText, user);
+async function revokePremium(user, reason) {
+  user.isPremium = false;
+  user.premiumExpiresAt = null;
+  user.graceUntil = null;
+  user.voiceEnabled = false;
+  
+  await user.save();
+  
+  await trackEvent(user.userId, 'premium_revoked', { reason });
+  logger.info(`Premium revoked for ${user.userId} (${reason})`);
+}
+
+// PAYMENT WEBHOOKS
+app.post('/webhook/stripe', async (req, res) => {
+  const verification = verifyStripeSignature(req);
+  if (!verification.valid) {
+    return rejectWebhook(req, res, 'stripe', verification.reason, 400);
+  }
+  
+  const event = req.body;
+  
+  try {
+    if (!(await recordWebhookEvent('stripe', event.id))) {
+      logger.info(`Ignoring replayed Stripe event ${event.id}`);
+      return res.sendStatus(200);
+    }
+    
+    const object = event.data.object;
+    const metadata = { ...object.subscription_details?.metadata, ...object.metadata };
+    const reference = {
+      phoneNumber: metadata.phone_number,
+      spaceId: metadata.space_id || parseSpaceReference(object.client_reference_id),
+      planId: PLAN_CATALOG[metadata.plan]?.space ? metadata.plan : parseSpacePlan(object.client_reference_id),
+      subscriptionId: [object.subscription, object.parent?.subscription_details?.subscription].find(id => typeof id === 'string') || null,
+      customerId: typeof object.customer === 'string' ? object.customer : null
+    };
+    
+    switch (event.type) {
+      case 'checkout.session.completed': {
+        // Subscription checkouts are paid through one period; one-off payments add a month
+        const subscriptionId = reference.subscriptionId || object.id;
+        const paidUntil = object.mode === 'subscription' ? premiumExpiryAfterPayment({}, 1) : null;
         
-        if (quickAnalysis.isReminder) {
-          await sendWhatsAppMessage(userId, `Hey there! 👋\n\nI'm your reminder assistant! But first, what should I call you? 😊\n\nJust send your name.`);
-          
-          user.pendingReminder = {
-            originalMessage: messageText,
-            needsProcessing: true
-          };
-          await user.save();
-          return;
+        if (reference.spaceId) {
+          await upgradeSpaceToPremium(reference.spaceId, 'stripe', subscriptionId, paidUntil, reference.customerId, reference.planId);
+          logger.info(`Upgraded space ${reference.spaceId} via Stripe`);
+        } else if (reference.phoneNumber) {
+          await upgradeToPremium(reference.phoneNumber, 'stripe', subscriptionId, paidUntil, reference.customerId);
+          logger.info(`Upgraded user ${reference.phoneNumber} via Stripe`);
         }
-        
-        // Process name
-        const cleanName = messageText.replace(/[^a-zA-Z\s]/g, '').trim();
-        if (cleanName && cleanName.length > 0 && cleanName.length < 25) {
-          user.preferredName = cleanName;
-          user.preferences = { communicationStyle: 'friendly', reminderStyle: 'motivational' };
-          await user.save();
-          
-          await sendWhatsAppMessage(userId, `Nice to meet you, ${cleanName}! 🙌\n\nWhat's your location?\n(e.g., "New York", "London")\n\nThis helps me set accurate reminder times.`);
-        } else {
-          await sendWhatsAppMessage(userId, `Hey! 👋 I'm your reminder assistant.\n\nWhat should I call you?\nJust send your name.`);
+        break;
+      }
+      
+      case 'invoice.payment_succeeded': {
+        const account = await findSubscriber(reference);
+        const periodEnd = object.lines?.data?.[0]?.period?.end;
+        if (account) {
+          await grantSubscriberPremium(account, 'stripe', reference.subscriptionId || account.subscriptionId, periodEnd ? new Date(periodEnd * 1000) : null);
+          logger.info(`Renewed premium for ${account.userId || `space ${account._id}`} via Stripe`);
         }
-        return;
+        break;
+      }
+      
+      case 'invoice.payment_failed': {
+        const account = await findSubscriber(reference);
+        if (account) await markPaymentFailed(account);
+        break;
       }
       
-      if (!user.location) {
-        // Detect timezone from location
-        const timezoneResult = await detectLocationTimezone(messageText);
-        if (timezoneResult) {
-          user.location = timezoneResult.location;
-          user.timezoneOffset = timezoneResult.timezoneOffset;
-          user.isSetup = true;
-          
-          let welcomeMsg = `${timezoneResult.confirmation}\n\n✅ All set, ${user.preferredName}!\n\n💡 Try: "gym at 7pm today"`;
-          
-          // Process pending reminder if exists
-          if (user.pendingReminder?.needsProcessing) {
-            welcomeMsg += `\n\nProcessing your earlier reminder now...`;
-            
-            const pendingMessage = user.pendingReminder.originalMessage;
-            user.pendingReminder = null;
-            await user.save();
-            
-            await sendWhatsAppMessage(userId, welcomeMsg);
-            
-            const fakeMessage = { from: userId, text: { body: pendingMessage } };
-            await handleIncomingMessage(fakeMessage, contact);
-            return;
-          }
-          
-          await user.save();
-          await sendWhatsAppMessage(userId, welcomeMsg);
-        } else {
-          await sendWhatsAppMessage(userId, `Please send your location:\n\n• "New York"\n• "London"\n• "Tokyo"\n\nThis helps set accurate times.`);
+      case 'customer.subscription.deleted': {
+        const account = await findSubscriber({ ...reference, subscriptionId: object.id });
+        if (account) await markSubscriptionCancelled(account);
+        break;
+      }
+      
+      case 'charge.refunded': {
+        // Partial refunds (goodwill credits, prorations) leave the plan alone
+        const fullRefund = object.refunded || (object.amount > 0 && object.amount_refunded >= object.amount);
+        if (!fullRefund) {
+          logger.info(`Ignoring partial Stripe refund ${object.id} (${object.amount_refunded}/${object.amount})`);
+          break;
         }
-        return;
+        const account = await findSubscriber(await resolveStripeChargeReference(object, reference));
+        if (account) await refundSubscriber(account);
+        break;
       }
     }
-
-    // Handle pending confirmations
-    if (user.pendingReminder && (messageText.toLowerCase() === 'yes' || messageText.toLowerCase() === 'y')) {
-      await processPendingReminder(user, userId);
-      return;
-    }
     
-    if (user.pendingReminder && (messageText.toLowerCase() === 'no' || messageText.toLowerCase() === 'n')) {
-      user.pendingReminder = null;
-      await user.save();
-      
-      await sendWhatsAppMessage(userId, `No problem! 👍\n\nSend your reminder like:\n"gym at 7pm today"`);
-      return;
-    }
+    res.sendStatus(200);
+  } catch (error) {
+    logger.error('Stripe webhook error:', error);
+    await releaseWebhookEvent('stripe', event.id);
+    res.sendStatus(500);
+  }
+});
 
-    // Handle pending edits
-    if (user.pendingEdit) {
-      await handlePendingEdit(user, messageText, userId);
-      return;
+app.post('/webhook/paypal', async (req, res) => {
+  const verification = await verifyPayPalWebhook(req);
+  if (!verification.valid) {
+    return rejectWebhook(req, res, 'paypal', verification.reason, 400);
+  }
+  
+  const event = req.body;
+  
+  try {
+    if (!(await recordWebhookEvent('paypal', event.id))) {
+      logger.info(`Ignoring replayed PayPal event ${event.id}`);
+      return res.sendStatus(200);
     }
-
-    // SMART MESSAGE ANALYSIS
-    const analysis = await analyzeMessage(messageText, user);
     
-    // Track interaction
-    await trackEvent(userId, 'message_analyzed', { 
-      intent: analysis.intent,
-      confidence: analysis.confidence 
-    });
-
-    // Handle different intents
-    switch (analysis.intent) {
-      case 'list':
-        const listResponse = await listReminders(userId, user);
-        await sendWhatsAppMessage(userId, listResponse);
-        break;
-
-      case 'cancel':
-        const cancelResponse = await cancelReminder(userId, messageText, user);
-        await sendWhatsAppMessage(userId, cancelResponse);
+    const resource = event.resource || {};
+    const custom = resource.custom || resource.custom_id;
+    const isSubscriptionEvent = (event.event_type || '').startsWith('BILLING.SUBSCRIPTION.');
+    const reference = {
+      spaceId: parseSpaceReference(custom),
+      phoneNumber: parseSpaceReference(custom) ? null : custom,
+      subscriptionId: isSubscriptionEvent ? resource.id : resource.billing_agreement_id
+    };
+    
+    switch (event.event_type) {
+      case 'PAYMENT.SALE.COMPLETED': {
+        const subscriptionId = resource.billing_agreement_id || event.id;
+        
+        if (reference.spaceId) {
+          await upgradeSpaceToPremium(reference.spaceId, 'paypal', subscriptionId, null, null, parseSpacePlan(custom));
+          logger.info(`Upgraded space ${reference.spaceId} via PayPal`);
+        } else if (reference.phoneNumber) {
+          await upgradeToPremium(reference.phoneNumber, 'paypal', subscriptionId);
+          logger.info(`Upgraded user ${reference.phoneNumber} via PayPal`);
+        } else {
+          // Renewal sales only name the subscription
+          const account = await findSubscriber(reference);
+          if (account) await grantSubscriberPremium(account, 'paypal', subscriptionId);
+        }
         break;
-
-      case 'edit':
-        const editResponse = await editReminder(userId, messageText, user);
-        await sendWhatsAppMessage(userId, editResponse);
+      }
+      
+      case 'BILLING.SUBSCRIPTION.ACTIVATED': {
+        const account = await findSubscriber(reference);
+        if (account) await linkSubscription(account, 'paypal', resource.id);
         break;
-
-      case 'premium':
-        await handlePremiumInquiry(user, userId);
+      }
+      
+      case 'BILLING.SUBSCRIPTION.PAYMENT.FAILED':
+      case 'BILLING.SUBSCRIPTION.SUSPENDED': {
+        const account = await findSubscriber(reference);
+        if (account) await markPaymentFailed(account);
         break;
-
-      case 'reminder':
-        await handleReminderCreation(user, userId, messageText, analysis);
+      }
+      
+      case 'BILLING.SUBSCRIPTION.CANCELLED':
+      case 'BILLING.SUBSCRIPTION.EXPIRED': {
+        const account = await findSubscriber(reference);
+        if (account) await markSubscriptionCancelled(account);
         break;
-
-      case 'non_reminder':
-      default:
-        // FOCUS ON REMINDERS ONLY - polite redirect
-        const redirectMessage = analysis.personalizedResponse || 
-          `Hi ${user.preferredName}! 😊\n\nI'm specialized in reminders to make your life easier!\n\n💡 Try:\n• "gym at 7pm"\n• "call mom tomorrow 3pm"\n• "list reminders"\n• "premium" for upgrade`;
+      }
+      
+      case 'PAYMENT.SALE.REFUNDED': {
+        // Partial refunds leave the plan alone, as on Stripe
+        const sale = await fetchPayPalSale(resource.sale_id);
+        const refunded = parseFloat(resource.total_refunded_amount?.value ?? resource.amount?.total);
+        const fullRefund = sale.state === 'refunded' || Math.abs(refunded) >= parseFloat(sale.amount?.total);
+        if (!fullRefund) {
+          logger.info(`Ignoring partial PayPal refund ${resource.id} of sale ${resource.sale_id} (${sale.state})`);
+          break;
+        }
         
-        await sendWhatsAppMessage(userId, redirectMessage);
+        const saleCustom = sale.custom || custom;
+        const account = await findSubscriber({
+          spaceId: parseSpaceReference(saleCustom),
+          phoneNumber: parseSpaceReference(saleCustom) ? null : saleCustom,
+          subscriptionId: sale.billing_agreement_id || reference.subscriptionId
+        });
+        if (account) await refundSubscriber(account);
         break;
+      }
     }
-
+    
+    res.sendStatus(200);
   } catch (error) {
-    logger.error('Handler error:', error);
-    try {
-      await sendWhatsAppMessage(message.from, '❌ Something went wrong. Please try again.');
-    } catch (sendError) {
-      logger.error('Send error:', sendError);
+    logger.error('PayPal webhook error:', error);
+    await releaseWebhookEvent('paypal', event.id);
+    res.sendStatus(500);
+  }
+});
+
+// CALENDAR (.ics) - a per-user feed for phone calendars, and forwarded invites imported as reminders
+const ICS = {
+  MAX_BYTES: 512 * 1024,
+  MAX_EVENTS: 20,
+  EVENT_MINUTES: 15,
+  TIMEZONE_YEARS: 5, // DST changes spelled out in each VTIMEZONE; the hourly refresh keeps the window moving
+  PRODUCT_ID: '-//WhatsApp Reminder Bot//EN'
+};
+const ICS_PRIORITY = { high: 1, medium: 5, low: 9 };
+
+function isCalendarFile(item) {
+  return /^(text\/calendar|application\/ics)/i.test(item.contentType || '') || /\.ics$/i.test(item.filename || '');
+}
+
+function calendarFeedUrl(token) {
+  const baseUrl = process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`;
+  return `${baseUrl.replace(/\/$/, '')}/calendar/${token}.ics`;
+}
+
+function escapeICSText(text) {
+  return String(text || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function unescapeICSText(text) {
+  return String(text || '').replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Content lines are folded at 75 octets without splitting a UTF-8 character
+function foldICSLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let bytes = 0;
+  
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (bytes + size > (chunks.length ? 74 : 75)) {
+      chunks.push(chunk);
+      chunk = '';
+      bytes = 0;
     }
+    chunk += char;
+    bytes += size;
   }
+  chunks.push(chunk);
+  
+  return chunks.join('\r\n ');
 }
 
-// PROCESS PENDING REMINDER
-async function processPendingReminder(user, userId) {
-  const usageCheck = await checkUsageLimits(user);
+function formatICSUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatICSWallClock(date, timeZone) {
+  return formatICSUtc(toUserWallClock(date, timeZone)).replace(/Z$/, '');
+}
+
+function formatICSOffset(minutes) {
+  const abs = Math.abs(minutes);
+  return `${minutes < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+// Intl knows the zone's rules but not as iCalendar - walk the offsets a week at a time and pin each change to the minute
+function zoneTransitions(timeZone, from, to) {
+  const STEP = 7 * 24 * 60 * 60 * 1000;
+  const transitions = [];
+  let previous = getZoneOffsetMinutes(timeZone, from);
   
-  if (!usageCheck.withinLimit && !usageCheck.isPremium) {
-    user.pendingReminder = null;
-    await user.save();
+  for (let time = from.getTime() + STEP; time <= to.getTime(); time += STEP) {
+    const offset = getZoneOffsetMinutes(timeZone, new Date(time));
+    if (offset === previous) continue;
     
-    const premiumMsg = generatePremiumMessage(user, usageCheck.resetTime);
-    await sendWhatsAppMessage(userId, premiumMsg);
-    return;
+    let low = time - STEP;
+    let high = time;
+    while (high - low > 60000) {
+      const middle = low + Math.floor((high - low) / 120000) * 60000;
+      if (getZoneOffsetMinutes(timeZone, new Date(middle)) === previous) low = middle;
+      else high = middle;
+    }
+    transitions.push({ at: new Date(high), from: previous, to: offset });
+    previous = offset;
   }
   
-  const pendingData = user.pendingReminder;
+  return { initial: getZoneOffsetMinutes(timeZone, from), transitions };
+}
+
+// TZID references must resolve inside the feed, or clients fall back to floating or UTC times
+const vtimezones = new Map(); // "zone:year" → lines; the walk is too slow to repeat on every feed request
+
+function buildVTimezone(timeZone, now) {
+  const key = `${timeZone}:${now.getUTCFullYear()}`;
+  if (vtimezones.has(key)) return vtimezones.get(key);
   
-  try {
-    const reminder = new Reminder({
-      userId: userId,
-      userName: user.userName,
-      message: pendingData.message,
-      originalMessage: pendingData.originalMessage || pendingData.message,
-      scheduledTime: pendingData.scheduledTime,
-      userLocalTime: pendingData.userLocalTime,
-      userTimezone: pendingData.userTimezone,
-      priority: pendingData.priority || 'medium',
-      isCompleted: false
-    });
-    
-    await reminder.save();
-    
-    user.reminderCount += 1;
-    user.pendingReminder = null;
-    await user.save();
-    
-    await trackEvent(userId, 'reminder_created', { message: pendingData.message });
+  const from = new Date(Date.UTC(now.getUTCFullYear(), 0, 1));
+  const to = new Date(Date.UTC(now.getUTCFullYear() + ICS.TIMEZONE_YEARS, 0, 1));
+  const { initial, transitions } = zoneTransitions(timeZone, from, to);
+  
+  // Observance onsets are local times in the offset being left
+  const observance = (offsetFrom, offsetTo, start) => [
+    `BEGIN:${offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD'}`,
+    `DTSTART:${start}`,
+    `TZOFFSETFROM:${formatICSOffset(offsetFrom)}`,
+    `TZOFFSETTO:${formatICSOffset(offsetTo)}`,
+    `END:${offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD'}`
+  ];
+  
+  const lines = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    ...observance(initial, initial, '19700101T000000'),
+    ...transitions.flatMap(change => observance(
+      change.from,
+      change.to,
+      formatICSUtc(new Date(change.at.getTime() + change.from * 60000)).replace(/Z$/, '')
+    )),
+    'END:VTIMEZONE'
+  ];
+  vtimezones.set(key, lines);
+  return lines;
+}
+
+// A stored series is one document per occurrence - COUNT covers what's left of it
+function feedRRule(reminder) {
+  const rule = parseRRule(reminder.recurrencePattern);
+  if (!rule) return null;
+  if (rule.count) rule.count = Math.max(1, rule.count - (reminder.occurrenceNumber || 1) + 1);
+  return formatRRule(rule);
+}
+
+function buildCalendarFeed(user, reminders, now = new Date()) {
+  const zone = resolveTimeZone(user.timezone);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS.PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICSText(t(getLanguage(user), 'ics_calendar_name'))}`,
+    `X-WR-TIMEZONE:${zone}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+  
+  const eventZones = [...new Set(reminders.map(reminder => resolveTimeZone(reminder.userTimezone || zone)))];
+  eventZones.forEach(eventZone => lines.push(...buildVTimezone(eventZone, now)));
+  
+  reminders.forEach(reminder => {
+    const eventZone = resolveTimeZone(reminder.userTimezone || zone);
+    const rrule = reminder.isRecurring ? feedRRule(reminder) : null;
     
-    await sendWhatsAppMessage(userId, 
-      `✅ Reminder set!\n\n"${pendingData.message}"\n📅 ${pendingData.userLocalTime}\n\nAll set, ${user.preferredName}! 🎯`
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${reminder._id}@reminders`,
+      `DTSTAMP:${formatICSUtc(now)}`,
+      `DTSTART;TZID=${eventZone}:${formatICSWallClock(reminder.scheduledTime, eventZone)}`,
+      `DURATION:PT${ICS.EVENT_MINUTES}M`,
+      `SUMMARY:${escapeICSText(reminder.message)}`,
+      `PRIORITY:${ICS_PRIORITY[reminder.priority] || ICS_PRIORITY.medium}`,
+      `CATEGORIES:${[reminder.category || 'general', reminder.spaceName].filter(Boolean).map(escapeICSText).join(',')}`,
+      'STATUS:CONFIRMED'
     );
-  } catch (error) {
-    logger.error('Error saving reminder:', error);
-    await sendWhatsAppMessage(userId, `❌ Error saving reminder. Please try again.`);
+    if (rrule) lines.push(`RRULE:${rrule}`);
+    
+    (reminder.preAlerts || []).forEach(lead => {
+      lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeICSText(reminder.message)}`, `TRIGGER:-PT${lead}M`, 'END:VALARM');
+    });
+    lines.push('END:VEVENT');
+  });
+  
+  lines.push('END:VCALENDAR');
+  return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+// "calendar" → the feed link, "calendar reset" → a new link, "calendar off" → no feed
+async function handleCalendarCommand(user, messageText) {
+  const language = getLanguage(user);
+  const action = (messageText.match(/\b(reset|new|off|stop)\b/i)?.[1] || '').toLowerCase();
+  
+  if (action === 'off' || action === 'stop') {
+    await User.updateOne({ userId: user.userId }, { $unset: { calendarToken: 1 } });
+    await trackEvent(user.userId, 'calendar_feed_disabled');
+    return t(language, 'calendar_off');
+  }
+  
+  let token = user.calendarToken;
+  if (!token || action) {
+    token = crypto.randomBytes(24).toString('hex');
+    await User.updateOne({ userId: user.userId }, { calendarToken: token });
+    await trackEvent(user.userId, action ? 'calendar_feed_reset' : 'calendar_feed_created');
   }
+  
+  return t(language, action ? 'calendar_reset' : 'calendar_feed', { url: calendarFeedUrl(token) });
 }
 
-// HANDLE PENDING EDIT
-async function handlePendingEdit(user, messageText, userId) {
-  try {
-    const analysis = await analyzeMessage(messageText, user);
+// Unfolded content lines → VEVENTs as { NAME: { value, params } } (VALARM triggers collected per event)
+function parseICS(text) {
+  const events = [];
+  let event = null;
+  let alarm = null;
+  
+  text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).forEach(line => {
+    const match = line.match(/^([A-Za-z0-9-]+)((?:;[^:;]+=(?:"[^"]*"|[^:;]*))*):(.*)$/);
+    if (!match) return;
     
-    if (analysis.isReminder && analysis.hasAction) {
-      const newReminderData = parseReminderWithTimezone(messageText, analysis.task, user.timezoneOffset);
-      
-      if (newReminderData && newReminderData.scheduledTime > new Date()) {
-        const reminder = await Reminder.findById(user.pendingEdit.reminderId);
-        
-        if (reminder) {
-          // Store edit history
-          reminder.editHistory.push({
-            oldMessage: reminder.message,
-            newMessage: newReminderData.message,
-            editedAt: new Date()
-          });
-          
-          reminder.message = newReminderData.message;
-          reminder.scheduledTime = newReminderData.scheduledTime;
-          reminder.userLocalTime = newReminderData.userLocalTime;
-          reminder.originalMessage = messageText;
-          
-          await reminder.save();
-          
-          user.pendingEdit = null;
-          await user.save();
-          
-          await trackEvent(userId, 'reminder_edited');
-          
-          await sendWhatsAppMessage(userId, 
-            `✅ Updated!\n\n"${newReminderData.message}"\n📅 ${newReminderData.userLocalTime}\n\nPerfect, ${user.preferredName}! ✏️`
-          );
-        }
-      } else {
-        await sendWhatsAppMessage(userId, `⚠️ That time has passed. Try a future time:\n"${analysis.task} tomorrow at 9am"`);
-      }
-    } else {
-      await sendWhatsAppMessage(userId, `Please include both task and time:\n"gym workout at 8pm tomorrow"`);
+    const name = match[1].toUpperCase();
+    const value = match[3];
+    const params = {};
+    match[2].split(';').filter(Boolean).forEach(param => {
+      const [key, ...rest] = param.split('=');
+      params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+    
+    if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      event = { alarms: [] };
+    } else if (name === 'END' && value.toUpperCase() === 'VEVENT') {
+      if (event) events.push(event);
+      event = null;
+    } else if (name === 'BEGIN' && value.toUpperCase() === 'VALARM') {
+      alarm = {};
+    } else if (name === 'END' && value.toUpperCase() === 'VALARM') {
+      if (event && alarm?.TRIGGER) event.alarms.push(alarm.TRIGGER);
+      alarm = null;
+    } else if (alarm) {
+      alarm[name] = { value, params };
+    } else if (event && !event[name]) {
+      event[name] = { value, params };
     }
-  } catch (error) {
-    logger.error('Error handling edit:', error);
-    await sendWhatsAppMessage(userId, `❌ Error updating reminder. Please try again.`);
-  }
+  });
+  
+  return events;
 }
 
-// HANDLE REMINDER CREATION
-async function handleReminderCreation(user, userId, messageText, analysis) {
-  const usageCheck = await checkUsageLimits(user);
+// DTSTART in UTC, a TZID, floating (the user's zone) or an all-day date (9am in the user's zone)
+function parseICSDate(property, timeZone) {
+  const match = property?.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
   
-  if (!usageCheck.withinLimit && !usageCheck.isPremium) {
-    const premiumMsg = generatePremiumMessage(user, usageCheck.resetTime);
-    await sendWhatsAppMessage(userId, premiumMsg);
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  const time = hours === undefined
+    ? DEFAULT_RECURRENCE_TIME
+    : { hours: parseInt(hours), minutes: parseInt(minutes) };
+  const wall = new Date(Date.UTC(+year, +month - 1, +day, time.hours, time.minutes, +(seconds || 0)));
+  
+  if (utc) return wall;
+  const zone = property.params.TZID && isValidTimeZone(property.params.TZID) ? property.params.TZID : timeZone;
+  return fromUserWallClock(wall, resolveTimeZone(zone));
+}
+
+// TRIGGER:-PT15M / -P1D / -P1DT2H → minutes before the start; other triggers don't fit a lead time
+function parseICSTrigger(trigger) {
+  if (trigger.params.VALUE === 'DATE-TIME' || trigger.params.RELATED === 'END') return null;
+  
+  const match = trigger.value.match(/^-P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/);
+  if (!match) return null;
+  
+  const [, weeks = 0, days = 0, hours = 0, minutes = 0] = match;
+  const lead = ((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes;
+  return lead > 0 && lead <= PRE_ALERT.MAX_LEAD_MINUTES ? lead : null;
+}
+
+function icsPriority(value) {
+  const level = parseInt(value);
+  if (!level) return null;
+  return level <= 4 ? 'high' : level === 5 ? 'medium' : 'low';
+}
+
+// One VEVENT → pending reminder data, or null when it has no future occurrence
+function calendarEventToReminder(event, user, language, now = new Date()) {
+  const message = unescapeICSText(event.SUMMARY?.value).replace(/\s+/g, ' ').trim();
+  const start = parseICSDate(event.DTSTART, user.timezone);
+  if (!message || !start || /^CANCELLED$/i.test(event.STATUS?.value || '')) return null;
+  
+  const zone = resolveTimeZone(user.timezone);
+  const rule = event.RRULE && getUserPlan(user).recurrence ? parseRRule(event.RRULE.value.toUpperCase()) : null;
+  const scheduledTime = start > now ? start : rule ? nextOccurrenceAfter(rule, start, now, zone) : null;
+  if (!scheduledTime) return null;
+  
+  const classified = classifyReminder(message, { task: message }, user);
+  return {
+    message,
+    originalMessage: message,
+    scheduledTime,
+    userLocalTime: formatUserLocalTime(scheduledTime, zone, language),
+    userTimezone: zone,
+    isRecurring: !!rule,
+    recurrencePattern: rule ? formatRRule(rule) : null,
+    preAlerts: [...new Set(event.alarms.map(parseICSTrigger).filter(Boolean))]
+      .sort((a, b) => b - a)
+      .slice(0, PRE_ALERT.MAX_PER_REMINDER),
+    priority: icsPriority(event.PRIORITY?.value) || classified.priority,
+    category: classified.category
+  };
+}
+
+async function handleCalendarImport(user, userId, media) {
+  const language = getLanguage(user);
+  
+  let events;
+  try {
+    const { data } = await transport.downloadMedia(media);
+    if (data.length > ICS.MAX_BYTES) throw new Error(`Calendar file too large (${data.length} bytes)`);
+    events = parseICS(data.toString('utf8'));
+  } catch (error) {
+    logger.error('Calendar import failed:', { userId, error: error.message });
+    await sendWhatsAppMessage(userId, t(language, 'ics_error'));
+    return;
+  }
+  
+  const items = events
+    .map(event => calendarEventToReminder(event, user, language))
+    .filter(Boolean)
+    .sort((a, b) => a.scheduledTime - b.scheduledTime)
+    .slice(0, ICS.MAX_EVENTS);
+  
+  await trackEvent(userId, 'calendar_imported', { events: events.length, reminders: items.length });
+  
+  if (items.length === 0) {
+    await sendWhatsAppMessage(userId, t(language, 'ics_none'));
     return;
   }
   
-  if (analysis.hasAction && analysis.hasTime) {
-    const reminderData = parseReminderWithTimezone(messageText, analysis.task, user.timezoneOffset);
+  // Same confirmations as typed reminders - "yes" goes through processPendingReminder
+  if (items.length === 1) {
+    const [item] = items;
+    const zone = resolveTimeZone(item.userTimezone);
+    const dayName = item.scheduledTime.toLocaleDateString(getLocale(language), { weekday: 'long', timeZone: zone });
+    const when = `${dayName}, ${item.userLocalTime}`;
     
-    if (reminderData && reminderData.scheduledTime > new Date()) {
-      const dayName = new Date(reminderData.scheduledTime.getTime() + 
-        (user.timezoneOffset * 60 * 60 * 1000)).toLocaleDateString('en-US', { weekday: 'long' });
-      
-      await sendWhatsAppMessage(userId, 
-        `📝 Confirm:\n\n"${reminderData.message}"\n📅 ${dayName}, ${reminderData.userLocalTime}\n\nReply "yes" to confirm`
-      );
-      
-      user.pendingReminder = {
-        message: reminderData.message,
-        originalMessage: messageText,
-        scheduledTime: reminderData.scheduledTime,
-        userLocalTime: reminderData.userLocalTime,
-        userTimezone: reminderData.userTimezone
-      };
-      await user.save();
-    } else {
-      await sendWhatsAppMessage(userId, 
-        `⚠️ That time has passed, ${user.preferredName}.\n\nTry: "${analysis.task} tomorrow at 9am"`
-      );
+    await sendWhatsAppMessage(userId, t(language, 'confirm_prompt', {
+      message: item.message,
+      tags: describeClassification(item.priority, item.category, language),
+      recurrence: item.isRecurring ? `🔄 ${describeRecurrence(item.recurrencePattern, item.scheduledTime, zone, language)}\n` : '',
+      alerts: describePreAlerts(item.preAlerts, language),
+      when: item.isRecurring ? t(language, 'first_occurrence', { when }) : when,
+      quiet: describeQuietWarning(user, item.scheduledTime, item.priority, language)
+    }));
+    user.pendingReminder = item;
+  } else {
+    const usageCheck = await checkUsageLimits(user, items.length);
+    let reply = t(language, 'batch_confirm', {
+      count: items.length,
+      items: items.map((item, index) => describeBatchItem(item, index, language)).join('\n\n')
+    });
+    if (usageCheck.remaining < items.length) {
+      reply += `\n\n${t(language, 'batch_quota_note', { count: usageCheck.remaining })}`;
+    }
+    
+    await sendWhatsAppMessage(userId, reply);
+    user.pendingReminder = { originalMessage: media.filename || 'calendar.ics', items };
+  }
+  
+  await user.save();
+}
+
+app.get('/calendar/:token.ics', async (req, res) => {
+  try {
+    const user = req.params.token ? await User.findOne({ calendarToken: req.params.token }) : null;
+    if (!user) return res.sendStatus(404);
+    
+    const reminders = await findUpcomingReminders(user.userId);
+    
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="reminders.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(buildCalendarFeed(user, reminders));
+  } catch (error) {
+    logger.error('Calendar feed error:', error);
+    res.sendStatus(500);
+  }
+});
+
+// ADMIN API - support tooling under /admin/api
+// ADMIN_TOKENS="token:role[:name],..." with roles viewer < support < admin
+const ADMIN_ROLES = { viewer: 1, support: 2, admin: 3 };
+
+const adminTokens = (process.env.ADMIN_TOKENS || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [token, role, name] = entry.split(':');
+    if (!token || !ADMIN_ROLES[role]) {
+      logger.error(`Ignoring malformed ADMIN_TOKENS entry (role "${role}")`);
+      return null;
     }
-  } else if (analysis.hasAction && !analysis.hasTime) {
-    await sendWhatsAppMessage(userId, 
-      `When should I remind you? 🕒\n\n"${analysis.task} at 5pm today"`
-    );
-  } else {
-    await sendWhatsAppMessage(userId, 
-      `Please include what and when:\n\n"take medicine at 8pm today"`
-    );
+    return { token, role, name: name || `token-${crypto.createHash('sha256').update(token).digest('hex').slice(0, 8)}` };
+  })
+  .filter(Boolean);
+
+const adminRouter = express.Router();
+
+function authenticateAdmin(req, res, next) {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  const admin = match && adminTokens.find(entry => safeCompare(entry.token, match[1].trim()));
+  
+  if (!admin) {
+    logger.warn('Admin API auth failed', { requestId: req.requestId, ip: req.ip, path: req.path });
+    return res.status(401).json({ error: 'Invalid or missing admin token' });
   }
+  
+  req.admin = admin;
+  next();
 }
 
-// HANDLE PREMIUM INQUIRY
-async function handlePremiumInquiry(user, userId) {
-  if (user.isPremium) {
-    const expiryDate = user.premiumExpiresAt ? user.premiumExpiresAt.toLocaleDateString() : 'Never';
-    await sendWhatsAppMessage(userId, 
-      `💎 You're Premium! ✨\n\n🎉 Unlimited reminders active\n📅 Valid until: ${expiryDate}\n\n❤️ Thanks for your support!`
-    );
-  } else {
-    await sendWhatsAppMessage(userId, 
-      `💎 Premium Features:\n\n✅ Unlimited daily reminders\n✅ Voice message reminders\n✅ Multi-language support\n✅ Priority delivery\n✅ Advanced editing\n\n💰 Just $4.99/month\n\n🚀 Upgrade: ${requiredEnvVars.PREMIUM_PAYMENT_URL}\n\nQuestions? Ask away! 😊`
-    );
+function requireAdminRole(role) {
+  return (req, res, next) => {
+    if (ADMIN_ROLES[req.admin.role] < ADMIN_ROLES[role]) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+    next();
+  };
+}
+
+// Every admin action, reads included, lands in the audit log
+async function auditAdminAction(req, action, targetType, targetId, changes = null) {
+  try {
+    await AdminAudit.create({
+      actor: req.admin.name,
+      role: req.admin.role,
+      action,
+      targetType,
+      targetId: targetId ? String(targetId) : null,
+      changes,
+      ip: req.ip,
+      requestId: req.requestId
+    });
+  } catch (error) {
+    logger.error('Admin audit failed', { action, targetId, error: error.message });
   }
 }
 
-// TIMEZONE DETECTION
-async function detectLocationTimezone(location) {
-  const systemMessage = `You are a timezone expert. Return timezone offset from UTC for the location.
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
-Location: "${location}"
+function normalizeUserId(userId) {
+  return userId.startsWith('+') ? userId : `+${userId}`;
+}
 
-Respond with JSON only:
-{
-  "timezoneOffset": 3,
-  "location": "Istanbul, Turkey", 
-  "confirmation": "Turkey timezone (GMT+3) set! 🌍"
-}`;
+// ?a[$ne]=x arrives as an object - only plain strings ever reach a Mongo filter
+function queryString(value) {
+  return typeof value === 'string' ? value : undefined;
+}
+
+adminRouter.use(authenticateAdmin);
 
+// Search by phone fragment or name
+adminRouter.get('/users', requireAdminRole('viewer'), async (req, res) => {
   try {
-    const result = await askChatGPT(location, systemMessage);
-    return result;
+    const query = (queryString(req.query.q) || '').trim();
+    if (query.length < 2) return res.status(400).json({ error: 'q must be at least 2 characters' });
+    
+    const pattern = new RegExp(escapeRegex(query), 'i');
+    const digits = query.replace(/\D/g, '');
+    const conditions = [{ userName: pattern }, { preferredName: pattern }];
+    if (digits.length >= 3) conditions.push({ userId: new RegExp(escapeRegex(digits)) });
+    
+    const users = await User.find({ $or: conditions })
+      .select('userId userName preferredName timezone isPremium premiumExpiresAt lastActiveAt')
+      .sort({ lastActiveAt: -1 })
+      .limit(25)
+      .lean();
+    
+    await auditAdminAction(req, 'user.search', 'user', null, { q: query, results: users.length });
+    res.json({ users });
   } catch (error) {
-    logger.error('Timezone detection error:', error);
-    return null;
+    logger.error('Admin user search error:', error);
+    res.status(500).json({ error: 'Search failed' });
   }
-}
+});
 
-// CRITICAL: OPTIMIZED REMINDER CHECKING - EVERY 1 MINUTE
-cron.schedule('* * * * *', async () => {
+adminRouter.get('/users/:userId', requireAdminRole('viewer'), async (req, res) => {
   try {
-    const startTime = Date.now();
-    logger.info('⏰ Checking reminders...');
+    const userId = normalizeUserId(req.params.userId);
+    const user = await User.findOne({ userId }).lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
     
-    const now = new Date();
-    const oneMinuteAgo = new Date(now.getTime() - 60 * 1000);
+    const [activeReminders, totalReminders] = await Promise.all([
+      Reminder.countDocuments({ userId, isCompleted: false }),
+      Reminder.countDocuments({ userId })
+    ]);
     
-    // Find due reminders in the last minute
-    const dueReminders = await Reminder.find({
-      scheduledTime: { 
-        $gte: oneMinuteAgo,
-        $lte: now 
-      },
-      isCompleted: false,
-      lastSentAt: null
-    }).limit(10); // Process max 10 per run
-    
-    logger.info(`Found ${dueReminders.length} due reminders`);
-    
-    const results = await Promise.allSettled(
-      dueReminders.map(async (reminder) => {
-        try {
-          // Mark as processing immediately
-          const marked = await Reminder.findOneAndUpdate(
-            { _id: reminder._id, lastSentAt: null },
-            { lastSentAt: now, isCompleted: true },
-            { new: true }
-          );
-          
-          if (!marked) return { skipped: true };
-          
-          const user = await User.findOne({ userId: reminder.userId });
-          const preferredName = user?.preferredName || 'there';
-          const style = user?.preferences?.reminderStyle || 'motivational';
-          
-          const motivation = await generateShortMotivation(reminder.message, preferredName, style);
-          
-          const result = await sendWhatsAppMessage(reminder.userId, motivation);
-          
-          if (result.success) {
-            await trackEvent(reminder.userId, 'reminder_sent', { message: reminder.message });
-            logger.info(`✅ Sent: "${reminder.message}" to ${preferredName}`);
-            
-            // Handle recurring reminders
-            if (reminder.isRecurring && reminder.nextOccurrence) {
-              const nextReminder = new Reminder({
-                userId: reminder.userId,
-                userName: reminder.userName,
-                message: reminder.message,
-                originalMessage: reminder.originalMessage,
-                scheduledTime: reminder.nextOccurrence,
-                userLocalTime: new Date(reminder.nextOccurrence.getTime() + 
-                  ((user?.timezoneOffset || 0) * 60 * 60 * 1000)).toLocaleString(),
-                userTimezone: user?.timezoneOffset || 0,
-                isRecurring: true,
-                recurrencePattern: reminder.recurrencePattern,
-                nextOccurrence: calculateNextOccurrence(reminder.nextOccurrence, reminder.recurrencePattern)
-              });
-              
-              await nextReminder.save();
-              logger.info(`🔄 Created next ${reminder.recurrencePattern} reminder`);
-            }
-            
-            return { success: true };
-          } else {
-            logger.error(`Failed to send reminder: ${result.error}`);
-            return { error: result.error };
-          }
-          
-        } catch (error) {
-          logger.error('Reminder processing error:', error);
-          // Mark as completed to prevent retry
-          await Reminder.findByIdAndUpdate(reminder._id, { 
-            isCompleted: true, 
-            lastSentAt: now 
-          });
-          return { error: error.message };
-        }
-      })
-    );
+    await auditAdminAction(req, 'user.view', 'user', userId);
+    res.json({ user, reminders: { active: activeReminders, total: totalReminders } });
+  } catch (error) {
+    logger.error('Admin user view error:', error);
+    res.status(500).json({ error: 'Lookup failed' });
+  }
+});
+
+// Support fixes: timezone, name, language, nudge settings
+const ADMIN_USER_FIELDS = {
+  timezone: value => isValidTimeZone(value),
+  preferredName: value => typeof value === 'string' && value.trim().length > 0 && value.length <= 50,
+  language: value => typeof value === 'string' && /^[a-z]{2}$/.test(value),
+  isSetup: value => typeof value === 'boolean',
+  'preferences.followUps': value => ['off', 'high', 'all'].includes(value),
+  'preferences.followUpMinutes': value => value === null || (Number.isInteger(value) && value >= 5)
+};
+
+adminRouter.patch('/users/:userId', requireAdminRole('support'), async (req, res) => {
+  try {
+    const userId = normalizeUserId(req.params.userId);
+    const user = await User.findOne({ userId });
+    if (!user) return res.status(404).json({ error: 'User not found' });
     
-    const successful = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
-    const failed = results.filter(r => r.status === 'rejected' || r.value.error).length;
-    const skipped = results.filter(r => r.status === 'fulfilled' && r.value.skipped).length;
+    const changes = {};
+    for (const [field, value] of Object.entries(req.body || {})) {
+      const isValid = ADMIN_USER_FIELDS[field];
+      if (!isValid) return res.status(400).json({ error: `Field "${field}" is not editable` });
+      if (!isValid(value)) return res.status(400).json({ error: `Invalid value for "${field}"` });
+      
+      changes[field] = { from: user.get(field), to: value };
+      user.set(field, value);
+    }
     
-    const processingTime = Date.now() - startTime;
-    logger.info(`⏰ Reminder check complete: ${successful} sent, ${failed} failed, ${skipped} skipped (${processingTime}ms)`);
+    if (Object.keys(changes).length === 0) return res.status(400).json({ error: 'No changes' });
     
+    await user.save();
+    await auditAdminAction(req, 'user.update', 'user', userId, changes);
+    res.json({ user, changes });
   } catch (error) {
-    logger.error('Cron error:', error);
+    logger.error('Admin user update error:', error);
+    res.status(500).json({ error: 'Update failed' });
   }
 });
 
-// DAILY CLEANUP AND RESET
-cron.schedule('0 2 * * *', async () => {
+adminRouter.get('/users/:userId/reminders', requireAdminRole('viewer'), async (req, res) => {
   try {
-    logger.info('🧹 Running daily cleanup...');
+    const userId = normalizeUserId(req.params.userId);
+    const filter = { userId };
+    const deliveryStatus = queryString(req.query.deliveryStatus);
+    if (req.query.status === 'active') filter.isCompleted = false;
+    if (deliveryStatus) {
+      if (!Reminder.schema.path('deliveryStatus').enumValues.includes(deliveryStatus)) {
+        return res.status(400).json({ error: 'Invalid deliveryStatus' });
+      }
+      filter.deliveryStatus = deliveryStatus;
+    }
     
-    const now = new Date();
-    const threeDaysAgo = new Date(now.getTime() - 3 * 24 * 60 * 60 * 1000);
-    const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    const reminders = await Reminder.find(filter)
+      .sort({ scheduledTime: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 50, 200))
+      .lean();
     
-    // Mark old incomplete reminders as completed
-    const stuckResult = await Reminder.updateMany(
-      {
-        scheduledTime: { $lt: threeDaysAgo },
-        isCompleted: false
-      },
-      { isCompleted: true, lastSentAt: now }
-    );
+    await auditAdminAction(req, 'reminder.list', 'user', userId, { filter });
+    res.json({ reminders });
+  } catch (error) {
+    logger.error('Admin reminder list error:', error);
+    res.status(500).json({ error: 'Lookup failed' });
+  }
+});
+
+adminRouter.get('/reminders/:id', requireAdminRole('viewer'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid reminder id' });
     
-    // Delete very old completed reminders
-    const deleteResult = await Reminder.deleteMany({
-      isCompleted: true,
-      createdAt: { $lt: sevenDaysAgo }
-    });
+    const reminder = await Reminder.findById(req.params.id).lean();
+    if (!reminder) return res.status(404).json({ error: 'Reminder not found' });
+    
+    await auditAdminAction(req, 'reminder.view', 'reminder', reminder._id);
+    res.json({ reminder });
+  } catch (error) {
+    logger.error('Admin reminder view error:', error);
+    res.status(500).json({ error: 'Lookup failed' });
+  }
+});
+
+// Edit message/time/priority, cancel, or requeue a dead delivery
+adminRouter.patch('/reminders/:id', requireAdminRole('support'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid reminder id' });
     
-    logger.info(`🧹 Cleanup: ${stuckResult.modifiedCount} marked complete, ${deleteResult.deletedCount} deleted`);
+    const reminder = await Reminder.findById(req.params.id);
+    if (!reminder) return res.status(404).json({ error: 'Reminder not found' });
     
-    // Clean up user message rate limits
-    userMessageCounts.clear();
+    const { message, scheduledTime, priority, cancel, requeue } = req.body || {};
+    const changes = {};
     
-    // Reset expired premium users
-    const expiredPremium = await User.updateMany(
-      {
-        isPremium: true,
-        premiumExpiresAt: { $lt: now }
-      },
-      {
-        isPremium: false,
-        voiceEnabled: false
-      }
-    );
+    if (message !== undefined) {
+      if (typeof message !== 'string' || !message.trim()) return res.status(400).json({ error: 'Invalid message' });
+      
+      reminder.editHistory.push({ oldMessage: reminder.message, newMessage: message.trim(), editedAt: new Date(), editedBy: `admin:${req.admin.name}` });
+      changes.message = { from: reminder.message, to: message.trim() };
+      reminder.message = message.trim();
+    }
     
-    logger.info(`📊 Reset ${expiredPremium.modifiedCount} expired premium users`);
+    if (scheduledTime !== undefined) {
+      const newTime = new Date(scheduledTime);
+      if (isNaN(newTime) || newTime <= new Date()) return res.status(400).json({ error: 'scheduledTime must be a future ISO date' });
+      
+      changes.scheduledTime = { from: reminder.scheduledTime, to: newTime };
+      reminder.scheduledTime = newTime;
+      reminder.userLocalTime = formatUserLocalTime(newTime, reminder.userTimezone);
+      resetDelivery(reminder);
+    }
+    
+    if (priority !== undefined) {
+      if (!['low', 'medium', 'high'].includes(priority)) return res.status(400).json({ error: 'Invalid priority' });
+      
+      changes.priority = { from: reminder.priority, to: priority };
+      reminder.priority = priority;
+    }
+    
+    if (requeue) {
+      changes.deliveryStatus = { from: reminder.deliveryStatus, to: 'scheduled' };
+      resetDelivery(reminder);
+    }
     
+    if (cancel) {
+      changes.cancelled = { from: reminder.outcome === 'cancelled', to: true };
+      reminder.isCompleted = true;
+      reminder.outcome = 'cancelled';
+      reminder.nextFollowUpAt = null;
+    }
+    
+    if (Object.keys(changes).length === 0) return res.status(400).json({ error: 'No changes' });
+    
+    await reminder.save();
+    if (reminder.kind !== 'pre_alert' && (changes.scheduledTime || changes.message || changes.cancelled)) {
+      await reschedulePreAlerts(reminder);
+    }
+    await auditAdminAction(req, cancel ? 'reminder.cancel' : 'reminder.update', 'reminder', reminder._id, changes);
+    res.json({ reminder, changes });
   } catch (error) {
-    logger.error('Cleanup error:', error);
+    logger.error('Admin reminder update error:', error);
+    res.status(500).json({ error: 'Update failed' });
   }
 });
 
-// Calculate next occurrence for recurring reminders
-function calculateNextOccurrence(currentTime, pattern) {
-  const next = new Date(currentTime);
-  
-  switch (pattern) {
-    case 'daily':
-      next.setDate(next.getDate() + 1);
-      break;
-    case 'weekly':
-      next.setDate(next.getDate() + 7);
-      break;
-    case 'monthly':
-      next.setMonth(next.getMonth() + 1);
-      break;
-    default:
-      return null;
+// Comp premium - same path as a paid upgrade
+adminRouter.post('/users/:userId/premium', requireAdminRole('admin'), async (req, res) => {
+  try {
+    const userId = normalizeUserId(req.params.userId);
+    const months = parseInt(req.body?.months) || 1;
+    if (months < 1 || months > 24) return res.status(400).json({ error: 'months must be 1-24' });
+    
+    const user = await User.findOne({ userId });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    
+    const previousExpiry = user.premiumExpiresAt;
+    const premiumExpiresAt = await grantPremium(user, 'admin', `admin:${req.admin.name}`, months);
+    
+    await auditAdminAction(req, 'premium.grant', 'user', userId, { 
+      months, 
+      reason: req.body?.reason || null, 
+      premiumExpiresAt: { from: previousExpiry, to: premiumExpiresAt } 
+    });
+    res.json({ userId, isPremium: true, premiumExpiresAt });
+  } catch (error) {
+    logger.error('Admin premium grant error:', error);
+    res.status(500).json({ error: 'Grant failed' });
   }
-  
-  return next;
-}
+});
 
-// PREMIUM UPGRADE FUNCTION
-async function upgradeToPremium(phoneNumber, paymentMethod, subscriptionId) {
+adminRouter.delete('/users/:userId/premium', requireAdminRole('admin'), async (req, res) => {
   try {
-    const userId = phoneNumber.startsWith('+') ? phoneNumber : `+${phoneNumber}`;
-    
+    const userId = normalizeUserId(req.params.userId);
     const user = await User.findOne({ userId });
-    if (!user) {
-      logger.error(`User not found for upgrade: ${userId}`);
-      return;
-    }
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user.isPremium) return res.status(409).json({ error: 'User is not premium' });
     
-    const premiumExpiry = new Date();
-    premiumExpiry.setMonth(premiumExpiry.getMonth() + 1);
+    const previousExpiry = user.premiumExpiresAt;
+    await revokePremium(user, 'admin');
     
-    user.isPremium = true;
-    user.premiumExpiresAt = premiumExpiry;
-    user.subscriptionId = subscriptionId;
-    user.paymentMethod = paymentMethod;
-    user.upgradeDate = new Date();
-    user.voiceEnabled = true; // Premium feature
+    await auditAdminAction(req, 'premium.revoke', 'user', userId, { 
+      reason: req.body?.reason || null, 
+      premiumExpiresAt: { from: previousExpiry, to: null } 
+    });
+    res.json({ userId, isPremium: false });
+  } catch (error) {
+    logger.error('Admin premium revoke error:', error);
+    res.status(500).json({ error: 'Revoke failed' });
+  }
+});
+
+// Analytics timeline, newest first - page with ?before=<ISO date>
+adminRouter.get('/users/:userId/analytics', requireAdminRole('viewer'), async (req, res) => {
+  try {
+    const userId = normalizeUserId(req.params.userId);
+    const filter = { userId };
+    const event = queryString(req.query.event);
+    const before = queryString(req.query.before);
+    if (event) filter.event = event;
+    if (req.query.before !== undefined) {
+      if (!before || isNaN(new Date(before))) return res.status(400).json({ error: 'before must be an ISO date' });
+      filter.timestamp = { $lt: new Date(before) };
+    }
     
-    await user.save();
+    const events = await Analytics.find(filter)
+      .sort({ timestamp: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 100, 500))
+      .lean();
     
-    await trackEvent(userId, 'premium_upgrade', { method: paymentMethod });
+    await auditAdminAction(req, 'analytics.view', 'user', userId, { event: event || null });
+    res.json({ events });
+  } catch (error) {
+    logger.error('Admin analytics error:', error);
+    res.status(500).json({ error: 'Lookup failed' });
+  }
+});
+
+adminRouter.get('/audit', requireAdminRole('admin'), async (req, res) => {
+  try {
+    const filter = {};
+    const actor = queryString(req.query.actor);
+    const targetId = queryString(req.query.targetId);
+    if (actor) filter.actor = actor;
+    if (targetId) filter.targetId = targetId;
     
-    const userName = user.preferredName || 'there';
-    await sendWhatsAppMessage(userId, 
-      `🎉 Welcome to Premium, ${userName}! ✨\n\n💎 You now have:\n✅ Unlimited reminders\n✅ Voice message support\n✅ Multi-language support\n✅ Priority delivery\n\n📅 Valid until: ${premiumExpiry.toLocaleDateString()}\n\nThank you! 🙏`
-    );
+    const entries = await AdminAudit.find(filter)
+      .sort({ at: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 100, 500))
+      .lean();
     
-    logger.info(`✅ Upgraded ${userId} to premium until ${premiumExpiry}`);
+    res.json({ entries });
   } catch (error) {
-    logger.error('Premium upgrade error:', error);
+    logger.error('Admin audit view error:', error);
+    res.status(500).json({ error: 'Lookup failed' });
   }
+});
+
+app.use('/admin/api', adminRouter);
+
+// ANALYTICS REPORTING - rollups of the raw Analytics events, by UTC day
+// Events the bot emits on its own - they don't make a user "active"
+const SYSTEM_EVENTS = [
+  'reminder_sent', 'reminder_missed', 'reminder_delivery_failed', 'reminder_dead',
+  'reminder_follow_up_sent', 'reminder_unacknowledged', 'webhook_rejected',
+  'premium_upgrade', 'premium_revoked'
+];
+const ON_TIME_SECONDS = 60;
+const REPORT_MAX_DAYS = 92;
+
+function utcDateKey(date) {
+  return date.toISOString().slice(0, 10);
 }
 
-// PAYMENT WEBHOOKS
-app.post('/webhook/stripe', express.raw({type: 'application/json'}), async (req, res) => {
+async function activeUserIds(start, end) {
+  return Analytics.distinct('userId', {
+    timestamp: { $gte: start, $lt: end },
+    event: { $nin: SYSTEM_EVENTS },
+    userId: { $ne: null }
+  });
+}
+
+async function rollupAnalyticsDay(date) {
+  const start = new Date(`${date}T00:00:00.000Z`);
+  const end = new Date(start.getTime() + DAY_MS);
+  const inDay = { timestamp: { $gte: start, $lt: end } };
+  const usersWith = event => Analytics.distinct('userId', { ...inDay, event, userId: { $ne: null } });
+  
+  const [eventCounts, activeUsers, newUsers, nameSet, locationSet, creators, limitUsers, upgraders, intents, sent] = await Promise.all([
+    Analytics.aggregate([
+      { $match: inDay },
+      { $group: { _id: '$event', count: { $sum: 1 } } }
+    ]),
+    activeUserIds(start, end),
+    usersWith('user_created'),
+    usersWith('setup_name_set'),
+    usersWith('setup_location_set'),
+    usersWith('reminder_created'),
+    usersWith('free_limit_reached'),
+    usersWith('premium_upgrade'),
+    Analytics.aggregate([
+      { $match: { ...inDay, event: 'message_analyzed' } },
+      { $group: { 
+        _id: { intent: '$metadata.intent', source: '$metadata.source' }, 
+        count: { $sum: 1 }, 
+        avgConfidence: { $avg: '$metadata.confidence' } 
+      } }
+    ]),
+    Analytics.aggregate([
+      { $match: { ...inDay, event: 'reminder_sent' } },
+      { $group: {
+        _id: null,
+        sent: { $sum: 1 },
+        onTime: { $sum: { $cond: [{ $lte: [{ $ifNull: ['$metadata.latenessSeconds', 0] }, ON_TIME_SECONDS] }, 1, 0] } },
+        avgLatenessSeconds: { $avg: { $ifNull: ['$metadata.latenessSeconds', 0] } },
+        maxLatenessSeconds: { $max: { $ifNull: ['$metadata.latenessSeconds', 0] } }
+      } }
+    ])
+  ]);
+  
+  const events = Object.fromEntries(eventCounts.map(row => [row._id || 'unknown', row.count]));
+  
+  // First-ever reminder: creators today with no earlier reminder_created
+  const earlierCreators = await Analytics.distinct('userId', { 
+    event: 'reminder_created', 
+    userId: { $in: creators }, 
+    timestamp: { $lt: start } 
+  });
+  const upgradersAfterLimit = await Analytics.distinct('userId', { 
+    event: 'free_limit_reached', 
+    userId: { $in: upgraders }, 
+    timestamp: { $lt: end } 
+  });
+  const skipped = await Analytics.countDocuments({ ...inDay, event: 'reminder_missed', 'metadata.outcome': 'skipped' });
+  
+  // Retention for this day's cohort, once the later day is complete
+  const retainedOn = async (offsetDays) => {
+    const dayStart = new Date(start.getTime() + offsetDays * DAY_MS);
+    if (newUsers.length === 0) return 0;
+    if (dayStart.getTime() + DAY_MS > Date.now()) return null;
+    
+    const active = new Set(await activeUserIds(dayStart, new Date(dayStart.getTime() + DAY_MS)));
+    return newUsers.filter(userId => active.has(userId)).length;
+  };
+  
+  const delivery = sent[0] || { sent: 0, onTime: 0, avgLatenessSeconds: 0, maxLatenessSeconds: 0 };
+  
+  const row = {
+    date,
+    activeUsers: activeUsers.length,
+    newUsers: newUsers.length,
+    funnel: {
+      nameSet: nameSet.length,
+      locationSet: locationSet.length,
+      firstReminder: creators.length - earlierCreators.length
+    },
+    freeLimit: { hits: events.free_limit_reached || 0, users: limitUsers.length },
+    premium: { upgrades: upgraders.length, upgradesAfterLimit: upgradersAfterLimit.length },
+    intents: intents.map(item => ({
+      intent: item._id.intent || 'unknown',
+      source: item._id.source || 'llm', // Events from before the rule parser carry no source
+      count: item.count,
+      avgConfidence: item.avgConfidence
+    })),
+    delivery: {
+      sent: delivery.sent,
+      onTime: delivery.onTime,
+      avgLatenessSeconds: Math.round(delivery.avgLatenessSeconds || 0),
+      maxLatenessSeconds: delivery.maxLatenessSeconds || 0,
+      skipped,
+      failed: events.reminder_delivery_failed || 0,
+      dead: events.reminder_dead || 0
+    },
+    retention: { cohort: newUsers.length, day1: await retainedOn(1), day7: await retainedOn(7) },
+    events,
+    computedAt: new Date()
+  };
+  
+  await AnalyticsDaily.updateOne({ date }, { $set: row }, { upsert: true });
+  return row;
+}
+
+// Nightly: the last 8 complete days, so day-7 retention fills in for older cohorts
+async function runAnalyticsRollup(days = 8) {
   try {
-    const event = JSON.parse(req.body);
+    const today = new Date(`${utcDateKey(new Date())}T00:00:00.000Z`);
     
-    if (event.type === 'checkout.session.completed' || event.type === 'invoice.payment_succeeded') {
-      const session = event.data.object;
-      const phoneNumber = session.metadata?.phone_number;
-      
-      if (phoneNumber) {
-        await upgradeToPremium(phoneNumber, 'stripe', session.id);
-        logger.info(`Upgraded user ${phoneNumber} via Stripe`);
-      }
+    for (let offset = days; offset >= 1; offset--) {
+      await rollupAnalyticsDay(utcDateKey(new Date(today.getTime() - offset * DAY_MS)));
+    }
+    logger.info(`📈 Analytics rollup done for the last ${days} days`);
+  } catch (error) {
+    logger.error('Analytics rollup error:', error);
+  }
+}
+
+function reportDateRange(query) {
+  const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+  const yesterday = utcDateKey(new Date(Date.now() - DAY_MS));
+  const to = isDate(query.to) ? query.to : yesterday;
+  const from = isDate(query.from) ? query.from : utcDateKey(new Date(new Date(to).getTime() - 29 * DAY_MS));
+  
+  const days = Math.round((new Date(to) - new Date(from)) / DAY_MS) + 1;
+  if (days < 1 || days > REPORT_MAX_DAYS) return null;
+  
+  return { from, to, dates: Array.from({ length: days }, (_, i) => utcDateKey(new Date(new Date(from).getTime() + i * DAY_MS))) };
+}
+
+// Reads rollups; days never rolled up (or today) are computed on demand
+async function buildAnalyticsReport(range) {
+  const stored = await AnalyticsDaily.find({ date: { $gte: range.from, $lte: range.to } }).lean();
+  const byDate = new Map(stored.map(row => [row.date, row]));
+  const today = utcDateKey(new Date());
+  
+  const rows = [];
+  for (const date of range.dates) {
+    rows.push(byDate.has(date) && date !== today ? byDate.get(date) : await rollupAnalyticsDay(date));
+  }
+  
+  const sum = (pick, list = rows) => list.reduce((total, row) => total + (pick(row) || 0), 0);
+  const rate = (part, whole) => whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null;
+  
+  const intentTotals = {};
+  rows.forEach(row => row.intents.forEach(item => {
+    const entry = intentTotals[item.intent] || (intentTotals[item.intent] = { count: 0, confidenceSum: 0, confidenceCount: 0, sources: {} });
+    entry.count += item.count;
+    entry.sources[item.source] = (entry.sources[item.source] || 0) + item.count;
+    if (typeof item.avgConfidence === 'number') {
+      entry.confidenceSum += item.avgConfidence * item.count;
+      entry.confidenceCount += item.count;
     }
+  }));
+  
+  const newUsers = sum(row => row.newUsers);
+  const sent = sum(row => row.delivery.sent);
+  const limitUsers = sum(row => row.freeLimit.users);
+  // Only cohorts whose day-N has passed count towards day-N retention
+  const retentionRate = key => {
+    const cohorts = rows.filter(row => row.retention[key] !== null);
+    return rate(sum(row => row.retention[key], cohorts), sum(row => row.retention.cohort, cohorts));
+  };
+  
+  return {
+    from: range.from,
+    to: range.to,
+    totals: {
+      avgDailyActiveUsers: Math.round(sum(row => row.activeUsers) / rows.length),
+      newUsers,
+      funnel: {
+        started: newUsers,
+        nameSet: sum(row => row.funnel.nameSet),
+        locationSet: sum(row => row.funnel.locationSet),
+        firstReminder: sum(row => row.funnel.firstReminder),
+        nameRate: rate(sum(row => row.funnel.nameSet), newUsers),
+        locationRate: rate(sum(row => row.funnel.locationSet), sum(row => row.funnel.nameSet)),
+        firstReminderRate: rate(sum(row => row.funnel.firstReminder), sum(row => row.funnel.locationSet))
+      },
+      freeLimit: { hits: sum(row => row.freeLimit.hits), userDays: limitUsers },
+      premium: {
+        upgrades: sum(row => row.premium.upgrades),
+        upgradesAfterLimit: sum(row => row.premium.upgradesAfterLimit),
+        conversionFromLimit: rate(sum(row => row.premium.upgradesAfterLimit), limitUsers)
+      },
+      intents: Object.entries(intentTotals)
+        .map(([intent, entry]) => ({
+          intent,
+          count: entry.count,
+          avgConfidence: entry.confidenceCount ? Math.round((entry.confidenceSum / entry.confidenceCount) * 100) / 100 : null,
+          sources: entry.sources
+        }))
+        .sort((a, b) => b.count - a.count),
+      delivery: {
+        sent,
+        onTimeRate: rate(sum(row => row.delivery.onTime), sent),
+        avgLatenessSeconds: sent ? Math.round(sum(row => row.delivery.avgLatenessSeconds * row.delivery.sent) / sent) : 0,
+        skipped: sum(row => row.delivery.skipped),
+        failed: sum(row => row.delivery.failed),
+        dead: sum(row => row.delivery.dead)
+      },
+      retention: { day1: retentionRate('day1'), day7: retentionRate('day7') }
+    },
+    days: rows.map(({ _id, __v, ...row }) => row)
+  };
+}
+
+const REPORT_CSV_COLUMNS = [
+  ['date', row => row.date],
+  ['active_users', row => row.activeUsers],
+  ['new_users', row => row.newUsers],
+  ['setup_name_set', row => row.funnel.nameSet],
+  ['setup_location_set', row => row.funnel.locationSet],
+  ['first_reminder', row => row.funnel.firstReminder],
+  ['free_limit_hits', row => row.freeLimit.hits],
+  ['free_limit_users', row => row.freeLimit.users],
+  ['premium_upgrades', row => row.premium.upgrades],
+  ['upgrades_after_limit', row => row.premium.upgradesAfterLimit],
+  ['messages_analyzed', row => row.intents.reduce((total, item) => total + item.count, 0)],
+  ['reminders_sent', row => row.delivery.sent],
+  ['on_time', row => row.delivery.onTime],
+  ['avg_lateness_seconds', row => row.delivery.avgLatenessSeconds],
+  ['skipped', row => row.delivery.skipped],
+  ['failed', row => row.delivery.failed],
+  ['dead', row => row.delivery.dead],
+  ['cohort', row => row.retention.cohort],
+  ['retained_day1', row => row.retention.day1],
+  ['retained_day7', row => row.retention.day7]
+];
+
+const INTENT_CSV_COLUMNS = ['date', 'intent', 'source', 'count', 'avg_confidence'];
+
+function toCsv(header, rows) {
+  const escape = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [header, ...rows].map(row => row.map(escape).join(',')).join('\n') + '\n';
+}
+
+// GET /admin/api/reports/daily?from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv&view=days|intents
+adminRouter.get('/reports/daily', requireAdminRole('viewer'), async (req, res) => {
+  try {
+    const range = reportDateRange(req.query);
+    if (!range) return res.status(400).json({ error: `Use from/to as YYYY-MM-DD, at most ${REPORT_MAX_DAYS} days` });
     
-    res.sendStatus(200);
+    const report = await buildAnalyticsReport(range);
+    await auditAdminAction(req, 'report.view', 'report', null, { from: range.from, to: range.to, format: req.query.format || 'json' });
+    
+    if (req.query.format !== 'csv') return res.json(report);
+    
+    const csv = req.query.view === 'intents'
+      ? toCsv(INTENT_CSV_COLUMNS, report.days.flatMap(row => row.intents.map(item => 
+          [row.date, item.intent, item.source, item.count, item.avgConfidence === null ? '' : Math.round(item.avgConfidence * 100) / 100]
+        )))
+      : toCsv(REPORT_CSV_COLUMNS.map(([name]) => name), report.days.map(row => REPORT_CSV_COLUMNS.map(([, pick]) => pick(row))));
+    
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="report-${req.query.view === 'intents' ? 'intents' : 'daily'}-${range.from}-${range.to}.csv"`);
+    res.send(csv);
   } catch (error) {
-    logger.error('Stripe webhook error:', error);
-    res.sendStatus(400);
+    logger.error('Report error:', error);
+    res.status(500).json({ error: 'Report failed' });
   }
 });
 
-app.post('/webhook/paypal', async (req, res) => {
+// Backfill or recompute rollups for a range
+adminRouter.post('/reports/rollup', requireAdminRole('admin'), async (req, res) => {
   try {
-    const event = req.body;
+    const range = reportDateRange(req.body || {});
+    if (!range) return res.status(400).json({ error: `Use from/to as YYYY-MM-DD, at most ${REPORT_MAX_DAYS} days` });
     
-    if (event.event_type === 'PAYMENT.SALE.COMPLETED') {
-      const phoneNumber = event.resource?.custom;
-      
-      if (phoneNumber) {
-        await upgradeToPremium(phoneNumber, 'paypal', event.id);
-        logger.info(`Upgraded user ${phoneNumber} via PayPal`);
-      }
+    for (const date of range.dates) {
+      await rollupAnalyticsDay(date);
     }
     
-    res.sendStatus(200);
+    await auditAdminAction(req, 'report.rollup', 'report', null, { from: range.from, to: range.to });
+    res.json({ from: range.from, to: range.to, days: range.dates.length });
   } catch (error) {
-    logger.error('PayPal webhook error:', error);
-    res.sendStatus(400);
+    logger.error('Rollup error:', error);
+    res.status(500).json({ error: 'Rollup failed' });
   }
 });
 
@@ -1391,23 +8978,32 @@ app.get('/health', async (req, res) => {
   try {
     await mongoose.connection.db.admin().ping();
     health.services.mongodb = 'connected';
+    
+    const now = new Date();
+    health.delivery = {
+      due: await Reminder.countDocuments(dueDeliveryFilter(now)),
+      retrying: await Reminder.countDocuments({ deliveryStatus: 'failed' }),
+      dead: await Reminder.countDocuments({ deliveryStatus: 'dead' })
+    };
   } catch (error) {
     health.services.mongodb = 'error';
     health.status = 'degraded';
   }
   
   try {
-    const authToken = Buffer.from(`${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64');
-    await axios.get(`https://api.twilio.com/2010-04-01/Accounts/${process.env.TWILIO_ACCOUNT_SID}.json`, {
-      headers: { 'Authorization': `Basic ${authToken}` },
-      timeout: 5000
-    });
-    health.services.twilio = 'active';
+    await transport.healthCheck();
+    health.services[transport.name] = 'active';
   } catch (error) {
-    health.services.twilio = 'error';
+    health.services[transport.name] = 'error';
     health.status = 'degraded';
   }
   
+  // LLM is optional - an open circuit is reported but doesn't degrade health
+  health.services.llm = llmProvider 
+    ? { provider: llmProvider.name, model: llmProvider.model, circuit: llmCircuitState(), ...llmStats, cacheSize: llmCache.size }
+    : 'disabled';
+  health.services.stt = sttBackend ? sttBackend.name : 'disabled';
+  
   res.status(health.status === 'healthy' ? 200 : 503).json(health);
 });
 
@@ -1421,8 +9017,8 @@ app.get('/', (req, res) => {
       '🧠 AI-powered message understanding', 
       '👤 Personalized communication',
       '📱 List, edit, cancel reminders',
-      '🆓 5 daily reminders (free)',
-      '💎 Premium: Unlimited + voice + languages',
+      `🆓 ${summarizePlan(PLAN_CATALOG.free)}`,
+      `💎 ${summarizePlan(PLAN_CATALOG.premium)}`,
       '🔄 Smart learning from conversations',
       '🌍 Timezone-aware scheduling',
       '📊 Usage analytics & insights',
@@ -1434,7 +9030,7 @@ app.get('/', (req, res) => {
       '✅ 3. Learning from conversation patterns',
       '✅ 4. Personalized responses based on user behavior',
       '✅ 5. Complete CRUD operations (List, Cancel, Edit)',
-      '✅ 6. Timezone-aware daily limits (5 reminders)',
+      `✅ 6. Timezone-aware daily limits (${PLAN_CATALOG.free.dailyReminders === null ? 'unlimited' : `${PLAN_CATALOG.free.dailyReminders} reminders`} on the free plan)`,
       '✅ 7. Premium package with voice & language support',
       '✅ 8. Focused on reminders only with polite redirects',
       '✅ 9. Technical improvements (pooling, rate limiting, logging)',
@@ -1455,11 +9051,12 @@ app.get('/', (req, res) => {
     ],
     performance: {
       cron_frequency: '1 minute (optimal for accuracy)',
-      max_reminders_per_run: 10,
-      message_retry_attempts: 3,
+      max_reminders_per_run: 'Unlimited (leased delivery queue)',
+      delivery_attempts: DELIVERY.MAX_ATTEMPTS,
       rate_limit: '8 messages per minute per user',
       database_pooling: 'Up to 10 connections',
-      cleanup_schedule: 'Daily at 2 AM UTC'
+      cleanup_schedule: 'Daily at 2 AM UTC',
+      messaging_transport: transport.name
     },
     user_experience: {
       setup_flow: 'Name → Location → Timezone detection',
@@ -1469,14 +9066,7 @@ app.get('/', (req, res) => {
       premium_upselling: 'Gentle nudging when limits reached',
       error_handling: 'Graceful recovery with user feedback'
     },
-    premium_features: {
-      daily_reminders: 'Unlimited (vs 5 free)',
-      voice_messages: 'Set reminders via voice notes',
-      languages: 'Multi-language support',
-      priority_delivery: 'Faster message processing',
-      advanced_editing: 'Enhanced edit capabilities',
-      customer_support: 'Priority support access'
-    },
+    plans: PLAN_CATALOG,
     api_endpoints: {
       health_check: 'GET /',
       webhook_verify: 'GET /webhook',
@@ -1520,38 +9110,24 @@ app.use('*', (req, res) => {
       'GET /webhook',
       'POST /webhook',
       'POST /webhook/stripe',
-      'POST /webhook/paypal'
+      'POST /webhook/paypal',
+      '/admin/api/* (Bearer token)'
     ]
   });
 });
 
 // SERVER STARTUP
-app.listen(PORT, '0.0.0.0', async () => {
+if (IS_MAIN) app.listen(PORT, '0.0.0.0', async () => {
   logger.info(`🚀 Enhanced WhatsApp Reminder Bot started on port ${PORT}`);
   logger.info('🤖 All features implemented and optimized!');
   
   // Startup checks
   try {
-    logger.info('🧹 Running startup cleanup...');
-    
-    const now = new Date();
-    const oneHourAgo = new Date(now.getTime() - 60 * 60 * 1000);
-    
-    // Mark any stuck reminders as completed
-    const stuckReminders = await Reminder.updateMany(
-      {
-        scheduledTime: { $lt: oneHourAgo },
-        isCompleted: false,
-        lastSentAt: null
-      },
-      {
-        isCompleted: true,
-        lastSentAt: now
-      }
-    );
+    // Reminders missed while we were down are caught up by the delivery queue
+    const overdueReminders = await Reminder.countDocuments(dueDeliveryFilter(new Date()));
     
-    if (stuckReminders.modifiedCount > 0) {
-      logger.info(`🧹 Marked ${stuckReminders.modifiedCount} stuck reminders as completed`);
+    if (overdueReminders > 0) {
+      logger.info(`📬 ${overdueReminders} reminders due after downtime - catching up (grace: ${DELIVERY.MISSED_GRACE_MINUTES} min)`);
     }
     
     // Check database connection
@@ -1575,8 +9151,8 @@ app.listen(PORT, '0.0.0.0', async () => {
     logger.info('   🧠 Learning from user conversation patterns');
     logger.info('   👤 Personalized responses based on user behavior');
     logger.info('   📱 Complete reminder management (List, Cancel, Edit)');
-    logger.info('   🆓 5 daily reminders with timezone-aware reset');
-    logger.info('   💎 Premium: Unlimited + Voice + Languages');
+    logger.info(`   🆓 ${summarizePlan(PLAN_CATALOG.free)} with timezone-aware reset`);
+    logger.info(`   💎 ${summarizePlan(PLAN_CATALOG.premium)}`);
     logger.info('   🎯 FOCUSED: Only reminder functionality');
     logger.info('   🔧 Technical improvements: Pooling, Rate limiting, Logging');
     logger.info('   🌟 Enhanced user experience with graceful error handling');
@@ -1610,25 +9186,27 @@ async function gracefulShutdown(signal) {
 }
 
 // PROCESS EVENT HANDLERS
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-
-process.on('uncaughtException', (error) => {
-  logger.error('🚨 Uncaught exception:', {
-    error: error.message,
-    stack: error.stack
+if (IS_MAIN) {
+  process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+  process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+  
+  process.on('uncaughtException', (error) => {
+    logger.error('🚨 Uncaught exception:', {
+      error: error.message,
+      stack: error.stack
+    });
+    gracefulShutdown('uncaughtException');
   });
-  gracefulShutdown('uncaughtException');
-});
-
-process.on('unhandledRejection', (reason, promise) => {
-  logger.error('🚨 Unhandled rejection:', {
-    reason: reason,
-    promise: promise
+  
+  process.on('unhandledRejection', (reason, promise) => {
+    logger.error('🚨 Unhandled rejection:', {
+      reason: reason,
+      promise: promise
+    });
+    gracefulShutdown('unhandledRejection');
   });
-  gracefulShutdown('unhandledRejection');
-});
+}
 
 // EXPORT FOR TESTING
 module.exports = app;
-      '
+Object.assign(module.exports, { parseDateTime, parseReminderWithTimezone, parseLocalizedTime, parseRecurrence, parseCommand });
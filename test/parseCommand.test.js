@@ -0,0 +1,85 @@
+process.env.NODE_ENV = 'test';
+process.env.MESSAGING_TRANSPORT = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCommand } = require('../server');
+
+const USER = { timezone: 'Europe/Berlin', language: 'en' };
+
+// Settings and list commands: [text, expected intent]
+const COMMAND_CASES = [
+  ['list', 'list'],
+  ['my reminders', 'list'],
+  ['cancel', 'cancel'],
+  ['cancel 2', 'cancel'],
+  ['delete the last one', 'cancel'],
+  ['edit last', 'edit'],
+  ['change it', 'edit'],
+  ['cancel my subscription', 'cancel_premium'],
+  ['billing', 'billing'],
+  ['premium', 'premium'],
+  ['help', 'help'],
+  ['stats', 'stats'],
+  ['nudges off', 'follow_ups'],
+  ['follow-ups 15 min', 'follow_ups'],
+  ['heads-up 30 min', 'lead_time'],
+  ['digest', 'digest'],
+  ['digest at 7am', 'digest'],
+  ['daily briefing off', 'digest'],
+  ['quiet hours', 'quiet_hours'],
+  ['quiet 23:00-07:00', 'quiet_hours'],
+  ['dnd off', 'quiet_hours'],
+  ['contact Mom +90 555 123 45 67', 'contact'],
+  ['spaces', 'space'],
+  ['space create Family', 'space'],
+  ['space invite Family +905551234567', 'space'],
+  ['team leave Office', 'space'],
+  ['calendar', 'calendar'],
+  ['calendar reset', 'calendar'],
+  ['retry 1, 3', 'retry'],
+  ['language', 'language'],
+  ['language tr', 'language'],
+  ['dil türkçe', 'language'],
+  ['yes', 'confirm'],
+  ['yes 1,3', 'confirm'],
+  ['no', 'decline'],
+  ['done', 'done'],
+  ['snooze 10 min', 'snooze']
+];
+
+// Anything longer than a command is a reminder, or left to the LLM (null) - never a command
+const REMINDER_CASES = [
+  ['team meeting at 3pm', 'reminder'],
+  ['teams call at 10am', 'reminder'],
+  ['household chores at 6pm', 'reminder'],
+  ['contact the landlord at 5pm', 'reminder'],
+  ['stop by the pharmacy at 5pm', 'reminder'],
+  ['change the bed sheets at 6pm', 'reminder'],
+  ['cancel the dentist appointment tomorrow at 9am', 'reminder'],
+  ['briefing with client at 3pm', 'reminder'],
+  ['agenda review tomorrow 9am', 'reminder'],
+  ['quiet time with kids at 8pm', 'reminder'],
+  ['language class at 6pm', 'reminder'],
+  ['follow up with John at 3pm', 'reminder'],
+  ['followup call with bank tomorrow', 'reminder'],
+  ['show the kids the garden at 4pm', 'reminder'],
+  ['calendar review with the team', null],
+  ['dil kursu', null]
+];
+
+test('parseCommand recognizes commands without the LLM', async (t) => {
+  for (const [text, intent] of COMMAND_CASES) {
+    await t.test(text, () => {
+      assert.equal(parseCommand(text, USER)?.intent, intent);
+    });
+  }
+});
+
+test('parseCommand leaves reminder look-alikes to reminder parsing', async (t) => {
+  for (const [text, intent] of REMINDER_CASES) {
+    await t.test(text, () => {
+      assert.equal(parseCommand(text, USER)?.intent ?? null, intent);
+    });
+  }
+});
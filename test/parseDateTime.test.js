@@ -0,0 +1,116 @@
+process.env.NODE_ENV = 'test';
+process.env.MESSAGING_TRANSPORT = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDateTime, parseReminderWithTimezone, parseLocalizedTime } = require('../server');
+
+// Saturday 28 March 2026, 11:00 in Berlin - Europe switches to summer time overnight
+const NOW = new Date('2026-03-28T10:00:00Z');
+
+// Wall-clock readings: [text, zone, now, expected wall clock (null: no reading), more readings]
+const WALL_CLOCK_CASES = [
+  ['gym at 7pm', 'Europe/Berlin', NOW, '2026-03-28T19:00'],
+  ['call mom tomorrow at 9am', 'Europe/Berlin', NOW, '2026-03-29T09:00'],
+  ['at 7', 'Europe/Berlin', NOW, '2026-03-28T19:00'],
+  ['take pills at 9.30.', 'Europe/Berlin', NOW, '2026-03-29T09:30'],
+  ['meeting at 18.30.', 'Europe/Berlin', NOW, '2026-03-28T18:30'],
+  ['dentist on 15.04. at 10:00', 'Europe/Berlin', NOW, '2026-04-15T10:00'],
+  ['dentist 15.04.2027 at 10:00', 'Europe/Berlin', NOW, '2027-04-15T10:00'],
+  ['report 12.13.', 'Europe/Berlin', NOW, '2026-03-28T12:13'],
+  ['party 29.02. at 8pm', 'Europe/Berlin', NOW, null],
+  ['party 31.04. at 8pm', 'Europe/Berlin', NOW, null],
+  ['pay rent on the 31st at 9am', 'Europe/Berlin', new Date('2026-04-10T08:00:00Z'), '2026-05-31T09:00'],
+  ['pay rent on the 31st at 9am', 'Europe/Berlin', new Date('2026-12-10T08:00:00Z'), '2026-12-31T09:00'],
+  ['3/4 at 10am', 'Europe/Berlin', NOW, '2026-04-03T10:00'],
+  ['3/4 at 10am', 'America/New_York', NOW, '2027-03-04T10:00'],
+  ['3/4 at 10am', 'UTC', NOW, '2026-04-03T10:00', ['2027-03-04T10:00']],
+  ['the day after tomorrow at 8am', 'Europe/Berlin', NOW, '2026-03-30T08:00'],
+  // 02:30 doesn't exist in Berlin that night - the wall clock is kept, the instant moves on (below)
+  ['2:30am tomorrow', 'Europe/Berlin', NOW, '2026-03-29T02:30'],
+  ['call at 12am', 'Europe/Berlin', NOW, '2026-03-29T00:00'],
+  ['lunch at 12pm', 'Europe/Berlin', NOW, '2026-03-28T12:00'],
+  ['at midnight', 'Europe/Berlin', NOW, '2026-03-29T00:00'],
+  ['midnight', 'Europe/Berlin', NOW, '2026-03-29T00:00'],
+  ['noon', 'Europe/Berlin', NOW, '2026-03-28T12:00'],
+  ['31/4 at 10am', 'Europe/Berlin', NOW, null],
+  ['31/4', 'Europe/Berlin', NOW, null],
+  ['13/13 at 10am', 'Europe/Berlin', NOW, null],
+  ['at 25:00', 'Europe/Berlin', NOW, null],
+  ['25:00', 'Europe/Berlin', NOW, null],
+  ['at 12:75', 'Europe/Berlin', NOW, null],
+  ['at 12:75pm', 'Europe/Berlin', NOW, null],
+  // "at 7" is both readings while 7am is still ahead, only the evening once it's passed, both tomorrow after 7pm
+  ['at 7', 'Europe/Berlin', new Date('2026-03-28T05:00:00Z'), '2026-03-28T07:00', ['2026-03-28T19:00']],
+  ['at 7', 'Europe/Berlin', new Date('2026-03-28T07:00:00Z'), '2026-03-28T19:00'],
+  ['at 7', 'Europe/Berlin', new Date('2026-03-28T19:00:00Z'), '2026-03-29T07:00', ['2026-03-29T19:00']],
+  ['nothing to see here', 'Europe/Berlin', NOW, null]
+];
+
+// Stored instants: [text, zone, now, expected UTC instant (or null)]
+const INSTANT_CASES = [
+  ['gym at 7pm', 'Europe/Berlin', NOW, '2026-03-28T18:00:00.000Z'],
+  // 9:30 on the morning after the spring-forward is already CEST (+2)
+  ['take pills at 9.30.', 'Europe/Berlin', NOW, '2026-03-29T07:30:00.000Z'],
+  ['call mom tomorrow at 9am', 'Europe/Berlin', NOW, '2026-03-29T07:00:00.000Z'],
+  // Elapsed time is added to the instant - 2 hours from 01:30 CET is 04:30 CEST
+  ['stretch in 2 hours', 'Europe/Berlin', new Date('2026-03-29T00:30:00Z'), '2026-03-29T02:30:00.000Z'],
+  // Back to CET (+1) on the last Sunday of October
+  ['call mom tomorrow at 9am', 'Europe/Berlin', new Date('2026-10-24T12:00:00Z'), '2026-10-25T08:00:00.000Z'],
+  ['3/4 at 10am', 'America/New_York', NOW, '2027-03-04T15:00:00.000Z'],
+  // In the spring-forward gap: 02:30 CET doesn't exist, 01:30 UTC is 03:30 CEST
+  ['2:30am tomorrow', 'Europe/Berlin', NOW, '2026-03-29T01:30:00.000Z'],
+  ['at midnight', 'Europe/Berlin', NOW, '2026-03-28T23:00:00.000Z'],
+  ['at 12:75', 'Europe/Berlin', NOW, null],
+  // An impossible date isn't handed to chrono either
+  ['party 29.02. at 8pm', 'Europe/Berlin', NOW, null],
+  ['yesterday', 'Europe/Berlin', NOW, null]
+];
+
+// Other languages: [text, language, expected wall clock from parseLocalizedTime, expected stored instant] in Berlin at NOW
+const LOCALIZED_CASES = [
+  ['yarın saat 9da', 'tr', '2026-03-29T09:00', '2026-03-29T07:00:00.000Z'],
+  ['yarın 10:30', 'tr', '2026-03-29T10:30', '2026-03-29T08:30:00.000Z'],
+  ['10 dakika sonra', 'tr', '2026-03-28T11:10', '2026-03-28T10:10:00.000Z'],
+  ['mañana a las 9', 'es', '2026-03-29T09:00', '2026-03-29T07:00:00.000Z'],
+  ['el viernes a las 18:00', 'es', '2026-04-03T18:00', '2026-04-03T16:00:00.000Z'],
+  ['en 2 horas', 'es', '2026-03-28T13:00', '2026-03-28T12:00:00.000Z'],
+  ['dentro de 2 horas', 'es', '2026-03-28T13:00', '2026-03-28T12:00:00.000Z'],
+  ['morgen um 9 Uhr', 'de', '2026-03-29T09:00', '2026-03-29T07:00:00.000Z'],
+  ['am Freitag um 18 Uhr', 'de', '2026-04-03T18:00', '2026-04-03T16:00:00.000Z'],
+  ['in 2 Stunden', 'de', '2026-03-28T13:00', '2026-03-28T12:00:00.000Z'],
+  ['amanhã às 9h', 'pt', '2026-03-29T09:00', '2026-03-29T07:00:00.000Z'],
+  ['sexta às 18h', 'pt', '2026-04-03T18:00', '2026-04-03T16:00:00.000Z'],
+  ['daqui a 2 horas', 'pt', '2026-03-28T13:00', '2026-03-28T12:00:00.000Z']
+];
+
+const wall = date => date.toISOString().slice(0, 16);
+
+test('parseDateTime reads wall-clock dates and times', async (t) => {
+  for (const [text, zone, now, expected, others = []] of WALL_CLOCK_CASES) {
+    await t.test(`${text} (${zone})`, () => {
+      const result = parseDateTime(text, { now, zone });
+      assert.deepEqual(result ? result.options.map(wall) : [], expected === null ? [] : [expected, ...others]);
+    });
+  }
+});
+
+test('parseReminderWithTimezone stores the right instant across DST changes', async (t) => {
+  for (const [text, zone, now, expected] of INSTANT_CASES) {
+    await t.test(`${text} (${zone}, ${now.toISOString()})`, () => {
+      const result = parseReminderWithTimezone(text, 'task', zone, 'en', now);
+      assert.equal(result ? result.scheduledTime.toISOString() : null, expected);
+    });
+  }
+});
+
+test('parseLocalizedTime reads Turkish, Spanish, German and Portuguese', async (t) => {
+  for (const [text, language, expectedWall, expectedInstant] of LOCALIZED_CASES) {
+    await t.test(`${text} (${language})`, () => {
+      const result = parseLocalizedTime(text, language, NOW, 'Europe/Berlin');
+      assert.equal(result ? wall(result) : null, expectedWall);
+      const reminder = parseReminderWithTimezone(text, 'task', 'Europe/Berlin', language, NOW);
+      assert.equal(reminder ? reminder.scheduledTime.toISOString() : null, expectedInstant);
+    });
+  }
+});